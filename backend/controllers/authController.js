@@ -49,11 +49,7 @@ exports.register = async (req, res, next) => {
         res.status(201).json({
             success: true,
             token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: formatUser(user)
         });
     } catch (error) {
         next(error);
@@ -97,11 +93,7 @@ exports.login = async (req, res, next) => {
         res.status(200).json({
             success: true,
             token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: formatUser(user)
         });
     } catch (error) {
         next(error);
@@ -132,6 +124,53 @@ exports.getProfile = async (req, res, next) => {
     }
 };
 
+/**
+ * Update the current user's settings
+ * @route PUT /api/auth/profile
+ */
+exports.updateProfile = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const { tuning } = req.body;
+        
+        if (tuning) {
+            if (tuning.referencePitch !== undefined) {
+                user.tuning.referencePitch = tuning.referencePitch;
+            }
+            if (tuning.temperament !== undefined) {
+                user.tuning.temperament = tuning.temperament;
+            }
+        }
+        
+        try {
+            await user.save();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(error.errors).map(err => err.message).join(', ')
+                });
+            }
+            throw error;
+        }
+        
+        res.status(200).json({
+            success: true,
+            user: formatUser(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Validate JWT token
  * @route GET /api/auth/validate
@@ -171,4 +210,21 @@ const generateToken = (userId) => {
         process.env.JWT_SECRET,
         { expiresIn: '30d' }
     );
+};
+
+/**
+ * Pick the user fields sent to the client
+ * @param {Object} user - User document
+ * @returns {Object} Public user data
+ */
+const formatUser = (user) => {
+    return {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        tuning: {
+            referencePitch: user.tuning.referencePitch,
+            temperament: user.tuning.temperament
+        }
+    };
 };
\ No newline at end of file
@@ -0,0 +1,279 @@
+/**
+ * recordingController.js
+ * Handles saving, streaming and deleting user recordings
+ */
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { getAudioDurationInSeconds } = require('get-audio-duration');
+const Recording = require('../models/Recording');
+const Transcription = require('../models/Transcription');
+const { renderSheetMusicPdf } = require('../services/sheetMusicRenderer');
+const { toFilename } = require('../utils/filenames');
+const { pickEditableFields } = require('../utils/transcriptionFields');
+
+/**
+ * Get all recordings for the current user
+ * @route GET /api/recordings
+ */
+exports.getRecordings = async (req, res, next) => {
+    try {
+        const recordings = await Recording.find({ user: req.user.id })
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: recordings.length,
+            recordings: recordings.map(formatRecording)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Stream the audio of a single recording
+ * @route GET /api/recordings/:id
+ */
+exports.getRecording = async (req, res, next) => {
+    try {
+        const recording = await findUserRecording(req.params.id, req.user.id);
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recording not found'
+            });
+        }
+
+        // Make sure the audio file is still on disk
+        let stats;
+        try {
+            stats = await fs.promises.stat(recording.audioFile);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audio file not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': recording.metadata.mimeType || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+
+        const stream = fs.createReadStream(recording.audioFile);
+        stream.on('error', next);
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Save a new recording with its transcription
+ * @route POST /api/recordings
+ */
+exports.createRecording = async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please upload an audio file'
+        });
+    }
+
+    try {
+        // Parse the transcription sent alongside the audio as a JSON string
+        let transcriptionData = null;
+        if (req.body.transcription) {
+            try {
+                transcriptionData = JSON.parse(req.body.transcription);
+            } catch (error) {
+                await removeFile(req.file.path);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Transcription must be valid JSON'
+                });
+            }
+        }
+
+        const recording = new Recording({
+            name: req.body.name || 'Untitled Recording',
+            user: req.user.id,
+            audioFile: req.file.path,
+            duration: await getDuration(req.file.path),
+            fileSize: req.file.size,
+            metadata: {
+                originalName: req.file.originalname,
+                mimeType: req.file.mimetype
+            }
+        });
+
+        // Nothing is stored for a recording that would not save
+        await recording.validate();
+
+        let transcription = null;
+        if (transcriptionData) {
+            // A transcription saved before brings its _id along; only its content is copied
+            transcription = await Transcription.create({
+                ...pickEditableFields(transcriptionData),
+                recording: recording._id
+            });
+            recording.transcription = transcription._id;
+        }
+
+        try {
+            await recording.save();
+        } catch (error) {
+            // The transcription belongs to the recording and goes with it
+            if (transcription) await Transcription.deleteOne({ _id: transcription._id });
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            recording: formatRecording(recording)
+        });
+    } catch (error) {
+        await removeFile(req.file.path);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Download the transcribed sheet music for a recording
+ * @route GET /api/recordings/download/:id
+ */
+exports.downloadSheet = async (req, res, next) => {
+    try {
+        const recording = await findUserRecording(req.params.id, req.user.id);
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recording not found'
+            });
+        }
+
+        // Plain objects, as the renderer copies notes when laying out measures
+        const transcription = recording.transcription
+            ? await Transcription.findById(recording.transcription).lean()
+            : null;
+
+        if (!transcription || !transcription.sheetMusic) {
+            return res.status(404).json({
+                success: false,
+                message: 'No sheet music found for this recording'
+            });
+        }
+
+        const pdf = await renderSheetMusicPdf({
+            title: recording.name,
+            detectedKey: transcription.detectedKey,
+            detectedTempo: transcription.detectedTempo,
+            sheetMusic: transcription.sheetMusic
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': pdf.length,
+            'Content-Disposition': `attachment; filename="${toFilename(recording.name)}.pdf"`
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a recording, its transcription and its audio file
+ * @route DELETE /api/recordings/:id
+ */
+exports.deleteRecording = async (req, res, next) => {
+    try {
+        const recording = await findUserRecording(req.params.id, req.user.id);
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recording not found'
+            });
+        }
+
+        await Transcription.deleteMany({ recording: recording._id });
+        await recording.deleteOne();
+        await removeFile(recording.audioFile);
+
+        res.status(200).json({
+            success: true,
+            message: 'Recording deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Find a recording owned by the given user
+ * @param {String} recordingId - Recording ID from the request
+ * @param {String} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} Recording document or null if not found
+ */
+const findUserRecording = (recordingId, userId) => {
+    if (!mongoose.isValidObjectId(recordingId)) {
+        return Promise.resolve(null);
+    }
+
+    return Recording.findOne({ _id: recordingId, user: userId });
+};
+
+/**
+ * Format a recording document for API responses
+ * @param {Object} recording - Recording document
+ * @returns {Object} Recording data as expected by the frontend
+ */
+const formatRecording = (recording) => {
+    return {
+        id: recording._id,
+        name: recording.name,
+        duration: recording.duration,
+        fileSize: recording.fileSize,
+        transcription: recording.transcription,
+        tags: recording.tags,
+        createdAt: recording.createdAt,
+        updatedAt: recording.updatedAt
+    };
+};
+
+/**
+ * Read the duration of an audio file
+ * @param {String} filePath - Path to the audio file
+ * @returns {Promise<Number>} Duration in seconds, or 0 if it can't be read
+ */
+const getDuration = async (filePath) => {
+    try {
+        return await getAudioDurationInSeconds(filePath);
+    } catch (error) {
+        // Browser recordings (WebM/Opus) often lack duration headers
+        return 0;
+    }
+};
+
+/**
+ * Remove a file from disk, ignoring files that are already gone
+ * @param {String} filePath - Path to the file
+ */
+const removeFile = async (filePath) => {
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error removing file:', error);
+        }
+    }
+};
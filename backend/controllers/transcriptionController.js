@@ -0,0 +1,266 @@
+/**
+ * transcriptionController.js
+ * Handles creating, reading and updating transcriptions of recordings
+ */
+const mongoose = require('mongoose');
+const Recording = require('../models/Recording');
+const Transcription = require('../models/Transcription');
+const { writeMidi } = require('../services/midiWriter');
+const { transposeTranscription } = require('../services/transposer');
+const { toFilename } = require('../utils/filenames');
+const { pickEditableFields } = require('../utils/transcriptionFields');
+
+// Largest transposition allowed, in semitones either way
+const MAX_TRANSPOSE_SEMITONES = 24;
+
+/**
+ * Create a transcription for one of the user's recordings
+ * @route POST /api/transcriptions
+ */
+exports.createTranscription = async (req, res, next) => {
+    try {
+        const recording = await findUserRecording(req.body.recording, req.user.id);
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recording not found'
+            });
+        }
+
+        const transcription = await Transcription.create({
+            ...pickEditableFields(req.body),
+            recording: recording._id
+        });
+
+        // The newest transcription becomes the recording's current one
+        recording.transcription = transcription._id;
+        try {
+            await recording.save();
+        } catch (error) {
+            // A transcription the recording does not point to would never be found again
+            await Transcription.deleteOne({ _id: transcription._id });
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            transcription
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get a single transcription
+ * @route GET /api/transcriptions/:id
+ */
+exports.getTranscription = async (req, res, next) => {
+    try {
+        const transcription = await findUserTranscription(req.params.id, req.user.id);
+
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcription not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            transcription
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a transcription after the user has edited it
+ * @route PUT /api/transcriptions/:id
+ */
+exports.updateTranscription = async (req, res, next) => {
+    try {
+        const transcription = await findUserTranscription(req.params.id, req.user.id);
+
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcription not found'
+            });
+        }
+
+        transcription.set(pickEditableFields(req.body));
+        await transcription.save();
+
+        res.status(200).json({
+            success: true,
+            transcription
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        next(error);
+    }
+};
+
+/**
+ * Transpose a transcription by semitones or into a key, saved as a new version
+ * The original is kept; the new version becomes the recording's current transcription
+ * @route POST /api/transcriptions/:id/transpose
+ */
+exports.transposeTranscription = async (req, res, next) => {
+    try {
+        const { semitones, key } = req.body;
+        const validSemitones = Number.isInteger(semitones) && Math.abs(semitones) <= MAX_TRANSPOSE_SEMITONES;
+        const validKey = typeof key === 'string' && /^[A-G][#b♯♭]?(\s*(m|[Mm]in|[Mm]inor|[Mm]aj|[Mm]ajor))?$/.test(key.trim());
+
+        if (!validSemitones && !validKey) {
+            return res.status(400).json({
+                success: false,
+                message: `Please give semitones (up to ${MAX_TRANSPOSE_SEMITONES} either way) or a key to transpose to`
+            });
+        }
+
+        const original = await findUserTranscription(req.params.id, req.user.id);
+
+        if (!original) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcription not found'
+            });
+        }
+
+        const transposed = transposeTranscription(
+            original.toObject(),
+            validKey ? { key: key.trim() } : { semitones }
+        );
+
+        const transcription = await Transcription.create({
+            ...pickEditableFields(transposed),
+            recording: original.recording
+        });
+
+        // The newest transcription becomes the recording's current one
+        await Recording.updateOne({ _id: original.recording }, { transcription: transcription._id });
+
+        res.status(201).json({
+            success: true,
+            transcription
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download a transcription as a Standard MIDI File
+ * @route GET /api/transcriptions/:id/midi
+ */
+exports.downloadMidi = async (req, res, next) => {
+    try {
+        const transcription = await findUserTranscription(req.params.id, req.user.id);
+
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcription not found'
+            });
+        }
+
+        const recording = await Recording.findById(transcription.recording).select('name');
+        const name = recording ? recording.name : '';
+
+        // Type 1 by default; ?format=0 gives a single-track file
+        const midi = writeMidi(transcription, {
+            format: req.query.format === '0' ? 0 : 1,
+            trackName: name || 'Melody'
+        });
+
+        res.set({
+            'Content-Type': 'audio/midi',
+            'Content-Length': midi.length,
+            'Content-Disposition': `attachment; filename="${toFilename(name, 'transcription')}.mid"`
+        });
+        res.status(200).send(midi);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List all transcriptions of a recording
+ * @route GET /api/transcriptions/recording/:recordingId
+ */
+exports.getRecordingTranscriptions = async (req, res, next) => {
+    try {
+        const recording = await findUserRecording(req.params.recordingId, req.user.id);
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recording not found'
+            });
+        }
+
+        const transcriptions = await Transcription.find({ recording: recording._id })
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: transcriptions.length,
+            transcriptions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Find a recording owned by the given user
+ * @param {String} recordingId - Recording ID from the request
+ * @param {String} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} Recording document or null if not found
+ */
+const findUserRecording = (recordingId, userId) => {
+    if (!mongoose.isValidObjectId(recordingId)) {
+        return Promise.resolve(null);
+    }
+
+    return Recording.findOne({ _id: recordingId, user: userId });
+};
+
+/**
+ * Find a transcription whose recording is owned by the given user
+ * @param {String} transcriptionId - Transcription ID from the request
+ * @param {String} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} Transcription document or null if not found
+ */
+const findUserTranscription = async (transcriptionId, userId) => {
+    if (!mongoose.isValidObjectId(transcriptionId)) {
+        return null;
+    }
+
+    const transcription = await Transcription.findById(transcriptionId);
+    if (!transcription) {
+        return null;
+    }
+
+    const recording = await findUserRecording(transcription.recording, userId);
+    return recording ? transcription : null;
+};
+
+/**
+ * Reject a request whose fields do not fit the Transcription schema
+ * @param {Object} res - Express response
+ * @param {Error} error - Mongoose ValidationError
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+});
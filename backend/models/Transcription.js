@@ -34,6 +34,7 @@ const ChordSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    bass: String, // Lowest note when it isn't the root, for slash chords (C/E)
     notes: [{
         type: String
     }],
@@ -51,20 +52,72 @@ const ChordSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Schema for chords suggested for a melody, one per bar
+const SuggestedChordSchema = new mongoose.Schema({
+    root: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    numeral: String, // Roman numeral in the key, e.g. 'vi7'
+    notes: [{
+        type: String
+    }],
+    startTime: {
+        type: Number, // Start of the bar in seconds
+        required: true
+    },
+    endTime: {
+        type: Number, // End of the bar in seconds
+        required: true
+    },
+    duration: {
+        type: Number, // Duration in seconds
+        required: true
+    }
+}, { _id: false });
+
+// Schema for one suggested chord progression
+const HarmonizationSchema = new mongoose.Schema({
+    style: {
+        type: String, // 'simple', 'diatonic' or 'jazz'
+        required: true
+    },
+    name: String,
+    chords: [SuggestedChordSchema]
+}, { _id: false });
+
 // Schema for sheet music notation
 const SheetMusicNoteSchema = new mongoose.Schema({
+    // Rests have no pitch
+    rest: {
+        type: Boolean,
+        default: false
+    },
     pitch: {
         type: String,
-        required: true
+        required: function () { return !this.rest; }
     },
     octave: {
         type: Number,
-        required: true
+        required: function () { return !this.rest; }
     },
     duration: {
         type: String, // 'whole', 'half', 'quarter', etc.
         required: true
     },
+    dots: {
+        type: Number,
+        default: 0
+    },
+    tuplet: Number, // 3 for triplets
+    tie: {
+        type: Boolean, // Tied to the next note
+        default: false
+    },
     startTime: {
         type: Number, // Start time in seconds
         required: true
@@ -89,6 +142,12 @@ const SheetMusicSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Schema for one frame of a note's pitch contour
+const ContourPointSchema = new mongoose.Schema({
+    time: Number, // Seconds
+    frequency: Number // Hz, as sung
+}, { _id: false });
+
 // Main Transcription schema
 const TranscriptionSchema = new mongoose.Schema({
     recording: {
@@ -96,8 +155,9 @@ const TranscriptionSchema = new mongoose.Schema({
         ref: 'Recording',
         required: true
     },
-    // Original pitch data
+    // Original pitch data; silences between notes are rests with no pitch
     rawPitchData: [{
+        rest: Boolean,
         frequency: Number,
         note: {
             name: String,
@@ -106,12 +166,16 @@ const TranscriptionSchema = new mongoose.Schema({
             cents: Number
         },
         startTime: Number,
-        endTime: Number
+        endTime: Number,
+        confidence: Number, // Periodicity of the frames (0-1)
+        contour: [ContourPointSchema] // Pitch of each frame of the note
     }],
     // Simple note representation (C, D, E, etc.)
     simpleNotes: [SimpleNoteSchema],
     // Complex chord representation (CMaj7, Dm, etc.)
     complexChords: [ChordSchema],
+    // Chord progressions suggested for the melody
+    harmonizations: [HarmonizationSchema],
     // Sheet music representation
     sheetMusic: SheetMusicSchema,
     // Key signature detection
@@ -119,6 +183,8 @@ const TranscriptionSchema = new mongoose.Schema({
         type: String,
         default: 'C'
     },
+    // How well the notes fit the detected key (0-1)
+    keyConfidence: Number,
     // Tempo detection (BPM)
     detectedTempo: {
         type: Number,
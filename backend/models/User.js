@@ -35,6 +35,23 @@ const UserSchema = new mongoose.Schema({
         enum: ['user', 'admin'],
         default: 'user'
     },
+    // Tuning used for pitch detection, cents display and playback
+    tuning: {
+        referencePitch: {
+            type: Number, // Frequency of A4 in Hz
+            default: 440,
+            min: [400, 'Reference pitch must be at least 400 Hz'],
+            max: [480, 'Reference pitch cannot exceed 480 Hz']
+        },
+        temperament: {
+            type: String,
+            enum: {
+                values: ['equal', 'just', 'pythagorean'],
+                message: 'Temperament must be equal, just or pythagorean'
+            },
+            default: 'equal'
+        }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const request = require('supertest');
+const Recording = require('../../models/Recording');
+const Transcription = require('../../models/Transcription');
+const User = require('../../models/User');
+const recordingRoutes = require('../recordingRoutes');
+
+// The routes run against model calls answered here, without a database
+const userId = new mongoose.Types.ObjectId();
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+
+const app = express();
+app.locals.upload = multer({ dest: uploadsDir });
+app.use('/api/recordings', recordingRoutes);
+app.use((err, req, res, next) => {
+    res.status(500).json({ success: false, error: err.message });
+});
+
+const token = () => jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET);
+
+describe('POST /api/recordings', () => {
+    let created;
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    afterAll(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        created = [];
+        jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ _id: userId }) });
+        jest.spyOn(Transcription, 'create').mockImplementation(async (fields) => {
+            const transcription = new Transcription(fields);
+            created.push(transcription);
+            return transcription;
+        });
+        jest.spyOn(Transcription, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+        jest.spyOn(Recording.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const upload = (fields) => {
+        const req = request(app)
+            .post('/api/recordings')
+            .set('Authorization', `Bearer ${token()}`)
+            .attach('audio', Buffer.from('not really audio'), { filename: 'take.webm', contentType: 'audio/webm' });
+        Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+        return req;
+    };
+
+    const storedFiles = () => fs.readdirSync(uploadsDir);
+
+    it('saves the recording with a copy of its transcription\'s content', async () => {
+        const saved = new mongoose.Types.ObjectId();
+        const res = await upload({
+            name: 'Scale',
+            transcription: JSON.stringify({ _id: saved, detectedKey: 'G', recording: saved })
+        });
+
+        expect(res.status).toBe(201);
+        expect(created).toHaveLength(1);
+        expect(created[0]._id).not.toEqual(saved);
+        expect(created[0].detectedKey).toBe('G');
+        expect(res.body.recording.transcription).toBe(String(created[0]._id));
+    });
+
+    it('removes the transcription and the audio when the recording is not saved', async () => {
+        Recording.prototype.save.mockRejectedValue(new Error('Database unavailable'));
+        const files = storedFiles().length;
+
+        const res = await upload({ name: 'Scale', transcription: JSON.stringify({ detectedKey: 'G' }) });
+
+        expect(res.status).toBe(500);
+        expect(Transcription.deleteOne).toHaveBeenCalledWith({ _id: created[0]._id });
+        expect(storedFiles()).toHaveLength(files);
+    });
+
+    it('stores no transcription for an invalid recording', async () => {
+        const res = await upload({ name: 'x'.repeat(101), transcription: JSON.stringify({ detectedKey: 'G' }) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Recording name cannot exceed 100 characters');
+        expect(Transcription.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,217 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Recording = require('../../models/Recording');
+const Transcription = require('../../models/Transcription');
+const User = require('../../models/User');
+const transcriptionRoutes = require('../transcriptionRoutes');
+
+// The routes run against model lookups answered here, without a database
+const userId = new mongoose.Types.ObjectId();
+const recording = new Recording({ name: 'Scale: take 1', user: userId, audioFile: 'uploads/take.webm' });
+
+const app = express();
+app.use(express.json());
+app.use('/api/transcriptions', transcriptionRoutes);
+
+const token = () => jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET);
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+// Read a response body as bytes
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const pitch = (name, octave, startTime, endTime) => ({ note: { name, octave }, startTime, endTime });
+
+describe('GET /api/transcriptions/:id/midi', () => {
+    let transcription;
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    beforeEach(() => {
+        transcription = new Transcription({
+            recording: recording._id,
+            rawPitchData: [pitch('C', 4, 0, 0.5), pitch('E', 4, 0.5, 1)],
+            detectedKey: 'C',
+            detectedTempo: 120
+        });
+
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId }));
+        jest.spyOn(Transcription, 'findById').mockImplementation(async (id) =>
+            (String(id) === String(transcription._id) ? transcription : null));
+        jest.spyOn(Recording, 'findOne').mockImplementation(async ({ _id, user }) =>
+            (String(_id) === String(recording._id) && String(user) === String(recording.user) ? recording : null));
+        jest.spyOn(Recording, 'findById').mockReturnValue(query(recording));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const download = (id, path = '') => request(app)
+        .get(`/api/transcriptions/${id}/midi${path}`)
+        .set('Authorization', `Bearer ${token()}`)
+        .buffer(true)
+        .parse(binary);
+
+    // Note-on events in a MIDI file, as MIDI note numbers
+    const notesOn = (bytes) => {
+        const notes = [];
+        for (let i = 0; i < bytes.length - 2; i++) {
+            if (bytes[i] === 0x90 && bytes[i + 2] > 0) notes.push(bytes[i + 1]);
+        }
+        return notes;
+    };
+
+    it('sends the transcription as a MIDI file named after its recording', async () => {
+        const res = await download(transcription._id);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('audio/midi');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Scale-take-1.mid"');
+        expect(res.body.slice(0, 4).toString()).toBe('MThd');
+        expect(res.body.readUInt16BE(8)).toBe(1);
+        expect(notesOn(res.body)).toEqual([60, 64]);
+    });
+
+    it('writes a single track for ?format=0', async () => {
+        const res = await download(transcription._id, '?format=0');
+
+        expect(res.body.readUInt16BE(8)).toBe(0);
+        expect(res.body.readUInt16BE(10)).toBe(1);
+    });
+
+    it('exports the notes of an edited score', async () => {
+        transcription.set({
+            simpleNotes: [{ note: 'F♯', octave: 4, startTime: 0, duration: 1 }],
+            metadata: { edited: true }
+        });
+
+        const res = await download(transcription._id);
+        expect(notesOn(res.body)).toEqual([66]);
+    });
+
+    it('does not find transcriptions of other users\' recordings', async () => {
+        recording.user = new mongoose.Types.ObjectId();
+        try {
+            const res = await download(transcription._id);
+            expect(res.status).toBe(404);
+        } finally {
+            recording.user = userId;
+        }
+    });
+
+    it('requires a token', async () => {
+        const res = await request(app).get(`/api/transcriptions/${transcription._id}/midi`);
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('POST /api/transcriptions', () => {
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId }));
+        jest.spyOn(Recording, 'findOne').mockResolvedValue(recording);
+        jest.spyOn(Transcription, 'create').mockImplementation(async (fields) => {
+            const transcription = new Transcription(fields);
+            await transcription.validate();
+            return transcription;
+        });
+        jest.spyOn(Transcription, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const create = (body) => request(app)
+        .post('/api/transcriptions')
+        .set('Authorization', `Bearer ${token()}`)
+        .send(body);
+
+    it('makes the new transcription the recording\'s current one', async () => {
+        jest.spyOn(recording, 'save').mockResolvedValue(recording);
+
+        const res = await create({ recording: recording._id, detectedKey: 'D' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.transcription.detectedKey).toBe('D');
+        expect(String(recording.transcription)).toBe(res.body.transcription._id);
+    });
+
+    it('removes the transcription again when the recording is not saved', async () => {
+        jest.spyOn(recording, 'save').mockRejectedValue(new Error('Database unavailable'));
+
+        const res = await create({ recording: recording._id, detectedKey: 'D' });
+
+        expect(res.status).toBe(500);
+        expect(Transcription.deleteOne).toHaveBeenCalledWith({ _id: recording.transcription });
+    });
+
+    it('rejects sheet music that does not fit the schema', async () => {
+        const res = await create({
+            recording: recording._id,
+            sheetMusic: { notes: [{ duration: 'quarter' }] }
+        });
+
+        expect(res.status).toBe(400);
+        expect(res.body.success).toBe(false);
+        expect(res.body.message).toMatch(/pitch/);
+    });
+});
+
+describe('PUT /api/transcriptions/:id', () => {
+    let transcription;
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    beforeEach(() => {
+        transcription = new Transcription({ recording: recording._id, detectedKey: 'C' });
+
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId }));
+        jest.spyOn(Transcription, 'findById').mockResolvedValue(transcription);
+        jest.spyOn(Recording, 'findOne').mockResolvedValue(recording);
+        jest.spyOn(transcription, 'save').mockImplementation(async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const update = (body) => request(app)
+        .put(`/api/transcriptions/${transcription._id}`)
+        .set('Authorization', `Bearer ${token()}`)
+        .send(body);
+
+    it('stores the edited fields', async () => {
+        const res = await update({
+            sheetMusic: { notes: [{ pitch: 'E', octave: 4, duration: 'half', startTime: 0 }] },
+            metadata: { edited: true }
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.transcription.sheetMusic.notes[0]).toMatchObject({ pitch: 'E', octave: 4 });
+        expect(res.body.transcription.metadata).toEqual({ edited: true });
+    });
+
+    it('rejects notes that do not fit the schema', async () => {
+        const res = await update({ sheetMusic: { notes: [{ pitch: 'E', octave: 'high', duration: 'half', startTime: 0 }] } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/octave/);
+    });
+});
@@ -8,6 +8,7 @@ const {
     register, 
     login, 
     getProfile, 
+    updateProfile, 
     validateToken, 
     logout 
 } = require('../controllers/authController');
@@ -20,6 +21,7 @@ router.post('/logout', logout);
 
 // Protected routes
 router.get('/profile', protect, getProfile);
+router.put('/profile', protect, updateProfile);
 router.get('/validate', protect, validateToken);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * recordingRoutes.js
+ * Routes for saving and managing user recordings
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    getRecordings,
+    getRecording,
+    createRecording,
+    downloadSheet,
+    deleteRecording
+} = require('../controllers/recordingController');
+const { protect } = require('../middleware/auth');
+
+/**
+ * Handle the multipart audio upload using the app's multer instance
+ */
+const uploadAudio = (req, res, next) => {
+    req.app.locals.upload.single('audio')(req, res, next);
+};
+
+// All recording routes require authentication
+router.use(protect);
+
+router.get('/', getRecordings);
+router.post('/', uploadAudio, createRecording);
+router.get('/download/:id', downloadSheet);
+router.get('/:id', getRecording);
+router.delete('/:id', deleteRecording);
+
+module.exports = router;
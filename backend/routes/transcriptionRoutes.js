@@ -0,0 +1,27 @@
+/**
+ * transcriptionRoutes.js
+ * Routes for reading and editing transcriptions
+ */
+const express = require('express');
+const router = express.Router();
+const {
+    createTranscription,
+    getTranscription,
+    updateTranscription,
+    transposeTranscription,
+    downloadMidi,
+    getRecordingTranscriptions
+} = require('../controllers/transcriptionController');
+const { protect } = require('../middleware/auth');
+
+// All transcription routes require authentication
+router.use(protect);
+
+router.post('/', createTranscription);
+router.get('/recording/:recordingId', getRecordingTranscriptions);
+router.get('/:id', getTranscription);
+router.put('/:id', updateTranscription);
+router.post('/:id/transpose', transposeTranscription);
+router.get('/:id/midi', downloadMidi);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const path = require('path');
+const fs = require('fs');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 
@@ -26,12 +27,13 @@ const PORT = process.env.PORT || 5000;
 
 // Set up middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Transcriptions include raw pitch data
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev')); // Logging
 
 // Set up file uploads directory
 const uploadsDir = path.join(__dirname, 'uploads');
+fs.mkdirSync(uploadsDir, { recursive: true });
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadsDir);
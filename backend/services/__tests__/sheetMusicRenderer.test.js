@@ -0,0 +1,41 @@
+const { renderSheetMusicPdf } = require('../sheetMusicRenderer');
+
+const score = {
+    title: 'Scale',
+    detectedKey: 'G',
+    detectedTempo: 100,
+    sheetMusic: {
+        timeSignature: { numerator: 4, denominator: 4 },
+        clef: 'treble',
+        notes: ['G', 'A', 'B', 'C', 'D', 'E', 'F#', 'G'].map((pitch, index) => ({
+            pitch,
+            octave: index < 3 ? 4 : 5,
+            duration: 'quarter',
+            startTime: index * 0.6
+        }))
+    }
+};
+
+describe('renderSheetMusicPdf', () => {
+    it('leaves the global document alone when loaded', () => {
+        expect(global.document).toBeUndefined();
+    });
+
+    it('renders a PDF without leaving its document behind', async () => {
+        const pdf = await renderSheetMusicPdf(score);
+
+        expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+        expect(global.document).toBeUndefined();
+    });
+
+    it('puts back a document that was there before', async () => {
+        const own = { title: 'not the renderer\'s' };
+        global.document = own;
+        try {
+            await renderSheetMusicPdf(score);
+            expect(global.document).toBe(own);
+        } finally {
+            delete global.document;
+        }
+    });
+});
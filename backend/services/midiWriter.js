@@ -0,0 +1,224 @@
+/**
+ * midiWriter.js
+ * Writes transcriptions as Standard MIDI Files
+ * Server-side copy of frontend/src/services/midiWriter.js for /api/transcriptions/:id/midi; change both together
+ */
+const { noteNameToPitchClass, parseKey } = require('../utils/musicTheory');
+
+// Timing resolution (ticks per quarter note)
+const TICKS_PER_BEAT = 480;
+
+// Note-on velocity for every transcribed note
+const VELOCITY = 96;
+
+/**
+ * Write a transcription as a Standard MIDI File
+ * @param {Object} transcription - Transcription (rawPitchData, detectedTempo, detectedKey, sheetMusic)
+ * @param {Object} options - Export options
+ * @param {Number} options.format - MIDI file format, 0 (single track) or 1 (conductor + melody track)
+ * @param {String} options.trackName - Name of the melody track
+ * @returns {Buffer} MIDI file contents
+ */
+exports.writeMidi = (transcription, options = {}) => {
+    const format = options.format === 0 ? 0 : 1;
+    const tempo = transcription.detectedTempo || 120;
+
+    const conductorEvents = createConductorEvents(transcription, tempo);
+    const noteEvents = createNoteEvents(transcription, tempo);
+    const trackNameEvent = createMetaEvent(0x03, [...Buffer.from(options.trackName || 'Melody', 'utf8')]);
+
+    const tracks = format === 0
+        ? [[trackNameEvent, ...conductorEvents, ...noteEvents]]
+        : [conductorEvents, [trackNameEvent, ...noteEvents]];
+
+    return Buffer.concat([
+        createHeaderChunk(format, tracks.length),
+        ...tracks.map(createTrackChunk)
+    ]);
+};
+
+/**
+ * Create the tempo, time signature and key signature meta events
+ * @param {Object} transcription - Transcription data
+ * @param {Number} tempo - Tempo in BPM
+ * @returns {Array<Object>} Meta events at tick 0
+ */
+const createConductorEvents = (transcription, tempo) => {
+    // Tempo is stored as microseconds per quarter note
+    const microsecondsPerBeat = Math.round(60000000 / tempo);
+    const tempoEvent = createMetaEvent(0x51, [
+        (microsecondsPerBeat >> 16) & 0xff,
+        (microsecondsPerBeat >> 8) & 0xff,
+        microsecondsPerBeat & 0xff
+    ]);
+
+    // Denominator is stored as a power of two
+    const timeSignature = (transcription.sheetMusic && transcription.sheetMusic.timeSignature) || {};
+    const numerator = timeSignature.numerator || 4;
+    const denominator = timeSignature.denominator || 4;
+    const timeSignatureEvent = createMetaEvent(0x58, [
+        numerator,
+        Math.round(Math.log2(denominator)),
+        24, // MIDI clocks per metronome click
+        8   // 32nd notes per quarter note
+    ]);
+
+    const { fifths, minor } = parseKey(transcription.detectedKey);
+    const keySignatureEvent = createMetaEvent(0x59, [fifths & 0xff, minor ? 1 : 0]);
+
+    return [tempoEvent, timeSignatureEvent, keySignatureEvent];
+};
+
+/**
+ * Create note on/off events from the transcription's timing data
+ * @param {Object} transcription - Transcription data
+ * @param {Number} tempo - Tempo in BPM
+ * @returns {Array<Object>} Note events sorted by tick
+ */
+const createNoteEvents = (transcription, tempo) => {
+    const notes = collectNotes(transcription);
+    const polyphonic = Boolean(transcription.metadata && transcription.metadata.mode === 'polyphonic');
+    const events = [];
+
+    notes.forEach((note, index) => {
+        // Monophonic line: a note ends no later than the next one starts; chords keep their overlaps
+        const next = notes[index + 1];
+        let endTime = note.endTime;
+        if (!polyphonic && next && next.startTime > note.startTime) {
+            endTime = Math.min(endTime, next.startTime);
+        }
+
+        const startTick = secondsToTicks(note.startTime, tempo);
+        const endTick = Math.max(startTick + 1, secondsToTicks(endTime, tempo));
+
+        events.push({ tick: startTick, order: 1, data: [0x90, note.noteNumber, VELOCITY] });
+        events.push({ tick: endTick, order: 0, data: [0x80, note.noteNumber, 0] });
+    });
+
+    // Note-offs go before note-ons on the same tick
+    return events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+};
+
+/**
+ * Collect timed notes, preferring raw pitch data for exact timing
+ * Edited scores use the simple notes instead, which the editor rebuilds from the sheet music
+ * @param {Object} transcription - Transcription data
+ * @returns {Array<Object>} Notes with MIDI note number, start and end time in seconds
+ */
+const collectNotes = (transcription) => {
+    const edited = Boolean(transcription.metadata && transcription.metadata.edited);
+    let notes = [];
+
+    if (!edited && transcription.rawPitchData && transcription.rawPitchData.length > 0) {
+        notes = transcription.rawPitchData
+            .filter(pitch => pitch.note && pitch.note.name)
+            .map(pitch => ({
+                noteNumber: noteToMidi(pitch.note.name, pitch.note.octave),
+                startTime: pitch.startTime,
+                endTime: pitch.endTime
+            }));
+    } else if (transcription.simpleNotes) {
+        notes = transcription.simpleNotes.map(note => ({
+            noteNumber: noteToMidi(note.note, note.octave),
+            startTime: note.startTime,
+            endTime: note.startTime + note.duration
+        }));
+    }
+
+    return notes
+        .filter(note => note.noteNumber !== null)
+        .sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Convert a note name and octave to a MIDI note number
+ * @param {String} name - Note name, e.g. 'C#', 'Bb' or 'F♯'
+ * @param {Number} octave - Octave number (C4 is middle C)
+ * @returns {Number|null} MIDI note number (60 = C4) or null if unknown
+ */
+const noteToMidi = (name, octave) => {
+    const pitchClass = noteNameToPitchClass(name);
+    if (pitchClass === undefined) return null;
+
+    return Math.max(0, Math.min(127, (octave + 1) * 12 + pitchClass));
+};
+
+/**
+ * Convert a time in seconds to MIDI ticks at the given tempo
+ * @param {Number} seconds - Time in seconds
+ * @param {Number} tempo - Tempo in BPM
+ * @returns {Number} Time in ticks
+ */
+const secondsToTicks = (seconds, tempo) => {
+    return Math.max(0, Math.round(seconds * (tempo / 60) * TICKS_PER_BEAT));
+};
+
+/**
+ * Create a meta event at tick 0
+ * @param {Number} type - Meta event type
+ * @param {Array<Number>} data - Event data bytes
+ * @returns {Object} Event with tick and raw bytes
+ */
+const createMetaEvent = (type, data) => {
+    return {
+        tick: 0,
+        data: [0xff, type, ...encodeVariableLength(data.length), ...data]
+    };
+};
+
+/**
+ * Create the MThd header chunk
+ * @param {Number} format - MIDI file format
+ * @param {Number} trackCount - Number of tracks
+ * @returns {Buffer} Header chunk
+ */
+const createHeaderChunk = (format, trackCount) => {
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'ascii');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(format, 8);
+    header.writeUInt16BE(trackCount, 10);
+    header.writeUInt16BE(TICKS_PER_BEAT, 12);
+    return header;
+};
+
+/**
+ * Create an MTrk chunk from events with absolute ticks
+ * @param {Array<Object>} events - Events sorted by tick
+ * @returns {Buffer} Track chunk
+ */
+const createTrackChunk = (events) => {
+    const body = [];
+    let lastTick = 0;
+
+    events.forEach(event => {
+        body.push(...encodeVariableLength(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
+    });
+
+    // End of track
+    body.push(0x00, 0xff, 0x2f, 0x00);
+
+    const header = Buffer.alloc(8);
+    header.write('MTrk', 0, 'ascii');
+    header.writeUInt32BE(body.length, 4);
+
+    return Buffer.concat([header, Buffer.from(body)]);
+};
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {Number} value - Non-negative integer
+ * @returns {Array<Number>} Encoded bytes
+ */
+const encodeVariableLength = (value) => {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+
+    return bytes;
+};
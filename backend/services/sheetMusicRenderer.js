@@ -0,0 +1,614 @@
+/**
+ * sheetMusicRenderer.js
+ * Renders stored sheet music to a PDF using VexFlow's SVG output
+ */
+const fs = require('fs');
+const { JSDOM } = require('jsdom');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { parseKey, keySignatureAlter } = require('../utils/musicTheory');
+const { noteValueBeats, buildMeasures } = require('../utils/rhythm');
+const { placeNotes, writtenOctave } = require('../utils/clefs');
+
+// VexFlow's SVG backend creates elements through the global document; it is only
+// given this one while a score is drawn (see withDocument)
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+
+const VF = require('vexflow');
+
+// Music and text fonts used by VexFlow, loaded from disk so rendering works offline
+const FONT_FILES = {
+    Bravura: require.resolve('@vexflow-fonts/bravura/bravura.otf'),
+    Academico: require.resolve('@vexflow-fonts/academico/academico.otf')
+};
+
+const fonts = {};
+Object.entries(FONT_FILES).forEach(([family, file]) => {
+    fonts[family] = fontkit.create(fs.readFileSync(file));
+});
+
+// Page layout in PDF points (A4 portrait)
+const PAGE = {
+    width: 595.28,
+    height: 841.89,
+    margin: 40,
+    headerHeight: 70
+};
+
+const MEASURES_PER_LINE = 4;
+const LINE_HEIGHT = 100;
+const STAVE_TOP = 20; // Room for ledger lines above the first stave
+const GRAND_STAFF_GAP = 80; // From the top of the treble staff to the bass staff of a grand staff
+
+// VexFlow accidental for each alteration
+const ACCIDENTALS = { '-2': 'bb', '-1': 'b', '0': 'n', '1': '#', '2': '##' };
+
+// Pitch at the middle line of each clef, where rests are drawn
+const REST_KEYS = { 'treble': 'b/4', 'bass': 'd/3', 'alto': 'c/4', 'tenor': 'a/3' };
+
+/**
+ * Minimal stand-in for a 2D canvas so VexFlow can measure glyphs without a browser
+ */
+class FontMetricsCanvas {
+    constructor() {
+        this.context = {
+            font: '',
+            measureText: (text) => measureText(text, this.context.font)
+        };
+    }
+
+    getContext() {
+        return this.context;
+    }
+}
+
+VF.Element.setTextMeasurementCanvas(new FontMetricsCanvas());
+
+/**
+ * Measure text the way CanvasRenderingContext2D.measureText would
+ * @param {String} text - Text to measure
+ * @param {String} cssFont - CSS font shorthand, e.g. "30pt Bravura,Academico"
+ * @returns {Object} TextMetrics-like object in pixels
+ */
+const measureText = (text, cssFont) => {
+    const { sizePx, families } = parseCssFont(cssFont);
+
+    let width = 0;
+    let ascent = 0;
+    let descent = 0;
+
+    // Lay out each character with the first font in the stack that has it
+    for (const char of String(text)) {
+        const font = pickFont(families, char.codePointAt(0));
+        if (!font) continue;
+
+        const scale = sizePx / font.unitsPerEm;
+        const run = font.layout(char);
+
+        width += run.advanceWidth * scale;
+        ascent = Math.max(ascent, run.bbox.maxY * scale);
+        descent = Math.max(descent, -run.bbox.minY * scale);
+    }
+
+    const primary = pickFont(families) || fonts.Academico;
+    const fontScale = sizePx / primary.unitsPerEm;
+
+    return {
+        width,
+        actualBoundingBoxLeft: 0,
+        actualBoundingBoxRight: width,
+        actualBoundingBoxAscent: ascent,
+        actualBoundingBoxDescent: descent,
+        fontBoundingBoxAscent: primary.ascent * fontScale,
+        fontBoundingBoxDescent: -primary.descent * fontScale
+    };
+};
+
+/**
+ * Parse the size and family list out of a CSS font shorthand
+ * @param {String} cssFont - CSS font shorthand
+ * @returns {Object} Font size in pixels and the list of families
+ */
+const parseCssFont = (cssFont) => {
+    const match = /(\d+(?:\.\d+)?)(pt|px)\s+(.+)$/.exec(cssFont || '');
+
+    if (!match) {
+        return { sizePx: 10, families: ['Academico'] };
+    }
+
+    const size = parseFloat(match[1]);
+    const families = match[3]
+        .split(',')
+        .map(family => family.trim().replace(/^["']|["']$/g, ''));
+
+    return {
+        sizePx: match[2] === 'pt' ? size * 4 / 3 : size,
+        families
+    };
+};
+
+/**
+ * Pick the first loaded font in a family list, optionally one that has a given glyph
+ * @param {Array<String>} families - Font families in order of preference
+ * @param {Number} codePoint - Optional code point the font must support
+ * @returns {Object|undefined} fontkit font
+ */
+const pickFont = (families, codePoint) => {
+    const available = families.map(family => fonts[family]).filter(Boolean);
+
+    if (codePoint === undefined) {
+        return available[0];
+    }
+
+    return available.find(font => font.hasGlyphForCodePoint(codePoint)) || available[0];
+};
+
+/**
+ * Render sheet music to a PDF document
+ * @param {Object} options - Score to render
+ * @param {String} options.title - Title printed at the top of the first page
+ * @param {String} options.detectedKey - Key of the transcription
+ * @param {Number} options.detectedTempo - Tempo in BPM
+ * @param {Object} options.sheetMusic - Sheet music data (notes, timeSignature, clef)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+exports.renderSheetMusicPdf = ({ title, detectedKey, detectedTempo, sheetMusic }) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE.margin, autoFirstPage: false });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            doc.registerFont('Bravura', FONT_FILES.Bravura);
+            doc.registerFont('Academico', FONT_FILES.Academico);
+
+            // Each note goes on a staff, perhaps under an octave sign, for the score's clef
+            const notes = sheetMusic.notes || [];
+            const clef = sheetMusic.clef || 'treble';
+            const placements = placeNotes(notes, clef);
+            const placed = notes.map((note, index) => ({ ...note, ...placements[index] }));
+
+            const measures = buildMeasures(placed, sheetMusic.timeSignature, detectedTempo);
+            placeGapRests(measures, placements);
+
+            const lineHeight = clef === 'grand' ? LINE_HEIGHT + GRAND_STAFF_GAP : LINE_HEIGHT;
+            const pages = paginate(buildLines(measures), lineHeight);
+            const staffWidth = PAGE.width - PAGE.margin * 2;
+
+            pages.forEach((lines, pageIndex) => {
+                doc.addPage();
+
+                let top = PAGE.margin;
+                if (pageIndex === 0) {
+                    drawHeader(doc, title, detectedKey, detectedTempo);
+                    top += PAGE.headerHeight;
+                }
+
+                const svg = withDocument(() =>
+                    renderLinesToSvg(lines, sheetMusic, detectedKey, staffWidth, pageIndex === 0, lineHeight));
+
+                SVGtoPDF(doc, svg, PAGE.margin, top, {
+                    fontCallback: (family) => family.includes('Bravura') ? 'Bravura' : 'Academico'
+                });
+
+                doc.font('Helvetica')
+                    .fontSize(9)
+                    .text(`${pageIndex + 1} / ${pages.length}`, PAGE.margin, PAGE.height - PAGE.margin, {
+                        width: staffWidth,
+                        align: 'center',
+                        lineBreak: false
+                    });
+            });
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+/**
+ * Draw the title, key and tempo at the top of the first page
+ * @param {PDFDocument} doc - PDF document
+ * @param {String} title - Score title
+ * @param {String} key - Detected key
+ * @param {Number} tempo - Tempo in BPM
+ */
+const drawHeader = (doc, title, key, tempo) => {
+    const width = PAGE.width - PAGE.margin * 2;
+
+    doc.font('Helvetica-Bold')
+        .fontSize(20)
+        .text(title || 'Untitled Recording', PAGE.margin, PAGE.margin, { width, align: 'center' });
+
+    doc.font('Helvetica')
+        .fontSize(10)
+        .text(`Key: ${key || 'C'}    Tempo: ${tempo || 120} BPM`, { width, align: 'center' });
+};
+
+/**
+ * Group measures into lines of the score
+ * @param {Array<Array>} measures - Measures of notes
+ * @returns {Array<Array<Array>>} Lines of measures of notes
+ */
+const buildLines = (measures) => {
+    const lines = [];
+    for (let i = 0; i < measures.length; i += MEASURES_PER_LINE) {
+        lines.push(measures.slice(i, i + MEASURES_PER_LINE));
+    }
+
+    return lines;
+};
+
+/**
+ * Put the rests that fill gaps between notes on the staff of the note before them
+ * @param {Array<Array>} measures - Measures of notes
+ * @param {Array<Object>} placements - Staff and octave sign of each sheet music note
+ */
+const placeGapRests = (measures, placements) => {
+    let staff = placements.length > 0 ? placements[0].staff : 'treble';
+
+    measures.forEach(measureNotes => {
+        measureNotes.forEach(note => {
+            if (note.staff) {
+                staff = note.staff;
+            } else {
+                note.staff = staff;
+                note.ottava = 0;
+            }
+        });
+    });
+};
+
+/**
+ * Split lines of the score into pages
+ * @param {Array} lines - Lines of measures
+ * @param {Number} lineHeight - Height of a line of the score
+ * @returns {Array<Array>} Lines for each page
+ */
+const paginate = (lines, lineHeight = LINE_HEIGHT) => {
+    const usableHeight = PAGE.height - PAGE.margin * 2 - 20; // Leave room for page numbers
+    const linesPerPage = Math.floor(usableHeight / lineHeight);
+    const firstPageLines = Math.floor((usableHeight - PAGE.headerHeight) / lineHeight);
+
+    const pages = [lines.slice(0, firstPageLines)];
+    for (let i = firstPageLines; i < lines.length; i += linesPerPage) {
+        pages.push(lines.slice(i, i + linesPerPage));
+    }
+
+    return pages;
+};
+
+/**
+ * Run a drawing function with the jsdom document as the global document, then put back
+ * whatever the process had before, so the rest of the server never sees it
+ * @param {Function} draw - Draws synchronously and returns its result
+ * @returns {*} What the drawing function returned
+ */
+const withDocument = (draw) => {
+    const hadDocument = Object.prototype.hasOwnProperty.call(global, 'document');
+    const previous = global.document;
+    global.document = dom.window.document;
+
+    try {
+        return draw();
+    } finally {
+        if (hadDocument) {
+            global.document = previous;
+        } else {
+            delete global.document;
+        }
+    }
+};
+
+/**
+ * Render lines of the score to an SVG string with VexFlow
+ * @param {Array} lines - Lines of measures to render, with notes placed on their staff
+ * @param {Object} sheetMusic - Sheet music data (timeSignature, clef)
+ * @param {String} key - Key of the score
+ * @param {Number} width - Width of a line in points
+ * @param {Boolean} isFirstPage - Whether the time signature should be drawn
+ * @param {Number} lineHeight - Height of a line of the score
+ * @returns {String} SVG markup
+ */
+const renderLinesToSvg = (lines, sheetMusic, key, width, isFirstPage, lineHeight = LINE_HEIGHT) => {
+    const container = dom.window.document.createElement('div');
+    const renderer = new VF.Renderer(container, VF.Renderer.Backends.SVG);
+    renderer.resize(width, lines.length * lineHeight + STAVE_TOP);
+    const context = renderer.getContext();
+
+    const clef = sheetMusic.clef || 'treble';
+    const { numerator = 4, denominator = 4 } = sheetMusic.timeSignature || {};
+    const timeSignature = `${numerator}/${denominator}`;
+    const { tonic, minor, fifths } = parseKey(key);
+
+    // A grand staff is a treble staff over a bass staff; other clefs have one staff
+    const grand = clef === 'grand';
+    const staffClefs = grand ? ['treble', 'bass'] : [clef];
+
+    // Notes drawn so far, for tying notes across barlines
+    const drawn = [];
+
+    lines.forEach((measures, lineIndex) => {
+        const y = lineIndex * lineHeight + STAVE_TOP;
+
+        // Every line starts with a clef and key signature; the time signature only opens the piece
+        const firstStaves = staffClefs.map((staffClef, staffIndex) => {
+            const stave = addClef(new VF.Stave(0, y + staffIndex * GRAND_STAFF_GAP, width), staffClef)
+                .addKeySignature(minor ? `${tonic}m` : tonic);
+            if (isFirstPage && lineIndex === 0) {
+                stave.addTimeSignature(timeSignature);
+            }
+            return stave;
+        });
+
+        // The first measure gets extra room for its clef and signatures,
+        // and the closing barline needs a point inside the SVG
+        const headerWidth = Math.max(...firstStaves.map(stave => stave.getNoteStartX() - stave.getX()));
+        const measureWidth = (width - 1 - headerWidth) / measures.length;
+        firstStaves.forEach(stave => stave.setWidth(measureWidth + headerWidth));
+
+        // Notes on both staves start after the wider set of signatures
+        if (grand) VF.Stave.formatBegModifiers(firstStaves);
+
+        let x = 0;
+        measures.forEach((measureNotes, measureIndex) => {
+            const staves = measureIndex === 0
+                ? firstStaves
+                : staffClefs.map((staffClef, staffIndex) => {
+                    return new VF.Stave(x, y + staffIndex * GRAND_STAFF_GAP, measureWidth);
+                });
+            x += staves[0].getWidth();
+
+            staves.forEach(stave => stave.setContext(context).draw());
+            if (grand) drawConnectors(staves, measureIndex === 0, context);
+
+            if (measureNotes.length === 0) return;
+
+            // Each staff gets a voice; notes on the other staff hold their place as ghost notes
+            const staffNotes = staffClefs.map(staffClef => {
+                const onStaff = note => !grand || note.staff === staffClef;
+                const staveNotes = createStaveNotes(measureNotes, staffClef, fifths, onStaff);
+                const tuplets = createTuplets(measureNotes, staveNotes)
+                    .filter(tuplet => tuplet.getNotes().every(note => !(note instanceof VF.GhostNote)));
+
+                const voice = new VF.Voice({
+                    numBeats: numerator,
+                    beatValue: denominator
+                }).setMode(VF.Voice.Mode.SOFT);
+                voice.addTickables(staveNotes);
+
+                return { staveNotes, voice, tuplets };
+            });
+
+            const voices = staffNotes.map(({ voice }) => voice);
+            const formatter = new VF.Formatter();
+            voices.forEach(voice => formatter.joinVoices([voice]));
+            formatter.format(voices, measureWidth - 20);
+
+            staffNotes.forEach(({ voice, tuplets }, staffIndex) => {
+                voice.draw(context, staves[staffIndex]);
+                tuplets.forEach(tuplet => tuplet.setContext(context).draw());
+            });
+
+            measureNotes.forEach((note, index) => {
+                const staffIndex = grand && note.staff === 'bass' ? 1 : 0;
+                drawn.push({ note, staveNote: staffNotes[staffIndex].staveNotes[index], line: lineIndex });
+            });
+        });
+    });
+
+    drawTies(drawn, context);
+    drawOctaveSigns(drawn, context);
+
+    const svg = container.querySelector('svg');
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+    return svg.outerHTML;
+};
+
+/**
+ * Add a clef to a stave; the tenor clef (treble-8vb) is a treble clef with an 8 below
+ * @param {Object} stave - VexFlow stave
+ * @param {String} clef - Clef name
+ * @returns {Object} The stave
+ */
+const addClef = (stave, clef) => {
+    return clef === 'treble-8vb' ? stave.addClef('treble', 'default', '8vb') : stave.addClef(clef);
+};
+
+/**
+ * Join the staves of a grand staff with a brace at the start of a line and barlines through both
+ * @param {Array} staves - Treble and bass staves of one measure
+ * @param {Boolean} startsLine - Whether the measure starts a line
+ * @param {Object} context - VexFlow rendering context
+ */
+const drawConnectors = (staves, startsLine, context) => {
+    const types = startsLine ? ['brace', 'singleLeft', 'singleRight'] : ['singleRight'];
+
+    types.forEach(type => {
+        new VF.StaveConnector(staves[0], staves[1]).setType(type).setContext(context).draw();
+    });
+};
+
+/**
+ * Convert stored notes of one measure to VexFlow StaveNotes
+ * @param {Array} notes - Notes in our internal format, placed on their staff
+ * @param {String} staff - Clef of the staff the notes are drawn on
+ * @param {Number} fifths - Sharps (positive) or flats (negative) in the key signature
+ * @param {Function} onStaff - Whether a note is on this staff; the others become ghost notes
+ * @returns {Array} VexFlow StaveNotes
+ */
+const createStaveNotes = (notes, staff, fifths, onStaff = () => true) => {
+    // Alterations in force for each letter and octave; they last until the barline
+    const alterations = {};
+
+    // The tenor clef is a treble clef with the notes written an octave up
+    const clef = staff === 'treble-8vb' ? 'treble' : staff;
+
+    return notes.map(note => {
+        const dots = note.dots || 0;
+        const duration = convertDuration(note.duration) + 'd'.repeat(dots);
+
+        // Notes on the other staff of a grand staff only take up their time here
+        if (!onStaff(note)) {
+            return new VF.GhostNote({ duration });
+        }
+
+        // Rests sit in the middle of the stave
+        if (note.rest) {
+            const rest = new VF.StaveNote({
+                clef,
+                keys: [REST_KEYS[clef] || REST_KEYS.treble],
+                duration: `${duration}r`
+            });
+            if (dots > 0) VF.Dot.buildAndAttach([rest], { all: true });
+            return rest;
+        }
+
+        const octave = writtenOctave({ ...note, staff });
+        const staveNote = new VF.StaveNote({
+            clef,
+            keys: [`${note.pitch}/${octave}`],
+            duration
+        });
+        if (dots > 0) VF.Dot.buildAndAttach([staveNote], { all: true });
+
+        // Only draw accidentals that differ from the key signature or an earlier accidental
+        const step = note.pitch[0].toUpperCase();
+        const alter = getAlter(note.pitch);
+        const position = `${step}${octave}`;
+        const current = position in alterations ? alterations[position] : keySignatureAlter(step, fifths);
+
+        if (alter !== current) {
+            staveNote.addModifier(new VF.Accidental(ACCIDENTALS[alter] || 'n'), 0);
+            alterations[position] = alter;
+        }
+
+        return staveNote;
+    });
+};
+
+/**
+ * Group consecutive triplet notes of one measure into one beat-long tuplet each
+ * @param {Array} notes - Notes in our internal format
+ * @param {Array} staveNotes - The matching VexFlow StaveNotes
+ * @returns {Array} VexFlow tuplets
+ */
+const createTuplets = (notes, staveNotes) => {
+    const tuplets = [];
+    let group = [];
+    let beats = 0;
+
+    const closeGroup = () => {
+        if (group.length > 0) {
+            tuplets.push(new VF.Tuplet(group, { numNotes: 3, notesOccupied: 2 }));
+        }
+        group = [];
+        beats = 0;
+    };
+
+    notes.forEach((note, index) => {
+        if (!note.tuplet) {
+            closeGroup();
+            return;
+        }
+
+        group.push(staveNotes[index]);
+        beats += noteValueBeats(note);
+
+        // A triplet group fills one beat
+        if (beats > 0.99) closeGroup();
+    });
+    closeGroup();
+
+    return tuplets;
+};
+
+/**
+ * Draw ties between tied notes, splitting ties that cross a line break
+ * @param {Array<Object>} drawn - Notes in score order (note, staveNote, line)
+ * @param {Object} context - VexFlow rendering context
+ */
+const drawTies = (drawn, context) => {
+    drawn.forEach((current, index) => {
+        const next = drawn[index + 1];
+        if (!current.note.tie || !next) return;
+
+        const ties = current.line === next.line
+            ? [{ firstNote: current.staveNote, lastNote: next.staveNote }]
+            : [{ firstNote: current.staveNote }, { lastNote: next.staveNote }];
+
+        ties.forEach(notes => {
+            new VF.StaveTie(notes).setContext(context).draw();
+        });
+    });
+};
+
+/**
+ * Draw 8va and 8vb signs over runs of notes written an octave from where they sound
+ * @param {Array<Object>} drawn - Notes in score order (note, staveNote, line)
+ * @param {Object} context - VexFlow rendering context
+ */
+const drawOctaveSigns = (drawn, context) => {
+    let run = null;
+
+    const closeRun = () => {
+        if (run) {
+            const above = run.ottava > 0;
+            new VF.TextBracket({
+                start: run.start,
+                stop: run.stop,
+                text: '8',
+                superscript: above ? 'va' : 'vb',
+                position: above ? 'top' : 'bottom'
+            }).setContext(context).draw();
+        }
+        run = null;
+    };
+
+    drawn.forEach(({ note, staveNote, line }) => {
+        // A run breaks at a line break or when the notes go back on the staff
+        const continues = run && run.line === line && run.staff === note.staff && run.ottava === note.ottava;
+        if (!continues) {
+            closeRun();
+            if (note.ottava) {
+                run = { start: staveNote, stop: staveNote, line, staff: note.staff, ottava: note.ottava };
+            }
+        } else {
+            run.stop = staveNote;
+        }
+    });
+    closeRun();
+};
+
+/**
+ * Get the alteration written in a note name
+ * @param {String} pitch - Note name, e.g. 'F#' or 'Bb'
+ * @returns {Number} Semitones up (sharps) or down (flats)
+ */
+const getAlter = (pitch) => {
+    const accidentals = pitch.slice(1);
+    return (accidentals.match(/[#♯]/g) || []).length - (accidentals.match(/[b♭]/g) || []).length;
+};
+
+/**
+ * Convert our duration format to VexFlow duration
+ * @param {String} duration - Our duration format
+ * @returns {String} VexFlow duration string
+ */
+const convertDuration = (duration) => {
+    const durationMap = {
+        'whole': 'w',
+        'half': 'h',
+        'quarter': 'q',
+        'eighth': '8',
+        'sixteenth': '16'
+    };
+
+    return durationMap[duration] || 'q';
+};
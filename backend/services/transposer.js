@@ -0,0 +1,112 @@
+/**
+ * transposer.js
+ * Transposes transcriptions by an interval or into another key
+ * Server-side copy of frontend/src/services/transposer.js for saved versions; change both together
+ */
+const {
+    noteNameToPitchClass,
+    parseKey,
+    keyFromPitchClass,
+    transposeNote,
+    transposeKey
+} = require('../utils/musicTheory');
+const { chooseClef } = require('../utils/clefs');
+
+/**
+ * Work out the transposition into a key: the nearest interval between the tonics
+ * The transcription keeps its mode, so a minor tune moved to 'D' ends up in D minor
+ * @param {String} fromKey - Current key
+ * @param {String} toKey - Key to move to, e.g. 'Bb' or 'F#m'
+ * @returns {Object} Semitones (-6 to 5) and the new key name
+ */
+exports.intervalToKey = (fromKey, toKey) => {
+    const from = parseKey(fromKey);
+    const to = parseKey(toKey);
+
+    let semitones = (noteNameToPitchClass(to.tonic) - noteNameToPitchClass(from.tonic) + 12) % 12;
+    if (semitones > 5) semitones -= 12;
+
+    // Keep the requested spelling (F# rather than Gb) when the key exists in this mode
+    const name = from.minor ? `${to.tonic}m` : to.tonic;
+    const key = parseKey(name).tonic === to.tonic
+        ? name
+        : keyFromPitchClass(noteNameToPitchClass(to.tonic), from.minor);
+
+    return { semitones, key };
+};
+
+/**
+ * Transpose a transcription's notes, chords, sheet music and key
+ * @param {Object} transcription - Plain transcription object (simpleNotes, complexChords,
+ *   harmonizations, sheetMusic, rawPitchData, detectedKey)
+ * @param {Object} options - Either semitones (up, or down if negative) or the key to move to
+ * @returns {Object} Transposed copy of the transcription's fields
+ */
+exports.transposeTranscription = (transcription, { semitones, key } = {}) => {
+    const fromKey = transcription.detectedKey || 'C';
+    const target = key ? exports.intervalToKey(fromKey, key) : { semitones, key: transposeKey(fromKey, semitones) };
+    const interval = target.semitones;
+    const newKey = target.key;
+
+    // Frequencies move by the equal-tempered ratio of the interval
+    const ratio = Math.pow(2, interval / 12);
+
+    // Chord roots and note lists have no octave; any octave spells them the same
+    const transposeName = name => (name ? transposeNote(name, 4, interval, newKey).name : name);
+    const transposeChord = chord => ({
+        ...chord,
+        root: transposeName(chord.root),
+        ...(chord.bass ? { bass: transposeName(chord.bass) } : {}),
+        notes: (chord.notes || []).map(transposeName)
+    });
+
+    const simpleNotes = (transcription.simpleNotes || []).map(note => {
+        const { name, octave } = transposeNote(note.note, note.octave, interval, newKey);
+        return { ...note, note: name.replace('#', '♯').replace('b', '♭'), octave };
+    });
+
+    const sheetNotes = transcription.sheetMusic && (transcription.sheetMusic.notes || []).map(note => {
+        if (note.rest) return { ...note };
+
+        const { name, octave } = transposeNote(note.pitch, note.octave, interval, newKey);
+        return { ...note, pitch: name, octave };
+    });
+
+    // The new range may suit another clef
+    const sheetMusic = transcription.sheetMusic && {
+        ...transcription.sheetMusic,
+        notes: sheetNotes,
+        clef: chooseClef(sheetNotes)
+    };
+
+    const rawPitchData = (transcription.rawPitchData || []).map(pitch => {
+        if (pitch.rest || !pitch.note || !pitch.note.name) return { ...pitch };
+
+        const { name, octave } = transposeNote(pitch.note.name, pitch.note.octave, interval, newKey);
+        return {
+            ...pitch,
+            frequency: pitch.frequency * ratio,
+            note: { ...pitch.note, name, octave, frequency: pitch.note.frequency * ratio },
+            ...(pitch.contour ? {
+                contour: pitch.contour.map(point => ({ ...point, frequency: point.frequency * ratio }))
+            } : {})
+        };
+    });
+
+    return {
+        ...transcription,
+        simpleNotes,
+        complexChords: (transcription.complexChords || []).map(transposeChord),
+        harmonizations: (transcription.harmonizations || []).map(harmonization => ({
+            ...harmonization,
+            chords: (harmonization.chords || []).map(transposeChord)
+        })),
+        sheetMusic,
+        rawPitchData,
+        detectedKey: newKey,
+        metadata: {
+            ...transcription.metadata,
+            transposition: { from: fromKey, semitones: interval }
+        }
+    };
+};
@@ -0,0 +1,17 @@
+/**
+ * filenames.js
+ * Helpers for naming downloaded files
+ */
+
+/**
+ * Turn a recording name into a safe download filename
+ * @param {String} name - Recording name
+ * @param {String} fallback - Name to use when nothing usable is left
+ * @returns {String} Filename without extension
+ */
+exports.toFilename = (name, fallback = 'sheet-music') => {
+    return (name || '')
+        .replace(/[^a-z0-9-_ ]/gi, '')
+        .trim()
+        .replace(/\s+/g, '-') || fallback;
+};
@@ -0,0 +1,195 @@
+/**
+ * musicTheory.js
+ * Helpers for note names, key signatures and transposition
+ * Server-side copy of the note and key helpers in frontend/src/services/musicTheory.js; change both together
+ */
+
+// Semitone offsets from C for each spelling
+const PITCH_CLASSES = {
+    'C': 0, 'B#': 0,
+    'C#': 1, 'Db': 1,
+    'D': 2,
+    'D#': 3, 'Eb': 3,
+    'E': 4, 'Fb': 4,
+    'F': 5, 'E#': 5,
+    'F#': 6, 'Gb': 6,
+    'G': 7,
+    'G#': 8, 'Ab': 8,
+    'A': 9,
+    'A#': 10, 'Bb': 10,
+    'B': 11, 'Cb': 11
+};
+
+// Natural note letters and their pitch classes
+const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const STEP_PITCH_CLASSES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Order in which sharps and flats are added to key signatures
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// Number of sharps (positive) or flats (negative) in each key signature
+const MAJOR_KEY_SIGNATURES = {
+    'Cb': -7, 'Gb': -6, 'Db': -5, 'Ab': -4, 'Eb': -3, 'Bb': -2, 'F': -1,
+    'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7
+};
+const MINOR_KEY_SIGNATURES = {
+    'Ab': -7, 'Eb': -6, 'Bb': -5, 'F': -4, 'C': -3, 'G': -2, 'D': -1,
+    'A': 0, 'E': 1, 'B': 2, 'F#': 3, 'C#': 4, 'G#': 5, 'D#': 6, 'A#': 7
+};
+
+/**
+ * Get the pitch class of a note name
+ * @param {String} name - Note name, e.g. 'C#', 'Bb' or 'F♯'
+ * @returns {Number|undefined} Pitch class (0-11) or undefined if unknown
+ */
+exports.noteNameToPitchClass = (name) => {
+    return PITCH_CLASSES[normalizeNoteName(name)];
+};
+
+/**
+ * Parse a key name
+ * @param {String} key - Key name, e.g. 'G', 'Bb major', 'F#m' or 'D minor'
+ * @returns {Object} Tonic name, whether the key is minor, and sharps (positive) or flats (negative)
+ */
+exports.parseKey = (key) => {
+    const match = /^([A-G][#b]?)\s*(.*)$/.exec(normalizeNoteName(key || 'C'));
+    if (!match) {
+        return { tonic: 'C', minor: false, fifths: 0 };
+    }
+
+    const minor = /^(m|min|minor)$/i.test(match[2].trim());
+    const fifths = (minor ? MINOR_KEY_SIGNATURES : MAJOR_KEY_SIGNATURES)[match[1]];
+
+    if (fifths === undefined) {
+        return { tonic: 'C', minor: false, fifths: 0 };
+    }
+
+    return { tonic: match[1], minor, fifths };
+};
+
+/**
+ * Get the alteration the key signature applies to a note letter
+ * @param {String} step - Note letter (C-B)
+ * @param {Number} fifths - Sharps (positive) or flats (negative)
+ * @returns {Number} 1 for sharp, -1 for flat, 0 for natural
+ */
+exports.keySignatureAlter = (step, fifths) => {
+    if (fifths > 0 && SHARP_ORDER.slice(0, fifths).includes(step)) return 1;
+    if (fifths < 0 && FLAT_ORDER.slice(0, -fifths).includes(step)) return -1;
+    return 0;
+};
+
+/**
+ * Name the key with a given tonic, using the spelling with fewer accidentals
+ * @param {Number} pitchClass - Pitch class of the tonic (0-11)
+ * @param {Boolean} minor - Whether the key is minor
+ * @returns {String} Key name, e.g. 'Eb' or 'C#m'
+ */
+exports.keyFromPitchClass = (pitchClass, minor = false) => {
+    // Minor keys share the signature of the major key a minor third up
+    const majorTonic = (pitchClass + (minor ? 3 : 0)) % 12;
+
+    // Each step round the circle of fifths adds a sharp; past six, flats are shorter
+    let fifths = (majorTonic * 7) % 12;
+    if (fifths > 6) fifths -= 12;
+
+    const signatures = minor ? MINOR_KEY_SIGNATURES : MAJOR_KEY_SIGNATURES;
+    const tonic = Object.keys(signatures).find(name => signatures[name] === fifths);
+
+    return minor ? `${tonic}m` : tonic;
+};
+
+/**
+ * Spell a pitch class as a letter and alteration that suits the key
+ * @param {Number} pitchClass - Pitch class (0-11)
+ * @param {String} key - Key name
+ * @returns {Object} Note letter (step) and alteration (alter)
+ */
+exports.spellPitchClass = (pitchClass, key) => {
+    const { tonic, minor, fifths } = exports.parseKey(key);
+    pitchClass = ((pitchClass % 12) + 12) % 12;
+
+    // Notes in the key use the key signature's spelling
+    for (const step of STEPS) {
+        const alter = exports.keySignatureAlter(step, fifths);
+        if ((STEP_PITCH_CLASSES[step] + alter + 12) % 12 === pitchClass) {
+            return { step, alter };
+        }
+    }
+
+    // The raised leading tone of a minor key is spelled on the letter below the tonic
+    if (minor && pitchClass === (PITCH_CLASSES[tonic] + 11) % 12) {
+        const step = STEPS[(STEPS.indexOf(tonic[0]) + 6) % 7];
+        const alter = exports.keySignatureAlter(step, fifths) + 1;
+        return { step, alter };
+    }
+
+    // Other chromatic notes follow the direction of the key signature
+    const names = fifths < 0
+        ? ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
+        : ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const name = names[pitchClass];
+
+    return {
+        step: name[0],
+        alter: name.length > 1 ? (name[1] === '#' ? 1 : -1) : 0
+    };
+};
+
+/**
+ * Format a letter and alteration as a note name
+ * @param {String} step - Note letter (C-B)
+ * @param {Number} alter - Alteration in semitones (-2 to 2)
+ * @returns {String} Note name, e.g. 'Bb' or 'F#'
+ */
+exports.formatNoteName = (step, alter) => {
+    if (alter > 0) return step + '#'.repeat(alter);
+    if (alter < 0) return step + 'b'.repeat(-alter);
+    return step;
+};
+
+/**
+ * Transpose a note, spelled to suit the key it is transposed into
+ * @param {String} name - Note name, e.g. 'F#' or 'B♭'
+ * @param {Number} octave - Octave number (C4 is middle C)
+ * @param {Number} semitones - Semitones up (positive) or down (negative)
+ * @param {String} key - Key after transposing
+ * @returns {Object} Note name and octave; the octave follows the letter, so B#3 sounds as C4
+ */
+exports.transposeNote = (name, octave, semitones, key) => {
+    const normalized = normalizeNoteName(name);
+    const step = normalized[0];
+    if (!(step in STEP_PITCH_CLASSES)) return { name, octave };
+
+    const accidentals = normalized.slice(1);
+    const alter = (accidentals.match(/#/g) || []).length - (accidentals.match(/b/g) || []).length;
+    const midi = (octave + 1) * 12 + STEP_PITCH_CLASSES[step] + alter + semitones;
+    const spelled = exports.spellPitchClass(midi, key);
+
+    return {
+        name: exports.formatNoteName(spelled.step, spelled.alter),
+        octave: Math.floor((midi - spelled.alter - STEP_PITCH_CLASSES[spelled.step]) / 12) - 1
+    };
+};
+
+/**
+ * Transpose a key, naming it with the spelling with fewer accidentals
+ * @param {String} key - Key name
+ * @param {Number} semitones - Semitones up (positive) or down (negative)
+ * @returns {String} Key name, e.g. 'Eb' or 'C#m'
+ */
+exports.transposeKey = (key, semitones) => {
+    const { tonic, minor } = exports.parseKey(key);
+    const pitchClass = (((PITCH_CLASSES[tonic] + semitones) % 12) + 12) % 12;
+    return exports.keyFromPitchClass(pitchClass, minor);
+};
+
+/**
+ * Replace Unicode accidentals with ASCII ones
+ * @param {String} name - Note name, e.g. 'F♯'
+ * @returns {String} Note name using '#' and 'b'
+ */
+const normalizeNoteName = (name) => {
+    return String(name).trim().replace('♯', '#').replace('♭', 'b');
+};
@@ -0,0 +1,174 @@
+/**
+ * rhythm.js
+ * Helpers for note values and laying stored sheet music out in measures
+ * Server-side copy of the note value and measure helpers in frontend/src/services/rhythm.js; change both together
+ */
+
+// Grid resolution: 12 ticks per quarter note holds both sixteenths (3 ticks) and triplet eighths (4 ticks)
+const TICKS_PER_BEAT = 12;
+
+// Written note values by length in ticks, longest first
+const NOTE_VALUES = [
+    { duration: 'whole', dots: 0, ticks: 48 },
+    { duration: 'half', dots: 1, ticks: 36 },
+    { duration: 'half', dots: 0, ticks: 24 },
+    { duration: 'quarter', dots: 1, ticks: 18 },
+    { duration: 'quarter', dots: 0, ticks: 12 },
+    { duration: 'eighth', dots: 1, ticks: 9 },
+    { duration: 'eighth', dots: 0, ticks: 6 },
+    { duration: 'sixteenth', dots: 0, ticks: 3 }
+];
+
+// Triplet note values (three in the time of two)
+const TRIPLET_VALUES = [
+    { duration: 'quarter', dots: 0, tuplet: 3, ticks: 8 },
+    { duration: 'eighth', dots: 0, tuplet: 3, ticks: 4 }
+];
+
+// Length of each note value in quarter notes
+const DURATION_BEATS = {
+    'whole': 4,
+    'half': 2,
+    'quarter': 1,
+    'eighth': 0.5,
+    'sixteenth': 0.25
+};
+
+/**
+ * Get the length of a sheet music note or rest, including dots and tuplets
+ * @param {Object} note - Sheet music note (duration, dots, tuplet)
+ * @returns {Number} Length in quarter notes
+ */
+exports.noteValueBeats = (note) => {
+    const base = DURATION_BEATS[note.duration] || 1;
+    let beats = base;
+
+    // Each dot adds half of the previous value
+    for (let dot = 1; dot <= (note.dots || 0); dot++) {
+        beats += base / Math.pow(2, dot);
+    }
+
+    // A triplet plays three notes in the time of two
+    if (note.tuplet) {
+        beats *= 2 / note.tuplet;
+    }
+
+    return beats;
+};
+
+/**
+ * Fill measures by duration, splitting notes that cross a barline into tied notes
+ * Gaps between note start times (in transcriptions saved without rests) become rests
+ * @param {Array<Object>} notes - Sheet music notes and rests
+ * @param {Object} timeSignature - Time signature (numerator, denominator)
+ * @param {Number} tempo - Tempo in quarter notes per minute, to place notes by start time
+ * @returns {Array<Array<Object>>} Measures of sheet music notes and rests
+ */
+exports.buildMeasures = (notes, timeSignature = {}, tempo = 120) => {
+    const { numerator = 4, denominator = 4 } = timeSignature;
+    const measureLength = Math.round(numerator * (4 / denominator) * TICKS_PER_BEAT);
+    const ticksPerSecond = (tempo / 60) * TICKS_PER_BEAT;
+    const firstTime = notes.length > 0 && typeof notes[0].startTime === 'number' ? notes[0].startTime : 0;
+
+    const measures = [[]];
+    let position = 0;
+
+    const measureAt = (tick) => {
+        const index = Math.floor(tick / measureLength);
+        while (measures.length <= index) measures.push([]);
+        return measures[index];
+    };
+
+    // Write a span as note values, tied across barlines and beats; only notes carry ties
+    const addSpan = (start, end, note) => {
+        const pieces = [];
+        for (let barStart = start; barStart < end;) {
+            const barEnd = Math.min(end, (Math.floor(barStart / measureLength) + 1) * measureLength);
+            pieces.push(...splitIntoNoteValues(barStart, barEnd));
+            barStart = barEnd;
+        }
+
+        pieces.forEach((piece, index) => {
+            const written = {
+                ...note,
+                duration: piece.duration,
+                dots: piece.dots,
+                startTime: firstTime + piece.start / ticksPerSecond
+            };
+            delete written.tuplet;
+            if (piece.tuplet) written.tuplet = piece.tuplet;
+            if (!note.rest) written.tie = index < pieces.length - 1 || Boolean(note.tie);
+
+            measureAt(piece.start).push(written);
+        });
+    };
+
+    notes.forEach(note => {
+        // Start times more than a sixteenth after the previous note leave a silence
+        if (typeof note.startTime === 'number') {
+            const start = Math.round((note.startTime - firstTime) * ticksPerSecond / 3) * 3;
+            if (start - position >= 3) {
+                addSpan(position, start, { rest: true });
+                position = start;
+            }
+        }
+
+        const end = position + Math.round(exports.noteValueBeats(note) * TICKS_PER_BEAT);
+        const barEnd = (Math.floor(position / measureLength) + 1) * measureLength;
+
+        // Notes that fit in their measure keep their written value
+        if (end <= barEnd) {
+            measureAt(position).push({ ...note });
+        } else {
+            addSpan(position, end, note);
+        }
+        position = end;
+    });
+
+    // Complete the last measure with rests
+    if (position % measureLength !== 0 || position === 0) {
+        const barEnd = (Math.floor(position / measureLength) + 1) * measureLength;
+        addSpan(position, barEnd, { rest: true });
+    }
+
+    return measures;
+};
+
+/**
+ * Write a span of the beat grid as tied note values
+ * Sixteenth-grid spans use plain and dotted values; spans off the sixteenth grid use triplets
+ * @param {Number} start - Start of the span in ticks from a beat
+ * @param {Number} end - End of the span in ticks
+ * @returns {Array<Object>} Note values (duration, dots, tuplet, start and length in ticks)
+ */
+const splitIntoNoteValues = (start, end) => {
+    const pieces = [];
+    let position = start;
+
+    while (position < end) {
+        const nextBeat = (Math.floor(position / TICKS_PER_BEAT) + 1) * TICKS_PER_BEAT;
+        const lastBeat = Math.floor(end / TICKS_PER_BEAT) * TICKS_PER_BEAT;
+        const onSixteenthGrid = position % 3 === 0;
+
+        // Plain values cover everything up to the last point on the sixteenth grid
+        const plainEnd = end % 3 === 0 ? end : lastBeat;
+
+        let value;
+        if (onSixteenthGrid && plainEnd > position) {
+            value = NOTE_VALUES.find(candidate => candidate.ticks <= plainEnd - position);
+        } else {
+            // Triplets stay within their beat
+            const space = Math.min(end, nextBeat) - position;
+            value = TRIPLET_VALUES.find(candidate => candidate.ticks <= space);
+        }
+
+        // Lengths that no value fits end the span
+        if (!value) break;
+
+        const { ticks, ...noteValue } = value;
+        pieces.push({ ...noteValue, start: position, length: ticks });
+        position += ticks;
+    }
+
+    return pieces;
+};
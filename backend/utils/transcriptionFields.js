@@ -0,0 +1,34 @@
+/**
+ * transcriptionFields.js
+ * The transcription fields a client may set, so ids, owners and timestamps stay server-side
+ */
+
+// Fields a client is allowed to set on a transcription
+const EDITABLE_FIELDS = [
+    'rawPitchData',
+    'simpleNotes',
+    'complexChords',
+    'harmonizations',
+    'sheetMusic',
+    'detectedKey',
+    'keyConfidence',
+    'detectedTempo',
+    'metadata'
+];
+
+/**
+ * Pick the client-editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable transcription fields present in the body
+ */
+exports.pickEditableFields = (body) => {
+    const fields = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+
+    return fields;
+};
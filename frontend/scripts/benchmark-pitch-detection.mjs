@@ -0,0 +1,144 @@
+/**
+ * benchmark-pitch-detection.mjs
+ * Compares the speed and accuracy of the pitch detectors on a synthetic 30-second take
+ *
+ * Usage: npm run benchmark
+ */
+import PitchDetection from '../src/services/pitchDetection.js';
+
+const SAMPLE_RATE = 44100;
+const DURATION = 30; // seconds
+const NOTE_LENGTH = 0.5; // seconds per sung note
+
+// A simple melody in MIDI note numbers, repeated for the whole take
+const MELODY = [60, 62, 64, 65, 67, 69, 67, 65, 64, 62, 60, 55, 57, 59, 60, 72];
+
+/**
+ * Create a voice-like test signal with harmonics, vibrato, breaths and a little noise
+ * @returns {Object} Mono signal and the true frequency at each sample
+ */
+function createTake() {
+    const length = SAMPLE_RATE * DURATION;
+    const samples = new Float32Array(length);
+    const truth = new Float32Array(length);
+
+    let phase = 0;
+    let seed = 1;
+    const noise = () => {
+        // Small deterministic LCG so runs are comparable
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296 - 0.5;
+    };
+
+    for (let i = 0; i < length; i++) {
+        const time = i / SAMPLE_RATE;
+        const noteIndex = Math.floor(time / NOTE_LENGTH);
+        const timeInNote = time - noteIndex * NOTE_LENGTH;
+
+        // Leave a short breath at the end of every fourth note
+        const isBreath = noteIndex % 4 === 3 && timeInNote > NOTE_LENGTH * 0.7;
+        const midi = MELODY[noteIndex % MELODY.length];
+
+        // 5.5 Hz vibrato of +/- 30 cents
+        const cents = 30 * Math.sin(2 * Math.PI * 5.5 * time);
+        const frequency = 440 * Math.pow(2, (midi - 69 + cents / 100) / 12);
+
+        phase += 2 * Math.PI * frequency / SAMPLE_RATE;
+
+        const voice = Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.3 * Math.sin(3 * phase) + 0.15 * Math.sin(4 * phase);
+        samples[i] = isBreath ? 0.01 * noise() : 0.3 * voice + 0.01 * noise();
+        truth[i] = isBreath ? 0 : frequency;
+    }
+
+    return { samples, truth };
+}
+
+/**
+ * Wrap a mono signal in the parts of the AudioBuffer interface the analysis uses
+ * @param {Float32Array} samples - Mono signal
+ * @returns {Object} AudioBuffer-like object
+ */
+function toAudioBuffer(samples) {
+    return {
+        numberOfChannels: 1,
+        length: samples.length,
+        sampleRate: SAMPLE_RATE,
+        duration: samples.length / SAMPLE_RATE,
+        getChannelData: () => samples
+    };
+}
+
+/**
+ * Measure how many steady voiced frames a detector gets within 50 cents of the truth
+ * @param {PitchDetection} pitchDetection - Pitch detection service
+ * @param {String} detector - Detector name
+ * @param {Object} take - Test signal and true frequencies
+ * @returns {Object} Accuracy and octave error rates
+ */
+function measureAccuracy(pitchDetection, detector, take) {
+    const segments = pitchDetection.segmentAudio(take.samples);
+    const hop = pitchDetection.bufferSize / 2;
+
+    let voiced = 0;
+    let correct = 0;
+    let octaveErrors = 0;
+
+    segments.forEach((segment, index) => {
+        const start = index * hop;
+        const end = start + pitchDetection.bufferSize - 1;
+        const expected = take.truth[start + pitchDetection.bufferSize / 2];
+
+        // Only score frames that hold a single sung note from start to end
+        if (!expected || !take.truth[start] || !take.truth[end]) return;
+        if (Math.abs(1200 * Math.log2(take.truth[start] / take.truth[end])) > 70) return;
+
+        voiced++;
+        const { frequency, confidence } = pitchDetection.detectPitch(segment, detector);
+        if (!frequency || confidence < pitchDetection.minConfidence) return;
+
+        const error = 1200 * Math.log2(frequency / expected);
+        if (Math.abs(error) <= 50) {
+            correct++;
+        } else if (Math.abs(Math.abs(error) - 1200) <= 50) {
+            octaveErrors++;
+        }
+    });
+
+    return {
+        accuracy: correct / voiced,
+        octaveErrors: octaveErrors / voiced
+    };
+}
+
+async function run() {
+    const take = createTake();
+    const audioBuffer = toAudioBuffer(take.samples);
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+    console.log(`Benchmarking pitch detectors on a ${DURATION}s take at ${SAMPLE_RATE} Hz\n`);
+
+    const results = {};
+    for (const detector of ['yin', 'mpm', 'autocorrelation']) {
+        const pitchDetection = new PitchDetection({ detector });
+
+        const start = process.hrtime.bigint();
+        const result = await pitchDetection.analyzeAudio(audioBuffer);
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+        const { accuracy, octaveErrors } = measureAccuracy(pitchDetection, detector, take);
+        results[detector] = elapsed;
+
+        console.log(
+            `${detector.padEnd(16)} ${elapsed.toFixed(0).padStart(7)} ms   ` +
+            `${String(result.simpleNotes.length).padStart(4)} notes   ` +
+            `accuracy ${percent(accuracy).padStart(6)}   octave errors ${percent(octaveErrors).padStart(6)}`
+        );
+    }
+
+    console.log(
+        `\nYIN is ${(results.autocorrelation / results.yin).toFixed(1)}x and ` +
+        `MPM ${(results.autocorrelation / results.mpm).toFixed(1)}x faster than autocorrelation`
+    );
+}
+
+run();
@@ -6,17 +6,50 @@ import AudioRecorder from './components/AudioRecorder.js';
 import NotationDisplay from './components/NotationDisplay.js';
 import UserAuth from './components/UserAuth.js';
 import SavedRecordings from './components/SavedRecordings.js';
-import PitchDetection from './services/pitchDetection.js';
+import TuningSettings from './components/TuningSettings.js';
+import ComparisonView from './components/ComparisonView.js';
+import AudioFileInput from './components/AudioFileInput.js';
+import WaveformView from './components/WaveformView.js';
+import AudioAnalyzer from './services/audioAnalyzer.js';
+import MidiWriter from './services/midiWriter.js';
+import MusicXml from './services/musicXml.js';
+import Synthesizer, { INSTRUMENTS } from './services/synthesizer.js';
+import ScoreEditor from './services/scoreEditor.js';
+import { transposeTranscription } from './services/transposer.js';
+import { analyzeVocalRange } from './services/vocalRange.js';
+import { sliceAudioBuffer } from './services/audioBuffers.js';
+import { barLineTimes, findBarRegion, spliceTranscription } from './services/regionAnalysis.js';
+import {
+    parseKey,
+    keyFromPitchClass,
+    noteNameToPitchClass,
+    formatChordSymbol
+} from './services/musicTheory.js';
 
 class App {
     constructor() {
         // App state
         this.isRecording = false;
         this.currentAudioBlob = null;
+        this.currentAudioBuffer = null;  // Decoded recording, for re-analyzing parts of it
         this.currentTranscription = null;
+        this.isEditing = false;
+        
+        // Edits to a saved transcription are stored once typing pauses
+        this.editSaveDelay = 1000;
+        this.editSaveTimer = null;
+        this.pendingEditSave = null;
+        
+        // Chord symbols as Cmaj7 ('standard') or CΔ7 ('jazz'), kept in this browser
+        this.chordSymbolStorageKey = 'melodyTranscriberChordSymbols';
+        this.chordSymbolStyle = localStorage.getItem(this.chordSymbolStorageKey) || 'standard';
         
         // Initialize services
-        this.pitchDetection = new PitchDetection();
+        this.audioAnalyzer = new AudioAnalyzer();
+        this.midiWriter = new MidiWriter();
+        this.musicXml = new MusicXml();
+        this.synthesizer = new Synthesizer();
+        this.scoreEditor = new ScoreEditor();
         
         // Initialize DOM elements
         this.initDomElements();
@@ -35,17 +68,54 @@ class App {
         // Record button
         this.recordButton = document.getElementById('record-button');
         this.recordingStatus = document.getElementById('recording-status');
+        this.tuningSettingsContainer = document.getElementById('tuning-settings');
+        this.analysisModeSelect = document.getElementById('analysis-mode-select');
+        
+        // Audio files to transcribe instead of a recording
+        this.audioFileContainer = document.getElementById('audio-file-container');
         
         // Display containers
         this.frequencyDisplayCanvas = document.getElementById('frequency-display');
+        this.liveNoteDisplay = document.getElementById('live-note-display');
+        this.liveModeToggle = document.getElementById('live-mode-toggle');
         this.simpleNotesContainer = document.getElementById('simple-notes-display');
         this.complexChordsContainer = document.getElementById('complex-chords-display');
+        this.chordSymbolSelect = document.getElementById('chord-symbol-select');
         this.sheetMusicContainer = document.getElementById('sheet-music-display');
+        this.comparisonContainer = document.getElementById('comparison-display');
+        this.waveformContainer = document.getElementById('waveform-display');
+        
+        // Notation editing
+        this.editNotationToggle = document.getElementById('edit-notation-toggle');
+        this.undoButton = document.getElementById('undo-button');
+        this.redoButton = document.getElementById('redo-button');
+        this.editHint = document.getElementById('edit-hint');
+        
+        // Detected key and tempo, and the range of the melody
+        this.detectedKeyElement = document.getElementById('detected-key');
+        this.detectedTempoElement = document.getElementById('detected-tempo');
+        this.vocalRangeElement = document.getElementById('vocal-range');
         
         // Tab buttons
         this.tabButtons = document.querySelectorAll('.tab-button');
         this.tabPanes = document.querySelectorAll('.tab-pane');
         
+        // Playback of the transcription
+        this.playButton = document.getElementById('play-button');
+        this.instrumentSelect = document.getElementById('instrument-select');
+        this.playChordsToggle = document.getElementById('play-chords-toggle');
+        
+        // Transposition
+        this.transposeDownButton = document.getElementById('transpose-down-button');
+        this.transposeUpButton = document.getElementById('transpose-up-button');
+        this.transposeKeySelect = document.getElementById('transpose-key-select');
+        
+        // Export controls
+        this.exportMidiButton = document.getElementById('export-midi-button');
+        this.exportMusicXmlButton = document.getElementById('export-musicxml-button');
+        this.importMusicXmlButton = document.getElementById('import-musicxml-button');
+        this.importMusicXmlInput = document.getElementById('import-musicxml-input');
+        
         // Save controls
         this.recordingNameInput = document.getElementById('recording-name');
         this.saveButton = document.getElementById('save-button');
@@ -65,7 +135,8 @@ class App {
         // Audio recorder
         this.audioRecorder = new AudioRecorder(
             this.frequencyDisplayCanvas,
-            this.recordingStatus
+            this.recordingStatus,
+            this.liveNoteDisplay
         );
         
         // Initialize audio recorder
@@ -75,8 +146,24 @@ class App {
             }
         });
         
+        // Audio files, trimmed and then transcribed like a recording
+        this.audioFileInput = new AudioFileInput(this.audioFileContainer, {
+            onAnalyze: (audio) => this.transcribeAudioFile(audio)
+        });
+        
         // Notation displays
-        this.sheetMusicDisplay = new NotationDisplay(this.sheetMusicContainer);
+        this.sheetMusicDisplay = new NotationDisplay(this.sheetMusicContainer, {
+            onNoteClick: (index) => {
+                this.scoreEditor.select(index);
+                this.sheetMusicDisplay.setSelection(this.scoreEditor.selected);
+            }
+        });
+        this.comparisonView = new ComparisonView(this.comparisonContainer, this.synthesizer);
+        
+        // Waveform of the recording; selected bars can be analyzed again
+        this.waveformView = new WaveformView(this.waveformContainer, {
+            onAnalyze: (selection) => this.reanalyzeRegion(selection)
+        });
         
         // User authentication
         this.userAuth = new UserAuth(this.authContainer);
@@ -86,6 +173,10 @@ class App {
             this.savedRecordingsContainer,
             this.userAuth
         );
+        
+        // Tuning (A4 reference and temperament)
+        this.tuningSettings = new TuningSettings(this.tuningSettingsContainer, this.userAuth);
+        this.audioRecorder.setTuning(this.tuningSettings.getTuning());
     }
     
     /**
@@ -97,6 +188,79 @@ class App {
             this.toggleRecording();
         });
         
+        // Live pitch display toggle
+        this.liveModeToggle.addEventListener('change', () => {
+            this.audioRecorder.setLiveMode(this.liveModeToggle.checked);
+        });
+        
+        // Switching between melody and chord analysis re-analyzes the last take
+        this.analysisModeSelect.addEventListener('change', () => {
+            if (!this.currentAudioBuffer || this.isRecording) return;
+            
+            if (this.hasUnsavedEdits() &&
+                !confirm('Analyzing the take again discards your unsaved changes to the score. Continue?')) {
+                this.analysisModeSelect.value = (this.currentTranscription.metadata || {}).mode || 'monophonic';
+                return;
+            }
+            
+            // Edits of a saved transcription are stored before it is replaced
+            if (this.pendingEditSave) this.saveEdits();
+            
+            this.handleAudioProcessed({ audioBlob: this.currentAudioBlob, audioBuffer: this.currentAudioBuffer });
+        });
+        
+        // Chord symbol style only changes how chords are written
+        this.chordSymbolSelect.value = this.chordSymbolStyle;
+        this.chordSymbolSelect.addEventListener('change', () => {
+            this.chordSymbolStyle = this.chordSymbolSelect.value;
+            localStorage.setItem(this.chordSymbolStorageKey, this.chordSymbolStyle);
+            
+            if (this.currentTranscription) {
+                this.updateComplexChordsDisplay(
+                    this.currentTranscription.complexChords,
+                    this.currentTranscription.harmonizations
+                );
+            }
+        });
+        
+        // Play the transcription with a synthesized instrument
+        this.instrumentSelect.innerHTML = Object.entries(INSTRUMENTS)
+            .map(([id, instrument]) => `<option value="${id}">${instrument.name}</option>`)
+            .join('');
+        this.playButton.addEventListener('click', () => {
+            this.togglePlayback();
+        });
+        
+        // Notation editing: select notes in the sheet music and change them from the keyboard
+        this.editNotationToggle.addEventListener('click', () => {
+            this.setEditing(!this.isEditing);
+        });
+        
+        this.undoButton.addEventListener('click', () => {
+            if (this.scoreEditor.undo()) this.showEditedTranscription();
+        });
+        
+        this.redoButton.addEventListener('click', () => {
+            if (this.scoreEditor.redo()) this.showEditedTranscription();
+        });
+        
+        this.sheetMusicContainer.addEventListener('keydown', (event) => {
+            this.handleEditKey(event);
+        });
+        
+        // Transpose by a semitone, or into the key picked
+        this.transposeDownButton.addEventListener('click', () => {
+            this.transpose({ semitones: -1 });
+        });
+        
+        this.transposeUpButton.addEventListener('click', () => {
+            this.transpose({ semitones: 1 });
+        });
+        
+        this.transposeKeySelect.addEventListener('change', () => {
+            this.transpose({ key: this.transposeKeySelect.value });
+        });
+        
         // Tab switching
         this.tabButtons.forEach(button => {
             button.addEventListener('click', () => {
@@ -109,6 +273,41 @@ class App {
             this.saveRecording();
         });
         
+        // Export buttons
+        this.exportMidiButton.addEventListener('click', () => {
+            this.exportMidi();
+        });
+        
+        this.exportMusicXmlButton.addEventListener('click', () => {
+            this.exportMusicXml();
+        });
+        
+        // Import button opens the file picker
+        this.importMusicXmlButton.addEventListener('click', () => {
+            this.importMusicXmlInput.click();
+        });
+        
+        this.importMusicXmlInput.addEventListener('change', () => {
+            const file = this.importMusicXmlInput.files[0];
+            this.importMusicXmlInput.value = '';
+            
+            if (file) {
+                this.importMusicXml(file);
+            }
+        });
+        
+        // Listen for transcriptions loaded elsewhere (e.g. imported into a saved recording)
+        document.addEventListener('transcriptionLoaded', (event) => {
+            this.currentTranscription = event.detail.transcription;
+            this.updateDisplays(this.currentTranscription);
+            this.updateExportButtonsState();
+        });
+        
+        // Listen for tuning changes
+        document.addEventListener('tuningChanged', (event) => {
+            this.audioRecorder.setTuning(event.detail.tuning);
+        });
+        
         // Listen for audio processing
         document.addEventListener('audioProcessed', (event) => {
             this.handleAudioProcessed(event.detail);
@@ -116,6 +315,9 @@ class App {
         
         // Listen for recording state changes
         document.addEventListener('recordingStarted', () => {
+            // A new take replaces whatever is still being analyzed
+            this.audioAnalyzer.cancel();
+            
             this.isRecording = true;
             this.recordButton.classList.add('recording');
             this.clearResults();
@@ -140,6 +342,15 @@ class App {
             if (this.sheetMusicDisplay) {
                 this.sheetMusicDisplay.handleResize();
             }
+            if (this.comparisonView) {
+                this.comparisonView.draw();
+            }
+            if (this.audioFileInput) {
+                this.audioFileInput.draw();
+            }
+            if (this.waveformView) {
+                this.waveformView.draw();
+            }
         });
     }
     
@@ -150,36 +361,72 @@ class App {
         this.audioRecorder.toggleRecording();
     }
     
+    /**
+     * Transcribe an audio file loaded by the file input, in place of a recording
+     * @param {Object} audio - Audio blob to keep with the transcription, its decoded audio and a name
+     */
+    transcribeAudioFile({ audioBlob, audioBuffer, name }) {
+        if (this.isRecording) {
+            this.showError('Stop recording before transcribing a file.');
+            return;
+        }
+        
+        this.clearResults();
+        if (!this.recordingNameInput.value.trim()) {
+            this.recordingNameInput.value = name;
+        }
+        
+        this.handleAudioProcessed({ audioBlob, audioBuffer });
+    }
+    
     /**
      * Handle processed audio data
-     * @param {Object} audioData - Processed audio data
+     * @param {Object} audioData - Processed audio data (audioBlob, and audioBuffer if already decoded)
      */
     async handleAudioProcessed(audioData) {
         this.currentAudioBlob = audioData.audioBlob;
+        this.currentAudioBuffer = audioData.audioBuffer || null;
         this.recordingStatus.textContent = 'Analyzing audio...';
         
         try {
-            // Create an AudioContext
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Convert blob to ArrayBuffer
-            const arrayBuffer = await audioData.audioBlob.arrayBuffer();
+            let audioBuffer = audioData.audioBuffer;
+            if (!audioBuffer) {
+                // Create an AudioContext
+                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                
+                // Convert blob to ArrayBuffer
+                const arrayBuffer = await audioData.audioBlob.arrayBuffer();
+                
+                // Decode the audio data
+                audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+            }
             
-            // Decode the audio data
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+            // A new recording started while decoding
+            if (this.isRecording) return;
+            this.currentAudioBuffer = audioBuffer;
             
-            // Analyze the audio
-            const transcriptionResult = await this.pitchDetection.analyzeAudio(audioBuffer);
+            // Analyze the audio in the worker
+            const transcriptionResult = await this.audioAnalyzer.analyze(audioBuffer, {
+                tuning: this.tuningSettings.getTuning(),
+                mode: this.analysisModeSelect.value,
+                onProgress: (progress) => {
+                    this.recordingStatus.textContent = `Analyzing audio... ${Math.round(progress * 100)}%`;
+                }
+            });
             this.currentTranscription = transcriptionResult;
             
-            // Update the displays
-            this.updateDisplays(transcriptionResult);
+            // Update the displays; the take can be compared with its transcription
+            this.updateDisplays(transcriptionResult, this.currentAudioBlob);
             
-            // Enable save button
+            // Enable save and export buttons
             this.updateSaveButtonState();
+            this.updateExportButtonsState();
             
             this.recordingStatus.textContent = 'Analysis complete';
         } catch (error) {
+            // Cancelled because a new recording started
+            if (error.name === 'AbortError') return;
+            
             console.error('Error analyzing audio:', error);
             this.recordingStatus.textContent = 'Error analyzing audio';
             this.showError('Failed to analyze audio. Please try recording again.');
@@ -189,16 +436,122 @@ class App {
     /**
      * Update displays with transcription results
      * @param {Object} transcription - Transcription results
+     * @param {Blob} audioBlob - Recording the transcription was made from, for comparing the two
      */
-    updateDisplays(transcription) {
+    updateDisplays(transcription, audioBlob = null) {
+        // Playback belongs to the transcription shown before
+        this.synthesizer.stop();
+        
+        // Edit history belongs to it too
+        this.scoreEditor.load(transcription);
+        this.sheetMusicDisplay.setSelection(null);
+        this.updateUndoButtons();
+        
+        // Update the key, tempo and range shown above the tabs
+        this.updateKeyDisplay(transcription);
+        this.updateTempoDisplay(transcription);
+        this.updateVocalRangeDisplay(transcription);
+        
         // Update simple notes display
         this.updateSimpleNotesDisplay(transcription.simpleNotes);
         
         // Update complex chords display
-        this.updateComplexChordsDisplay(transcription.complexChords);
+        this.updateComplexChordsDisplay(transcription.complexChords, transcription.harmonizations);
         
         // Update sheet music display
-        this.sheetMusicDisplay.renderNotation(transcription.sheetMusic);
+        this.sheetMusicDisplay.renderNotation(
+            transcription.sheetMusic,
+            transcription.detectedKey,
+            transcription.detectedTempo
+        );
+        
+        // Update the comparison with the recording
+        this.comparisonView.setTranscription(transcription, audioBlob);
+        
+        // Update the waveform of the recording, with the transcription's bars
+        const audioBuffer = audioBlob ? this.currentAudioBuffer : null;
+        this.waveformView.setAudio(audioBuffer, {
+            barLines: audioBuffer ? barLineTimes(transcription, audioBuffer.duration) : [],
+            mode: (transcription.metadata || {}).mode
+        });
+    }
+    
+    /**
+     * Show the key of the transcription
+     * @param {Object} transcription - Transcription results
+     */
+    updateKeyDisplay(transcription) {
+        // The next take is likely sung in the same key, so live notes are tuned to it
+        this.audioRecorder.setKey(transcription.detectedKey);
+        
+        if (!transcription.detectedKey) {
+            this.detectedKeyElement.classList.add('hidden');
+            return;
+        }
+        
+        const { tonic, minor } = parseKey(transcription.detectedKey);
+        const tonicName = tonic.replace('#', '♯').replace('b', '♭');
+        let text = `Key: ${tonicName} ${minor ? 'minor' : 'major'}`;
+        
+        // Imported scores have a written key, so there is no confidence to show
+        if (typeof transcription.keyConfidence === 'number') {
+            text += ` (${Math.round(transcription.keyConfidence * 100)}% confidence)`;
+        }
+        
+        this.detectedKeyElement.textContent = text;
+        this.detectedKeyElement.classList.remove('hidden');
+        
+        this.updateTransposeKeys(transcription.detectedKey);
+    }
+    
+    /**
+     * List the keys the transcription can be transposed to, in its own mode
+     * @param {String} key - Current key, which is selected
+     */
+    updateTransposeKeys(key) {
+        const { tonic, minor } = parseKey(key);
+        const current = noteNameToPitchClass(tonic);
+        
+        this.transposeKeySelect.innerHTML = Array.from({ length: 12 }, (_, pitchClass) => {
+            // The current key keeps its own spelling (Gb rather than F#)
+            const name = pitchClass === current ? (minor ? `${tonic}m` : tonic) : keyFromPitchClass(pitchClass, minor);
+            const label = name.replace('#', '♯').replace(/^(.)b/, '$1♭').replace(/m$/, ' minor');
+            return `<option value="${name}">${label}</option>`;
+        }).join('');
+        this.transposeKeySelect.value = minor ? `${tonic}m` : tonic;
+    }
+    
+    /**
+     * Show the tempo of the transcription
+     * @param {Object} transcription - Transcription results
+     */
+    updateTempoDisplay(transcription) {
+        if (!transcription.detectedTempo) {
+            this.detectedTempoElement.classList.add('hidden');
+            return;
+        }
+        
+        this.detectedTempoElement.textContent = `Tempo: ${Math.round(transcription.detectedTempo)} BPM`;
+        this.detectedTempoElement.classList.remove('hidden');
+    }
+    
+    /**
+     * Show the range and tessitura of the melody, with a guess at the voice type
+     * @param {Object} transcription - Transcription results
+     */
+    updateVocalRangeDisplay(transcription) {
+        const range = analyzeVocalRange(transcription.simpleNotes);
+        if (!range) {
+            this.vocalRangeElement.classList.add('hidden');
+            return;
+        }
+        
+        const name = note => `${note.name}${note.octave}`;
+        const { lowest, highest, tessitura, voiceType } = range;
+        
+        this.vocalRangeElement.textContent = `Range: ${name(lowest)}–${name(highest)}, ` +
+            `tessitura ${name(tessitura.low)}–${name(tessitura.high)} (${voiceType} range)`;
+        this.vocalRangeElement.classList.remove('hidden');
     }
     
     /**
@@ -232,30 +585,55 @@ class App {
     /**
      * Update complex chords display
      * @param {Array} complexChords - Complex chords data
+     * @param {Array} harmonizations - Suggested chord progressions for the melody
      */
-    updateComplexChordsDisplay(complexChords) {
-        if (!complexChords || complexChords.length === 0) {
+    updateComplexChordsDisplay(complexChords, harmonizations) {
+        const hasChords = complexChords && complexChords.length > 0;
+        const hasSuggestions = harmonizations && harmonizations.length > 0;
+        
+        if (!hasChords && !hasSuggestions) {
             this.complexChordsContainer.innerHTML = '<p>No chords detected</p>';
             return;
         }
         
-        const chordsHtml = complexChords.map(chord => {
+        const chordsHtml = hasChords ? complexChords.map(chord => {
             const durationMs = Math.round(chord.duration * 1000);
             const notesText = chord.notes.join(', ');
             
             return `
                 <div class="chord-item">
-                    <span class="chord-name">${chord.root} ${chord.type}</span>
+                    <span class="chord-name" title="${chord.root} ${chord.type}">${formatChordSymbol(chord, this.chordSymbolStyle)}</span>
                     <span class="chord-notes">(${notesText})</span>
                     <span class="chord-duration">${durationMs} ms</span>
                 </div>
             `;
-        }).join('');
+        }).join('') : '';
+        
+        // Suggested progressions are shown one chord per bar, like a lead sheet
+        const suggestionsHtml = hasSuggestions ? harmonizations.map(harmonization => {
+            const barsHtml = harmonization.chords.map(chord => `
+                <span class="suggested-chord" title="${chord.root} ${chord.type} (${chord.notes.join(', ')})">
+                    <span class="chord-symbol">${formatChordSymbol(chord, this.chordSymbolStyle)}</span>
+                    ${chord.numeral ? `<span class="chord-numeral">${chord.numeral}</span>` : ''}
+                </span>
+            `).join('');
+            
+            return `
+                <div class="harmonization">
+                    <h4>${harmonization.name}</h4>
+                    <div class="harmonization-bars">${barsHtml}</div>
+                </div>
+            `;
+        }).join('') : '';
         
         this.complexChordsContainer.innerHTML = `
-            <div class="chords-list">
-                ${chordsHtml}
-            </div>
+            ${hasChords ? `<div class="chords-list">${chordsHtml}</div>` : ''}
+            ${hasSuggestions ? `
+                <div class="harmonizations">
+                    <h4 class="harmonizations-title">Suggested chords</h4>
+                    ${suggestionsHtml}
+                </div>
+            ` : ''}
         `;
     }
     
@@ -281,6 +659,13 @@ class App {
                 pane.classList.remove('active');
             }
         });
+        
+        // The piano roll and waveform can only be sized once their tab is shown
+        if (tabId === 'comparison') {
+            this.comparisonView.draw();
+        } else if (tabId === 'waveform') {
+            this.waveformView.draw();
+        }
     }
     
     /**
@@ -297,12 +682,17 @@ class App {
             this.saveButton.disabled = true;
             this.saveButton.textContent = 'Saving...';
             
-            await this.savedRecordings.saveRecording({
+            const recording = await this.savedRecordings.saveRecording({
                 name: recordingName,
                 audioBlob: this.currentAudioBlob,
                 transcription: this.currentTranscription
             });
             
+            // Later edits update the saved transcription
+            if (recording.transcription && this.currentTranscription) {
+                this.currentTranscription._id = recording.transcription;
+            }
+            
             // Clear input
             this.recordingNameInput.value = '';
             
@@ -325,22 +715,117 @@ class App {
         }
     }
     
+    /**
+     * Export the current transcription as a MIDI file
+     */
+    exportMidi() {
+        if (!this.currentTranscription) {
+            return;
+        }
+        
+        const name = this.recordingNameInput.value.trim() || 'Untitled Recording';
+        
+        try {
+            const midiData = this.midiWriter.write(this.currentTranscription, { trackName: name });
+            const blob = new Blob([midiData], { type: 'audio/midi' });
+            this.downloadBlob(blob, `${name}.mid`);
+        } catch (error) {
+            console.error('Error exporting MIDI:', error);
+            this.showError('Failed to export MIDI. Please try again.');
+        }
+    }
+    
+    /**
+     * Export the current transcription as a MusicXML file
+     */
+    exportMusicXml() {
+        if (!this.currentTranscription) {
+            return;
+        }
+        
+        const name = this.recordingNameInput.value.trim() || 'Untitled Recording';
+        
+        try {
+            const xml = this.musicXml.toMusicXml(this.currentTranscription, { title: name });
+            const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+            this.downloadBlob(blob, `${name}.musicxml`);
+        } catch (error) {
+            console.error('Error exporting MusicXML:', error);
+            this.showError('Failed to export MusicXML. Please try again.');
+        }
+    }
+    
+    /**
+     * Load a MusicXML file as the current transcription
+     * @param {File} file - MusicXML file chosen by the user
+     */
+    async importMusicXml(file) {
+        try {
+            const xml = await file.text();
+            const transcription = this.musicXml.fromMusicXml(xml);
+            this.currentTranscription = transcription;
+            
+            // Update the displays
+            this.updateDisplays(transcription);
+            
+            // Saving still needs a recording to attach the transcription to
+            this.updateSaveButtonState();
+            this.updateExportButtonsState();
+            
+            this.recordingStatus.textContent = `Imported ${file.name}`;
+        } catch (error) {
+            console.error('Error importing MusicXML:', error);
+            this.showError('Failed to import MusicXML. Please check the file and try again.');
+        }
+    }
+    
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - File contents
+     * @param {String} filename - Name of the downloaded file
+     */
+    downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = filename;
+        
+        document.body.appendChild(a);
+        a.click();
+        
+        // Clean up
+        window.URL.revokeObjectURL(url);
+        a.remove();
+    }
+    
     /**
      * Clear all results displays
      */
     clearResults() {
+        this.synthesizer.stop();
+        
+        this.detectedKeyElement.classList.add('hidden');
+        this.detectedTempoElement.classList.add('hidden');
+        this.vocalRangeElement.classList.add('hidden');
         this.simpleNotesContainer.innerHTML = '';
         this.complexChordsContainer.innerHTML = '';
+        this.comparisonView.setTranscription(null);
+        this.waveformView.setAudio(null);
+        this.scoreEditor.load(null);
+        this.setEditing(false);
         
         if (this.sheetMusicDisplay) {
             this.sheetMusicDisplay.drawPlaceholder();
         }
         
         this.currentAudioBlob = null;
+        this.currentAudioBuffer = null;
         this.currentTranscription = null;
         
-        // Disable save button
+        // Disable save and export buttons
         this.updateSaveButtonState();
+        this.updateExportButtonsState();
     }
     
     /**
@@ -357,6 +842,337 @@ class App {
         }
     }
     
+    /**
+     * Enable export and play buttons when there is a transcription to export
+     */
+    updateExportButtonsState() {
+        this.exportMidiButton.disabled = !this.currentTranscription;
+        this.exportMusicXmlButton.disabled = !this.currentTranscription;
+        this.playButton.disabled = !this.currentTranscription;
+        this.editNotationToggle.disabled = !this.currentTranscription;
+        this.transposeDownButton.disabled = !this.currentTranscription;
+        this.transposeUpButton.disabled = !this.currentTranscription;
+        this.transposeKeySelect.disabled = !this.currentTranscription;
+    }
+    
+    /**
+     * Transpose the current transcription; saved transcriptions get a new saved version
+     * @param {Object} options - Semitones (up, or down if negative), or the key to transpose to
+     */
+    async transpose(options) {
+        const transcription = this.currentTranscription;
+        if (!transcription) return;
+        
+        try {
+            let transposed;
+            if (transcription._id && this.userAuth.isLoggedIn()) {
+                // The server copy needs any edits still waiting to be stored
+                await this.saveEdits();
+                transposed = await this.savedRecordings.transposeTranscription(transcription._id, options);
+            } else {
+                transposed = transposeTranscription(transcription, options);
+            }
+            
+            this.currentTranscription = transposed;
+            
+            // The recording no longer matches the notes, so there is nothing to compare
+            this.updateDisplays(transposed);
+            this.updateExportButtonsState();
+            
+            const { tonic, minor } = parseKey(transposed.detectedKey);
+            this.recordingStatus.textContent = `Transposed to ${tonic} ${minor ? 'minor' : 'major'}`;
+        } catch (error) {
+            console.error('Error transposing:', error);
+            this.showError('Failed to transpose the transcription. Please try again.');
+            
+            // Put the key picker back on the current key
+            this.updateTransposeKeys(transcription.detectedKey);
+        }
+    }
+    
+    /**
+     * Analyze bars of the recording again with other settings, and splice the result into
+     * the current transcription in place of those bars
+     * @param {Object} selection - Start and end of the span in seconds, and analysis options for it
+     */
+    async reanalyzeRegion({ start, end, options }) {
+        const transcription = this.currentTranscription;
+        const audioBuffer = this.currentAudioBuffer;
+        if (!transcription || !audioBuffer || this.isRecording) return;
+        
+        const region = findBarRegion(transcription, start, end, audioBuffer.duration);
+        if (!region) {
+            this.showError('The selection is outside the transcribed bars.');
+            return;
+        }
+        
+        const bars = region.firstBar === region.lastBar
+            ? `bar ${region.firstBar}`
+            : `bars ${region.firstBar}–${region.lastBar}`;
+        this.waveformView.setBusy(true, `Analyzing ${bars}...`);
+        
+        let analysis;
+        try {
+            // The span keeps the transcription's tuning, key and beat, so it fits back in
+            analysis = await this.audioAnalyzer.analyze(
+                sliceAudioBuffer(audioBuffer, region.audioStart, region.audioEnd),
+                {
+                    ...options,
+                    tuning: (transcription.metadata || {}).tuning || this.tuningSettings.getTuning(),
+                    key: transcription.detectedKey,
+                    beatGrid: {
+                        tempo: transcription.detectedTempo || 120,
+                        timeSignature: (transcription.sheetMusic || {}).timeSignature,
+                        beatTime: region.start - region.audioStart
+                    },
+                    onProgress: (progress) => {
+                        this.waveformView.setBusy(true, `Analyzing ${bars}... ${Math.round(progress * 100)}%`);
+                    }
+                }
+            );
+        } catch (error) {
+            // Cancelled because a new recording started
+            if (error.name === 'AbortError') {
+                this.waveformView.setBusy(false);
+                return;
+            }
+            
+            console.error('Error re-analyzing selection:', error);
+            this.waveformView.setBusy(false, `Could not analyze ${bars}`);
+            this.showError('Failed to analyze the selection. Please try again.');
+            return;
+        }
+        
+        // Edits made meanwhile are kept outside the region, but a new recording replaces it all
+        if (this.currentAudioBuffer !== audioBuffer || !this.currentTranscription) {
+            this.waveformView.setBusy(false);
+            return;
+        }
+        
+        const spliced = spliceTranscription(this.currentTranscription, region, analysis);
+        this.currentTranscription = spliced;
+        this.updateDisplays(spliced, this.currentAudioBlob);
+        this.waveformView.setBusy(false, `Re-analyzed ${bars}`);
+        
+        // Saved transcriptions are updated in place; edits waiting to be stored are part of it
+        if (spliced._id && this.userAuth.isLoggedIn()) {
+            clearTimeout(this.editSaveTimer);
+            this.pendingEditSave = null;
+            
+            try {
+                await this.savedRecordings.updateTranscription(spliced._id, {
+                    rawPitchData: spliced.rawPitchData,
+                    simpleNotes: spliced.simpleNotes,
+                    complexChords: spliced.complexChords,
+                    harmonizations: spliced.harmonizations,
+                    sheetMusic: spliced.sheetMusic
+                });
+            } catch (error) {
+                console.error('Error saving re-analyzed bars:', error);
+                this.showError('Failed to save the re-analyzed bars. Please try again.');
+            }
+        }
+    }
+    
+    /**
+     * Turn notation editing on or off
+     * @param {Boolean} editing - Whether notes in the sheet music can be edited
+     */
+    setEditing(editing) {
+        this.isEditing = editing && Boolean(this.currentTranscription);
+        this.editNotationToggle.classList.toggle('active', this.isEditing);
+        this.editHint.classList.toggle('hidden', !this.isEditing);
+        
+        if (!this.isEditing) {
+            this.scoreEditor.select(null);
+        }
+        this.sheetMusicDisplay.setEditable(this.isEditing);
+    }
+    
+    /**
+     * Edit the selected note from the keyboard
+     * @param {KeyboardEvent} event - Key pressed with the sheet music focused
+     */
+    handleEditKey(event) {
+        if (!this.isEditing) return;
+        
+        const editor = this.scoreEditor;
+        const ctrl = event.ctrlKey || event.metaKey;
+        const key = event.key;
+        
+        // Number keys pick note values as in MuseScore
+        const durations = { '2': 'sixteenth', '3': 'eighth', '4': 'quarter', '5': 'half', '6': 'whole' };
+        
+        let changed = false;
+        let handled = true;
+        
+        if (ctrl && key.toLowerCase() === 'z') {
+            changed = event.shiftKey ? editor.redo() : editor.undo();
+        } else if (ctrl && key.toLowerCase() === 'y') {
+            changed = editor.redo();
+        } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            changed = editor.transpose((key === 'ArrowUp' ? 1 : -1) * (ctrl ? 12 : 1));
+        } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            editor.moveSelection(key === 'ArrowLeft' ? -1 : 1);
+        } else if (key === 'Escape') {
+            editor.select(null);
+        } else if (key === 'Delete' || key === 'Backspace') {
+            changed = editor.deleteSelected();
+        } else if (ctrl) {
+            handled = false;
+        } else if (key in durations) {
+            changed = editor.setDuration(durations[key]);
+        } else if (key === '.') {
+            changed = editor.toggleDot();
+        } else if (key === '+' || key === '#') {
+            changed = editor.setAccidental(1);
+        } else if (key === '-') {
+            changed = editor.setAccidental(-1);
+        } else if (key === 'n' || key === 'N') {
+            changed = editor.setAccidental(0);
+        } else if (key === 'r' || key === 'R' || key === '0') {
+            changed = editor.insertRest();
+        } else if (/^[a-g]$/i.test(key)) {
+            changed = editor.insertNote(key);
+        } else {
+            handled = false;
+        }
+        
+        if (!handled) return;
+        event.preventDefault();
+        
+        if (changed) {
+            this.showEditedTranscription();
+        } else {
+            this.sheetMusicDisplay.setSelection(editor.selected);
+        }
+    }
+    
+    /**
+     * Show the transcription after an edit, undo or redo, and store it if it was saved
+     */
+    showEditedTranscription() {
+        this.synthesizer.stop();
+        
+        const transcription = this.scoreEditor.transcription;
+        this.currentTranscription = transcription;
+        
+        this.updateSimpleNotesDisplay(transcription.simpleNotes);
+        this.updateVocalRangeDisplay(transcription);
+        this.sheetMusicDisplay.setSelection(this.scoreEditor.selected);
+        this.sheetMusicDisplay.renderNotation(
+            transcription.sheetMusic,
+            transcription.detectedKey,
+            transcription.detectedTempo
+        );
+        this.comparisonView.updateTranscription(transcription);
+        
+        this.updateUndoButtons();
+        this.scheduleEditSave();
+    }
+    
+    /**
+     * Enable undo and redo when there is history to step through
+     */
+    updateUndoButtons() {
+        this.undoButton.disabled = !this.scoreEditor.canUndo();
+        this.redoButton.disabled = !this.scoreEditor.canRedo();
+    }
+    
+    /**
+     * Check whether the shown transcription has changes that are not stored anywhere
+     * @returns {Boolean} True if it was edited or transposed and is not a saved transcription
+     */
+    hasUnsavedEdits() {
+        const transcription = this.currentTranscription;
+        if (!transcription || transcription._id) return false;
+        
+        const { edited, transposition } = transcription.metadata || {};
+        return Boolean(edited || transposition);
+    }
+    
+    /**
+     * Store the edited transcription once edits pause, if it belongs to a saved recording
+     */
+    scheduleEditSave() {
+        clearTimeout(this.editSaveTimer);
+        
+        const transcription = this.currentTranscription;
+        if (!transcription || !transcription._id || !this.userAuth.isLoggedIn()) return;
+        
+        this.pendingEditSave = transcription;
+        this.editSaveTimer = setTimeout(() => this.saveEdits(), this.editSaveDelay);
+    }
+    
+    /**
+     * Store edits waiting to be saved now
+     */
+    async saveEdits() {
+        clearTimeout(this.editSaveTimer);
+        
+        const transcription = this.pendingEditSave;
+        this.pendingEditSave = null;
+        if (!transcription) return;
+        
+        try {
+            await this.savedRecordings.updateTranscription(transcription._id, {
+                sheetMusic: transcription.sheetMusic,
+                simpleNotes: transcription.simpleNotes,
+                metadata: transcription.metadata
+            });
+        } catch (error) {
+            console.error('Error saving edits:', error);
+            this.showError('Failed to save your edits. Please try again.');
+        }
+    }
+    
+    /**
+     * Play the current transcription with the synthesizer, or stop it if playing
+     */
+    async togglePlayback() {
+        if (this.synthesizer.isPlaying()) {
+            this.synthesizer.stop();
+            return;
+        }
+        
+        if (!this.currentTranscription) return;
+        
+        try {
+            await this.synthesizer.play(this.currentTranscription, {
+                instrument: this.instrumentSelect.value,
+                chords: this.playChordsToggle.checked,
+                onPosition: (time) => this.showPlayhead(time),
+                onEnd: () => {
+                    this.showPlayhead(null);
+                    this.playButton.innerHTML = '<i class="fas fa-play"></i> Play';
+                }
+            });
+            
+            if (this.synthesizer.isPlaying()) {
+                this.playButton.innerHTML = '<i class="fas fa-stop"></i> Stop';
+            }
+        } catch (error) {
+            console.error('Error playing transcription:', error);
+            this.showError('Failed to play the transcription.');
+        }
+    }
+    
+    /**
+     * Highlight the note under the playhead in the sheet music and the simple notes list
+     * @param {Number|null} time - Time in seconds from the start of the recording, or null to clear
+     */
+    showPlayhead(time) {
+        this.sheetMusicDisplay.highlightAt(time);
+        
+        const simpleNotes = (this.currentTranscription && this.currentTranscription.simpleNotes) || [];
+        this.simpleNotesContainer.querySelectorAll('.note-item').forEach((item, index) => {
+            const note = simpleNotes[index];
+            const playing = time !== null && note !== undefined &&
+                time >= note.startTime && time < note.startTime + note.duration;
+            item.classList.toggle('playing', playing);
+        });
+    }
+    
     /**
      * Show an error message
      * @param {String} message - Error message to display
@@ -0,0 +1,367 @@
+/**
+ * AudioFileInput.js
+ * Loads an audio file by file picker or drag and drop, shows its waveform and
+ * lets the user trim it before it is transcribed
+ */
+import { sliceAudioBuffer, computePeaks, encodeWav } from '../services/audioBuffers.js';
+
+// Supported file extensions and the audio type to upload them as; browsers often
+// report .webm and .ogg files as video, or FLAC with no type at all
+const AUDIO_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    webm: 'audio/webm',
+    flac: 'audio/flac'
+};
+
+class AudioFileInput {
+    /**
+     * @param {HTMLElement} container - Element to render the file input into
+     * @param {Object} options - onAnalyze({ audioBlob, audioBuffer, name }), called with the
+     *   trimmed audio when the user asks for it to be transcribed
+     */
+    constructor(container, { onAnalyze = null } = {}) {
+        this.container = container;
+        this.onAnalyze = onAnalyze;
+
+        this.file = null;         // Loaded file, with an audio type
+        this.audioBuffer = null;  // Decoded file
+        this.trim = null;         // Span to transcribe (start and end in seconds)
+        this.peaks = null;        // Waveform of the whole file, for the current canvas width
+        this.dragging = null;     // Trim edge being dragged ('start' or 'end')
+
+        // Waveform settings
+        this.height = 120;
+        this.handleWidth = 8;     // Pixels either side of a trim edge that grab it
+        this.minLength = 0.1;     // Shortest span that can be transcribed, in seconds
+
+        this.render();
+    }
+
+    /**
+     * Render the drop zone, the waveform preview and the trim controls
+     */
+    render() {
+        const accept = ['audio/*', ...Object.keys(AUDIO_TYPES).map(extension => `.${extension}`)].join(',');
+
+        this.container.innerHTML = `
+            <div class="audio-file-drop">
+                <i class="fas fa-file-audio"></i>
+                <span>Drop a WAV, MP3, OGG, WebM or FLAC file here, or</span>
+                <button class="audio-file-choose-button">Choose file</button>
+                <input type="file" class="audio-file-input hidden" accept="${accept}">
+            </div>
+            <p class="audio-file-status"></p>
+            <div class="audio-file-preview hidden">
+                <p class="audio-file-info"></p>
+                <canvas class="audio-file-waveform"></canvas>
+                <div class="audio-file-controls">
+                    <label>
+                        Start
+                        <input type="number" class="audio-file-start-input" min="0" step="0.01"> s
+                    </label>
+                    <label>
+                        End
+                        <input type="number" class="audio-file-end-input" min="0" step="0.01"> s
+                    </label>
+                    <button class="audio-file-reset-button">Whole file</button>
+                    <button class="audio-file-transcribe-button">
+                        <i class="fas fa-music"></i> Transcribe
+                    </button>
+                    <button class="audio-file-close-button">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        this.dropZone = this.container.querySelector('.audio-file-drop');
+        this.chooseButton = this.container.querySelector('.audio-file-choose-button');
+        this.fileInput = this.container.querySelector('.audio-file-input');
+        this.statusElement = this.container.querySelector('.audio-file-status');
+        this.preview = this.container.querySelector('.audio-file-preview');
+        this.infoElement = this.container.querySelector('.audio-file-info');
+        this.canvas = this.container.querySelector('.audio-file-waveform');
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.startInput = this.container.querySelector('.audio-file-start-input');
+        this.endInput = this.container.querySelector('.audio-file-end-input');
+        this.resetButton = this.container.querySelector('.audio-file-reset-button');
+        this.transcribeButton = this.container.querySelector('.audio-file-transcribe-button');
+        this.closeButton = this.container.querySelector('.audio-file-close-button');
+
+        // File picker
+        this.chooseButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+
+        // Drag and drop
+        this.dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            this.dropZone.classList.add('dragover');
+        });
+        this.dropZone.addEventListener('dragleave', () => {
+            this.dropZone.classList.remove('dragover');
+        });
+        this.dropZone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.dropZone.classList.remove('dragover');
+
+            const file = event.dataTransfer.files[0];
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+
+        // Trimming, by dragging on the waveform or typing the times
+        this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.canvas.addEventListener('pointerup', () => { this.dragging = null; });
+        this.canvas.addEventListener('pointercancel', () => { this.dragging = null; });
+
+        this.startInput.addEventListener('change', () => {
+            this.setTrim(parseFloat(this.startInput.value), this.trim.end);
+        });
+        this.endInput.addEventListener('change', () => {
+            this.setTrim(this.trim.start, parseFloat(this.endInput.value));
+        });
+        this.resetButton.addEventListener('click', () => {
+            this.setTrim(0, this.audioBuffer.duration);
+        });
+
+        this.transcribeButton.addEventListener('click', () => this.transcribe());
+        this.closeButton.addEventListener('click', () => this.clear());
+    }
+
+    /**
+     * Decode an audio file and show it for trimming
+     * @param {File} file - File chosen or dropped by the user
+     */
+    async loadFile(file) {
+        const type = this.getAudioType(file);
+        if (!type) {
+            this.statusElement.textContent = `${file.name} is not a supported audio file`;
+            return;
+        }
+
+        this.clear();
+        this.statusElement.textContent = `Loading ${file.name}...`;
+
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+            // Uploads are checked by type, so the file keeps the audio type it was recognised by
+            this.file = file.type === type ? file : new File([file], file.name, { type });
+            this.audioBuffer = audioBuffer;
+            this.trim = { start: 0, end: audioBuffer.duration };
+
+            this.statusElement.textContent = '';
+            this.preview.classList.remove('hidden');
+            this.updateTrimInputs();
+            this.draw();
+        } catch (error) {
+            console.error('Error decoding audio file:', error);
+            this.statusElement.textContent = `Could not read ${file.name}; this browser may not support its format`;
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Get the audio type to treat a file as
+     * @param {File} file - File chosen or dropped by the user
+     * @returns {String|null} MIME type, or null if the file isn't a supported audio file
+     */
+    getAudioType(file) {
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+
+        if (file.type.startsWith('audio/')) return file.type;
+        return AUDIO_TYPES[extension] || null;
+    }
+
+    /**
+     * Hand the trimmed audio over for transcription
+     */
+    transcribe() {
+        if (!this.audioBuffer || !this.onAnalyze) return;
+
+        // The whole file is sent as it is; a trimmed span is written out as WAV
+        const { start, end } = this.trim;
+        const whole = start <= 0 && end >= this.audioBuffer.duration;
+        const audioBuffer = whole ? this.audioBuffer : sliceAudioBuffer(this.audioBuffer, start, end);
+        const audioBlob = whole ? this.file : encodeWav(audioBuffer);
+
+        this.onAnalyze({
+            audioBlob,
+            audioBuffer,
+            name: this.file.name.replace(/\.[^.]+$/, '')
+        });
+    }
+
+    /**
+     * Forget the loaded file and hide the preview
+     */
+    clear() {
+        this.file = null;
+        this.audioBuffer = null;
+        this.trim = null;
+        this.peaks = null;
+        this.dragging = null;
+        this.statusElement.textContent = '';
+        this.preview.classList.add('hidden');
+    }
+
+    /**
+     * Set the span to transcribe, keeping it inside the file and at least the minimum length
+     * @param {Number} start - Start in seconds
+     * @param {Number} end - End in seconds
+     */
+    setTrim(start, end) {
+        if (!this.audioBuffer) return;
+
+        const duration = this.audioBuffer.duration;
+        const minLength = Math.min(this.minLength, duration);
+        start = isNaN(start) ? this.trim.start : Math.max(0, Math.min(start, duration - minLength));
+        end = isNaN(end) ? this.trim.end : Math.min(duration, Math.max(end, start + minLength));
+
+        this.trim = { start, end };
+        this.updateTrimInputs();
+        this.draw();
+    }
+
+    /**
+     * Show the trim times in the inputs, and how much of the file will be transcribed
+     */
+    updateTrimInputs() {
+        const duration = this.audioBuffer.duration;
+        const { start, end } = this.trim;
+        this.startInput.max = duration.toFixed(2);
+        this.endInput.max = duration.toFixed(2);
+        this.startInput.value = start.toFixed(2);
+        this.endInput.value = end.toFixed(2);
+
+        let info = `${this.file.name}: ${this.formatTime(duration)}`;
+        if (start > 0 || end < duration) {
+            info += `, transcribing ${this.formatTime(end - start)} from ${this.formatTime(start)}`;
+        }
+        this.infoElement.textContent = info;
+    }
+
+    /**
+     * Grab the nearest trim edge, or start a new span where the waveform was pressed
+     * @param {PointerEvent} event - Pointer pressed on the waveform
+     */
+    handlePointerDown(event) {
+        if (!this.audioBuffer) return;
+
+        const time = this.timeAt(event);
+        const toX = seconds => seconds / this.audioBuffer.duration * this.canvas.clientWidth;
+        const x = toX(time);
+
+        if (Math.abs(x - toX(this.trim.start)) <= this.handleWidth) {
+            this.dragging = 'start';
+        } else if (Math.abs(x - toX(this.trim.end)) <= this.handleWidth) {
+            this.dragging = 'end';
+        } else {
+            this.dragging = 'end';
+            this.setTrim(time, time + this.minLength);
+        }
+
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    /**
+     * Move the trim edge being dragged
+     * @param {PointerEvent} event - Pointer moved over the waveform
+     */
+    handlePointerMove(event) {
+        if (!this.dragging || !this.audioBuffer) return;
+
+        const time = this.timeAt(event);
+        if (this.dragging === 'start') {
+            this.setTrim(Math.min(time, this.trim.end - this.minLength), this.trim.end);
+        } else {
+            this.setTrim(this.trim.start, Math.max(time, this.trim.start + this.minLength));
+        }
+    }
+
+    /**
+     * Get the time in the file under the pointer
+     * @param {PointerEvent} event - Pointer event on the waveform
+     * @returns {Number} Time in seconds
+     */
+    timeAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return fraction * this.audioBuffer.duration;
+    }
+
+    /**
+     * Draw the waveform of the whole file, dimming what is trimmed off
+     */
+    draw() {
+        if (this.canvas.clientWidth > 0) {
+            this.canvas.width = this.canvas.clientWidth;
+        }
+        this.canvas.height = this.height;
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.canvasCtx.fillStyle = 'rgb(0, 0, 0)';
+        this.canvasCtx.fillRect(0, 0, width, height);
+
+        if (!this.audioBuffer) return;
+
+        // The waveform only changes with the canvas width
+        if (!this.peaks || this.peaks.length !== width) {
+            this.peaks = computePeaks(this.audioBuffer, width);
+        }
+
+        this.canvasCtx.fillStyle = 'rgb(255, 255, 255)';
+        this.peaks.forEach(({ min, max }, x) => {
+            const top = (1 - max) / 2 * height;
+            const bottom = (1 - min) / 2 * height;
+            this.canvasCtx.fillRect(x, top, 1, Math.max(1, bottom - top));
+        });
+
+        // Dim the parts that won't be transcribed and mark the trim edges
+        const toX = time => time / this.audioBuffer.duration * width;
+        const startX = toX(this.trim.start);
+        const endX = toX(this.trim.end);
+
+        this.canvasCtx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.canvasCtx.fillRect(0, 0, startX, height);
+        this.canvasCtx.fillRect(endX, 0, width - endX, height);
+
+        this.canvasCtx.strokeStyle = 'rgb(255, 0, 0)';
+        this.canvasCtx.lineWidth = 2;
+        [startX, endX].forEach(x => {
+            this.canvasCtx.beginPath();
+            this.canvasCtx.moveTo(x, 0);
+            this.canvasCtx.lineTo(x, height);
+            this.canvasCtx.stroke();
+        });
+    }
+
+    /**
+     * Format a duration as minutes and seconds
+     * @param {Number} seconds - Duration in seconds
+     * @returns {String} e.g. '1:05.3'
+     */
+    formatTime(seconds) {
+        const tenths = Math.round(seconds * 10);
+        const minutes = Math.floor(tenths / 600);
+        const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
+}
+
+export default AudioFileInput;
@@ -2,8 +2,10 @@
  * AudioRecorder.js
  * Handles microphone access, recording, and frequency analysis
  */
+import LivePitchDisplay from './LivePitchDisplay.js';
+
 class AudioRecorder {
-    constructor(frequencyDisplayCanvas, statusElement) {
+    constructor(frequencyDisplayCanvas, statusElement, liveNoteElement) {
         this.audioContext = null;
         this.mediaStream = null;
         this.mediaRecorder = null;
@@ -14,6 +16,10 @@ class AudioRecorder {
         this.maxRecordingTime = 30000; // 30 seconds max
         this.recordingTimer = null;
         
+        // Live pitch tracking (AudioWorklet node, when supported)
+        this.pitchTracker = null;
+        this.isLiveMode = true;
+        
         // DOM elements
         this.canvas = frequencyDisplayCanvas;
         this.canvasCtx = this.canvas.getContext('2d');
@@ -22,6 +28,7 @@ class AudioRecorder {
         // Frequency display properties
         this.canvasWidth = this.canvas.width;
         this.canvasHeight = this.canvas.height;
+        this.livePitchDisplay = new LivePitchDisplay(this.canvas, liveNoteElement);
         
         // Bind methods
         this.toggleRecording = this.toggleRecording.bind(this);
@@ -52,6 +59,9 @@ class AudioRecorder {
             const source = this.audioContext.createMediaStreamSource(stream);
             source.connect(this.analyser);
             
+            // Track pitch on streaming frames for the live display
+            await this.initPitchTracker(source);
+            
             // Set up canvas for frequency display
             this.resizeCanvas();
             window.addEventListener('resize', this.resizeCanvas.bind(this));
@@ -68,6 +78,87 @@ class AudioRecorder {
         }
     }
     
+    /**
+     * Load the pitch tracker worklet and connect the microphone to it
+     * @param {MediaStreamAudioSourceNode} source - Microphone source node
+     */
+    async initPitchTracker(source) {
+        const { audioWorklet } = this.audioContext;
+        if (!audioWorklet) return;
+        
+        try {
+            await audioWorklet.addModule(
+                /* webpackChunkName: "pitch-tracker" */
+                new URL('../worklets/pitchTrackerProcessor.js', import.meta.url)
+            );
+            
+            // No outputs, so the node is processed without reaching the speakers
+            this.pitchTracker = new AudioWorkletNode(this.audioContext, 'pitch-tracker', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 1,
+                channelCountMode: 'explicit'
+            });
+            this.pitchTracker.port.onmessage = (event) => {
+                if (event.data.type === 'pitch') {
+                    this.livePitchDisplay.addPitch(event.data);
+                }
+            };
+            
+            source.connect(this.pitchTracker);
+        } catch (error) {
+            // Fall back to the frequency display
+            console.warn('Live pitch tracking unavailable:', error);
+            this.pitchTracker = null;
+        }
+    }
+    
+    /**
+     * Turn the live pitch display on or off
+     * @param {Boolean} enabled - Whether to show live pitch instead of frequencies
+     */
+    setLiveMode(enabled) {
+        this.isLiveMode = enabled;
+        
+        if (this.isRecording) {
+            this.updatePitchTracking();
+        }
+    }
+    
+    /**
+     * Set the tuning used by the live pitch display
+     * @param {Object} tuning - A4 reference pitch and temperament
+     */
+    setTuning(tuning) {
+        this.livePitchDisplay.setTuning(tuning);
+    }
+    
+    /**
+     * Set the key used by the live pitch display
+     * @param {String} key - Key name, e.g. 'Bb' or 'F#m'
+     */
+    setKey(key) {
+        this.livePitchDisplay.setKey(key);
+    }
+    
+    /**
+     * Check whether live pitch tracking is in use
+     * @returns {Boolean} True if the live display is on and supported
+     */
+    isLiveTracking() {
+        return this.isLiveMode && this.pitchTracker !== null;
+    }
+    
+    /**
+     * Start or stop the pitch tracker to match the recording and live mode state
+     */
+    updatePitchTracking() {
+        if (!this.pitchTracker) return;
+        
+        const type = this.isRecording && this.isLiveMode ? 'start' : 'stop';
+        this.pitchTracker.port.postMessage({ type });
+    }
+    
     /**
      * Set up event handlers for the MediaRecorder
      */
@@ -105,6 +196,15 @@ class AudioRecorder {
         this.isRecording = true;
         this.statusElement.textContent = 'Recording...';
         
+        // The worklet only runs while the context is running
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        
+        // Start tracking pitch for the live display
+        this.livePitchDisplay.reset();
+        this.updatePitchTracking();
+        
         // Start visualizing the frequency data
         this.visualize();
         
@@ -129,6 +229,7 @@ class AudioRecorder {
         this.mediaRecorder.stop();
         this.isRecording = false;
         this.statusElement.textContent = 'Processing...';
+        this.updatePitchTracking();
         
         // Clear the recording timer
         if (this.recordingTimer) {
@@ -176,8 +277,12 @@ class AudioRecorder {
         // If not recording, stop the visualization
         if (!this.isRecording) return;
         
-        // Draw the frequency data
-        this.drawFrequencyData();
+        // Draw the live pitch trace, or the frequency data without it
+        if (this.isLiveTracking()) {
+            this.livePitchDisplay.draw(this.audioContext.currentTime);
+        } else {
+            this.drawFrequencyData();
+        }
         
         // Request the next frame
         requestAnimationFrame(this.visualize.bind(this));
@@ -245,6 +350,12 @@ class AudioRecorder {
             this.stopRecording();
         }
         
+        // Disconnect the pitch tracker
+        if (this.pitchTracker) {
+            this.pitchTracker.port.onmessage = null;
+            this.pitchTracker.disconnect();
+        }
+        
         // Stop the media stream tracks
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
@@ -0,0 +1,323 @@
+/**
+ * ComparisonView.js
+ * Compares a transcription with the original recording: a piano roll of the sung
+ * pitch over the transcribed notes, and A/B playback of both
+ */
+import { noteNameToPitchClass } from '../services/musicTheory.js';
+import { noteValueBeats } from '../services/rhythm.js';
+import { normalizeTuning, frequencyToMidi } from '../services/tuning.js';
+
+class ComparisonView {
+    constructor(container, synthesizer) {
+        this.container = container;
+        this.synthesizer = synthesizer;
+
+        this.transcription = null;
+        this.audioBlob = null;       // Original recording, if this transcription came from one
+        this.originalBuffer = null;  // Decoded original, kept for repeated plays
+        this.isPlaying = false;
+
+        // Piano-roll settings
+        this.deviationThreshold = 50;  // Cents from the transcribed note before a frame is marked
+        this.height = 300;
+        this.margin = 2;               // Semitones shown above and below the notes
+        this.maxGap = 0.1;             // Seconds between frames before the contour is broken
+
+        this.render();
+    }
+
+    /**
+     * Render the controls and the piano-roll canvas
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="comparison-controls">
+                <button class="comparison-play-button" disabled>
+                    <i class="fas fa-play"></i> Play
+                </button>
+                <select class="comparison-mode-select" aria-label="Comparison mode">
+                    <option value="together">Together</option>
+                    <option value="alternate">Alternate bars</option>
+                </select>
+                <label>
+                    Mark pitch off by more than
+                    <input type="number" class="comparison-threshold-input" min="5" max="100" step="5"
+                        value="${this.deviationThreshold}">¢
+                </label>
+                <span class="comparison-status"></span>
+            </div>
+            <canvas class="comparison-canvas"></canvas>
+            <p class="comparison-summary"></p>
+        `;
+
+        this.playButton = this.container.querySelector('.comparison-play-button');
+        this.modeSelect = this.container.querySelector('.comparison-mode-select');
+        this.thresholdInput = this.container.querySelector('.comparison-threshold-input');
+        this.statusElement = this.container.querySelector('.comparison-status');
+        this.canvas = this.container.querySelector('.comparison-canvas');
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.summaryElement = this.container.querySelector('.comparison-summary');
+
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        this.thresholdInput.addEventListener('change', () => {
+            const threshold = parseFloat(this.thresholdInput.value);
+            if (threshold > 0) {
+                this.deviationThreshold = threshold;
+            }
+            this.thresholdInput.value = this.deviationThreshold;
+            this.draw();
+        });
+    }
+
+    /**
+     * Show a transcription, and the recording it was made from if there is one
+     * @param {Object|null} transcription - Transcription (rawPitchData, sheetMusic, detectedTempo, metadata)
+     * @param {Blob|null} audioBlob - Original recording
+     */
+    setTranscription(transcription, audioBlob = null) {
+        if (this.isPlaying) {
+            this.synthesizer.stop();
+        }
+
+        this.transcription = transcription;
+        this.audioBlob = audioBlob;
+        this.originalBuffer = null;
+
+        this.playButton.disabled = !transcription || !audioBlob;
+        this.playButton.title = transcription && !audioBlob
+            ? 'The original recording is only available right after recording'
+            : '';
+
+        this.draw();
+    }
+
+    /**
+     * Show an edited version of the transcription, keeping its recording
+     * @param {Object} transcription - Edited transcription
+     */
+    updateTranscription(transcription) {
+        if (this.isPlaying) {
+            this.synthesizer.stop();
+        }
+
+        this.transcription = transcription;
+        this.draw();
+    }
+
+    /**
+     * Play the recording and the transcription, or stop them if playing
+     */
+    async togglePlayback() {
+        if (this.isPlaying) {
+            this.synthesizer.stop();
+            return;
+        }
+
+        if (!this.transcription || !this.audioBlob) return;
+
+        try {
+            const original = await this.decodeOriginal();
+
+            await this.synthesizer.play(this.transcription, {
+                original,
+                compare: this.modeSelect.value,
+                onPosition: (time, sounding) => {
+                    const labels = { original: 'Recording', transcription: 'Transcription', both: 'Both' };
+                    this.statusElement.textContent = labels[sounding];
+                    this.draw(time);
+                },
+                onEnd: () => {
+                    this.isPlaying = false;
+                    this.playButton.innerHTML = '<i class="fas fa-play"></i> Play';
+                    this.statusElement.textContent = '';
+                    this.draw();
+                }
+            });
+
+            if (this.synthesizer.isPlaying()) {
+                this.isPlaying = true;
+                this.playButton.innerHTML = '<i class="fas fa-stop"></i> Stop';
+            }
+        } catch (error) {
+            console.error('Error playing comparison:', error);
+            this.statusElement.textContent = 'Could not play the recording';
+        }
+    }
+
+    /**
+     * Decode the original recording (once) in the synthesizer's audio context
+     * @returns {AudioBuffer} Decoded recording
+     */
+    async decodeOriginal() {
+        if (!this.originalBuffer) {
+            const context = await this.synthesizer.getAudioContext();
+            const arrayBuffer = await this.audioBlob.arrayBuffer();
+            this.originalBuffer = await context.decodeAudioData(arrayBuffer);
+        }
+        return this.originalBuffer;
+    }
+
+    /**
+     * Get the transcribed notes as bars of the piano roll
+     * @returns {Array<Object>} Notes (midi, start and end time in seconds)
+     */
+    getQuantizedNotes() {
+        const sheetMusic = this.transcription.sheetMusic;
+        if (!sheetMusic || !sheetMusic.notes) return [];
+
+        const secondsPerBeat = 60 / (this.transcription.detectedTempo || 120);
+
+        return sheetMusic.notes
+            .filter(note => !note.rest && noteNameToPitchClass(note.pitch) !== undefined)
+            .map(note => ({
+                midi: (note.octave + 1) * 12 + noteNameToPitchClass(note.pitch),
+                startTime: note.startTime,
+                endTime: note.startTime + noteValueBeats(note) * secondsPerBeat
+            }));
+    }
+
+    /**
+     * Get the sung pitch of every frame, with how far it is from the note it was transcribed as
+     * @returns {Array<Object>} Frames (time, fractional midi, deviation in cents)
+     */
+    getContour() {
+        const tuning = normalizeTuning((this.transcription.metadata || {}).tuning);
+        const key = this.transcription.detectedKey;
+        const frames = [];
+
+        (this.transcription.rawPitchData || []).forEach(pitch => {
+            if (pitch.rest || !pitch.note || !pitch.contour) return;
+
+            const pitchClass = noteNameToPitchClass(pitch.note.name);
+            if (pitchClass === undefined) return;
+            const noteMidi = (pitch.note.octave + 1) * 12 + pitchClass;
+
+            pitch.contour.forEach(({ time, frequency }) => {
+                if (!(frequency > 0)) return;
+
+                const { midi, cents } = frequencyToMidi(frequency, tuning, key);
+                const sung = midi + cents / 100;
+                frames.push({ time, midi: sung, deviation: (sung - noteMidi) * 100 });
+            });
+        });
+
+        return frames.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Draw the piano roll: transcribed notes as bars, the sung pitch as a line, frames
+     * off by more than the threshold in red and the playhead
+     * @param {Number|null} position - Playhead time in seconds
+     */
+    draw(position = null) {
+        if (this.canvas.clientWidth > 0) {
+            this.canvas.width = this.canvas.clientWidth;
+        }
+        this.canvas.height = this.height;
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.canvasCtx.fillStyle = 'rgb(0, 0, 0)';
+        this.canvasCtx.fillRect(0, 0, width, height);
+
+        const notes = this.transcription ? this.getQuantizedNotes() : [];
+        const contour = this.transcription ? this.getContour() : [];
+        if (notes.length === 0 && contour.length === 0) {
+            this.summaryElement.textContent = this.transcription ? 'Nothing to compare' : '';
+            return;
+        }
+
+        // Fit the whole take and its pitch range to the canvas
+        const pitches = [...notes.map(note => note.midi), ...contour.map(frame => frame.midi)];
+        const lowest = Math.floor(Math.min(...pitches)) - this.margin;
+        const highest = Math.ceil(Math.max(...pitches)) + this.margin;
+        const duration = Math.max(
+            ...notes.map(note => note.endTime),
+            ...contour.map(frame => frame.time),
+            this.originalBuffer ? this.originalBuffer.duration : 0
+        );
+        const rowHeight = height / (highest - lowest + 1);
+        const toX = time => time / duration * width;
+        const toY = midi => height - (midi - lowest + 0.5) * rowHeight;
+
+        this.drawGrid(width, height, lowest, highest, rowHeight);
+
+        // Transcribed notes
+        this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        this.canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.canvasCtx.lineWidth = 1;
+        notes.forEach(note => {
+            const x = toX(note.startTime);
+            const y = toY(note.midi) - rowHeight / 2;
+            const barWidth = Math.max(1, toX(note.endTime) - x);
+            this.canvasCtx.fillRect(x, y, barWidth, rowHeight);
+            this.canvasCtx.strokeRect(x, y, barWidth, rowHeight);
+        });
+
+        // Sung pitch, broken at gaps
+        this.canvasCtx.strokeStyle = 'rgb(66, 165, 245)';
+        this.canvasCtx.lineWidth = 2;
+        this.canvasCtx.beginPath();
+        contour.forEach((frame, index) => {
+            const previous = contour[index - 1];
+            if (previous && frame.time - previous.time <= this.maxGap) {
+                this.canvasCtx.lineTo(toX(frame.time), toY(frame.midi));
+            } else {
+                this.canvasCtx.moveTo(toX(frame.time), toY(frame.midi));
+            }
+        });
+        this.canvasCtx.stroke();
+
+        // Frames too far from the transcribed note
+        const deviating = contour.filter(frame => Math.abs(frame.deviation) > this.deviationThreshold);
+        this.canvasCtx.fillStyle = 'rgb(229, 57, 53)';
+        deviating.forEach(frame => {
+            this.canvasCtx.beginPath();
+            this.canvasCtx.arc(toX(frame.time), toY(frame.midi), 3, 0, 2 * Math.PI);
+            this.canvasCtx.fill();
+        });
+
+        if (position !== null) {
+            this.canvasCtx.fillStyle = 'rgb(255, 193, 7)';
+            this.canvasCtx.fillRect(toX(position) - 1, 0, 2, height);
+        }
+
+        this.summaryElement.textContent = contour.length > 0
+            ? `${deviating.length} of ${contour.length} frames are more than ${this.deviationThreshold}¢ from the transcribed note`
+            : 'No pitch contour was kept for this transcription';
+    }
+
+    /**
+     * Draw a row per semitone, with black keys shaded and each C labelled
+     * @param {Number} width - Canvas width
+     * @param {Number} height - Canvas height
+     * @param {Number} lowest - MIDI note of the bottom row
+     * @param {Number} highest - MIDI note of the top row
+     * @param {Number} rowHeight - Height of one semitone
+     */
+    drawGrid(width, height, lowest, highest, rowHeight) {
+        const blackKeys = [1, 3, 6, 8, 10];
+
+        this.canvasCtx.font = '10px sans-serif';
+        this.canvasCtx.textBaseline = 'middle';
+
+        for (let midi = lowest; midi <= highest; midi++) {
+            const pitchClass = ((midi % 12) + 12) % 12;
+            const top = height - (midi - lowest + 1) * rowHeight;
+
+            if (blackKeys.includes(pitchClass)) {
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+                this.canvasCtx.fillRect(0, top, width, rowHeight);
+            }
+
+            if (pitchClass === 0) {
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+                this.canvasCtx.fillRect(0, top + rowHeight - 1, width, 1);
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                this.canvasCtx.fillText(`C${Math.floor(midi / 12) - 1}`, 4, top + rowHeight / 2);
+            }
+        }
+    }
+}
+
+export default ComparisonView;
@@ -0,0 +1,188 @@
+/**
+ * LivePitchDisplay.js
+ * Shows the note being sung and a scrolling piano-roll trace of the pitch
+ */
+import PitchDetection from '../services/pitchDetection.js';
+
+class LivePitchDisplay {
+    constructor(canvas, noteElement) {
+        this.canvas = canvas;
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.noteElement = noteElement;
+        
+        // Used for frequency to note conversion
+        this.pitchDetection = new PitchDetection();
+        
+        // Just and Pythagorean temperaments are built on the tonic of this key
+        this.key = 'C';
+        
+        // Piano-roll settings
+        this.timeWindow = 5;     // Seconds of history shown across the canvas
+        this.visibleRange = 24;  // Semitones shown at once
+        this.maxGap = 0.1;       // Seconds between frames before the trace is broken
+        
+        this.reset();
+    }
+    
+    /**
+     * Clear the trace and the current note
+     */
+    reset() {
+        this.pitches = [];
+        
+        // Start the view around middle C; it follows the singer from there
+        this.lowestNote = 48;
+        
+        if (this.noteElement) {
+            this.noteElement.textContent = '–';
+        }
+    }
+    
+    /**
+     * Set the tuning used for the note name, cents and piano-roll rows
+     * @param {Object} tuning - A4 reference pitch and temperament
+     */
+    setTuning(tuning) {
+        this.pitchDetection.setTuning(tuning);
+    }
+    
+    /**
+     * Set the key the note names and cents are tuned to
+     * @param {String} key - Key name, e.g. 'Bb' or 'F#m' (C if unknown)
+     */
+    setKey(key) {
+        this.key = key || 'C';
+    }
+    
+    /**
+     * Add a pitch reported by the tracker
+     * @param {Object} pitch - Detected pitch
+     * @param {Number} pitch.frequency - Frequency in Hz (0 if unpitched)
+     * @param {Number} pitch.time - Audio context time of the frame
+     */
+    addPitch({ frequency, time }) {
+        const referencePitch = this.pitchDetection.tuning.referencePitch;
+        const midi = frequency > 0 ? 69 + 12 * Math.log2(frequency / referencePitch) : null;
+        this.pitches.push({ midi, time });
+        
+        // Drop frames that have scrolled off the canvas
+        while (this.pitches.length > 0 && this.pitches[0].time < time - this.timeWindow) {
+            this.pitches.shift();
+        }
+        
+        if (midi !== null) {
+            this.followPitch(midi);
+        }
+        
+        this.updateNoteElement(frequency);
+    }
+    
+    /**
+     * Shift the visible range so the pitch stays on screen
+     * @param {Number} midi - Pitch as a (fractional) MIDI note number
+     */
+    followPitch(midi) {
+        const margin = 2;
+        
+        if (midi < this.lowestNote + margin) {
+            this.lowestNote = Math.floor(midi) - margin;
+        } else if (midi > this.lowestNote + this.visibleRange - margin) {
+            this.lowestNote = Math.ceil(midi) + margin - this.visibleRange;
+        }
+    }
+    
+    /**
+     * Show the current note, octave and cents deviation
+     * @param {Number} frequency - Frequency in Hz (0 if unpitched)
+     */
+    updateNoteElement(frequency) {
+        if (!this.noteElement) return;
+        
+        if (frequency <= 0) {
+            this.noteElement.textContent = '–';
+            return;
+        }
+        
+        const note = this.pitchDetection.frequencyToNote(frequency, this.key);
+        const cents = note.cents > 0 ? `+${note.cents}` : `${note.cents}`;
+        this.noteElement.textContent = `${note.name}${note.octave} ${cents}¢`;
+    }
+    
+    /**
+     * Draw the piano roll
+     * @param {Number} now - Current audio context time, at the right edge of the canvas
+     */
+    draw(now) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const rowHeight = height / this.visibleRange;
+        
+        this.canvasCtx.fillStyle = 'rgb(0, 0, 0)';
+        this.canvasCtx.fillRect(0, 0, width, height);
+        
+        this.drawGrid(width, height, rowHeight);
+        
+        // Pitch trace, broken at unpitched frames and gaps
+        const toX = time => width - (now - time) / this.timeWindow * width;
+        const toY = midi => height - (midi - this.lowestNote + 0.5) * rowHeight;
+        
+        this.canvasCtx.lineWidth = 3;
+        this.canvasCtx.strokeStyle = 'rgb(229, 57, 53)';
+        this.canvasCtx.beginPath();
+        
+        let previous = null;
+        this.pitches.forEach(pitch => {
+            if (pitch.midi === null) {
+                previous = null;
+                return;
+            }
+            
+            const x = toX(pitch.time);
+            const y = toY(pitch.midi);
+            
+            if (previous && pitch.time - previous.time <= this.maxGap) {
+                this.canvasCtx.lineTo(x, y);
+            } else {
+                this.canvasCtx.moveTo(x, y);
+                this.canvasCtx.lineTo(x + 1, y);
+            }
+            
+            previous = pitch;
+        });
+        
+        this.canvasCtx.stroke();
+    }
+    
+    /**
+     * Draw a row per semitone, with black keys shaded and each C labelled
+     * @param {Number} width - Canvas width
+     * @param {Number} height - Canvas height
+     * @param {Number} rowHeight - Height of one semitone
+     */
+    drawGrid(width, height, rowHeight) {
+        const blackKeys = [1, 3, 6, 8, 10];
+        
+        this.canvasCtx.font = '10px sans-serif';
+        this.canvasCtx.textBaseline = 'middle';
+        
+        for (let i = 0; i < this.visibleRange; i++) {
+            const midi = this.lowestNote + i;
+            const pitchClass = ((midi % 12) + 12) % 12;
+            const top = height - (i + 1) * rowHeight;
+            
+            if (blackKeys.includes(pitchClass)) {
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+                this.canvasCtx.fillRect(0, top, width, rowHeight);
+            }
+            
+            if (pitchClass === 0) {
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+                this.canvasCtx.fillRect(0, top + rowHeight - 1, width, 1);
+                this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                this.canvasCtx.fillText(`C${Math.floor(midi / 12) - 1}`, 4, top + rowHeight / 2);
+            }
+        }
+    }
+}
+
+export default LivePitchDisplay;
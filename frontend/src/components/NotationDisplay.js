@@ -1,17 +1,41 @@
 import Vex from 'vexflow'; // Import VexFlow main object
+import { parseKey, keySignatureAlter } from '../services/musicTheory.js';
+import { noteValueBeats, buildMeasures } from '../services/rhythm.js';
+import { placeNotes, writtenOctave } from '../services/clefs.js';
+
+// Pitch at the middle line of each clef, where rests are drawn
+const REST_KEYS = { 'treble': 'b/4', 'bass': 'd/3', 'alto': 'c/4', 'tenor': 'a/3' };
+
+// Distance from the top of the treble staff to the bass staff of a grand staff
+const GRAND_STAFF_GAP = 80;
 
 /**
  * NotationDisplay.js
  * Renders musical notation using VexFlow
  */
 class NotationDisplay {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element to render the score into
+     * @param {Object} options - onNoteClick(index), called in edit mode with the index into
+     *   sheetMusic.notes of the clicked note, or null when nothing editable was clicked
+     */
+    constructor(container, { onNoteClick = null } = {}) {
         this.container = container;
         this.vf = null;           // VexFlow renderer
         this.context = null;      // Rendering context
         this.width = 0;           // Canvas width
         this.height = 0;          // Canvas height
         this.sheetMusicData = null; // Parsed sheet music data
+        this.key = 'C';           // Key signature of the score
+        this.tempo = 120;         // Tempo in quarter notes per minute
+        this.timeSignature = { numerator: 4, denominator: 4 };
+        this.drawnNotes = [];     // Notes drawn in score order (note, vfNote, line)
+        this.highlighted = null;  // Drawn note under the playback playhead
+        this.editable = false;    // Whether clicking selects notes for editing
+        this.selectedIndex = null; // Index into sheetMusicData.notes of the selected note
+        this.onNoteClick = onNoteClick;
+
+        this.container.addEventListener('click', (event) => this.handleClick(event));
 
         // Initialize renderer directly now that VexFlow is imported
         this.initializeRenderer();
@@ -86,11 +110,23 @@ class NotationDisplay {
     /**
      * Render musical notation from sheet music data
      * @param {Object} sheetMusicData - Sheet music data from pitch detection
+     * @param {String} key - Key of the score, e.g. 'Bb' or 'F#m' (default C)
+     * @param {Number} tempo - Tempo in quarter notes per minute, to place notes by start time
      */
-    renderNotation(sheetMusicData) {
+    renderNotation(sheetMusicData, key = 'C', tempo = 120) {
         if (!this.context || !sheetMusicData) return;
         
         this.sheetMusicData = sheetMusicData;
+        this.key = key || 'C';
+        this.tempo = tempo || 120;
+        this.timeSignature = {
+            numerator: 4,
+            denominator: 4,
+            ...sheetMusicData.timeSignature
+        };
+        
+        this.drawnNotes = [];
+        this.highlighted = null;
         
         try {
             // Clear the context
@@ -105,14 +141,25 @@ class NotationDisplay {
                 return;
             }
             
-            // Configure number of measures based on note count
+            // Each note goes on a staff, perhaps under an octave sign, for the score's clef
+            const clef = sheetMusicData.clef || 'treble';
+            const placements = placeNotes(notes, clef);
+            
+            // Fill measures by duration in the score's time signature; notes split at barlines
+            // keep the index of the note they were written from, for selecting them
+            const sourceNotes = notes.map((note, sourceIndex) => ({
+                ...note,
+                sourceIndex,
+                ...placements[sourceIndex]
+            }));
+            const measures = buildMeasures(sourceNotes, this.timeSignature, this.tempo);
+            this.placeGapRests(measures, placements);
             const measuresPerLine = 4;
-            const notesPerMeasure = 4; // Assuming 4/4 time for simplicity
-            const totalMeasures = Math.ceil(notes.length / notesPerMeasure);
+            const totalMeasures = measures.length;
             const lines = Math.ceil(totalMeasures / measuresPerLine);
             
-            // Adjust height based on number of lines
-            const lineHeight = 100;
+            // Adjust height based on number of lines; a grand staff needs room for both staves
+            const lineHeight = clef === 'grand' ? 100 + GRAND_STAFF_GAP : 100;
             const newHeight = lines * lineHeight + 50;
             
             if (newHeight !== this.height) {
@@ -120,13 +167,8 @@ class NotationDisplay {
                 this.vf.resize(this.width, this.height);
             }
             
-            // Group notes into measures
-            const measures = [];
-            for (let i = 0; i < totalMeasures; i++) {
-                const startIdx = i * notesPerMeasure;
-                const endIdx = Math.min(startIdx + notesPerMeasure, notes.length);
-                measures.push(notes.slice(startIdx, endIdx));
-            }
+            // Notes drawn so far, for tying notes across barlines
+            const drawn = [];
             
             // Draw each line of the score
             for (let line = 0; line < lines; line++) {
@@ -139,16 +181,26 @@ class NotationDisplay {
                     const measureIdx = line * measuresPerLine + m;
                     const measureNotes = measures[measureIdx];
                     
-                    this.drawMeasure(
+                    const vfNotes = this.drawMeasure(
                         10 + m * staveWidth, 
                         lineY, 
                         staveWidth, 
                         measureNotes, 
                         measureIdx === 0,
-                        sheetMusicData.clef
+                        clef,
+                        m === 0
                     );
+                    
+                    measureNotes.forEach((note, index) => {
+                        drawn.push({ note, vfNote: vfNotes[index], line });
+                    });
                 }
             }
+            
+            this.drawTies(drawn);
+            this.drawOctaveSigns(drawn);
+            this.drawnNotes = drawn;
+            this.showSelection();
         } catch (error) {
             console.error('Error rendering notation:', error);
             this.displayError('Error rendering music notation');
@@ -160,74 +212,374 @@ class NotationDisplay {
      * @param {Number} x - X coordinate for the stave
      * @param {Number} y - Y coordinate for the stave
      * @param {Number} width - Width of the stave
-     * @param {Array} notes - Notes to render in this measure
-     * @param {Boolean} isFirstMeasure - Whether this is the first measure (for clef and time sig)
-     * @param {String} clef - Clef to use ('treble', 'bass', etc.)
+     * @param {Array} notes - Notes to render in this measure, placed on their staff
+     * @param {Boolean} isFirstMeasure - Whether this is the first measure (for the time signature)
+     * @param {String} clef - Clef to use ('treble', 'bass', 'treble-8vb' or 'grand')
+     * @param {Boolean} startsLine - Whether the measure starts a line (for clef and key signature)
+     * @returns {Array} VexFlow notes drawn in the measure
      */
-    drawMeasure(x, y, width, measureNotes, isFirstMeasure, clef = 'treble') {
-        // Create a stave using the imported Vex object
-        const stave = new Vex.Flow.Stave(x, y, width);
-
-        // Add clef and time signature to first measure only
-        if (isFirstMeasure) {
-            stave.addClef(clef).addTimeSignature('4/4');
-        }
+    drawMeasure(x, y, width, measureNotes, isFirstMeasure, clef = 'treble', startsLine = isFirstMeasure) {
+        const { tonic, minor, fifths } = parseKey(this.key);
+        const grand = clef === 'grand';
+        
+        // A grand staff is a treble staff over a bass staff; other clefs have one staff
+        const staffClefs = grand ? ['treble', 'bass'] : [clef];
+        const staves = staffClefs.map((staffClef, index) => {
+            const stave = new Vex.Flow.Stave(x, y + index * GRAND_STAFF_GAP, width);
+            
+            // Every line starts with the clef and key signature; the time signature only opens the piece
+            if (startsLine) {
+                if (staffClef === 'treble-8vb') {
+                    stave.addClef('treble', 'default', '8vb');
+                } else {
+                    stave.addClef(staffClef);
+                }
+                stave.addKeySignature(minor ? `${tonic}m` : tonic);
+            }
+            if (isFirstMeasure) {
+                const { numerator, denominator } = this.timeSignature;
+                stave.addTimeSignature(`${numerator}/${denominator}`);
+            }
+            return stave;
+        });
+        
+        // Notes on both staves start after the wider set of signatures
+        if (grand) Vex.Flow.Stave.formatBegModifiers(staves);
         
-        // Draw the stave
-        stave.setContext(this.context).draw();
+        // Draw the staves, braced together on a grand staff
+        staves.forEach(stave => stave.setContext(this.context).draw());
+        if (grand) this.drawConnectors(staves, startsLine);
         
         // If no notes in this measure, return
-        if (measureNotes.length === 0) return;
+        if (measureNotes.length === 0) return [];
+        
+        // Each staff gets a voice; notes on the other staff hold their place as ghost notes
+        const staffNotes = staffClefs.map(staffClef => {
+            const onStaff = note => !grand || note.staff === staffClef;
+            const vfNotes = this.createVexFlowNotes(measureNotes, fifths, staffClef, onStaff);
+            
+            // Triplets change the notes' ticks, so they're grouped before the notes join a voice
+            // Only tuplets of notes drawn on this staff get a bracket
+            const tuplets = this.createTuplets(measureNotes, vfNotes).filter(tuplet => {
+                return tuplet.getNotes().every(note => !(note instanceof Vex.Flow.GhostNote));
+            });
+            
+            // Create a voice and add notes to it using the imported Vex object
+            const voice = new Vex.Flow.Voice({
+                numBeats: this.timeSignature.numerator,
+                beatValue: this.timeSignature.denominator
+            }).setMode(Vex.Flow.Voice.Mode.SOFT);
+            
+            voice.addTickables(vfNotes);
+            return { vfNotes, voice, tuplets };
+        });
         
-        // Convert notes to VexFlow format
-        const vfNotes = this.createVexFlowNotes(measureNotes);
-
-        // Create a voice and add notes to it using the imported Vex object
-        const voice = new Vex.Flow.Voice({
-            num_beats: 4,
-            beat_value: 4
-        }).setMode(Vex.Flow.Voice.Mode.SOFT);
-
-        voice.addTickables(vfNotes);
-
         // Format the notes to fit in the stave using the imported Vex object
-        new Vex.Flow.Formatter()
-            .joinVoices([voice])
-            .format([voice], width - 50);
+        // Format into the space left after the clef and signatures
+        const voices = staffNotes.map(({ voice }) => voice);
+        const formatter = new Vex.Flow.Formatter();
+        voices.forEach(voice => formatter.joinVoices([voice]));
+        formatter.format(voices, staves[0].getNoteEndX() - staves[0].getNoteStartX() - 10);
+        
+        // Draw the voices
+        staffNotes.forEach(({ voice, tuplets }, index) => {
+            voice.draw(this.context, staves[index]);
+            tuplets.forEach(tuplet => tuplet.setContext(this.context).draw());
+        });
+        
+        // Each note is the one drawn on its own staff
+        return measureNotes.map((note, index) => {
+            const staffIndex = grand && note.staff === 'bass' ? 1 : 0;
+            return staffNotes[staffIndex].vfNotes[index];
+        });
+    }
+    
+    /**
+     * Join the staves of a grand staff with a brace at the start of a line and barlines through both
+     * @param {Array} staves - Treble and bass staves of one measure
+     * @param {Boolean} startsLine - Whether the measure starts a line
+     */
+    drawConnectors(staves, startsLine) {
+        const types = startsLine ? ['brace', 'singleLeft', 'singleRight'] : ['singleRight'];
+        
+        types.forEach(type => {
+            new Vex.Flow.StaveConnector(staves[0], staves[1])
+                .setType(type)
+                .setContext(this.context)
+                .draw();
+        });
+    }
+    
+    /**
+     * Put the rests that fill gaps between notes on the staff of the note before them
+     * @param {Array<Array>} measures - Notes of each measure
+     * @param {Array<Object>} placements - Staff and octave sign of each sheet music note
+     */
+    placeGapRests(measures, placements) {
+        let staff = placements.length > 0 ? placements[0].staff : 'treble';
+        
+        measures.forEach(measureNotes => {
+            measureNotes.forEach(note => {
+                if (note.staff) {
+                    staff = note.staff;
+                } else {
+                    note.staff = staff;
+                    note.ottava = 0;
+                }
+            });
+        });
+    }
+    
+    /**
+     * Group consecutive triplet notes into one beat-long tuplet each
+     * @param {Array} notes - Notes of one measure in our internal format
+     * @param {Array} vfNotes - The matching VexFlow notes
+     * @returns {Array} VexFlow tuplets
+     */
+    createTuplets(notes, vfNotes) {
+        const tuplets = [];
+        let group = [];
+        let beats = 0;
+        
+        const closeGroup = () => {
+            if (group.length > 0) {
+                tuplets.push(new Vex.Flow.Tuplet(group, { numNotes: 3, notesOccupied: 2 }));
+            }
+            group = [];
+            beats = 0;
+        };
+        
+        notes.forEach((note, index) => {
+            if (!note.tuplet) {
+                closeGroup();
+                return;
+            }
+            
+            group.push(vfNotes[index]);
+            beats += noteValueBeats(note);
+            
+            // A triplet group fills one beat
+            if (beats > 0.99) closeGroup();
+        });
+        closeGroup();
+        
+        return tuplets;
+    }
+    
+    /**
+     * Draw ties between tied notes, splitting ties that cross a line break
+     * @param {Array<Object>} drawn - Notes in score order (note, vfNote, line)
+     */
+    drawTies(drawn) {
+        drawn.forEach((current, index) => {
+            const next = drawn[index + 1];
+            if (!current.note.tie || !next || !current.vfNote || !next.vfNote) return;
+            
+            const ties = current.line === next.line
+                ? [{ firstNote: current.vfNote, lastNote: next.vfNote }]
+                : [{ firstNote: current.vfNote }, { lastNote: next.vfNote }];
+            
+            ties.forEach(notes => {
+                new Vex.Flow.StaveTie(notes).setContext(this.context).draw();
+            });
+        });
+    }
+    
+    /**
+     * Draw 8va and 8vb signs over runs of notes written an octave from where they sound
+     * @param {Array<Object>} drawn - Notes in score order (note, vfNote, line)
+     */
+    drawOctaveSigns(drawn) {
+        let run = null;
+        
+        const closeRun = () => {
+            if (run) {
+                const above = run.ottava > 0;
+                new Vex.Flow.TextBracket({
+                    start: run.start,
+                    stop: run.stop,
+                    text: '8',
+                    superscript: above ? 'va' : 'vb',
+                    position: above ? 'top' : 'bottom'
+                }).setContext(this.context).draw();
+            }
+            run = null;
+        };
+        
+        drawn.forEach(({ note, vfNote, line }) => {
+            if (!vfNote) return;
+            
+            // A run breaks at a line break or when the notes go back on the staff
+            const continues = run && run.line === line && run.staff === note.staff && run.ottava === note.ottava;
+            if (!continues) {
+                closeRun();
+                if (note.ottava) {
+                    run = { start: vfNote, stop: vfNote, line, staff: note.staff, ottava: note.ottava };
+                }
+            } else {
+                run.stop = vfNote;
+            }
+        });
+        closeRun();
+    }
+    
+    /**
+     * Highlight the note sounding at a time, as a playhead during playback
+     * @param {Number|null} time - Time in seconds from the start of the recording, or null to clear
+     */
+    highlightAt(time) {
+        const secondsPerBeat = 60 / this.tempo;
+        const current = time === null ? null : this.drawnNotes.find(({ note }) => !note.rest &&
+            time >= note.startTime && time < note.startTime + noteValueBeats(note) * secondsPerBeat) || null;
+        
+        if (current === this.highlighted) return;
+        
+        [this.highlighted, current].forEach(drawnNote => {
+            const element = drawnNote && drawnNote.vfNote && drawnNote.vfNote.getSVGElement();
+            if (element) {
+                element.classList.toggle('playing', drawnNote === current);
+            }
+        });
+        this.highlighted = current;
+    }
+    
+    /**
+     * Turn editing on or off; the score takes keyboard focus while editing
+     * @param {Boolean} editable - Whether notes can be selected
+     */
+    setEditable(editable) {
+        this.editable = editable;
+        this.container.classList.toggle('editing', editable);
+        this.container.tabIndex = editable ? 0 : -1;
+        
+        if (editable) {
+            this.container.focus();
+        } else {
+            this.setSelection(null);
+        }
+    }
+    
+    /**
+     * Mark a note as selected, including every piece it was split into at barlines
+     * @param {Number|null} index - Index into the sheet music notes, or null to clear
+     */
+    setSelection(index) {
+        this.selectedIndex = index;
+        this.showSelection();
+    }
+    
+    /**
+     * Apply the selected class to the drawn notes
+     */
+    showSelection() {
+        this.drawnNotes.forEach(({ note, vfNote }) => {
+            const element = vfNote && vfNote.getSVGElement();
+            if (element) {
+                element.classList.toggle('selected',
+                    this.selectedIndex !== null && note.sourceIndex === this.selectedIndex);
+            }
+        });
+    }
+    
+    /**
+     * Select the clicked note in edit mode
+     * @param {MouseEvent} event - Click on the score
+     */
+    handleClick(event) {
+        if (!this.editable || !this.onNoteClick) return;
+        
+        const clicked = this.drawnNotes.find(({ vfNote }) => {
+            const element = vfNote && vfNote.getSVGElement();
+            return element && element.contains(event.target);
+        });
         
-        // Draw the voice
-        voice.draw(this.context, stave);
+        // Rests filling gaps and the end of the last bar aren't in the score data
+        const index = clicked && clicked.note.sourceIndex !== undefined ? clicked.note.sourceIndex : null;
+        this.onNoteClick(index);
     }
     
     /**
      * Convert our note format to VexFlow notes
-     * @param {Array} notes - Notes in our internal format
+     * @param {Array} notes - Notes of one measure in our internal format
+     * @param {Number} fifths - Sharps (positive) or flats (negative) in the key signature
+     * @param {String} staff - Clef of the staff the notes are drawn on
+     * @param {Function} onStaff - Whether a note is on this staff; the others become ghost notes
      * @returns {Array} VexFlow formatted notes
      */
-    createVexFlowNotes(notes) {
+    createVexFlowNotes(notes, fifths = 0, staff = 'treble', onStaff = () => true) {
+        // Alterations in force for each letter and octave; they last until the barline
+        const alterations = {};
+        
+        // The tenor clef is a treble clef with the notes written an octave up
+        const clef = staff === 'treble-8vb' ? 'treble' : staff;
+        
         return notes.map(note => {
             // Convert our note data to VexFlow format
-            const noteName = note.pitch + '/' + note.octave;
             const duration = note.duration || 'q'; // Default to quarter note
+            const dots = note.dots || 0;
+            
+            // Notes on the other staff of a grand staff only take up their time here
+            if (!onStaff(note)) {
+                return new Vex.Flow.GhostNote({ duration: this.convertDuration(duration) + 'd'.repeat(dots) });
+            }
+            
+            // Rests sit in the middle of the stave
+            if (note.rest) {
+                const rest = new Vex.Flow.StaveNote({
+                    clef,
+                    keys: [REST_KEYS[clef] || REST_KEYS.treble],
+                    duration: this.convertDuration(duration) + 'd'.repeat(dots) + 'r'
+                });
+                if (dots > 0) Vex.Flow.Dot.buildAndAttach([rest], { all: true });
+                return rest;
+            }
+            
+            const octave = writtenOctave({ ...note, staff });
+            const noteName = note.pitch + '/' + octave;
 
             // Create a StaveNote using the imported Vex object
             const staveNote = new Vex.Flow.StaveNote({
-                clef: 'treble',
+                clef,
                 keys: [noteName],
-                duration: this.convertDuration(duration)
+                duration: this.convertDuration(duration) + 'd'.repeat(dots)
             });
+            if (dots > 0) Vex.Flow.Dot.buildAndAttach([staveNote], { all: true });
+            
+            // Add an accidental where the note differs from the key signature or an earlier accidental
+            const step = note.pitch[0].toUpperCase();
+            const alter = this.getAlter(note.pitch);
+            const position = `${step}${octave}`;
+            const current = position in alterations ? alterations[position] : keySignatureAlter(step, fifths);
             
-            // Add accidental if needed using the imported Vex object
-            if (note.pitch.includes('#')) {
-                staveNote.addAccidental(0, new Vex.Flow.Accidental('#'));
-            } else if (note.pitch.includes('b')) {
-                staveNote.addAccidental(0, new Vex.Flow.Accidental('b'));
+            if (alter !== current) {
+                staveNote.addModifier(new Vex.Flow.Accidental(this.accidentalFor(alter)), 0);
+                alterations[position] = alter;
             }
             
             return staveNote;
         });
     }
     
+    /**
+     * Get the alteration written in a note name
+     * @param {String} pitch - Note name, e.g. 'F#' or 'Bb'
+     * @returns {Number} Semitones up (sharps) or down (flats)
+     */
+    getAlter(pitch) {
+        const accidentals = pitch.slice(1);
+        return (accidentals.match(/[#♯]/g) || []).length - (accidentals.match(/[b♭]/g) || []).length;
+    }
+    
+    /**
+     * Get the VexFlow accidental for an alteration
+     * @param {Number} alter - Semitones up or down
+     * @returns {String} VexFlow accidental type
+     */
+    accidentalFor(alter) {
+        const accidentals = { '-2': 'bb', '-1': 'b', '0': 'n', '1': '#', '2': '##' };
+        return accidentals[alter] || 'n';
+    }
+    
     /**
      * Convert our duration format to VexFlow duration
      * @param {String} duration - Our duration format
@@ -266,7 +618,7 @@ class NotationDisplay {
             this.vf.resize(this.width, this.height);
             
             if (this.sheetMusicData) {
-                this.renderNotation(this.sheetMusicData);
+                this.renderNotation(this.sheetMusicData, this.key, this.tempo);
             } else {
                 this.drawPlaceholder();
             }
@@ -2,17 +2,21 @@
  * SavedRecordings.js
  * Manages user's saved recordings
  */
+import MusicXml from '../services/musicXml.js';
+
 class SavedRecordings {
     constructor(container, authService) {
         this.container = container;
         this.authService = authService;
         this.recordings = [];
+        this.musicXml = new MusicXml();
         
         // API endpoints
         this.apiBaseUrl = '/api';
         this.endpoints = {
             recordings: `${this.apiBaseUrl}/recordings`,
             download: `${this.apiBaseUrl}/recordings/download`,
+            transcriptions: `${this.apiBaseUrl}/transcriptions`,
         };
         
         // Bind methods
@@ -21,6 +25,7 @@ class SavedRecordings {
         this.playRecording = this.playRecording.bind(this);
         this.deleteRecording = this.deleteRecording.bind(this);
         this.downloadSheet = this.downloadSheet.bind(this);
+        this.importMusicXml = this.importMusicXml.bind(this);
         
         // Listen for auth events
         document.addEventListener('userLoggedIn', this.loadRecordings);
@@ -111,6 +116,9 @@ class SavedRecordings {
                         <button class="download-sheet" data-id="${recording.id}">
                             <i class="fas fa-file-download"></i> Sheet Music
                         </button>
+                        <button class="import-musicxml" data-id="${recording.id}">
+                            <i class="fas fa-file-import"></i> Import MusicXML
+                        </button>
                         <button class="delete-recording" data-id="${recording.id}">
                             <i class="fas fa-trash"></i> Delete
                         </button>
@@ -134,6 +142,12 @@ class SavedRecordings {
             });
         });
         
+        this.container.querySelectorAll('.import-musicxml').forEach(button => {
+            button.addEventListener('click', () => {
+                this.chooseMusicXmlFile(button.dataset.id);
+            });
+        });
+        
         this.container.querySelectorAll('.delete-recording').forEach(button => {
             button.addEventListener('click', () => {
                 this.deleteRecording(button.dataset.id);
@@ -272,6 +286,133 @@ class SavedRecordings {
         }
     }
     
+    /**
+     * Let the user pick a MusicXML file to import into a recording
+     * @param {String} recordingId - ID of the recording
+     */
+    chooseMusicXmlFile(recordingId) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.musicxml,.xml';
+        
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                this.importMusicXml(recordingId, input.files[0]);
+            }
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * Import a MusicXML file as a new transcription of a saved recording
+     * @param {String} recordingId - ID of the recording
+     * @param {File} file - MusicXML file
+     */
+    async importMusicXml(recordingId, file) {
+        try {
+            const transcription = this.musicXml.fromMusicXml(await file.text());
+            const saved = await this.saveTranscription(recordingId, transcription);
+            
+            // Point the local copy at its new current transcription
+            const recording = this.recordings.find(r => r.id === recordingId);
+            if (recording) {
+                recording.transcription = saved._id;
+            }
+            
+            // Show the imported score in the results tabs
+            const event = new CustomEvent('transcriptionLoaded', {
+                detail: { transcription: saved }
+            });
+            document.dispatchEvent(event);
+        } catch (error) {
+            console.error('Error importing MusicXML:', error);
+            alert('Failed to import MusicXML. Please check the file and try again.');
+        }
+    }
+    
+    /**
+     * Save a transcription for a saved recording
+     * @param {String} recordingId - ID of the recording
+     * @param {Object} transcription - Transcription data
+     * @returns {Promise<Object>} Created transcription
+     */
+    async saveTranscription(recordingId, transcription) {
+        const response = await fetch(this.endpoints.transcriptions, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.authService.getAuthToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...transcription,
+                recording: recordingId
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to save transcription');
+        }
+        
+        const data = await response.json();
+        return data.transcription;
+    }
+    
+    /**
+     * Update a saved transcription, e.g. after editing its notes
+     * @param {String} transcriptionId - ID of the transcription
+     * @param {Object} changes - Fields to replace
+     * @returns {Promise<Object>} Updated transcription
+     */
+    async updateTranscription(transcriptionId, changes) {
+        const response = await fetch(`${this.endpoints.transcriptions}/${transcriptionId}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${this.authService.getAuthToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to update transcription');
+        }
+        
+        const data = await response.json();
+        return data.transcription;
+    }
+    
+    /**
+     * Transpose a saved transcription into a new version; the original is kept
+     * @param {String} transcriptionId - ID of the transcription
+     * @param {Object} options - Semitones, or the key to transpose to
+     * @returns {Promise<Object>} New transcription
+     */
+    async transposeTranscription(transcriptionId, options) {
+        const response = await fetch(`${this.endpoints.transcriptions}/${transcriptionId}/transpose`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.authService.getAuthToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(options)
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to transpose transcription');
+        }
+        
+        const data = await response.json();
+        
+        // The new version becomes the recording's current transcription
+        const recording = this.recordings.find(r => r.transcription === transcriptionId);
+        if (recording) {
+            recording.transcription = data.transcription._id;
+        }
+        
+        return data.transcription;
+    }
+    
     /**
      * Delete a saved recording
      * @param {String} recordingId - ID of the recording to delete
@@ -0,0 +1,127 @@
+/**
+ * TuningSettings.js
+ * Lets the user choose the A4 reference pitch and temperament
+ */
+import {
+    DEFAULT_TUNING,
+    MIN_REFERENCE_PITCH,
+    MAX_REFERENCE_PITCH,
+    normalizeTuning
+} from '../services/tuning.js';
+
+class TuningSettings {
+    constructor(container, authService) {
+        this.container = container;
+        this.authService = authService;
+        
+        // Logged-in users keep their tuning on their profile; otherwise it stays in this browser
+        this.storageKey = 'melodyTranscriberTuning';
+        this.tuning = this.loadTuning();
+        
+        this.render();
+        
+        // Switch to the user's own tuning when they log in
+        document.addEventListener('userLoggedIn', (event) => {
+            const user = event.detail.user;
+            if (user && user.tuning) {
+                this.applyTuning(user.tuning);
+            }
+        });
+    }
+    
+    /**
+     * Load the tuning from the user profile or local storage
+     * @returns {Object} Tuning settings
+     */
+    loadTuning() {
+        const user = this.authService.getCurrentUser();
+        if (user && user.tuning) {
+            return normalizeTuning(user.tuning);
+        }
+        
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return normalizeTuning(stored ? JSON.parse(stored) : DEFAULT_TUNING);
+        } catch (error) {
+            console.error('Error loading tuning from storage:', error);
+            return { ...DEFAULT_TUNING };
+        }
+    }
+    
+    /**
+     * Render the tuning controls
+     */
+    render() {
+        this.container.innerHTML = `
+            <label for="reference-pitch-input">A4 =</label>
+            <input type="number" id="reference-pitch-input"
+                min="${MIN_REFERENCE_PITCH}" max="${MAX_REFERENCE_PITCH}" step="0.5">
+            <span>Hz</span>
+            <select id="temperament-select" aria-label="Temperament">
+                <option value="equal">Equal temperament</option>
+                <option value="just">Just intonation</option>
+                <option value="pythagorean">Pythagorean</option>
+            </select>
+        `;
+        
+        this.referencePitchInput = document.getElementById('reference-pitch-input');
+        this.temperamentSelect = document.getElementById('temperament-select');
+        this.updateInputs();
+        
+        this.referencePitchInput.addEventListener('change', () => this.handleChange());
+        this.temperamentSelect.addEventListener('change', () => this.handleChange());
+    }
+    
+    /**
+     * Show the current tuning in the controls
+     */
+    updateInputs() {
+        this.referencePitchInput.value = this.tuning.referencePitch;
+        this.temperamentSelect.value = this.tuning.temperament;
+    }
+    
+    /**
+     * Handle a change to either control
+     */
+    async handleChange() {
+        this.applyTuning({
+            referencePitch: parseFloat(this.referencePitchInput.value),
+            temperament: this.temperamentSelect.value
+        });
+        
+        if (this.authService.isLoggedIn()) {
+            try {
+                await this.authService.updateProfile({ tuning: this.tuning });
+            } catch (error) {
+                console.error('Error saving tuning:', error);
+            }
+        }
+    }
+    
+    /**
+     * Use a new tuning and tell the rest of the app about it
+     * @param {Object} tuning - A4 reference pitch and temperament
+     */
+    applyTuning(tuning) {
+        // Out-of-range reference pitches are clamped
+        this.tuning = normalizeTuning(tuning);
+        this.updateInputs();
+        
+        localStorage.setItem(this.storageKey, JSON.stringify(this.tuning));
+        
+        const event = new CustomEvent('tuningChanged', {
+            detail: { tuning: this.tuning }
+        });
+        document.dispatchEvent(event);
+    }
+    
+    /**
+     * Get the current tuning
+     * @returns {Object} A4 reference pitch and temperament
+     */
+    getTuning() {
+        return { ...this.tuning };
+    }
+}
+
+export default TuningSettings;
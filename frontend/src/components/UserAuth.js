@@ -14,7 +14,8 @@ class UserAuth {
             login: `${this.apiBaseUrl}/auth/login`,
             register: `${this.apiBaseUrl}/auth/register`,
             logout: `${this.apiBaseUrl}/auth/logout`,
-            validateToken: `${this.apiBaseUrl}/auth/validate`
+            validateToken: `${this.apiBaseUrl}/auth/validate`,
+            profile: `${this.apiBaseUrl}/auth/profile`
         };
         
         // Init state from localStorage if available
@@ -307,6 +308,48 @@ class UserAuth {
         this.dispatchAuthEvent('userLoggedIn', { user });
     }
     
+    /**
+     * Update the current user's profile settings
+     * @param {Object} changes - Settings to change, e.g. { tuning }
+     * @returns {Promise<Object>} Updated user
+     */
+    async updateProfile(changes) {
+        if (!this.isLoggedIn()) {
+            throw new Error('You must be logged in to update your profile');
+        }
+        
+        const response = await fetch(this.endpoints.profile, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${this.authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to update profile');
+        }
+        
+        this.updateCurrentUser(data.user);
+        return data.user;
+    }
+    
+    /**
+     * Replace the stored user data, e.g. after the profile was updated
+     * @param {Object} user - Updated user data
+     */
+    updateCurrentUser(user) {
+        this.currentUser = user;
+        
+        localStorage.setItem('melodyTranscriberAuth', JSON.stringify({
+            user,
+            token: this.authToken
+        }));
+    }
+    
     /**
      * Logout the current user
      * @param {Boolean} callApi - Whether to call the logout API endpoint
@@ -0,0 +1,510 @@
+/**
+ * WaveformView.js
+ * Zoomable waveform or spectrogram of the recording, with the transcription's bar lines;
+ * a span selected on it can be analyzed again with other settings
+ */
+import { computePeaks, computeSpectrogram } from '../services/audioBuffers.js';
+
+// Spectrogram colours from quietest to loudest
+const SPECTROGRAM_COLORS = [
+    [0, 0, 0],
+    [30, 20, 120],
+    [190, 40, 120],
+    [255, 160, 0],
+    [255, 255, 200]
+];
+
+// Levels shown in the spectrogram, in dB of a full-scale sine
+const SPECTROGRAM_FLOOR = -100;
+const SPECTROGRAM_CEILING = -20;
+
+// Spacing of the time labels in seconds; the smallest that leaves room between labels is used
+const TIME_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60];
+
+class WaveformView {
+    /**
+     * @param {HTMLElement} container - Element to render the view into
+     * @param {Object} options - onAnalyze({ start, end, options }), called with the selected span
+     *   in seconds and the analysis settings picked for it
+     */
+    constructor(container, { onAnalyze = null } = {}) {
+        this.container = container;
+        this.onAnalyze = onAnalyze;
+
+        this.audioBuffer = null;  // Decoded recording
+        this.barLines = [];       // Bar line times of the transcription, in seconds
+        this.view = null;         // Span shown (start and end in seconds)
+        this.selection = null;    // Span to analyze again (start and end in seconds)
+        this.anchor = null;       // Time the selection drag started from
+        this.busy = false;        // Whether the selection is being analyzed
+        this.peaks = null;        // Waveform of the shown span, with the key it was computed for
+        this.spectrogram = null;  // Spectrogram image of the shown span, with its key
+
+        // View settings
+        this.height = 200;
+        this.minSpan = 0.1;       // Shortest span that can be zoomed to, in seconds
+        this.zoomStep = 2;        // Zoom factor of each button press or wheel step
+        this.minSelection = 0.05; // Shorter drags are clicks, which clear the selection
+        this.labelSpacing = 80;   // Pixels wanted between time labels
+
+        this.render();
+    }
+
+    /**
+     * Render the view controls, the canvas and the region analysis settings
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="waveform-controls">
+                <select class="waveform-view-select" aria-label="View">
+                    <option value="waveform">Waveform</option>
+                    <option value="spectrogram">Spectrogram</option>
+                </select>
+                <button class="waveform-zoom-out-button" title="Zoom out" disabled>
+                    <i class="fas fa-search-minus"></i>
+                </button>
+                <button class="waveform-zoom-in-button" title="Zoom in (Ctrl + wheel)" disabled>
+                    <i class="fas fa-search-plus"></i>
+                </button>
+                <button class="waveform-fit-button" disabled>Fit</button>
+                <span class="waveform-selection-info"></span>
+            </div>
+            <canvas class="waveform-canvas"></canvas>
+            <input type="range" class="waveform-scroll hidden" min="0" step="any" aria-label="Scroll">
+            <div class="waveform-region-controls">
+                <label>
+                    Input
+                    <select class="waveform-mode-select">
+                        <option value="monophonic">Voice or melody</option>
+                        <option value="polyphonic">Chords (guitar, piano)</option>
+                    </select>
+                </label>
+                <label>
+                    Pitch detector
+                    <select class="waveform-detector-select">
+                        <option value="yin">YIN</option>
+                        <option value="mpm">McLeod (MPM)</option>
+                    </select>
+                </label>
+                <label>
+                    Shortest note
+                    <select class="waveform-min-note-select">
+                        <option value="0.05">50 ms</option>
+                        <option value="0.1" selected>100 ms</option>
+                        <option value="0.2">200 ms</option>
+                    </select>
+                </label>
+                <button class="waveform-analyze-button" disabled>
+                    <i class="fas fa-redo"></i> Re-analyze selection
+                </button>
+                <button class="waveform-clear-button" disabled>Clear selection</button>
+            </div>
+            <p class="waveform-status"></p>
+        `;
+
+        this.viewSelect = this.container.querySelector('.waveform-view-select');
+        this.zoomOutButton = this.container.querySelector('.waveform-zoom-out-button');
+        this.zoomInButton = this.container.querySelector('.waveform-zoom-in-button');
+        this.fitButton = this.container.querySelector('.waveform-fit-button');
+        this.selectionInfo = this.container.querySelector('.waveform-selection-info');
+        this.canvas = this.container.querySelector('.waveform-canvas');
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.scrollInput = this.container.querySelector('.waveform-scroll');
+        this.modeSelect = this.container.querySelector('.waveform-mode-select');
+        this.detectorSelect = this.container.querySelector('.waveform-detector-select');
+        this.minNoteSelect = this.container.querySelector('.waveform-min-note-select');
+        this.analyzeButton = this.container.querySelector('.waveform-analyze-button');
+        this.clearButton = this.container.querySelector('.waveform-clear-button');
+        this.statusElement = this.container.querySelector('.waveform-status');
+
+        this.viewSelect.addEventListener('change', () => this.draw());
+
+        // Zooming keeps the selection in view if there is one
+        this.zoomOutButton.addEventListener('click', () => this.zoom(1 / this.zoomStep));
+        this.zoomInButton.addEventListener('click', () => this.zoom(this.zoomStep));
+        this.fitButton.addEventListener('click', () => this.setView(0, this.audioBuffer.duration));
+        this.scrollInput.addEventListener('input', () => {
+            const span = this.view.end - this.view.start;
+            const start = parseFloat(this.scrollInput.value);
+            this.setView(start, start + span);
+        });
+
+        // Selecting, by dragging across the canvas
+        this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        this.canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+        this.canvas.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+
+        this.analyzeButton.addEventListener('click', () => this.analyzeSelection());
+        this.clearButton.addEventListener('click', () => {
+            this.selection = null;
+            this.updateControls();
+            this.draw();
+        });
+    }
+
+    /**
+     * Show a recording; the zoom and selection are kept while it stays the same
+     * @param {AudioBuffer|null} audioBuffer - Decoded recording, or null to show nothing
+     * @param {Object} options - Bar line times of its transcription in seconds, and the
+     *   analysis mode it was transcribed in, as the default for the selection
+     */
+    setAudio(audioBuffer, { barLines = [], mode = null } = {}) {
+        if (audioBuffer !== this.audioBuffer) {
+            this.audioBuffer = audioBuffer;
+            this.view = audioBuffer ? { start: 0, end: audioBuffer.duration } : null;
+            this.selection = null;
+            this.anchor = null;
+            this.peaks = null;
+            this.spectrogram = null;
+
+            if (mode) {
+                this.modeSelect.value = mode;
+            }
+        }
+
+        this.barLines = barLines;
+        this.statusElement.textContent = audioBuffer
+            ? 'Drag across the recording to select bars to analyze again'
+            : 'The recording is only available right after recording or transcribing a file';
+
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Show that the selection is being analyzed, or has finished
+     * @param {Boolean} busy - Whether an analysis is running
+     * @param {String} message - Progress or result to show, if any
+     */
+    setBusy(busy, message = null) {
+        this.busy = busy;
+        if (message !== null) {
+            this.statusElement.textContent = message;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Zoom the view around the selection, or the middle of the view
+     * @param {Number} factor - How many times closer to zoom (below 1 zooms out)
+     * @param {Number} anchor - Time that stays in place, in seconds
+     */
+    zoom(factor, anchor = null) {
+        if (!this.audioBuffer) return;
+
+        const { start, end } = this.view;
+        if (anchor === null) {
+            const visible = this.selection && this.selection.end > start && this.selection.start < end;
+            anchor = visible ? (this.selection.start + this.selection.end) / 2 : (start + end) / 2;
+        }
+
+        const span = (end - start) / factor;
+        const fraction = (anchor - start) / (end - start);
+        const newStart = anchor - fraction * span;
+        this.setView(newStart, newStart + span);
+    }
+
+    /**
+     * Show a span of the recording, kept inside it and no shorter than the minimum
+     * @param {Number} start - Start in seconds
+     * @param {Number} end - End in seconds
+     */
+    setView(start, end) {
+        if (!this.audioBuffer) return;
+
+        const duration = this.audioBuffer.duration;
+        const span = Math.min(duration, Math.max(Math.min(this.minSpan, duration), end - start));
+        start = Math.max(0, Math.min(start, duration - span));
+
+        this.view = { start, end: start + span };
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Enable the controls that apply, and describe the selection
+     */
+    updateControls() {
+        const hasAudio = Boolean(this.audioBuffer);
+        const duration = hasAudio ? this.audioBuffer.duration : 0;
+        const span = hasAudio ? this.view.end - this.view.start : 0;
+
+        this.zoomInButton.disabled = !hasAudio || span <= Math.min(this.minSpan, duration);
+        this.zoomOutButton.disabled = !hasAudio || span >= duration;
+        this.fitButton.disabled = this.zoomOutButton.disabled;
+
+        // The scroll bar only shows when zoomed in
+        this.scrollInput.classList.toggle('hidden', !hasAudio || span >= duration);
+        if (hasAudio) {
+            this.scrollInput.max = Math.max(0, duration - span);
+            this.scrollInput.value = this.view.start;
+        }
+
+        this.analyzeButton.disabled = !this.selection || this.busy;
+        this.clearButton.disabled = !this.selection || this.busy;
+
+        if (!this.selection) {
+            this.selectionInfo.textContent = '';
+            return;
+        }
+
+        const { start, end } = this.selection;
+        let info = `Selected ${this.formatTime(start)}–${this.formatTime(end)}`;
+        const firstBar = this.barLines.filter(time => time <= start + 1e-6).length;
+        const lastBar = this.barLines.filter(time => time < end - 1e-6).length;
+        if (firstBar > 0) {
+            info += firstBar === lastBar ? ` (bar ${firstBar})` : ` (bars ${firstBar}–${lastBar})`;
+        }
+        this.selectionInfo.textContent = info;
+    }
+
+    /**
+     * Hand the selection and the settings picked for it over for analysis
+     */
+    analyzeSelection() {
+        if (!this.selection || this.busy || !this.onAnalyze) return;
+
+        this.onAnalyze({
+            start: this.selection.start,
+            end: this.selection.end,
+            options: {
+                mode: this.modeSelect.value,
+                detector: this.detectorSelect.value,
+                segmentation: { minNoteLength: parseFloat(this.minNoteSelect.value) }
+            }
+        });
+    }
+
+    /**
+     * Start selecting from where the canvas was pressed
+     * @param {PointerEvent} event - Pointer pressed on the canvas
+     */
+    handlePointerDown(event) {
+        if (!this.audioBuffer || this.busy) return;
+
+        this.anchor = this.timeAt(event);
+        this.selection = null;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Stretch the selection to the pointer
+     * @param {PointerEvent} event - Pointer moved over the canvas
+     */
+    handlePointerMove(event) {
+        if (this.anchor === null) return;
+
+        const time = this.timeAt(event);
+        this.selection = { start: Math.min(this.anchor, time), end: Math.max(this.anchor, time) };
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Finish the selection, widened to whole bars; a click clears it
+     */
+    handlePointerUp() {
+        if (this.anchor === null) return;
+        this.anchor = null;
+
+        if (this.selection && this.selection.end - this.selection.start >= this.minSelection) {
+            this.selection = this.snapToBars(this.selection);
+        } else {
+            this.selection = null;
+        }
+
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Zoom with Ctrl (or Cmd) and the wheel, scroll sideways with Shift or a sideways swipe
+     * @param {WheelEvent} event - Wheel turned over the canvas
+     */
+    handleWheel(event) {
+        if (!this.audioBuffer) return;
+
+        const span = this.view.end - this.view.start;
+        if (event.ctrlKey || event.metaKey) {
+            event.preventDefault();
+            this.zoom(event.deltaY < 0 ? this.zoomStep : 1 / this.zoomStep, this.timeAt(event));
+        } else if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+            event.preventDefault();
+            const delta = (event.deltaX || event.deltaY) / this.canvas.clientWidth * span;
+            this.setView(this.view.start + delta, this.view.end + delta);
+        }
+    }
+
+    /**
+     * Widen a selection to the bar lines either side of it
+     * @param {Object} selection - Start and end in seconds
+     * @returns {Object} Widened selection
+     */
+    snapToBars({ start, end }) {
+        if (this.barLines.length === 0) return { start, end };
+
+        const before = this.barLines.filter(time => time <= start + 1e-6);
+        const after = this.barLines.filter(time => time >= end - 1e-6);
+
+        // A pickup bar may start before the recording
+        return {
+            start: Math.max(0, before.length > 0 ? before[before.length - 1] : this.barLines[0]),
+            end: Math.min(this.audioBuffer.duration, after.length > 0 ? after[0] : this.audioBuffer.duration)
+        };
+    }
+
+    /**
+     * Get the time in the recording under the pointer
+     * @param {PointerEvent|WheelEvent} event - Pointer event on the canvas
+     * @returns {Number} Time in seconds
+     */
+    timeAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return this.view.start + fraction * (this.view.end - this.view.start);
+    }
+
+    /**
+     * Draw the shown span as a waveform or spectrogram, with bar lines, time labels and the selection
+     */
+    draw() {
+        if (this.canvas.clientWidth > 0) {
+            this.canvas.width = this.canvas.clientWidth;
+        }
+        this.canvas.height = this.height;
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.canvasCtx.fillStyle = 'rgb(0, 0, 0)';
+        this.canvasCtx.fillRect(0, 0, width, height);
+
+        if (!this.audioBuffer) return;
+
+        if (this.viewSelect.value === 'spectrogram') {
+            this.drawSpectrogram(width, height);
+        } else {
+            this.drawWaveform(width, height);
+        }
+
+        const { start, end } = this.view;
+        const toX = time => (time - start) / (end - start) * width;
+
+        // Bar lines, numbered from the first bar of the transcription
+        this.canvasCtx.font = '10px sans-serif';
+        this.canvasCtx.textBaseline = 'top';
+        this.barLines.forEach((time, index) => {
+            if (time < start || time > end) return;
+            const x = toX(time);
+            this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            this.canvasCtx.fillRect(x, 0, 1, height);
+            this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.canvasCtx.fillText(String(index + 1), x + 3, 3);
+        });
+
+        // Time labels along the bottom
+        const step = TIME_STEPS.find(candidate => candidate / (end - start) * width >= this.labelSpacing) ||
+            TIME_STEPS[TIME_STEPS.length - 1];
+        this.canvasCtx.textBaseline = 'bottom';
+        this.canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        for (let index = Math.ceil(start / step); index * step <= end; index++) {
+            const time = index * step;
+            const x = toX(time);
+            this.canvasCtx.fillRect(x, height - 4, 1, 4);
+            this.canvasCtx.fillText(this.formatTime(time), x + 3, height - 2);
+        }
+
+        if (this.selection) {
+            const startX = toX(this.selection.start);
+            const endX = toX(this.selection.end);
+            this.canvasCtx.fillStyle = 'rgba(66, 165, 245, 0.3)';
+            this.canvasCtx.fillRect(startX, 0, endX - startX, height);
+
+            this.canvasCtx.fillStyle = 'rgb(66, 165, 245)';
+            this.canvasCtx.fillRect(startX - 1, 0, 2, height);
+            this.canvasCtx.fillRect(endX - 1, 0, 2, height);
+        }
+    }
+
+    /**
+     * Draw the lowest and highest sample of each column of the shown span
+     * @param {Number} width - Canvas width
+     * @param {Number} height - Canvas height
+     */
+    drawWaveform(width, height) {
+        // The waveform only changes with the view and the canvas width
+        const key = `${this.view.start}:${this.view.end}:${width}`;
+        if (!this.peaks || this.peaks.key !== key) {
+            this.peaks = { key, values: computePeaks(this.audioBuffer, width, this.view.start, this.view.end) };
+        }
+
+        this.canvasCtx.fillStyle = 'rgb(255, 255, 255)';
+        this.peaks.values.forEach(({ min, max }, x) => {
+            const top = (1 - max) / 2 * height;
+            const bottom = (1 - min) / 2 * height;
+            this.canvasCtx.fillRect(x, top, 1, Math.max(1, bottom - top));
+        });
+    }
+
+    /**
+     * Draw the spectrum of each column of the shown span, low frequencies at the bottom
+     * @param {Number} width - Canvas width
+     * @param {Number} height - Canvas height
+     */
+    drawSpectrogram(width, height) {
+        // Spectra take a while, so the image is kept until the view or the canvas size changes
+        const key = `${this.view.start}:${this.view.end}:${width}:${height}`;
+        if (!this.spectrogram || this.spectrogram.key !== key) {
+            const columns = computeSpectrogram(this.audioBuffer, width, height, this.view.start, this.view.end);
+            const image = this.canvasCtx.createImageData(width, height);
+
+            columns.forEach((levels, x) => {
+                levels.forEach((level, row) => {
+                    const [r, g, b] = levelColor(level);
+                    const offset = ((height - 1 - row) * width + x) * 4;
+                    image.data[offset] = r;
+                    image.data[offset + 1] = g;
+                    image.data[offset + 2] = b;
+                    image.data[offset + 3] = 255;
+                });
+            });
+
+            this.spectrogram = { key, image };
+        }
+
+        this.canvasCtx.putImageData(this.spectrogram.image, 0, 0);
+    }
+
+    /**
+     * Format a time as minutes and seconds
+     * @param {Number} seconds - Time in seconds
+     * @returns {String} e.g. '1:05.3'
+     */
+    formatTime(seconds) {
+        const tenths = Math.round(seconds * 10);
+        const minutes = Math.floor(tenths / 600);
+        const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
+}
+
+/**
+ * Get the spectrogram colour of a level
+ * @param {Number} level - Level in dB
+ * @returns {Array<Number>} Red, green and blue (0-255)
+ */
+function levelColor(level) {
+    const fraction = Math.max(0, Math.min(1,
+        (level - SPECTROGRAM_FLOOR) / (SPECTROGRAM_CEILING - SPECTROGRAM_FLOOR)));
+    const position = fraction * (SPECTROGRAM_COLORS.length - 1);
+    const index = Math.min(SPECTROGRAM_COLORS.length - 2, Math.floor(position));
+    const mix = position - index;
+
+    return SPECTROGRAM_COLORS[index].map((value, channel) =>
+        Math.round(value + (SPECTROGRAM_COLORS[index + 1][channel] - value) * mix));
+}
+
+export default WaveformView;
@@ -0,0 +1,55 @@
+import { chooseClef, placeNotes, writtenOctave } from '../clefs.js';
+
+// Quarter notes, each written as 'pitch octave'
+const notes = (...written) => written.map(note => {
+    const [pitch, octave] = note.split(' ');
+    return { pitch, octave: Number(octave), duration: 'quarter' };
+});
+
+const rest = { rest: true, duration: 'quarter' };
+
+describe('chooseClef', () => {
+    it('writes high voices in the treble clef', () => {
+        expect(chooseClef(notes('C 4', 'E 4', 'G 4'))).toBe('treble');
+    });
+
+    it('writes low voices in the bass clef', () => {
+        expect(chooseClef(notes('C 3', 'E 3', 'G 3'))).toBe('bass');
+    });
+
+    it('writes tenor melodies in the octave treble clef', () => {
+        expect(chooseClef(notes('E 3', 'G 3', 'B 3', 'A 3'))).toBe('treble-8vb');
+    });
+
+    it('uses a grand staff for a range no single staff holds', () => {
+        expect(chooseClef(notes('C 2', 'C 6'))).toBe('grand');
+    });
+
+    it('defaults to treble without notes', () => {
+        expect(chooseClef([rest])).toBe('treble');
+    });
+});
+
+describe('placeNotes', () => {
+    it('puts notes far above the staff under an 8va sign', () => {
+        expect(placeNotes(notes('C 5', 'C 7', 'D 7', 'C 5'), 'treble').map(({ ottava }) => ottava))
+            .toEqual([0, 1, 1, 0]);
+    });
+
+    it('carries the sign over rests inside a run', () => {
+        const placements = placeNotes([...notes('C 7'), rest, ...notes('D 7', 'C 5')], 'treble');
+        expect(placements.map(({ ottava }) => ottava)).toEqual([1, 1, 1, 0]);
+    });
+
+    it('splits a grand staff at middle C', () => {
+        expect(placeNotes(notes('C 2', 'B 3', 'C 4', 'C 6'), 'grand').map(({ staff }) => staff))
+            .toEqual(['bass', 'bass', 'treble', 'treble']);
+    });
+});
+
+describe('writtenOctave', () => {
+    it('writes tenor clef notes an octave up and 8va notes an octave down', () => {
+        expect(writtenOctave({ octave: 3, staff: 'treble-8vb', ottava: 0 })).toBe(4);
+        expect(writtenOctave({ octave: 7, staff: 'treble', ottava: 1 })).toBe(6);
+    });
+});
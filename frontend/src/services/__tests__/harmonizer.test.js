@@ -0,0 +1,53 @@
+import Harmonizer from '../harmonizer.js';
+import PitchDetection from '../pitchDetection.js';
+
+const beatGrid = { tempo: 120, timeSignature: { numerator: 4, denominator: 4 }, startTime: 0 };
+
+// A melody of eighth notes at 120 BPM, each written as 'name octave'
+const melody = (notes) => notes.map((note, index) => {
+    const [name, octave] = note.split(' ');
+    return { note: name, octave: Number(octave), startTime: index * 0.5, duration: 0.5 };
+});
+
+// Four bars outlining C, F, G and C again
+const cadence = melody([
+    'C 4', 'E 4', 'G 4', 'C 5',
+    'F 4', 'A 4', 'C 5', 'F 4',
+    'G 4', 'B 4', 'D 5', 'G 4',
+    'C 5', 'G 4', 'E 4', 'C 4'
+]);
+
+describe('Harmonizer', () => {
+    const harmonizer = new Harmonizer(new PitchDetection().chordDefinitions);
+    const progression = (style) => harmonizer.harmonize(cadence, 'C', beatGrid)
+        .find(harmonization => harmonization.style === style)
+        .chords;
+
+    it('suggests one chord per bar in each style', () => {
+        const harmonizations = harmonizer.harmonize(cadence, 'C', beatGrid);
+
+        expect(harmonizations.map(({ style }) => style)).toEqual(['simple', 'diatonic', 'jazz']);
+        harmonizations.forEach(({ chords }) => {
+            expect(chords.map(({ startTime, endTime }) => [startTime, endTime])).toEqual([[0, 2], [2, 4], [4, 6], [6, 8]]);
+        });
+    });
+
+    it('hears I IV V I in an arpeggiated cadence', () => {
+        expect(progression('simple').map(({ root, type, numeral }) => [root, type, numeral])).toEqual([
+            ['C', 'Major', 'I'],
+            ['F', 'Major', 'IV'],
+            ['G', 'Major', 'V'],
+            ['C', 'Major', 'I']
+        ]);
+        expect(progression('diatonic').map(({ numeral }) => numeral)).toEqual(['I', 'IV', 'V', 'I']);
+    });
+
+    it('adds sevenths in the jazz style', () => {
+        expect(progression('jazz').map(({ numeral }) => numeral)).toEqual(['Imaj7', 'IVmaj7', 'V7', 'Imaj7']);
+    });
+
+    it('suggests nothing without notes or a tempo', () => {
+        expect(harmonizer.harmonize([], 'C', beatGrid)).toEqual([]);
+        expect(harmonizer.harmonize(cadence, 'C', { tempo: 0 })).toEqual([]);
+    });
+});
@@ -0,0 +1,103 @@
+import MidiWriter from '../midiWriter.js';
+import ScoreEditor from '../scoreEditor.js';
+
+const NOTE_ON = 0x90;
+
+// Note events as [tick, 'on' or 'off', MIDI note number]
+const noteEvents = (transcription, tempo = 120) => new MidiWriter()
+    .createNoteEvents(transcription, tempo)
+    .map(({ tick, data }) => [tick, (data[0] & 0xf0) === NOTE_ON ? 'on' : 'off', data[1]]);
+
+const pitch = (name, octave, startTime, endTime) => ({ note: { name, octave }, startTime, endTime });
+
+describe('MidiWriter', () => {
+    it('writes a format 1 file with a conductor and a melody track', () => {
+        const bytes = new MidiWriter().write({
+            rawPitchData: [pitch('C', 4, 0, 0.5)],
+            detectedTempo: 120,
+            detectedKey: 'C'
+        });
+        const text = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+
+        expect(bytes).toBeInstanceOf(Uint8Array);
+        expect(text(0, 4)).toBe('MThd');
+        expect(Array.from(bytes.slice(8, 14))).toEqual([0, 1, 0, 2, 480 >> 8, 480 & 0xff]);
+        expect(text(14, 18)).toBe('MTrk');
+    });
+
+    it('writes a single track for format 0', () => {
+        const bytes = new MidiWriter().write({ rawPitchData: [pitch('C', 4, 0, 0.5)] }, { format: 0 });
+        expect(Array.from(bytes.slice(8, 12))).toEqual([0, 0, 0, 1]);
+    });
+
+    it('times notes in ticks at the detected tempo', () => {
+        expect(noteEvents({ rawPitchData: [pitch('A', 4, 0.5, 1)] })).toEqual([
+            [480, 'on', 69],
+            [960, 'off', 69]
+        ]);
+    });
+
+    it('ends each note of a melody where the next one starts', () => {
+        const rawPitchData = [pitch('C', 4, 0, 0.75), pitch('E', 4, 0.5, 1)];
+        expect(noteEvents({ rawPitchData })).toEqual([
+            [0, 'on', 60],
+            [480, 'off', 60],
+            [480, 'on', 64],
+            [960, 'off', 64]
+        ]);
+    });
+
+    it('keeps the overlapping notes of chords', () => {
+        const rawPitchData = [pitch('C', 4, 0, 1), pitch('E', 4, 0, 1), pitch('G', 4, 0.5, 1)];
+        const events = noteEvents({ rawPitchData, metadata: { mode: 'polyphonic' } });
+
+        expect(events.filter(([, type]) => type === 'off')).toEqual([
+            [960, 'off', 60],
+            [960, 'off', 64],
+            [960, 'off', 67]
+        ]);
+    });
+
+    it('falls back to the simple notes, including ones written with ♯ and ♭', () => {
+        const simpleNotes = [
+            { note: 'F♯', octave: 4, startTime: 0, duration: 0.5 },
+            { note: 'B♭', octave: 3, startTime: 0.5, duration: 0.5 }
+        ];
+        expect(noteEvents({ simpleNotes })).toEqual([
+            [0, 'on', 66],
+            [480, 'off', 66],
+            [480, 'on', 58],
+            [960, 'off', 58]
+        ]);
+    });
+
+    it('exports the edited score instead of the raw pitch data', () => {
+        const editor = new ScoreEditor();
+        editor.load({
+            rawPitchData: [pitch('C', 4, 0, 0.5), pitch('D', 4, 0.5, 1)],
+            detectedTempo: 120,
+            detectedKey: 'C',
+            sheetMusic: {
+                notes: [
+                    { pitch: 'C', octave: 4, duration: 'quarter', startTime: 0 },
+                    { pitch: 'D', octave: 4, duration: 'quarter', startTime: 0.5 }
+                ]
+            }
+        });
+        editor.select(1);
+        editor.transpose(2);
+
+        const notesOn = () => noteEvents(editor.transcription)
+            .filter(([, type]) => type === 'on')
+            .map(([, , note]) => note);
+        expect(notesOn()).toEqual([60, 64]);
+
+        // With every edit undone the pitch data matches the score again
+        editor.undo();
+        expect(notesOn()).toEqual([60, 62]);
+    });
+
+    it('skips notes it cannot name', () => {
+        expect(noteEvents({ simpleNotes: [{ note: 'H', octave: 4, startTime: 0, duration: 1 }] })).toEqual([]);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+import MusicXml from '../musicXml.js';
+
+const score = (notes, detectedKey = 'F') => ({
+    detectedKey,
+    detectedTempo: 100,
+    sheetMusic: { timeSignature: { numerator: 4, denominator: 4 }, clef: 'treble', notes }
+});
+
+// What a round trip has to keep of each note
+const written = (notes) => notes.map(({ pitch, octave, rest, duration, dots = 0, tie }) =>
+    (rest ? { rest, duration, dots } : { pitch, octave, duration, dots, ...(tie ? { tie } : {}) }));
+
+describe('MusicXml', () => {
+    let musicXml;
+
+    beforeEach(() => {
+        musicXml = new MusicXml();
+    });
+
+    it('reads back the spelling, note values, ties and rests it writes', () => {
+        const notes = [
+            { pitch: 'F#', octave: 4, duration: 'quarter' },
+            { pitch: 'Bb', octave: 4, duration: 'eighth', dots: 1 },
+            { pitch: 'C', octave: 5, duration: 'sixteenth' },
+            { rest: true, duration: 'quarter' },
+            { pitch: 'A', octave: 4, duration: 'quarter', tie: true },
+            { pitch: 'A', octave: 4, duration: 'sixteenth' },
+            { pitch: 'Gb', octave: 4, duration: 'eighth', dots: 1 },
+            { rest: true, duration: 'half' },
+            { pitch: 'E', octave: 5, duration: 'quarter' }
+        ];
+
+        const imported = musicXml.fromMusicXml(musicXml.toMusicXml(score(notes)));
+
+        expect(written(imported.sheetMusic.notes)).toEqual(written(notes));
+        expect(imported.detectedKey).toBe('F');
+        expect(imported.detectedTempo).toBe(100);
+        expect(imported.sheetMusic.timeSignature).toEqual({ numerator: 4, denominator: 4 });
+    });
+
+    it('keeps the written spelling of notes outside the key', () => {
+        const xml = musicXml.toMusicXml(score([
+            { pitch: 'F#', octave: 4, duration: 'half' },
+            { pitch: 'Gb', octave: 4, duration: 'half' }
+        ]));
+
+        expect(xml).toMatch(/<step>F<\/step>\s*<alter>1<\/alter>\s*<octave>4<\/octave>/);
+        expect(xml).toMatch(/<step>G<\/step>\s*<alter>-1<\/alter>\s*<octave>4<\/octave>/);
+        expect(xml.match(/<accidental>(\w+)<\/accidental>/g)).toEqual(['<accidental>sharp</accidental>', '<accidental>flat</accidental>']);
+    });
+
+    it('ties notes across bar lines and joins them again on import', () => {
+        const xml = musicXml.toMusicXml(score([
+            { rest: true, duration: 'half', dots: 1 },
+            { pitch: 'C', octave: 5, duration: 'half' },
+            { rest: true, duration: 'half', dots: 1 }
+        ], 'C'));
+
+        expect(xml.match(/<tied type="start"\/>/g)).toHaveLength(1);
+        expect(xml.match(/<tied type="stop"\/>/g)).toHaveLength(1);
+
+        const imported = musicXml.fromMusicXml(xml);
+        expect(imported.simpleNotes).toHaveLength(1);
+        expect(imported.simpleNotes[0]).toMatchObject({ note: 'C', octave: 5 });
+        expect(imported.simpleNotes[0].duration).toBeCloseTo(1.2);
+        expect(imported.simpleNotes[0].startTime).toBeCloseTo(1.8);
+    });
+
+    it('rejects documents that are not MusicXML', () => {
+        expect(() => musicXml.fromMusicXml('<not-xml')).toThrow('Invalid MusicXML file');
+        expect(() => musicXml.fromMusicXml('<score-timewise/>')).toThrow('Only partwise MusicXML scores are supported');
+    });
+});
@@ -0,0 +1,72 @@
+import PitchDetection from '../pitchDetection.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const pitch = (name, octave, startTime, endTime) => ({
+    note: { name, octave },
+    frequency: 440 * Math.pow(2, ((octave + 1) * 12 + NOTE_NAMES.indexOf(name) - 69) / 12),
+    startTime,
+    endTime
+});
+
+// A melody of half-second notes, each written as 'name octave'
+const melody = (notes) => notes.map((note, index) => {
+    const [name, octave] = note.split(' ');
+    return pitch(name, Number(octave), index * 0.5, index * 0.5 + 0.5);
+});
+
+describe('detectKey', () => {
+    const detector = new PitchDetection();
+
+    it('finds G major from a scale and arpeggio with F#', () => {
+        const { key, confidence } = detector.detectKey(melody([
+            'G 4', 'A 4', 'B 4', 'C 5', 'D 5', 'E 5', 'F# 5', 'G 5', 'D 5', 'B 4', 'G 4'
+        ]));
+
+        expect(key).toBe('G');
+        expect(confidence).toBeGreaterThan(0.9);
+    });
+
+    it('finds A minor from a harmonic minor scale', () => {
+        expect(detector.detectKey(melody([
+            'A 4', 'B 4', 'C 5', 'D 5', 'E 5', 'F 5', 'G# 5', 'A 5', 'E 5', 'C 5', 'A 4'
+        ])).key).toBe('Am');
+    });
+});
+
+describe('identifyChord', () => {
+    const detector = new PitchDetection();
+
+    it('names a triad over its third as a slash chord', () => {
+        expect(detector.identifyChord(['C', 'E', 'G'], 'E')).toEqual({ root: 'C', type: 'Major', bass: 'E' });
+    });
+
+    it('leaves out the bass when the root is lowest', () => {
+        expect(detector.identifyChord(['C', 'E', 'G'], 'C')).toEqual({ root: 'C', type: 'Major' });
+    });
+
+    it('names sevenths and ninths', () => {
+        expect(detector.identifyChord(['C', 'E', 'G', 'A#'])).toEqual({ root: 'C', type: 'Dominant 7' });
+        expect(detector.identifyChord(['C', 'E', 'G', 'A#', 'D'])).toEqual({ root: 'C', type: 'Dominant 9' });
+    });
+
+    it('reads the same notes as C6 or Am7 by the bass', () => {
+        expect(detector.identifyChord(['C', 'E', 'G', 'A'], 'C')).toEqual({ root: 'C', type: 'Major 6' });
+        expect(detector.identifyChord(['A', 'C', 'E', 'G'], 'A')).toEqual({ root: 'A', type: 'Minor 7' });
+    });
+});
+
+describe('detectChords', () => {
+    const detector = new PitchDetection();
+
+    it('finds C/E from its lowest note', () => {
+        const [chord] = detector.detectChords([pitch('E', 3, 0, 1), pitch('C', 4, 0, 1), pitch('G', 4, 0, 1)], 'C');
+        expect(chord).toMatchObject({ root: 'C', type: 'Major', bass: 'E' });
+    });
+
+    it('spells chords for the key', () => {
+        const [chord] = detector.detectChords([pitch('A#', 2, 0, 1), pitch('D', 4, 0, 1), pitch('F', 4, 0, 1)], 'F');
+        expect(chord).toMatchObject({ root: 'Bb', type: 'Major', notes: ['Bb', 'D', 'F'] });
+        expect(chord.bass).toBeUndefined();
+    });
+});
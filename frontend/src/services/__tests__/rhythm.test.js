@@ -0,0 +1,110 @@
+import { TICKS_PER_BEAT, quantizeNotes, inferMeter } from '../rhythm.js';
+
+// Quantized notes, one after another, each a number of beats long
+const sequence = (beats) => {
+    let position = 0;
+    return beats.map(length => {
+        const start = position;
+        position += length * TICKS_PER_BEAT;
+        return { start, end: position };
+    });
+};
+
+const meterOf = (notes) => {
+    const { timeSignature, pickup } = inferMeter(notes);
+    return `${timeSignature.numerator}/${timeSignature.denominator} pickup ${pickup / TICKS_PER_BEAT}`;
+};
+
+describe('quantizeNotes', () => {
+    // Sung notes at 120 BPM: starts a little off the beat, ends a little early
+    const sung = (notes) => notes.map(([startTime, endTime]) => ({ startTime, endTime }));
+
+    it('snaps notes to sixteenths of the beat', () => {
+        const { notes, startTime } = quantizeNotes(
+            sung([[0.02, 0.45], [0.49, 0.7], [0.76, 0.95], [1.01, 1.9]]),
+            { tempo: 120, beatTime: 0 }
+        );
+
+        expect(startTime).toBe(0);
+        expect(notes.map(({ start, end }) => [start, end])).toEqual([[0, 12], [12, 18], [18, 24], [24, 48]]);
+    });
+
+    it('writes three even notes in a beat as triplets', () => {
+        const { notes } = quantizeNotes(
+            sung([[0, 0.16], [0.167, 0.32], [0.333, 0.48], [0.5, 0.95]]),
+            { tempo: 120, beatTime: 0 }
+        );
+
+        expect(notes.map(({ start }) => start)).toEqual([0, 4, 8, 12]);
+    });
+
+    it('counts ticks from the beat the first note falls in', () => {
+        const { notes, startTime } = quantizeNotes(
+            sung([[1.0, 1.45], [1.5, 1.95]]),
+            { tempo: 120, beatTime: 0 }
+        );
+
+        expect(startTime).toBe(1);
+        expect(notes[0].start).toBe(0);
+    });
+
+    it('keeps rests that are still there after the release', () => {
+        const pitchData = [
+            { startTime: 0, endTime: 0.4 },
+            { rest: true, startTime: 0.4, endTime: 1.0 },
+            { startTime: 1.0, endTime: 1.45 }
+        ];
+        const { notes } = quantizeNotes(pitchData, { tempo: 120, beatTime: 0 });
+
+        expect(notes.map(({ start, end }) => [start, end])).toEqual([[0, 12], [24, 36]]);
+    });
+
+    it('returns no notes for silence', () => {
+        expect(quantizeNotes([], { tempo: 120, beatTime: 0.3 })).toEqual({ notes: [], startTime: 0.3 });
+    });
+});
+
+describe('inferMeter', () => {
+    it('defaults to 4/4 without notes', () => {
+        expect(meterOf([])).toBe('4/4 pickup 0');
+    });
+
+    it('keeps evenly sung phrases of 8 and 16 beats in 4/4', () => {
+        expect(meterOf(sequence(new Array(8).fill(1)))).toBe('4/4 pickup 0');
+        expect(meterOf(sequence(new Array(16).fill(1)))).toBe('4/4 pickup 0');
+    });
+
+    it('finds 3/4 from long notes on every third beat', () => {
+        const waltz = sequence([2, 1, 2, 1, 2, 1, 2, 1]);
+        expect(meterOf(waltz)).toBe('3/4 pickup 0');
+    });
+
+    it('finds 4/4 from long notes on every fourth beat', () => {
+        expect(meterOf(sequence([2, 1, 1, 2, 1, 1, 2, 1, 1, 4]))).toBe('4/4 pickup 0');
+    });
+
+    it('places a pickup so the first downbeat falls on its accent', () => {
+        const waltz = sequence([1, 2, 1, 2, 1, 2, 1, 3]);
+        expect(meterOf(waltz)).toBe('3/4 pickup 2');
+    });
+
+    it('writes melodies in triplets throughout in 6/8', () => {
+        const notes = [];
+        for (let beat = 0; beat < 8; beat++) {
+            notes.push(
+                { start: beat * TICKS_PER_BEAT, end: beat * TICKS_PER_BEAT + 8 },
+                { start: beat * TICKS_PER_BEAT + 8, end: (beat + 1) * TICKS_PER_BEAT }
+            );
+        }
+
+        expect(inferMeter(notes)).toEqual({
+            timeSignature: { numerator: 6, denominator: 8 },
+            pickup: 0,
+            beatQuarters: 1.5
+        });
+    });
+
+    it('falls back to the first bar length for melodies shorter than a bar', () => {
+        expect(meterOf(sequence([1, 1]))).toBe('4/4 pickup 0');
+    });
+});
@@ -0,0 +1,102 @@
+import PitchDetection from '../pitchDetection.js';
+
+// Analysis at common sample rates should give the same notes and timing
+const SAMPLE_RATES = [22050, 44100, 48000];
+
+// Fixture melody: MIDI note, start and end time in seconds (gaps are silence)
+const FIXTURE = [
+    { midi: 57, start: 0.2, end: 0.7 },   // A3
+    { midi: 60, start: 0.8, end: 1.3 },   // C4
+    { midi: 64, start: 1.4, end: 1.9 },   // E4
+    { midi: 67, start: 2.0, end: 2.5 },   // G4
+    { midi: 72, start: 2.6, end: 3.4 },   // C5
+    { midi: 69, start: 3.5, end: 4.0 },   // A4
+    { midi: 65, start: 4.1, end: 4.6 },   // F4
+    { midi: 62, start: 4.7, end: 5.5 }    // D4
+];
+const DURATION = 6;
+
+// How far detected notes may be from the fixture
+const MAX_TIMING_ERROR = 0.1;  // seconds, about one analysis frame
+const MAX_PITCH_ERROR = 10;    // cents
+const MIN_NOTE_LENGTH = 0.1;   // shorter detections at note boundaries are ignored
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Render the fixture melody as a voice-like signal at the given sample rate
+ * @param {Number} sampleRate - Sample rate in Hz
+ * @returns {Object} AudioBuffer-like object
+ */
+function renderFixture(sampleRate) {
+    const samples = new Float32Array(Math.round(DURATION * sampleRate));
+
+    FIXTURE.forEach(({ midi, start, end }) => {
+        const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+        const first = Math.round(start * sampleRate);
+        const last = Math.round(end * sampleRate);
+
+        for (let i = first; i < last; i++) {
+            const phase = 2 * Math.PI * frequency * (i - first) / sampleRate;
+
+            // 10ms fade in and out so note edges don't click
+            const fade = Math.min(1, (i - first) / (0.01 * sampleRate), (last - i) / (0.01 * sampleRate));
+            samples[i] = 0.3 * fade * (Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.25 * Math.sin(3 * phase));
+        }
+    });
+
+    return {
+        numberOfChannels: 1,
+        length: samples.length,
+        sampleRate,
+        duration: samples.length / sampleRate,
+        getChannelData: () => samples
+    };
+}
+
+/**
+ * Compare detected notes against the fixture
+ * @param {Array<Object>} pitchData - Detected notes and rests (rawPitchData)
+ * @returns {Array<String>} Problems found, empty if the detection matches
+ */
+function compareWithFixture(pitchData) {
+    const problems = [];
+    const notes = pitchData.filter(pitch => !pitch.rest && pitch.endTime - pitch.startTime >= MIN_NOTE_LENGTH);
+
+    if (notes.length !== FIXTURE.length) {
+        problems.push(`expected ${FIXTURE.length} notes, found ${notes.length}`);
+    }
+
+    FIXTURE.forEach((expected, index) => {
+        const note = notes[index];
+        const name = `${NOTE_NAMES[expected.midi % 12]}${Math.floor(expected.midi / 12) - 1}`;
+
+        if (!note) {
+            problems.push(`${name} at ${expected.start}s is missing`);
+            return;
+        }
+
+        const detectedName = `${note.note.name}${note.note.octave}`;
+        const expectedFrequency = 440 * Math.pow(2, (expected.midi - 69) / 12);
+        const cents = 1200 * Math.log2(note.frequency / expectedFrequency);
+
+        if (detectedName !== name) {
+            problems.push(`note ${index + 1}: expected ${name}, found ${detectedName}`);
+        } else if (Math.abs(cents) > MAX_PITCH_ERROR) {
+            problems.push(`note ${index + 1} (${name}): ${cents.toFixed(1)} cents off`);
+        }
+
+        if (Math.abs(note.startTime - expected.start) > MAX_TIMING_ERROR) {
+            problems.push(`note ${index + 1} (${name}): starts at ${note.startTime.toFixed(3)}s, expected ${expected.start}s`);
+        }
+    });
+
+    return problems;
+}
+
+describe.each(SAMPLE_RATES)('analysis at %i Hz', (sampleRate) => {
+    it('finds the notes of the fixture melody in time and in tune', async () => {
+        const result = await new PitchDetection().analyzeAudio(renderFixture(sampleRate));
+        expect(compareWithFixture(result.rawPitchData)).toEqual([]);
+    }, 30000);
+});
@@ -0,0 +1,151 @@
+import ScoreEditor from '../scoreEditor.js';
+
+// Two bars in G major at 120 BPM: a half note tied over, a quarter, a rest
+const transcription = () => ({
+    _id: 'saved',
+    detectedTempo: 120,
+    detectedKey: 'G',
+    metadata: { mode: 'monophonic' },
+    sheetMusic: {
+        notes: [
+            { pitch: 'G', octave: 4, duration: 'half', startTime: 1, tie: true },
+            { pitch: 'G', octave: 4, duration: 'quarter', startTime: 2 },
+            { pitch: 'B', octave: 4, duration: 'quarter', startTime: 2.5 },
+            { rest: true, duration: 'quarter', startTime: 3 }
+        ]
+    }
+});
+
+const written = (editor) => editor.getNotes().map(note =>
+    (note.rest ? 'R' : `${note.pitch}${note.octave}`) + `:${note.duration}${note.dots ? '.' : ''}${note.tie ? '~' : ''}`);
+
+describe('ScoreEditor', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new ScoreEditor();
+        editor.load(transcription());
+    });
+
+    it('moves a note and the notes tied to it', () => {
+        editor.select(1);
+        expect(editor.transpose(2)).toBe(true);
+
+        expect(written(editor)).toEqual(['A4:half~', 'A4:quarter', 'B4:quarter', 'R:quarter']);
+        expect(editor.transcription.simpleNotes).toEqual([
+            { note: 'A', octave: 4, duration: 1.5, startTime: 1 },
+            { note: 'B', octave: 4, duration: 0.5, startTime: 2.5 }
+        ]);
+    });
+
+    it('spells moved notes in the key', () => {
+        editor.select(2);
+        editor.transpose(-1);
+        expect(editor.getSelected().pitch).toBe('A#');
+    });
+
+    it('marks the transcription as edited without changing the one loaded', () => {
+        const loaded = editor.transcription;
+        editor.select(2);
+        editor.setAccidental(-1);
+
+        expect(editor.transcription.metadata).toEqual({ mode: 'monophonic', edited: true });
+        expect(editor.transcription._id).toBe('saved');
+        expect(loaded.metadata.edited).toBeUndefined();
+        expect(loaded.sheetMusic.notes[2].pitch).toBe('B');
+    });
+
+    it('moves later notes to follow a changed note value', () => {
+        editor.select(2);
+        editor.setDuration('half');
+        editor.toggleDot();
+
+        expect(written(editor)).toEqual(['G4:half~', 'G4:quarter', 'B4:half.', 'R:quarter']);
+        expect(editor.getNotes()[3].startTime).toBe(4);
+    });
+
+    it('unties notes that no longer share a pitch', () => {
+        editor.select(0);
+        editor.insertNote('B');
+        expect(written(editor).slice(0, 3)).toEqual(['G4:half', 'B4:half', 'G4:quarter']);
+    });
+
+    it('inserts notes in the key, in the octave nearest the note before', () => {
+        editor.select(2);
+        editor.insertNote('f');
+
+        expect(editor.selected).toBe(3);
+        expect(editor.getSelected()).toMatchObject({ pitch: 'F#', octave: 4, duration: 'quarter', startTime: 3 });
+        expect(editor.getNotes()[4].startTime).toBe(3.5);
+    });
+
+    it('inserts at the end when nothing is selected', () => {
+        editor.insertRest();
+        expect(written(editor)).toEqual(['G4:half~', 'G4:quarter', 'B4:quarter', 'R:quarter', 'R:quarter']);
+    });
+
+    it('deletes the selected note and selects the one after it', () => {
+        editor.select(2);
+        editor.deleteSelected();
+
+        expect(written(editor)).toEqual(['G4:half~', 'G4:quarter', 'R:quarter']);
+        expect(editor.getSelected().rest).toBe(true);
+    });
+
+    it('undoes and redoes edits with their selection', () => {
+        editor.select(2);
+        editor.transpose(1);
+        editor.deleteSelected();
+
+        expect(editor.undo()).toBe(true);
+        expect(written(editor)[2]).toBe('C5:quarter');
+        expect(editor.undo()).toBe(true);
+        expect(written(editor)).toEqual(['G4:half~', 'G4:quarter', 'B4:quarter', 'R:quarter']);
+        expect(editor.selected).toBe(2);
+        expect(editor.undo()).toBe(false);
+
+        expect(editor.redo()).toBe(true);
+        expect(written(editor)[2]).toBe('C5:quarter');
+        expect(editor.canRedo()).toBe(true);
+
+        editor.toggleDot();
+        expect(editor.canRedo()).toBe(false);
+    });
+
+    it('leaves the history alone for changes that change nothing', () => {
+        editor.select(2);
+        editor.transpose(1);
+        editor.undo();
+
+        expect(editor.setDuration('quarter')).toBe(false);
+        expect(editor.setAccidental(0)).toBe(false);
+        expect(editor.canUndo()).toBe(false);
+        expect(editor.canRedo()).toBe(true);
+    });
+
+    it('drops the edited mark when every edit is undone', () => {
+        editor.select(2);
+        editor.transpose(1);
+        editor.undo();
+        expect(editor.transcription.metadata).toEqual({ mode: 'monophonic' });
+
+        editor.redo();
+        expect(editor.transcription.metadata.edited).toBe(true);
+    });
+
+    it('ignores edits without a selection', () => {
+        expect(editor.transpose(1)).toBe(false);
+        expect(editor.setDuration('half')).toBe(false);
+        expect(editor.deleteSelected()).toBe(false);
+        expect(editor.canUndo()).toBe(false);
+    });
+
+    it('drops the history when another transcription is loaded', () => {
+        editor.select(0);
+        editor.toggleDot();
+        editor.load(transcription());
+
+        expect(editor.canUndo()).toBe(false);
+        expect(editor.selected).toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+import { intervalToKey, transposeTranscription } from '../transposer.js';
+
+const quarter = (pitch, octave) => ({ pitch, octave, duration: 'quarter' });
+
+describe('intervalToKey', () => {
+    it('moves to the nearest tonic', () => {
+        expect(intervalToKey('C', 'Bb')).toEqual({ semitones: -2, key: 'Bb' });
+        expect(intervalToKey('C', 'G')).toEqual({ semitones: -5, key: 'G' });
+    });
+
+    it('keeps the mode of the transcription', () => {
+        expect(intervalToKey('Am', 'D')).toEqual({ semitones: 5, key: 'Dm' });
+    });
+});
+
+describe('transposeTranscription', () => {
+    const transcription = {
+        _id: 'abc',
+        detectedKey: 'G',
+        simpleNotes: [{ note: 'F♯', octave: 4, startTime: 0, duration: 0.5 }],
+        sheetMusic: {
+            clef: 'treble',
+            notes: [quarter('G', 4), quarter('B', 4), quarter('F#', 5), { rest: true, duration: 'quarter' }]
+        },
+        complexChords: [{ root: 'D', type: 'Dominant 7', bass: 'F#', notes: ['D', 'F#', 'A', 'C'] }],
+        rawPitchData: [{ note: { name: 'A', octave: 4, frequency: 440 }, frequency: 440, startTime: 0, endTime: 0.5 }]
+    };
+
+    it('spells the notes of a sharp key in a flat key', () => {
+        const transposed = transposeTranscription(transcription, { key: 'F' });
+
+        expect(transposed.detectedKey).toBe('F');
+        expect(transposed.sheetMusic.notes).toEqual([
+            quarter('F', 4), quarter('A', 4), quarter('E', 5), { rest: true, duration: 'quarter' }
+        ]);
+        expect(transposed.simpleNotes[0]).toMatchObject({ note: 'E', octave: 4 });
+        expect(transposed.complexChords[0]).toMatchObject({ root: 'C', bass: 'E', notes: ['C', 'E', 'G', 'Bb'] });
+    });
+
+    it('writes the simple notes with ♯ and ♭', () => {
+        expect(transposeTranscription(transcription, { semitones: 4 }).simpleNotes[0])
+            .toMatchObject({ note: 'A♯', octave: 4 });
+
+        const simpleNotes = [{ note: 'G', octave: 4, startTime: 0, duration: 0.5 }];
+        expect(transposeTranscription({ detectedKey: 'C', simpleNotes }, { key: 'Ab' }).simpleNotes[0])
+            .toMatchObject({ note: 'E♭', octave: 4 });
+    });
+
+    it('moves frequencies by the interval', () => {
+        const [pitch] = transposeTranscription(transcription, { semitones: 12 }).rawPitchData;
+        expect(pitch.note).toMatchObject({ name: 'A', octave: 5 });
+        expect(pitch.frequency).toBeCloseTo(880);
+    });
+
+    it('records the transposition on a new copy', () => {
+        const transposed = transposeTranscription(transcription, { key: 'F' });
+
+        expect(transposed._id).toBeUndefined();
+        expect(transposed.metadata.transposition).toEqual({ from: 'G', semitones: -2 });
+        expect(transcription.sheetMusic.notes[0]).toEqual(quarter('G', 4));
+    });
+});
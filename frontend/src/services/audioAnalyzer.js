@@ -0,0 +1,133 @@
+/**
+ * audioAnalyzer.js
+ * Runs pitch analysis in a Web Worker so the page stays responsive
+ */
+import PitchDetection from './pitchDetection.js';
+
+class AudioAnalyzer {
+    constructor() {
+        this.worker = null;
+        this.pending = null;   // { id, resolve, reject, onProgress } of the running analysis
+        this.nextId = 1;
+        
+        // Fallback for browsers without worker support
+        this.supportsWorkers = typeof Worker !== 'undefined';
+        this.pitchDetection = this.supportsWorkers ? null : new PitchDetection();
+    }
+    
+    /**
+     * Analyze an audio buffer in the worker
+     * @param {AudioBuffer} audioBuffer - Decoded audio to analyze
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Called with the fraction (0-1) of the analysis done
+     * @returns {Promise<Object>} Transcription result; rejects with an AbortError if cancelled
+     */
+    analyze(audioBuffer, options = {}) {
+        const { onProgress, ...analysisOptions } = options;
+        
+        // Only one analysis at a time; a new one replaces the old
+        this.cancel();
+        
+        if (!this.supportsWorkers) {
+            return this.pitchDetection.analyzeAudio(audioBuffer, options);
+        }
+        
+        // Copy each channel so its buffer can be transferred instead of cloned
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel).slice());
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending = { id, resolve, reject, onProgress };
+            
+            this.getWorker().postMessage({
+                type: 'analyze',
+                id,
+                channels,
+                sampleRate: audioBuffer.sampleRate,
+                options: analysisOptions
+            }, channels.map(data => data.buffer));
+        });
+    }
+    
+    /**
+     * Cancel the running analysis, if any
+     */
+    cancel() {
+        if (!this.pending) return;
+        
+        // The analysis loop never yields, so the worker has to be stopped outright
+        this.worker.terminate();
+        this.worker = null;
+        
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        this.pending.reject(error);
+        this.pending = null;
+    }
+    
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker} Analysis worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url));
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                this.handleMessage({
+                    type: 'error',
+                    id: this.pending && this.pending.id,
+                    message: event.message
+                });
+            };
+        }
+        
+        return this.worker;
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        // Ignore messages from analyses that were cancelled
+        if (!this.pending || message.id !== this.pending.id) return;
+        
+        const { resolve, reject, onProgress } = this.pending;
+        
+        switch (message.type) {
+            case 'progress':
+                if (onProgress) {
+                    onProgress(message.progress);
+                }
+                break;
+            case 'result':
+                this.pending = null;
+                resolve(message.result);
+                break;
+            case 'error':
+                this.pending = null;
+                reject(new Error(message.message));
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Clean up resources when the service is no longer needed
+     */
+    cleanup() {
+        this.cancel();
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+export default AudioAnalyzer;
@@ -0,0 +1,170 @@
+/**
+ * audioBuffers.js
+ * Helpers for decoded audio: cutting out a span, summarizing it for a waveform or
+ * spectrogram and writing it as WAV
+ */
+import { fft, hannWindow } from './fft.js';
+
+/**
+ * Copy a span of an audio buffer into a new buffer
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Number} start - Start of the span in seconds
+ * @param {Number} end - End of the span in seconds
+ * @returns {AudioBuffer} The span, with the same channels and sample rate
+ */
+export function sliceAudioBuffer(audioBuffer, start, end) {
+    const { sampleRate, numberOfChannels } = audioBuffer;
+    const from = Math.max(0, Math.floor(start * sampleRate));
+    const to = Math.min(audioBuffer.length, Math.max(from + 1, Math.ceil(end * sampleRate)));
+
+    const sliced = new AudioBuffer({ length: to - from, numberOfChannels, sampleRate });
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        sliced.copyToChannel(audioBuffer.getChannelData(channel).subarray(from, to), channel);
+    }
+
+    return sliced;
+}
+
+/**
+ * Find the lowest and highest sample in each column of a waveform, over all channels
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Number} columns - Number of columns (usually the canvas width in pixels)
+ * @param {Number} start - Time at the left edge in seconds
+ * @param {Number} end - Time at the right edge in seconds
+ * @returns {Array<Object>} Min and max sample (-1 to 1) per column
+ */
+export function computePeaks(audioBuffer, columns, start = 0, end = audioBuffer.duration) {
+    const { sampleRate, numberOfChannels } = audioBuffer;
+    const channels = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+
+    const samplesPerColumn = (end - start) * sampleRate / columns;
+
+    return Array.from({ length: columns }, (_, column) => {
+        const from = Math.max(0, Math.floor(start * sampleRate + column * samplesPerColumn));
+        const to = Math.min(audioBuffer.length, Math.max(from + 1,
+            Math.floor(start * sampleRate + (column + 1) * samplesPerColumn)));
+        let min = 0;
+        let max = 0;
+
+        channels.forEach(data => {
+            for (let i = from; i < to; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+        });
+
+        return { min, max };
+    });
+}
+
+/**
+ * Measure the spectrum around the middle of each column, on a logarithmic frequency axis
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Number} columns - Number of columns (usually the canvas width in pixels)
+ * @param {Number} rows - Number of frequency bands, lowest first
+ * @param {Number} start - Time at the left edge in seconds
+ * @param {Number} end - Time at the right edge in seconds
+ * @param {Object} options - FFT size and the frequency range shown, in Hz
+ * @returns {Array<Float32Array>} Level of each band per column, in dB of a full-scale sine
+ */
+export function computeSpectrogram(audioBuffer, columns, rows, start = 0, end = audioBuffer.duration,
+    { size = 2048, minFrequency = 50, maxFrequency = 5000 } = {}) {
+    const { sampleRate, numberOfChannels, length } = audioBuffer;
+    const channels = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+
+    // Bins covered by each band; bands spaced evenly in pitch give every octave the same height
+    const binOf = frequency => Math.min(size / 2 - 1, Math.round(frequency * size / sampleRate));
+    const bands = Array.from({ length: rows }, (_, row) => {
+        const low = minFrequency * Math.pow(maxFrequency / minFrequency, row / rows);
+        const high = minFrequency * Math.pow(maxFrequency / minFrequency, (row + 1) / rows);
+        return { from: binOf(low), to: Math.max(binOf(low), binOf(high) - 1) };
+    });
+
+    const window = hannWindow(size);
+    const real = new Float32Array(size);
+    const imaginary = new Float32Array(size);
+    const secondsPerColumn = (end - start) / columns;
+
+    return Array.from({ length: columns }, (_, column) => {
+        const centre = Math.round((start + (column + 0.5) * secondsPerColumn) * sampleRate);
+
+        // Channels mixed to mono; the window runs past the ends of the audio as silence
+        for (let i = 0; i < size; i++) {
+            const index = centre - size / 2 + i;
+            let sample = 0;
+            if (index >= 0 && index < length) {
+                channels.forEach(data => { sample += data[index]; });
+            }
+            real[i] = sample / numberOfChannels * window[i];
+            imaginary[i] = 0;
+        }
+        fft(real, imaginary);
+
+        // A Hann-windowed sine of amplitude 1 peaks at size / 4
+        const levels = new Float32Array(rows);
+        bands.forEach(({ from, to }, row) => {
+            let peak = 0;
+            for (let bin = from; bin <= to; bin++) {
+                peak = Math.max(peak, Math.hypot(real[bin], imaginary[bin]));
+            }
+            levels[row] = 20 * Math.log10(peak * 4 / size + 1e-10);
+        });
+
+        return levels;
+    });
+}
+
+/**
+ * Write an audio buffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Blob} WAV file
+ */
+export function encodeWav(audioBuffer) {
+    const { sampleRate, numberOfChannels, length } = audioBuffer;
+    const bytesPerSample = 2;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    // RIFF header and format chunk
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);           // Format chunk size
+    view.setUint16(20, 1, true);            // PCM
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeText(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Samples, interleaved by channel
+    const channels = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        channels.forEach(data => {
+            const sample = Math.max(-1, Math.min(1, data[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        });
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+}
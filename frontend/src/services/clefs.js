@@ -0,0 +1,156 @@
+/**
+ * clefs.js
+ * Chooses the clef for a melody's range and places notes on a grand staff or under 8va/8vb signs
+ * The server lays out stored scores with its own copy in backend/utils/clefs.js; change both together
+ */
+import { normalizeNoteName, STEP_PITCH_CLASSES } from './musicTheory.js';
+import { noteValueBeats } from './rhythm.js';
+
+// Single staves as the sounding MIDI notes of their bottom and top lines;
+// the tenor clef (treble-8vb) is written an octave above how it sounds
+export const CLEFS = {
+    'treble': { bottom: 64, top: 77, writtenOctaves: 0 },    // E4-F5
+    'bass': { bottom: 43, top: 57, writtenOctaves: 0 },      // G2-A3
+    'treble-8vb': { bottom: 52, top: 65, writtenOctaves: 1 } // E3-F4
+};
+
+// Lowest note written on the treble staff of a grand staff (middle C)
+export const GRAND_STAFF_SPLIT = 60;
+
+// Notes further than this from the staff (about three ledger lines) go under an octave sign
+const OTTAVA_MARGIN = 9;
+
+// Melodies reaching this far past both the treble and the bass staff get a grand staff
+const GRAND_STAFF_RANGE = 24;
+
+// Melodies centred on B3 or higher are written in the treble clef, as for women's and children's voices
+const TREBLE_MEDIAN = 59;
+
+// Between bass and tenor clef, the tenor clef is only chosen when it clearly needs fewer ledger lines
+const TRANSPOSING_CLEF_BIAS = 1.1;
+
+/**
+ * Get the sounding MIDI note of a written note; the octave follows the letter, so B#3 is 60
+ * @param {Object} note - Sheet music note (pitch and octave)
+ * @returns {Number} MIDI note number
+ */
+export function noteToMidi(note) {
+    const pitch = normalizeNoteName(note.pitch);
+    const accidentals = pitch.slice(1);
+    const alter = (accidentals.match(/#/g) || []).length - (accidentals.match(/b/g) || []).length;
+    return (note.octave + 1) * 12 + STEP_PITCH_CLASSES[pitch[0]] + alter;
+}
+
+/**
+ * Choose the clef that keeps a melody on the staff with the fewest ledger lines
+ * @param {Array<Object>} notes - Sheet music notes (pitch, octave, duration)
+ * @returns {String} 'treble', 'bass', 'treble-8vb' or 'grand'
+ */
+export function chooseClef(notes) {
+    const sounding = notes
+        .filter(note => !note.rest && note.pitch)
+        .map(note => ({ midi: noteToMidi(note), weight: noteValueBeats(note) }));
+    if (sounding.length === 0) return 'treble';
+
+    const lowest = Math.min(...sounding.map(note => note.midi));
+    const highest = Math.max(...sounding.map(note => note.midi));
+
+    // Wide ranges that would need octave signs on any single staff
+    if (highest - lowest >= GRAND_STAFF_RANGE &&
+        lowest < CLEFS.treble.bottom - OTTAVA_MARGIN &&
+        highest > CLEFS.bass.top + OTTAVA_MARGIN) {
+        return 'grand';
+    }
+
+    // The pitch sung for half the time, or more
+    const sorted = [...sounding].sort((a, b) => a.midi - b.midi);
+    const total = sorted.reduce((sum, note) => sum + note.weight, 0);
+    let elapsed = 0;
+    const median = sorted.find(note => (elapsed += note.weight) >= total / 2).midi;
+    if (median >= TREBLE_MEDIAN) return 'treble';
+
+    // Lower voices: semitones outside the staff, weighted by how long each note lasts
+    const cost = clef => sounding.reduce((sum, { midi, weight }) => {
+        const { bottom, top } = CLEFS[clef];
+        return sum + weight * Math.max(0, bottom - midi, midi - top);
+    }, 0) * (CLEFS[clef].writtenOctaves ? TRANSPOSING_CLEF_BIAS : 1);
+
+    return cost('treble-8vb') < cost('bass') ? 'treble-8vb' : 'bass';
+}
+
+/**
+ * Place each note on a staff, and mark runs of notes far above or below it for an octave sign
+ * Rests go with the note before them, so they don't break a run
+ * @param {Array<Object>} notes - Sheet music notes
+ * @param {String} clef - Clef of the score
+ * @returns {Array<Object>} For each note: staff clef and ottava (1 for 8va, -1 for 8vb, 0 for none)
+ */
+export function placeNotes(notes, clef) {
+    const grand = clef === 'grand';
+    const staffFor = midi => (!grand ? clef : midi >= GRAND_STAFF_SPLIT ? 'treble' : 'bass');
+
+    const firstNote = notes.find(note => !note.rest && note.pitch);
+    let staff = firstNote ? staffFor(noteToMidi(firstNote)) : (grand ? 'treble' : clef);
+
+    const placements = notes.map(note => {
+        if (note.rest || !note.pitch) return { staff, ottava: 0, midi: null };
+
+        const midi = noteToMidi(note);
+        staff = staffFor(midi);
+        const lines = CLEFS[staff];
+        if (!lines) return { staff, ottava: 0, midi };
+
+        // Only the outer staves of a grand staff take octave signs
+        const canRaise = !grand || staff === 'treble';
+        const canLower = !grand || staff === 'bass';
+        const ottava = canRaise && midi > lines.top + OTTAVA_MARGIN ? 1
+            : canLower && midi < lines.bottom - OTTAVA_MARGIN ? -1 : 0;
+
+        return { staff, ottava, midi };
+    });
+
+    // Runs carry on over neighbouring notes that are still off the staff, and over rests
+    const extend = (from, step, ottava) => {
+        for (let index = from + step; index >= 0 && index < placements.length; index += step) {
+            const placement = placements[index];
+            if (placement.ottava === ottava) return;
+
+            const lines = CLEFS[placement.staff];
+            const offStaff = placement.midi === null ||
+                (lines && (ottava > 0 ? placement.midi > lines.top : placement.midi < lines.bottom));
+            if (!offStaff || placement.staff !== placements[from].staff) return;
+
+            placement.ottava = ottava;
+        }
+    };
+
+    placements.forEach((placement, index) => {
+        if (placement.ottava !== 0 && placement.midi !== null) {
+            extend(index, -1, placement.ottava);
+            extend(index, 1, placement.ottava);
+        }
+    });
+
+    // Rests at the edges of a run close it instead
+    placements.forEach((placement, index) => {
+        if (placement.midi !== null || placement.ottava === 0) return;
+
+        const next = placements.slice(index + 1).find(other => other.midi !== null);
+        const previous = placements.slice(0, index).reverse().find(other => other.midi !== null);
+        if (!next || !previous || next.ottava !== placement.ottava || previous.ottava !== placement.ottava) {
+            placement.ottava = 0;
+        }
+    });
+
+    return placements.map(({ staff: noteStaff, ottava }) => ({ staff: noteStaff, ottava }));
+}
+
+/**
+ * Get the octave a note is written in on its staff
+ * @param {Object} note - Sheet music note with its placement (staff, ottava)
+ * @returns {Number} Written octave
+ */
+export function writtenOctave(note) {
+    const staff = CLEFS[note.staff];
+    return note.octave + (staff ? staff.writtenOctaves : 0) - (note.ottava || 0);
+}
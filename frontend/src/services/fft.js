@@ -0,0 +1,99 @@
+/**
+ * fft.js
+ * Fast Fourier transform and spectrum helpers shared by the analysis services
+ */
+
+// Bit-reversal tables and twiddle factors by FFT size
+const tables = {};
+
+/**
+ * Get (and cache) the bit-reversal order and twiddle factors for an FFT size
+ * @param {Number} size - FFT size
+ * @returns {Object} Bit-reversed indexes, cosines and sines
+ */
+function getTables(size) {
+    if (!tables[size]) {
+        const bits = Math.log2(size);
+        const reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let j = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                j = (j << 1) | ((i >> bit) & 1);
+            }
+            reversed[i] = j;
+        }
+
+        const cosines = new Float32Array(size / 2);
+        const sines = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cosines[i] = Math.cos(2 * Math.PI * i / size);
+            sines[i] = Math.sin(2 * Math.PI * i / size);
+        }
+
+        tables[size] = { reversed, cosines, sines };
+    }
+
+    return tables[size];
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} real - Real parts; length must be a power of two
+ * @param {Float32Array} imaginary - Imaginary parts
+ */
+export function fft(real, imaginary) {
+    const size = real.length;
+    const { reversed, cosines, sines } = getTables(size);
+
+    for (let i = 0; i < size; i++) {
+        const j = reversed[i];
+        if (j > i) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imaginary[i], imaginary[j]] = [imaginary[j], imaginary[i]];
+        }
+    }
+
+    for (let length = 2; length <= size; length *= 2) {
+        const half = length / 2;
+        const step = size / length;
+
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < half; k++) {
+                const cos = cosines[k * step];
+                const sin = sines[k * step];
+                const even = start + k;
+                const odd = even + half;
+
+                const oddReal = real[odd] * cos + imaginary[odd] * sin;
+                const oddImaginary = imaginary[odd] * cos - real[odd] * sin;
+
+                real[odd] = real[even] - oddReal;
+                imaginary[odd] = imaginary[even] - oddImaginary;
+                real[even] += oddReal;
+                imaginary[even] += oddImaginary;
+            }
+        }
+    }
+}
+
+/**
+ * Create a Hann window
+ * @param {Number} size - Window length
+ * @returns {Float32Array} Window
+ */
+export function hannWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+    }
+    return window;
+}
+
+/**
+ * Power of two nearest to a number of samples
+ * @param {Number} samples - Number of samples
+ * @returns {Number} Power of two
+ */
+export function nearestPowerOfTwo(samples) {
+    return Math.pow(2, Math.round(Math.log2(samples)));
+}
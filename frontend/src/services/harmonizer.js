@@ -0,0 +1,302 @@
+/**
+ * harmonizer.js
+ * Suggests diatonic chord progressions, one chord per bar, for a sung melody
+ */
+import {
+    noteNameToPitchClass,
+    parseKey,
+    spellPitchClass,
+    formatNoteName
+} from './musicTheory.js';
+
+// Scale steps in semitones from the tonic
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const NATURAL_MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10];
+const HARMONIC_MINOR_SCALE = [0, 2, 3, 5, 7, 8, 11];
+
+// Roman numerals by scale degree
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Roman numeral suffixes by chord type
+const NUMERAL_SUFFIXES = {
+    'Diminished': '°',
+    'Augmented': '+',
+    'Major 7': 'maj7',
+    'Dominant 7': '7',
+    'Minor 7': '7',
+    'Half-diminished 7': 'ø7',
+    'Diminished 7': '°7'
+};
+
+// Chord types written with a lower-case numeral
+const MINOR_QUALITIES = ['Minor', 'Diminished', 'Minor 7', 'Half-diminished 7', 'Diminished 7'];
+
+class Harmonizer {
+    /**
+     * @param {Object} chordDefinitions - Chord intervals from the root by chord type (see PitchDetection)
+     */
+    constructor(chordDefinitions) {
+        this.chordDefinitions = chordDefinitions;
+
+        // Progressions offered for each melody
+        this.styles = [
+            { style: 'simple', name: 'Simple triads', degrees: [0, 3, 4], sevenths: false },
+            { style: 'diatonic', name: 'Diatonic triads', degrees: [0, 1, 2, 3, 4, 5], sevenths: false },
+            { style: 'jazz', name: 'Jazz 7ths', degrees: [0, 1, 2, 3, 4, 5, 6], sevenths: true }
+        ];
+
+        // How melody notes count towards a chord
+        this.downbeatWeight = 1;        // Extra beats of weight for a note sounding on the downbeat
+        this.scaleTonePenalty = 0.3;    // Passing notes in the key but outside the chord
+        this.chromaticPenalty = 1;      // Notes outside the key
+
+        // Preferences between neighbouring chords, added to how well each chord fits its bar
+        this.fifthMotionBonus = 0.3;    // Root falls a fifth, e.g. V-I or ii-V
+        this.commonMotionBonus = 0.15;  // I-IV, IV-V, I-vi, vi-IV and the like
+        this.repeatBonus = 0.1;         // Same chord held into the next bar
+        this.retrogressionPenalty = 0.15; // V-IV, which weakens the cadence
+        this.tonicStartBonus = 0.3;     // Starting on the tonic chord
+        this.tonicEndBonus = 0.4;       // Ending on the tonic chord
+    }
+
+    /**
+     * Suggest chord progressions for a melody
+     * @param {Array<Object>} simpleNotes - Melody notes (note, octave, duration and startTime in seconds)
+     * @param {String} key - Key name
+     * @param {Object} beatGrid - Tempo in quarter notes per minute, time signature and time of the first bar
+     * @returns {Array<Object>} Progressions (style, name and one chord per bar)
+     */
+    harmonize(simpleNotes, key, beatGrid) {
+        const bars = this.weighBars(simpleNotes, beatGrid);
+        if (bars.length === 0) return [];
+
+        const inKey = this.scalePitchClasses(key);
+
+        return this.styles.map(({ style, name, degrees, sevenths }) => {
+            const candidates = degrees.map(degree => this.buildChord(degree, key, sevenths));
+            const path = this.chooseProgression(bars, candidates, inKey);
+
+            return {
+                style,
+                name,
+                chords: bars.map((bar, index) => {
+                    const chord = candidates[path[index]];
+                    return {
+                        root: chord.root,
+                        type: chord.type,
+                        numeral: chord.numeral,
+                        notes: chord.notes,
+                        startTime: bar.startTime,
+                        endTime: bar.endTime,
+                        duration: bar.endTime - bar.startTime
+                    };
+                })
+            };
+        });
+    }
+
+    /**
+     * Measure how much of each pitch class sounds in each bar
+     * @param {Array<Object>} simpleNotes - Melody notes
+     * @param {Object} beatGrid - Tempo, time signature and time of the first bar
+     * @returns {Array<Object>} Bars with start and end in seconds and a weight per pitch class
+     */
+    weighBars(simpleNotes, beatGrid) {
+        const notes = simpleNotes.filter(note => noteNameToPitchClass(note.note) !== undefined);
+        if (notes.length === 0 || !beatGrid || !(beatGrid.tempo > 0)) return [];
+
+        const { numerator = 4, denominator = 4 } = beatGrid.timeSignature || {};
+        const beatDuration = (60 / beatGrid.tempo) * (4 / denominator);
+        const barDuration = numerator * beatDuration;
+        const firstBar = beatGrid.startTime !== undefined
+            ? beatGrid.startTime
+            : Math.min(...notes.map(note => note.startTime));
+        const end = Math.max(...notes.map(note => note.startTime + note.duration));
+        const barCount = Math.max(1, Math.ceil((end - firstBar) / barDuration - 1e-6));
+
+        const bars = [];
+        for (let index = 0; index < barCount; index++) {
+            const startTime = firstBar + index * barDuration;
+            const endTime = startTime + barDuration;
+            const weights = new Array(12).fill(0);
+
+            notes.forEach(note => {
+                const noteEnd = note.startTime + note.duration;
+                const overlap = Math.min(noteEnd, endTime) - Math.max(note.startTime, startTime);
+                if (overlap <= 0) return;
+
+                // The note heard on the downbeat sets the harmony more than passing notes
+                const onDownbeat = note.startTime <= startTime + beatDuration / 2 && noteEnd > startTime;
+                const weight = overlap / beatDuration + (onDownbeat ? this.downbeatWeight : 0);
+                weights[noteNameToPitchClass(note.note)] += weight;
+            });
+
+            bars.push({ startTime, endTime, weights });
+        }
+
+        return bars;
+    }
+
+    /**
+     * Get the pitch classes in a key; minor keys include the raised leading tone
+     * @param {String} key - Key name
+     * @returns {Array<Number>} Pitch classes (0-11)
+     */
+    scalePitchClasses(key) {
+        const { tonic, minor } = parseKey(key);
+        const tonicPitchClass = noteNameToPitchClass(tonic);
+        const steps = minor ? [...NATURAL_MINOR_SCALE, 11] : MAJOR_SCALE;
+
+        return steps.map(step => (tonicPitchClass + step) % 12);
+    }
+
+    /**
+     * Build the chord on a scale degree of the key
+     * Minor keys take their V and vii from the harmonic minor scale, for a leading tone
+     * @param {Number} degree - Scale degree (0 for the tonic)
+     * @param {String} key - Key name
+     * @param {Boolean} seventh - Whether to add the seventh
+     * @returns {Object} Chord (root, type, numeral, notes and pitch classes)
+     */
+    buildChord(degree, key, seventh) {
+        const { tonic, minor } = parseKey(key);
+        const scale = !minor ? MAJOR_SCALE
+            : (degree === 4 || degree === 6) ? HARMONIC_MINOR_SCALE : NATURAL_MINOR_SCALE;
+        const tonicPitchClass = noteNameToPitchClass(tonic);
+
+        // Stack thirds from the scale
+        const stack = (seventh ? [0, 2, 4, 6] : [0, 2, 4]).map(step => {
+            const index = degree + step;
+            return scale[index % 7] + (index >= 7 ? 12 : 0) - scale[degree];
+        });
+
+        // Sevenths with no chord definition fall back to the triad
+        let type = this.findChordType(stack);
+        if (!type && seventh) {
+            type = this.findChordType(stack.slice(0, 3));
+        }
+
+        const rootPitchClass = (tonicPitchClass + scale[degree]) % 12;
+        const intervals = this.chordDefinitions[type];
+        const pitchClasses = intervals.map(interval => (rootPitchClass + interval) % 12);
+        const [root, ...others] = pitchClasses.map(pitchClass => {
+            const { step, alter } = spellPitchClass(pitchClass, key);
+            return formatNoteName(step, alter);
+        });
+
+        const numeral = MINOR_QUALITIES.includes(type) ? NUMERALS[degree].toLowerCase() : NUMERALS[degree];
+
+        return {
+            degree,
+            root,
+            type,
+            numeral: numeral + (NUMERAL_SUFFIXES[type] || ''),
+            notes: [root, ...others],
+            pitchClasses
+        };
+    }
+
+    /**
+     * Find the chord type with exactly these intervals
+     * @param {Array<Number>} intervals - Semitones from the root
+     * @returns {String|undefined} Chord type
+     */
+    findChordType(intervals) {
+        return Object.keys(this.chordDefinitions).find(type => {
+            const definition = this.chordDefinitions[type];
+            return definition.length === intervals.length &&
+                definition.every((interval, index) => interval === intervals[index]);
+        });
+    }
+
+    /**
+     * Score how well a chord fits the melody of a bar
+     * @param {Object} bar - Bar with a weight per pitch class
+     * @param {Object} chord - Candidate chord
+     * @param {Array<Number>} scalePitchClasses - Pitch classes in the key
+     * @returns {Number} Fit from -1 (all clashes) to 1 (all chord tones)
+     */
+    scoreChord(bar, chord, scalePitchClasses) {
+        const total = bar.weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return 0;
+
+        let score = 0;
+        bar.weights.forEach((weight, pitchClass) => {
+            if (chord.pitchClasses.includes(pitchClass)) {
+                score += weight;
+            } else if (scalePitchClasses.includes(pitchClass)) {
+                score -= weight * this.scaleTonePenalty;
+            } else {
+                score -= weight * this.chromaticPenalty;
+            }
+        });
+
+        return score / total;
+    }
+
+    /**
+     * Score moving from one chord to the next by the root movement between scale degrees
+     * @param {Object} from - Previous chord
+     * @param {Object} to - Next chord
+     * @returns {Number} Bonus (or penalty, if negative)
+     */
+    scoreTransition(from, to) {
+        if (from.degree === to.degree) return this.repeatBonus;
+
+        const motion = (to.degree - from.degree + 7) % 7;
+        if (motion === 3) return this.fifthMotionBonus;                   // Down a fifth
+        if (from.degree === 4 && to.degree === 3) return -this.retrogressionPenalty;
+        if (motion === 4 || motion === 5 || (from.degree === 3 && to.degree === 4)) {
+            return this.commonMotionBonus;                                  // Up a fifth, down a third
+        }
+        return 0;
+    }
+
+    /**
+     * Choose the best chord for each bar, taking the progression as a whole (Viterbi)
+     * @param {Array<Object>} bars - Bars with a weight per pitch class
+     * @param {Array<Object>} candidates - Chords to choose from
+     * @param {Array<Number>} inKey - Pitch classes in the key
+     * @returns {Array<Number>} Index into the candidates for each bar
+     */
+    chooseProgression(bars, candidates, inKey) {
+        const isTonic = chord => chord.degree === 0;
+        const last = bars.length - 1;
+
+        let scores = candidates.map(chord =>
+            this.scoreChord(bars[0], chord, inKey) +
+            (isTonic(chord) ? this.tonicStartBonus : 0) +
+            (last === 0 && isTonic(chord) ? this.tonicEndBonus : 0));
+        const backPointers = [];
+
+        for (let index = 1; index < bars.length; index++) {
+            const pointers = [];
+            scores = candidates.map((chord, current) => {
+                let best = -Infinity;
+                candidates.forEach((previous, before) => {
+                    const score = scores[before] + this.scoreTransition(previous, chord);
+                    if (score > best) {
+                        best = score;
+                        pointers[current] = before;
+                    }
+                });
+
+                return best + this.scoreChord(bars[index], chord, inKey) +
+                    (index === last && isTonic(chord) ? this.tonicEndBonus : 0);
+            });
+            backPointers.push(pointers);
+        }
+
+        // Trace the best path back from the last bar
+        let current = scores.indexOf(Math.max(...scores));
+        const path = [current];
+        for (let index = backPointers.length - 1; index >= 0; index--) {
+            current = backPointers[index][current];
+            path.unshift(current);
+        }
+
+        return path;
+    }
+}
+
+export default Harmonizer;
@@ -0,0 +1,271 @@
+/**
+ * midiWriter.js
+ * Service for exporting transcriptions as Standard MIDI Files
+ * The server writes the same files with its own copy in backend/services/midiWriter.js; change both together
+ */
+import { noteNameToPitchClass, parseKey } from './musicTheory.js';
+
+class MidiWriter {
+    constructor(options = {}) {
+        // Timing resolution (ticks per quarter note)
+        this.ticksPerBeat = options.ticksPerBeat || 480;
+
+        // Note-on velocity for every transcribed note
+        this.velocity = options.velocity || 96;
+    }
+
+    /**
+     * Write a transcription as a Standard MIDI File
+     * @param {Object} transcription - Transcription (rawPitchData, detectedTempo, detectedKey, sheetMusic)
+     * @param {Object} options - Export options
+     * @param {Number} options.format - MIDI file format, 0 (single track) or 1 (conductor + melody track)
+     * @param {String} options.trackName - Name of the melody track
+     * @returns {Uint8Array} MIDI file bytes
+     */
+    write(transcription, options = {}) {
+        const format = options.format === 0 ? 0 : 1;
+        const tempo = transcription.detectedTempo || 120;
+
+        const conductorEvents = this.createConductorEvents(transcription, tempo);
+        const noteEvents = this.createNoteEvents(transcription, tempo);
+        const trackNameEvent = this.createMetaEvent(0, 0x03, this.encodeText(options.trackName || 'Melody'));
+
+        let tracks;
+        if (format === 0) {
+            tracks = [[trackNameEvent, ...conductorEvents, ...noteEvents]];
+        } else {
+            tracks = [conductorEvents, [trackNameEvent, ...noteEvents]];
+        }
+
+        const chunks = [this.createHeaderChunk(format, tracks.length)];
+        tracks.forEach(events => {
+            chunks.push(this.createTrackChunk(events));
+        });
+
+        return this.concatBytes(chunks);
+    }
+
+    /**
+     * Create the tempo, time signature and key signature meta events
+     * @param {Object} transcription - Transcription data
+     * @param {Number} tempo - Tempo in BPM
+     * @returns {Array<Object>} Meta events at tick 0
+     */
+    createConductorEvents(transcription, tempo) {
+        // Tempo is stored as microseconds per quarter note
+        const microsecondsPerBeat = Math.round(60000000 / tempo);
+        const tempoEvent = this.createMetaEvent(0, 0x51, [
+            (microsecondsPerBeat >> 16) & 0xff,
+            (microsecondsPerBeat >> 8) & 0xff,
+            microsecondsPerBeat & 0xff
+        ]);
+
+        // Denominator is stored as a power of two
+        const timeSignature = (transcription.sheetMusic && transcription.sheetMusic.timeSignature) || {};
+        const numerator = timeSignature.numerator || 4;
+        const denominator = timeSignature.denominator || 4;
+        const timeSignatureEvent = this.createMetaEvent(0, 0x58, [
+            numerator,
+            Math.round(Math.log2(denominator)),
+            24, // MIDI clocks per metronome click
+            8   // 32nd notes per quarter note
+        ]);
+
+        const { fifths, minor } = parseKey(transcription.detectedKey);
+        const keySignatureEvent = this.createMetaEvent(0, 0x59, [
+            fifths & 0xff,
+            minor ? 1 : 0
+        ]);
+
+        return [tempoEvent, timeSignatureEvent, keySignatureEvent];
+    }
+
+    /**
+     * Create note on/off events from the transcription's timing data
+     * @param {Object} transcription - Transcription data
+     * @param {Number} tempo - Tempo in BPM
+     * @returns {Array<Object>} Note events sorted by tick
+     */
+    createNoteEvents(transcription, tempo) {
+        const notes = this.collectNotes(transcription);
+        const polyphonic = Boolean(transcription.metadata && transcription.metadata.mode === 'polyphonic');
+        const events = [];
+
+        notes.forEach((note, index) => {
+            // Monophonic line: a note ends no later than the next one starts; chords keep their overlaps
+            const next = notes[index + 1];
+            let endTime = note.endTime;
+            if (!polyphonic && next && next.startTime > note.startTime) {
+                endTime = Math.min(endTime, next.startTime);
+            }
+
+            const startTick = this.secondsToTicks(note.startTime, tempo);
+            const endTick = Math.max(startTick + 1, this.secondsToTicks(endTime, tempo));
+
+            events.push({ tick: startTick, order: 1, data: [0x90, note.noteNumber, this.velocity] });
+            events.push({ tick: endTick, order: 0, data: [0x80, note.noteNumber, 0] });
+        });
+
+        // Note-offs go before note-ons on the same tick
+        return events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    }
+
+    /**
+     * Collect timed notes, preferring raw pitch data for exact timing
+     * Edited scores use the simple notes instead, which the editor rebuilds from the sheet music
+     * @param {Object} transcription - Transcription data
+     * @returns {Array<Object>} Notes with MIDI note number, start and end time in seconds
+     */
+    collectNotes(transcription) {
+        const edited = Boolean(transcription.metadata && transcription.metadata.edited);
+        let notes = [];
+
+        if (!edited && transcription.rawPitchData && transcription.rawPitchData.length > 0) {
+            notes = transcription.rawPitchData
+                .filter(pitch => pitch.note && pitch.note.name)
+                .map(pitch => ({
+                    noteNumber: this.noteToMidi(pitch.note.name, pitch.note.octave),
+                    startTime: pitch.startTime,
+                    endTime: pitch.endTime
+                }));
+        } else if (transcription.simpleNotes) {
+            notes = transcription.simpleNotes.map(note => ({
+                noteNumber: this.noteToMidi(note.note, note.octave),
+                startTime: note.startTime,
+                endTime: note.startTime + note.duration
+            }));
+        }
+
+        return notes
+            .filter(note => note.noteNumber !== null)
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Convert a note name and octave to a MIDI note number
+     * @param {String} name - Note name, e.g. 'C#', 'Bb' or 'F♯'
+     * @param {Number} octave - Octave number (C4 is middle C)
+     * @returns {Number|null} MIDI note number (60 = C4) or null if unknown
+     */
+    noteToMidi(name, octave) {
+        const pitchClass = noteNameToPitchClass(name);
+        if (pitchClass === undefined) return null;
+
+        const noteNumber = (octave + 1) * 12 + pitchClass;
+        return Math.max(0, Math.min(127, noteNumber));
+    }
+
+    /**
+     * Convert a time in seconds to MIDI ticks at the given tempo
+     * @param {Number} seconds - Time in seconds
+     * @param {Number} tempo - Tempo in BPM
+     * @returns {Number} Time in ticks
+     */
+    secondsToTicks(seconds, tempo) {
+        return Math.max(0, Math.round(seconds * (tempo / 60) * this.ticksPerBeat));
+    }
+
+    /**
+     * Create a meta event
+     * @param {Number} tick - Absolute time in ticks
+     * @param {Number} type - Meta event type
+     * @param {Array<Number>} data - Event data bytes
+     * @returns {Object} Event with tick and raw bytes
+     */
+    createMetaEvent(tick, type, data) {
+        return {
+            tick,
+            data: [0xff, type, ...this.encodeVariableLength(data.length), ...data]
+        };
+    }
+
+    /**
+     * Create the MThd header chunk
+     * @param {Number} format - MIDI file format
+     * @param {Number} trackCount - Number of tracks
+     * @returns {Uint8Array} Header chunk bytes
+     */
+    createHeaderChunk(format, trackCount) {
+        return new Uint8Array([
+            0x4d, 0x54, 0x68, 0x64, // 'MThd'
+            0, 0, 0, 6,
+            0, format,
+            (trackCount >> 8) & 0xff, trackCount & 0xff,
+            (this.ticksPerBeat >> 8) & 0xff, this.ticksPerBeat & 0xff
+        ]);
+    }
+
+    /**
+     * Create an MTrk chunk from events with absolute ticks
+     * @param {Array<Object>} events - Events sorted by tick
+     * @returns {Uint8Array} Track chunk bytes
+     */
+    createTrackChunk(events) {
+        const body = [];
+        let lastTick = 0;
+
+        events.forEach(event => {
+            body.push(...this.encodeVariableLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+
+        // End of track
+        body.push(0x00, 0xff, 0x2f, 0x00);
+
+        const length = body.length;
+        return new Uint8Array([
+            0x4d, 0x54, 0x72, 0x6b, // 'MTrk'
+            (length >> 24) & 0xff,
+            (length >> 16) & 0xff,
+            (length >> 8) & 0xff,
+            length & 0xff,
+            ...body
+        ]);
+    }
+
+    /**
+     * Encode a number as a MIDI variable-length quantity
+     * @param {Number} value - Non-negative integer
+     * @returns {Array<Number>} Encoded bytes
+     */
+    encodeVariableLength(value) {
+        const bytes = [value & 0x7f];
+        value >>= 7;
+
+        while (value > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+            value >>= 7;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Encode text as bytes for meta events
+     * @param {String} text - Text to encode
+     * @returns {Array<Number>} UTF-8 bytes
+     */
+    encodeText(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Array<Uint8Array>} chunks - Byte arrays
+     * @returns {Uint8Array} Combined bytes
+     */
+    concatBytes(chunks) {
+        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const result = new Uint8Array(totalLength);
+
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return result;
+    }
+}
+
+export default MidiWriter;
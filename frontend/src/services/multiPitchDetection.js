@@ -0,0 +1,337 @@
+/**
+ * multiPitchDetection.js
+ * Service for finding several simultaneous notes, for chords played on guitar or piano
+ *
+ * Each frame's spectrum is whitened, then notes are found one at a time: the candidate
+ * whose harmonics add up to the most energy wins, and its partials are taken out of the
+ * spectrum before looking for the next one (Klapuri's harmonic-sum estimation)
+ */
+import { fft, hannWindow, nearestPowerOfTwo } from './fft.js';
+
+class MultiPitchDetection {
+    /**
+     * @param {Object} options - Detection settings
+     * @param {Number} options.maxPolyphony - Most notes reported per frame
+     * @param {Number} options.minMidi - Lowest candidate note (MIDI number)
+     * @param {Number} options.maxMidi - Highest candidate note (MIDI number)
+     * @param {Number} options.minNoteLength - Shortest note in seconds
+     */
+    constructor(options = {}) {
+        this.maxPolyphony = options.maxPolyphony || 6;
+        this.minMidi = options.minMidi || 40;   // E2, a guitar's low string
+        this.maxMidi = options.maxMidi || 88;   // E6
+        this.minNoteLength = options.minNoteLength || 0.1;
+
+        // Long frames resolve the semitone steps of low notes; chords change slowly
+        this.frameDuration = 8192 / 44100;  // About 186ms
+        this.hopDuration = 2048 / 44100;    // About 46ms
+
+        // Harmonic weights g = (f0 + alpha) / (h * f0 + beta) favour low partials of high notes
+        this.weightAlpha = 27;
+        this.weightBeta = 320;
+        this.maxHarmonics = 20;
+        this.maxPartialFrequency = 5000;
+        this.partialTolerance = 0.4;   // Semitones a partial may be off its ideal frequency (stretch, tuning)
+
+        // Fraction of the frame's strongest note's salience that another note needs
+        this.minRelativeSalience = 0.25;
+
+        // Spectral whitening flattens the spectral envelope so loud low partials don't dominate
+        this.whiteningExponent = 0.33;
+        this.whiteningBandwidth = 1 / 6;  // Octaves either side of each bin
+
+        // A note struck again shows as a jump in its strength after an onset
+        this.restrikeRatio = 1.2;
+    }
+
+    /**
+     * Find the notes sounding in each frame
+     * @param {Float32Array} audioData - Mono audio data
+     * @param {Number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Detection options
+     * @param {Number} options.referencePitch - Frequency of A4 in Hz, for the candidate grid
+     * @param {Number} options.gateLevel - RMS level below which frames are silent
+     * @param {Function} options.onProgress - Called with the fraction (0-1) of frames analyzed
+     * @returns {Array<Object>} Frames: time of the frame centre, notes (midi, frequency, salience)
+     * and whether the frame was gated as silence
+     */
+    detect(audioData, sampleRate, { referencePitch = 440, gateLevel = 0, onProgress } = {}) {
+        const frameSize = nearestPowerOfTwo(this.frameDuration * sampleRate);
+        const hopSize = Math.round(this.hopDuration * sampleRate);
+        const frameCount = Math.max(0, Math.floor((audioData.length - frameSize) / hopSize) + 1);
+        const progressInterval = Math.max(1, Math.floor(frameCount / 100));
+
+        const window = hannWindow(frameSize);
+        const real = new Float32Array(frameSize);
+        const imaginary = new Float32Array(frameSize);
+        const frames = [];
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (onProgress && frame % progressInterval === 0) {
+                onProgress(frame / frameCount);
+            }
+
+            const offset = frame * hopSize;
+            const time = (offset + frameSize / 2) / sampleRate;
+            let sumSquares = 0;
+
+            for (let i = 0; i < frameSize; i++) {
+                const sample = audioData[offset + i];
+                sumSquares += sample * sample;
+                real[i] = sample * window[i];
+                imaginary[i] = 0;
+            }
+
+            if (Math.sqrt(sumSquares / frameSize) < gateLevel) {
+                frames.push({ time, notes: [], gated: true });
+                continue;
+            }
+
+            fft(real, imaginary);
+
+            const magnitudes = new Float32Array(frameSize / 2);
+            for (let bin = 0; bin < magnitudes.length; bin++) {
+                magnitudes[bin] = Math.hypot(real[bin], imaginary[bin]);
+            }
+
+            frames.push({
+                time,
+                notes: this.estimateNotes(this.whiten(magnitudes, sampleRate / frameSize), sampleRate / frameSize, referencePitch),
+                gated: false
+            });
+        }
+
+        if (onProgress) {
+            onProgress(1);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Flatten the spectral envelope: each bin is scaled by its neighbourhood's level
+     * raised to (whiteningExponent - 1), which compresses loud regions more than quiet ones
+     * @param {Float32Array} magnitudes - Magnitude spectrum
+     * @param {Number} binWidth - Hz per bin
+     * @returns {Float32Array} Whitened magnitudes
+     */
+    whiten(magnitudes, binWidth) {
+        // Running sum of squares for the level of any range of bins
+        const sums = new Float64Array(magnitudes.length + 1);
+        for (let bin = 0; bin < magnitudes.length; bin++) {
+            sums[bin + 1] = sums[bin] + magnitudes[bin] * magnitudes[bin];
+        }
+
+        const spread = Math.pow(2, this.whiteningBandwidth);
+        const minReach = Math.max(2, Math.round(20 / binWidth));
+        const whitened = new Float32Array(magnitudes.length);
+
+        for (let bin = 1; bin < magnitudes.length; bin++) {
+            const low = Math.max(0, Math.min(bin - minReach, Math.floor(bin / spread)));
+            const high = Math.min(magnitudes.length - 1, Math.max(bin + minReach, Math.ceil(bin * spread)));
+            const level = Math.sqrt((sums[high + 1] - sums[low]) / (high - low + 1));
+
+            whitened[bin] = level > 0 ? magnitudes[bin] * Math.pow(level, this.whiteningExponent - 1) : 0;
+        }
+
+        return whitened;
+    }
+
+    /**
+     * Find the notes in one frame by iterative estimation and cancellation
+     * @param {Float32Array} spectrum - Whitened magnitude spectrum
+     * @param {Number} binWidth - Hz per bin
+     * @param {Number} referencePitch - Frequency of A4 in Hz
+     * @returns {Array<Object>} Notes (midi, frequency, salience), strongest first
+     */
+    estimateNotes(spectrum, binWidth, referencePitch) {
+        const residual = Float32Array.from(spectrum);
+        const notes = [];
+
+        while (notes.length < this.maxPolyphony) {
+            let best = null;
+            for (let midi = this.minMidi; midi <= this.maxMidi; midi++) {
+                if (notes.some(note => note.midi === midi)) continue;
+
+                const candidate = this.measureSalience(residual, midi, binWidth, referencePitch);
+                if (!best || candidate.salience > best.salience) best = candidate;
+            }
+            if (!best || best.salience <= 0) break;
+
+            // Weak leftovers are what cancellation missed, not notes
+            if (notes.length > 0 && best.salience < notes[0].salience * this.minRelativeSalience) break;
+
+            notes.push({ midi: best.midi, frequency: best.frequency, salience: best.salience });
+
+            this.cancelPartials(residual, best.partials, binWidth);
+        }
+
+        return notes;
+    }
+
+    /**
+     * Sum the weighted harmonics of a candidate note
+     * @param {Float32Array} spectrum - Magnitude spectrum
+     * @param {Number} midi - Candidate MIDI note number
+     * @param {Number} binWidth - Hz per bin
+     * @param {Number} referencePitch - Frequency of A4 in Hz
+     * @returns {Object} Candidate midi, refined frequency, salience and partials (bin, amplitude)
+     */
+    measureSalience(spectrum, midi, binWidth, referencePitch) {
+        const f0 = referencePitch * Math.pow(2, (midi - 69) / 12);
+        const tolerance = Math.pow(2, this.partialTolerance / 12);
+        const partials = [];
+        const estimates = [];
+        let salience = 0;
+
+        for (let harmonic = 1; harmonic <= this.maxHarmonics; harmonic++) {
+            const frequency = harmonic * f0;
+            if (frequency > this.maxPartialFrequency) break;
+
+            // Strongest bin around the partial's ideal frequency
+            const low = Math.max(1, Math.floor(frequency / tolerance / binWidth));
+            const high = Math.min(spectrum.length - 2, Math.ceil(frequency * tolerance / binWidth));
+            let peak = -1;
+            for (let bin = low; bin <= high; bin++) {
+                if (peak < 0 || spectrum[bin] > spectrum[peak]) peak = bin;
+            }
+            if (peak < 0) break;
+
+            const amplitude = spectrum[peak];
+            const weight = (f0 + this.weightAlpha) / (harmonic * f0 + this.weightBeta);
+            salience += weight * amplitude;
+            partials.push({ bin: peak, amplitude });
+
+            // Parabolic interpolation of the peak gives the partial's frequency between bins
+            const before = spectrum[peak - 1];
+            const after = spectrum[peak + 1];
+            const curvature = before - 2 * amplitude + after;
+            const shift = curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+            estimates.push({ frequency: (peak + shift) * binWidth / harmonic, weight: weight * amplitude });
+        }
+
+        // The note's frequency from its strongest partials
+        const weightSum = estimates.reduce((sum, estimate) => sum + estimate.weight, 0);
+        const frequency = weightSum > 0
+            ? estimates.reduce((sum, estimate) => sum + estimate.frequency * estimate.weight, 0) / weightSum
+            : f0;
+
+        return { midi, frequency, salience, partials };
+    }
+
+    /**
+     * Take a detected note's partials out of the residual spectrum
+     * Each partial is limited to the note's smooth spectral envelope, so energy that
+     * another note's partial adds at the same frequency stays for that note
+     * @param {Float32Array} residual - Residual spectrum, changed in place
+     * @param {Array<Object>} partials - Partials of the detected note (bin, amplitude)
+     * @param {Number} binWidth - Hz per bin
+     */
+    cancelPartials(residual, partials, binWidth) {
+        const lobe = Math.max(2, Math.round(10 / binWidth));
+
+        partials.forEach((partial, index) => {
+            const neighbours = partials.slice(Math.max(0, index - 1), index + 2);
+            const smooth = neighbours.reduce((sum, neighbour) => sum + neighbour.amplitude, 0) / neighbours.length;
+            const amount = partial.amplitude > 0 ? Math.min(1, smooth / partial.amplitude) : 0;
+
+            for (let bin = partial.bin - lobe; bin <= partial.bin + lobe; bin++) {
+                if (bin >= 0 && bin < residual.length) {
+                    residual[bin] *= 1 - amount;
+                }
+            }
+        });
+    }
+
+    /**
+     * Join each pitch's frames into notes
+     * A note runs while its pitch keeps sounding, and starts again where an onset
+     * brings a jump in its strength, as when a chord is strummed again
+     * @param {Array<Object>} frames - Frames from detect()
+     * @param {Array<Number>} onsets - Onset times in seconds
+     * @returns {Array<Object>} Notes with frequency, start and end time, confidence and the
+     * frequency of each of their frames (contour), in start order
+     */
+    trackNotes(frames, onsets) {
+        const notes = [];
+        const open = new Map();  // MIDI number to the note being built
+        let onsetIndex = 0;
+
+        const finish = (midi) => {
+            const note = open.get(midi);
+            open.delete(midi);
+            if (note.endTime - note.startTime < this.minNoteLength) return;
+
+            const frequencies = note.frames.map(entry => entry.frequency).sort((a, b) => a - b);
+            notes.push({
+                frequency: frequencies[Math.floor(frequencies.length / 2)],
+                startTime: note.startTime,
+                endTime: note.endTime,
+                confidence: note.frames.reduce((sum, entry) => sum + entry.strength, 0) / note.frames.length,
+                contour: note.frames.map(({ time, frequency }) => ({ time, frequency }))
+            });
+        };
+
+        frames.forEach((frame, index) => {
+            // Onsets that most of this frame follows
+            let onset = null;
+            while (onsetIndex < onsets.length && onsets[onsetIndex] <= frame.time - this.hopDuration / 2) {
+                onset = onsets[onsetIndex];
+                onsetIndex++;
+            }
+
+            // A note first heard in this frame starts at the onset its window spans, if any
+            const attack = onsets.find(time => Math.abs(time - frame.time) <= this.frameDuration / 2);
+
+            const strongest = frame.notes.length > 0 ? frame.notes[0].salience : 1;
+            const sounding = new Set();
+
+            frame.notes.forEach(found => {
+                sounding.add(found.midi);
+                const entry = {
+                    time: frame.time,
+                    frequency: found.frequency,
+                    salience: found.salience,
+                    strength: found.salience / strongest
+                };
+                const note = open.get(found.midi);
+
+                // Struck again: an onset since the note began, and the pitch got clearly louder
+                const previous = note && note.frames[note.frames.length - 1];
+                const isRestruck = note && onset !== null && onset > note.startTime &&
+                    found.salience > previous.salience * this.restrikeRatio;
+                if (isRestruck) {
+                    note.endTime = onset;
+                    finish(found.midi);
+                }
+
+                if (!open.has(found.midi)) {
+                    open.set(found.midi, {
+                        frames: [],
+                        startTime: isRestruck ? onset : (attack !== undefined ? attack : frame.time - this.hopDuration / 2),
+                        missing: 0
+                    });
+                }
+
+                const current = open.get(found.midi);
+                current.frames.push(entry);
+                current.endTime = frame.time + this.hopDuration / 2;
+                current.missing = 0;
+            });
+
+            // A pitch may drop out of a frame or two without the note ending
+            [...open.keys()].forEach(midi => {
+                if (sounding.has(midi)) return;
+                const note = open.get(midi);
+                note.missing++;
+                if (note.missing > 2 || index === frames.length - 1) finish(midi);
+            });
+        });
+
+        [...open.keys()].forEach(midi => finish(midi));
+
+        return notes.sort((a, b) => a.startTime - b.startTime || a.frequency - b.frequency);
+    }
+}
+
+export default MultiPitchDetection;
@@ -0,0 +1,777 @@
+/**
+ * musicXml.js
+ * Service for exporting transcriptions to MusicXML and importing MusicXML scores
+ */
+import {
+    STEP_PITCH_CLASSES,
+    parseKey,
+    keyFromFifths,
+    keySignatureAlter,
+    spellPitchClass,
+    noteNameToPitchClass,
+    octaveShiftForSpelling,
+    formatNoteName
+} from './musicTheory.js';
+import { TICKS_PER_BEAT, noteValueBeats, splitIntoNoteValues } from './rhythm.js';
+import { placeNotes } from './clefs.js';
+
+class MusicXml {
+    constructor() {
+        // Divisions per quarter note, fine enough for sixteenth notes, dots and triplets
+        this.divisions = 24;
+
+        // Note values by length in quarter notes
+        this.durationQuarters = {
+            'whole': 4,
+            'half': 2,
+            'quarter': 1,
+            'eighth': 0.5,
+            'sixteenth': 0.25
+        };
+
+        // MusicXML note types by length in quarter notes
+        this.noteTypes = [
+            { type: 'whole', quarters: 4 },
+            { type: 'half', quarters: 2 },
+            { type: 'quarter', quarters: 1 },
+            { type: 'eighth', quarters: 0.5 },
+            { type: '16th', quarters: 0.25 },
+            { type: '32nd', quarters: 0.125 }
+        ];
+
+        // MusicXML accidental names by alteration
+        this.accidentalNames = {
+            '-2': 'flat-flat',
+            '-1': 'flat',
+            '0': 'natural',
+            '1': 'sharp',
+            '2': 'double-sharp'
+        };
+
+        // Clefs as MusicXML sign and line, and octaves written above the sounding pitch
+        this.clefs = {
+            'treble': { sign: 'G', line: 2, octaveChange: 0 },
+            'bass': { sign: 'F', line: 4, octaveChange: 0 },
+            'alto': { sign: 'C', line: 3, octaveChange: 0 },
+            'tenor': { sign: 'C', line: 4, octaveChange: 0 },
+            'treble-8vb': { sign: 'G', line: 2, octaveChange: -1 }
+        };
+    }
+
+    /**
+     * Export a transcription as a MusicXML 4.0 document
+     * @param {Object} transcription - Transcription (sheetMusic, detectedKey, detectedTempo)
+     * @param {Object} options - Export options
+     * @param {String} options.title - Title of the work
+     * @returns {String} MusicXML document
+     */
+    toMusicXml(transcription, options = {}) {
+        const sheetMusic = transcription.sheetMusic || { notes: [] };
+        const key = transcription.detectedKey || 'C';
+        const tempo = transcription.detectedTempo || 120;
+        const { numerator = 4, denominator = 4 } = sheetMusic.timeSignature || {};
+        const clef = sheetMusic.clef || 'treble';
+        const grand = clef === 'grand';
+
+        // Notes keep sounding pitch; staves and octave signs only change how they are shown
+        const notes = sheetMusic.notes || [];
+        const placements = placeNotes(notes, clef);
+        const placed = notes.map((note, index) => ({ ...note, ...placements[index] }));
+
+        const measures = this.buildMeasures(placed, numerator, denominator, key);
+
+        // Octave sign in force, and the staff it was started on
+        let ottava = 0;
+        let ottavaStaff = null;
+
+        const measuresXml = measures.map((measureNotes, index) => {
+            let content = '';
+
+            if (index === 0) {
+                content += this.createAttributesXml(key, numerator, denominator, clef);
+                content += this.createTempoXml(tempo);
+            }
+
+            measureNotes.forEach(note => {
+                const shift = note.ottava || 0;
+                if (shift !== ottava) {
+                    if (ottava) content += this.createOctaveShiftXml(0, grand ? ottavaStaff : null);
+                    if (shift) content += this.createOctaveShiftXml(shift, grand ? note.staff : null);
+                    ottava = shift;
+                    ottavaStaff = note.staff;
+                }
+
+                content += this.createNoteXml(note, grand);
+            });
+
+            // The last octave sign ends with the score
+            if (ottava && index === measures.length - 1) {
+                content += this.createOctaveShiftXml(0, grand ? ottavaStaff : null);
+            }
+
+            return `    <measure number="${index + 1}">\n${content}    </measure>\n`;
+        }).join('');
+
+        const title = this.escapeXml(options.title || 'Untitled Recording');
+        const today = new Date().toISOString().slice(0, 10);
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+            '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" ' +
+            '"http://www.musicxml.org/dtds/partwise.dtd">\n' +
+            '<score-partwise version="4.0">\n' +
+            `  <work>\n    <work-title>${title}</work-title>\n  </work>\n` +
+            '  <identification>\n    <encoding>\n' +
+            '      <software>Melody Transcriber</software>\n' +
+            `      <encoding-date>${today}</encoding-date>\n` +
+            '    </encoding>\n  </identification>\n' +
+            '  <part-list>\n    <score-part id="P1">\n      <part-name>Voice</part-name>\n    </score-part>\n  </part-list>\n' +
+            '  <part id="P1">\n' +
+            measuresXml +
+            '  </part>\n' +
+            '</score-partwise>\n';
+    }
+
+    /**
+     * Lay notes out in measures, splitting notes that cross a barline into tied notes
+     * @param {Array} notes - Sheet music notes
+     * @param {Number} numerator - Beats per measure
+     * @param {Number} denominator - Beat unit
+     * @param {String} key - Key, to spell notes that have no spelling of their own
+     * @returns {Array<Array<Object>>} Measures of written notes
+     */
+    buildMeasures(notes, numerator, denominator, key) {
+        const measureLength = Math.round(numerator * (4 / denominator) * this.divisions);
+        const { fifths } = parseKey(key);
+
+        const measures = [[]];
+        let position = 0;
+
+        notes.forEach((note, index) => {
+            const written = {
+                ...(note.rest ? { rest: true } : this.spellNote(note, key)),
+                staff: note.staff,
+                ottava: note.ottava || 0
+            };
+            const type = this.noteTypeFor(note.duration);
+            let remaining = Math.round(noteValueBeats(note) * this.divisions);
+
+            // Ties written in the sheet music join this note to its neighbours
+            const previous = notes[index - 1];
+            const tiedFromPrevious = !note.rest && Boolean(previous && previous.tie);
+            const tiedToNext = !note.rest && Boolean(note.tie);
+
+            // Triplets are written as they are, as long as they fit in the measure
+            if (note.tuplet && remaining <= measureLength - position) {
+                measures[measures.length - 1].push({
+                    ...written,
+                    type,
+                    dots: note.dots || 0,
+                    duration: remaining,
+                    tuplet: note.tuplet,
+                    tieStop: tiedFromPrevious,
+                    tieStart: tiedToNext
+                });
+
+                position += remaining;
+                if (position === measureLength) {
+                    measures.push([]);
+                    position = 0;
+                }
+                return;
+            }
+
+            let isFirstPiece = true;
+
+            while (remaining > 0) {
+                const length = Math.min(remaining, measureLength - position);
+                const pieces = this.splitDuration(length);
+
+                pieces.forEach((piece, pieceIndex) => {
+                    const isLastPiece = pieceIndex === pieces.length - 1 && remaining === length;
+
+                    measures[measures.length - 1].push({
+                        ...written,
+                        ...piece,
+                        tieStop: !written.rest && (isFirstPiece ? tiedFromPrevious : true),
+                        tieStart: !written.rest && (isLastPiece ? tiedToNext : true)
+                    });
+
+                    isFirstPiece = false;
+                });
+
+                position += length;
+                remaining -= length;
+
+                if (position === measureLength) {
+                    measures.push([]);
+                    position = 0;
+                }
+            }
+        });
+
+        // Complete the last measure with rests
+        if (position > 0) {
+            this.splitDuration(measureLength - position).forEach(piece => {
+                measures[measures.length - 1].push({ rest: true, ...piece });
+            });
+        } else if (measures.length > 1) {
+            measures.pop();
+        }
+
+        // An empty score is a single measure rest
+        if (measures[0].length === 0) {
+            measures[0].push({ rest: true, measureRest: true, duration: measureLength });
+        }
+
+        measures.forEach(measure => {
+            this.assignAccidentals(measure, fifths);
+            this.assignTuplets(measure);
+        });
+
+        return measures;
+    }
+
+    /**
+     * Get the MusicXML note type of a sheet music duration
+     * @param {String} duration - Duration name ('whole', 'half', 'quarter', 'eighth', 'sixteenth')
+     * @returns {String} MusicXML note type
+     */
+    noteTypeFor(duration) {
+        const quarters = this.durationQuarters[duration] || 1;
+        return this.noteTypes.find(noteType => noteType.quarters === quarters).type;
+    }
+
+    /**
+     * Get the step and alteration to write for a sheet music note
+     * Notes keep their own spelling; only notes without one are spelled for the key
+     * @param {Object} note - Sheet music note
+     * @param {String} key - Key name
+     * @returns {Object} Step, alteration and octave to write
+     */
+    spellNote(note, key) {
+        const name = String(note.pitch || '').trim().replace(/♯/g, '#').replace(/♭/g, 'b');
+        const written = /^([A-G])(#*|b*)$/.exec(name);
+        if (written) {
+            const accidentals = written[2];
+            return {
+                step: written[1],
+                alter: accidentals.startsWith('#') ? accidentals.length : -accidentals.length,
+                octave: note.octave
+            };
+        }
+
+        const pitchClass = noteNameToPitchClass(note.pitch);
+        const { step, alter } = spellPitchClass(pitchClass, key);
+
+        return {
+            step,
+            alter,
+            octave: note.octave + octaveShiftForSpelling(note.pitch, formatNoteName(step, alter))
+        };
+    }
+
+    /**
+     * Split a length into written note values, longest first
+     * @param {Number} length - Length in divisions
+     * @returns {Array<Object>} Note values with type, dots and duration in divisions
+     */
+    splitDuration(length) {
+        const candidates = [];
+        this.noteTypes.forEach(({ type, quarters }) => {
+            candidates.push({ type, dots: 1, duration: Math.round(quarters * 1.5 * this.divisions) });
+            candidates.push({ type, dots: 0, duration: Math.round(quarters * this.divisions) });
+        });
+
+        const pieces = [];
+        let remaining = length;
+
+        while (remaining > 0) {
+            const piece = candidates.find(candidate => candidate.duration <= remaining);
+            if (!piece) break;
+
+            pieces.push({ ...piece });
+            remaining -= piece.duration;
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Decide which notes in a measure need a written accidental
+     * @param {Array<Object>} measure - Written notes in the measure
+     * @param {Number} fifths - Key signature
+     */
+    assignAccidentals(measure, fifths) {
+        // Alterations in effect, per letter and octave, for the rest of the measure
+        const state = {};
+
+        measure.forEach(note => {
+            if (note.rest) return;
+
+            const position = `${note.step}${note.octave}`;
+            const current = position in state
+                ? state[position]
+                : keySignatureAlter(note.step, fifths);
+
+            // The continuation of a tied note never repeats its accidental
+            if (note.tieStop) return;
+
+            if (note.alter !== current) {
+                note.accidental = this.accidentalNames[note.alter];
+                state[position] = note.alter;
+            }
+        });
+    }
+
+    /**
+     * Mark where the brackets of triplet groups start and stop; each group fills one beat
+     * @param {Array<Object>} measure - Written notes in the measure
+     */
+    assignTuplets(measure) {
+        let group = [];
+        let length = 0;
+
+        const closeGroup = () => {
+            if (group.length > 0) {
+                group[0].tupletStart = true;
+                group[group.length - 1].tupletStop = true;
+            }
+            group = [];
+            length = 0;
+        };
+
+        measure.forEach(note => {
+            if (!note.tuplet) {
+                closeGroup();
+                return;
+            }
+
+            group.push(note);
+            length += note.duration;
+            if (length >= this.divisions) closeGroup();
+        });
+        closeGroup();
+    }
+
+    /**
+     * Create the attributes element of the first measure
+     * @param {String} key - Key name
+     * @param {Number} numerator - Beats per measure
+     * @param {Number} denominator - Beat unit
+     * @param {String} clef - Clef name, or 'grand' for a treble and a bass staff
+     * @returns {String} XML
+     */
+    createAttributesXml(key, numerator, denominator, clef) {
+        const { fifths, minor } = parseKey(key);
+        const grand = clef === 'grand';
+
+        const clefXml = (name, number) => {
+            const { sign, line, octaveChange } = this.clefs[name] || this.clefs.treble;
+            return `        <clef${number ? ` number="${number}"` : ''}>\n` +
+                `          <sign>${sign}</sign>\n          <line>${line}</line>\n` +
+                (octaveChange ? `          <clef-octave-change>${octaveChange}</clef-octave-change>\n` : '') +
+                '        </clef>\n';
+        };
+
+        return '      <attributes>\n' +
+            `        <divisions>${this.divisions}</divisions>\n` +
+            `        <key>\n          <fifths>${fifths}</fifths>\n          <mode>${minor ? 'minor' : 'major'}</mode>\n        </key>\n` +
+            `        <time>\n          <beats>${numerator}</beats>\n          <beat-type>${denominator}</beat-type>\n        </time>\n` +
+            (grand ? '        <staves>2</staves>\n' + clefXml('treble', 1) + clefXml('bass', 2) : clefXml(clef)) +
+            '      </attributes>\n';
+    }
+
+    /**
+     * Create the direction that starts or stops an 8va or 8vb sign
+     * @param {Number} ottava - 1 to start 8va, -1 to start 8vb, 0 to stop
+     * @param {String|null} staff - Staff of a grand staff ('treble' or 'bass'), or null
+     * @returns {String} XML
+     */
+    createOctaveShiftXml(ottava, staff) {
+        // 8va notes are shown an octave below where they sound, so MusicXML shifts them down
+        const type = ottava > 0 ? 'down' : ottava < 0 ? 'up' : 'stop';
+
+        return `      <direction placement="${ottava < 0 ? 'below' : 'above'}">\n` +
+            '        <direction-type>\n' +
+            `          <octave-shift type="${type}" size="8"/>\n` +
+            '        </direction-type>\n' +
+            (staff ? `        <staff>${staff === 'bass' ? 2 : 1}</staff>\n` : '') +
+            '      </direction>\n';
+    }
+
+    /**
+     * Create the metronome marking of the first measure
+     * @param {Number} tempo - Tempo in BPM
+     * @returns {String} XML
+     */
+    createTempoXml(tempo) {
+        return '      <direction placement="above">\n' +
+            '        <direction-type>\n' +
+            `          <metronome>\n            <beat-unit>quarter</beat-unit>\n            <per-minute>${tempo}</per-minute>\n          </metronome>\n` +
+            '        </direction-type>\n' +
+            `        <sound tempo="${tempo}"/>\n` +
+            '      </direction>\n';
+    }
+
+    /**
+     * Create a note element
+     * @param {Object} note - Written note or rest
+     * @param {Boolean} grand - Whether the score has a treble and a bass staff
+     * @returns {String} XML
+     */
+    createNoteXml(note, grand = false) {
+        let xml = '      <note>\n';
+
+        if (note.rest) {
+            xml += note.measureRest ? '        <rest measure="yes"/>\n' : '        <rest/>\n';
+        } else {
+            xml += '        <pitch>\n';
+            xml += `          <step>${note.step}</step>\n`;
+            if (note.alter !== 0) {
+                xml += `          <alter>${note.alter}</alter>\n`;
+            }
+            xml += `          <octave>${note.octave}</octave>\n`;
+            xml += '        </pitch>\n';
+        }
+
+        xml += `        <duration>${note.duration}</duration>\n`;
+
+        if (note.tieStop) xml += '        <tie type="stop"/>\n';
+        if (note.tieStart) xml += '        <tie type="start"/>\n';
+
+        xml += '        <voice>1</voice>\n';
+
+        if (!note.measureRest) {
+            xml += `        <type>${note.type}</type>\n`;
+            for (let i = 0; i < note.dots; i++) {
+                xml += '        <dot/>\n';
+            }
+        }
+
+        if (note.accidental) {
+            xml += `        <accidental>${note.accidental}</accidental>\n`;
+        }
+
+        if (note.tuplet) {
+            xml += '        <time-modification>\n';
+            xml += `          <actual-notes>${note.tuplet}</actual-notes>\n`;
+            xml += '          <normal-notes>2</normal-notes>\n';
+            xml += '        </time-modification>\n';
+        }
+
+        if (grand) {
+            xml += `        <staff>${note.staff === 'bass' ? 2 : 1}</staff>\n`;
+        }
+
+        if (note.tieStop || note.tieStart || note.tupletStart || note.tupletStop) {
+            xml += '        <notations>\n';
+            if (note.tieStop) xml += '          <tied type="stop"/>\n';
+            if (note.tieStart) xml += '          <tied type="start"/>\n';
+            if (note.tupletStart) xml += '          <tuplet type="start" bracket="yes"/>\n';
+            if (note.tupletStop) xml += '          <tuplet type="stop"/>\n';
+            xml += '        </notations>\n';
+        }
+
+        return xml + '      </note>\n';
+    }
+
+    /**
+     * Import a MusicXML document as a transcription
+     * @param {String} xmlString - MusicXML (partwise) document
+     * @returns {Object} Transcription with simpleNotes, sheetMusic, rawPitchData, detectedKey and detectedTempo
+     */
+    fromMusicXml(xmlString) {
+        const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid MusicXML file');
+        }
+
+        const part = doc.querySelector('score-partwise > part');
+        if (!part) {
+            throw new Error('Only partwise MusicXML scores are supported');
+        }
+
+        const score = this.readPart(part);
+        const secondsPerQuarter = 60 / score.tempo;
+
+        const sheetNotes = this.createSheetNotes(score.notes, secondsPerQuarter);
+
+        const simpleNotes = score.notes.map(note => ({
+            note: note.pitch.replace('#', '♯').replace(/(.)b/, '$1♭'),
+            octave: note.octave,
+            duration: note.quarters * secondsPerQuarter,
+            startTime: note.startQuarter * secondsPerQuarter
+        }));
+
+        const rawPitchData = score.notes.map(note => {
+            const frequency = this.noteFrequency(note.pitch, note.octave);
+            return {
+                frequency,
+                note: {
+                    name: note.pitch,
+                    octave: note.octave,
+                    frequency,
+                    cents: 0
+                },
+                startTime: note.startQuarter * secondsPerQuarter,
+                endTime: (note.startQuarter + note.quarters) * secondsPerQuarter
+            };
+        });
+
+        return {
+            simpleNotes,
+            complexChords: [],
+            sheetMusic: {
+                notes: sheetNotes,
+                timeSignature: score.timeSignature,
+                clef: score.clef
+            },
+            rawPitchData,
+            detectedKey: score.key,
+            detectedTempo: score.tempo
+        };
+    }
+
+    /**
+     * Read the notes and attributes of the first voice in a part
+     * @param {Element} part - MusicXML part element
+     * @returns {Object} Notes with start and length in quarter notes, plus key, tempo, time signature and clef
+     */
+    readPart(part) {
+        const score = {
+            notes: [],
+            key: 'C',
+            tempo: 120,
+            timeSignature: { numerator: 4, denominator: 4 },
+            clef: 'treble'
+        };
+
+        let divisions = 1;
+        let time = 0; // Current position in quarter notes
+        let voice = null;
+        let hasKey = false;
+        let hasTempo = false;
+        let hasTime = false;
+        let hasClef = false;
+
+        Array.from(part.children).forEach(measure => {
+            if (measure.tagName !== 'measure') return;
+
+            Array.from(measure.children).forEach(element => {
+                switch (element.tagName) {
+                    case 'attributes': {
+                        divisions = this.readNumber(element, 'divisions') || divisions;
+
+                        const fifths = this.readNumber(element, 'key > fifths');
+                        if (fifths !== null && !hasKey) {
+                            const mode = this.readText(element, 'key > mode');
+                            score.key = keyFromFifths(fifths, mode === 'minor');
+                            hasKey = true;
+                        }
+
+                        const beats = this.readNumber(element, 'time > beats');
+                        const beatType = this.readNumber(element, 'time > beat-type');
+                        if (beats && beatType && !hasTime) {
+                            score.timeSignature = { numerator: beats, denominator: beatType };
+                            hasTime = true;
+                        }
+
+                        const sign = this.readText(element, 'clef > sign');
+                        if (sign && !hasClef) {
+                            const line = this.readNumber(element, 'clef > line');
+                            const octaveChange = this.readNumber(element, 'clef > clef-octave-change') || 0;
+                            const clef = Object.keys(this.clefs).find(name => {
+                                const candidate = this.clefs[name];
+                                return candidate.sign === sign && candidate.line === line &&
+                                    candidate.octaveChange === octaveChange;
+                            });
+                            score.clef = this.readNumber(element, 'staves') === 2 ? 'grand' : clef || 'treble';
+                            hasClef = true;
+                        }
+                        break;
+                    }
+
+                    case 'direction':
+                    case 'sound': {
+                        const sound = element.tagName === 'sound' ? element : element.querySelector('sound');
+                        const tempo = sound && parseFloat(sound.getAttribute('tempo'));
+                        const perMinute = this.readNumber(element, 'metronome > per-minute');
+                        if (!hasTempo && (tempo || perMinute)) {
+                            score.tempo = Math.round(tempo || perMinute);
+                            hasTempo = true;
+                        }
+                        break;
+                    }
+
+                    case 'backup':
+                        time -= this.readNumber(element, 'duration') / divisions;
+                        break;
+
+                    case 'forward':
+                        time += this.readNumber(element, 'duration') / divisions;
+                        break;
+
+                    case 'note':
+                        time += this.readNote(element, divisions, time, score.notes, voice);
+                        voice = voice || this.readText(element, 'voice') || '1';
+                        break;
+
+                    default:
+                        break;
+                }
+            });
+        });
+
+        return score;
+    }
+
+    /**
+     * Read a note element, adding it to the notes of the first voice
+     * @param {Element} element - MusicXML note element
+     * @param {Number} divisions - Divisions per quarter note
+     * @param {Number} time - Current position in quarter notes
+     * @param {Array<Object>} notes - Notes read so far
+     * @param {String|null} voice - Voice being imported, or null before the first note
+     * @returns {Number} How far the note advances the position, in quarter notes
+     */
+    readNote(element, divisions, time, notes, voice) {
+        // Grace notes take no time, and chord tones share the previous note's time
+        if (element.querySelector('grace')) return 0;
+
+        const quarters = (this.readNumber(element, 'duration') || 0) / divisions;
+        if (element.querySelector('chord')) return 0;
+
+        const noteVoice = this.readText(element, 'voice') || '1';
+        if (voice && noteVoice !== voice) return quarters;
+
+        // Rests only advance the position
+        if (element.querySelector('rest')) return quarters;
+
+        const step = this.readText(element, 'pitch > step');
+        const alter = Math.round(this.readNumber(element, 'pitch > alter') || 0);
+        const octave = this.readNumber(element, 'pitch > octave');
+        if (!step || octave === null) return quarters;
+
+        const pitch = formatNoteName(step, alter);
+        const tieTypes = Array.from(element.querySelectorAll('tie')).map(tie => tie.getAttribute('type'));
+
+        // The continuation of a tied note lengthens the note it is tied from
+        const previous = notes[notes.length - 1];
+        if (tieTypes.includes('stop') && previous && previous.tieStart &&
+            previous.pitch === pitch && previous.octave === octave) {
+            previous.quarters += quarters;
+            previous.tieStart = tieTypes.includes('start');
+            return quarters;
+        }
+
+        notes.push({
+            pitch,
+            octave,
+            quarters,
+            startQuarter: time,
+            tieStart: tieTypes.includes('start')
+        });
+
+        return quarters;
+    }
+
+    /**
+     * Write imported notes as sheet music notes, with rests in the gaps and ties
+     * where a note needs more than one note value
+     * @param {Array<Object>} notes - Notes with start and length in quarter notes
+     * @param {Number} secondsPerQuarter - Length of a quarter note in seconds
+     * @returns {Array<Object>} Sheet music notes and rests
+     */
+    createSheetNotes(notes, secondsPerQuarter) {
+        const sheetNotes = [];
+        const toTicks = (quarters) => Math.round(quarters * TICKS_PER_BEAT);
+
+        const addSpan = (start, end, note) => {
+            const pieces = splitIntoNoteValues(start, end);
+
+            pieces.forEach((piece, index) => {
+                const sheetNote = note
+                    ? { pitch: note.pitch, octave: note.octave }
+                    : { rest: true };
+
+                sheetNote.duration = piece.duration;
+                sheetNote.dots = piece.dots;
+                if (piece.tuplet) sheetNote.tuplet = piece.tuplet;
+                if (note && index < pieces.length - 1) sheetNote.tie = true;
+                sheetNote.startTime = (piece.start / TICKS_PER_BEAT) * secondsPerQuarter;
+
+                sheetNotes.push(sheetNote);
+            });
+        };
+
+        let position = 0;
+        notes.forEach(note => {
+            const start = Math.max(position, toTicks(note.startQuarter));
+            const end = toTicks(note.startQuarter + note.quarters);
+            if (end <= start) return;
+
+            if (start > position) {
+                addSpan(position, start, null);
+            }
+
+            addSpan(start, end, note);
+            position = end;
+        });
+
+        return sheetNotes;
+    }
+
+    /**
+     * Get the equal-tempered frequency of a note
+     * @param {String} pitch - Note name
+     * @param {Number} octave - Octave number
+     * @returns {Number} Frequency in Hz (A4 = 440Hz)
+     */
+    noteFrequency(pitch, octave) {
+        const step = pitch[0];
+        const alter = (pitch.match(/#/g) || []).length - (pitch.slice(1).match(/b/g) || []).length;
+        const midi = (octave + 1) * 12 + STEP_PITCH_CLASSES[step] + alter;
+
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * Read the text of a descendant element
+     * @param {Element} element - Parent element
+     * @param {String} selector - CSS selector
+     * @returns {String|null} Trimmed text or null if missing
+     */
+    readText(element, selector) {
+        const child = element.querySelector(selector);
+        return child ? child.textContent.trim() : null;
+    }
+
+    /**
+     * Read a number from a descendant element
+     * @param {Element} element - Parent element
+     * @param {String} selector - CSS selector
+     * @returns {Number|null} Number or null if missing
+     */
+    readNumber(element, selector) {
+        const text = this.readText(element, selector);
+        const value = text === null ? NaN : parseFloat(text);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Escape text for use in XML
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+export default MusicXml;
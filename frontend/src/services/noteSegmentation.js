@@ -0,0 +1,334 @@
+/**
+ * noteSegmentation.js
+ * Service for finding note onsets and splitting a pitch contour into notes
+ */
+import { fft, hannWindow, nearestPowerOfTwo } from './fft.js';
+
+class NoteSegmentation {
+    /**
+     * @param {Object} options - Segmentation settings
+     * @param {Number} options.minNoteLength - Shortest note in seconds; shorter fragments are glitches
+     * @param {Number} options.pitchHysteresis - Semitones the pitch must move from a note before a new note starts
+     * @param {Number} options.medianWindow - Frames in the median filter that smooths the pitch contour
+     * @param {Number} options.maxGap - Longest unpitched gap in seconds that doesn't end a note
+     * @param {Number} options.onsetThreshold - How far (0-1) the onset strength must rise above its local average
+     * @param {Number} options.minOnsetInterval - Shortest time in seconds between two onsets
+     */
+    constructor(options = {}) {
+        this.minNoteLength = options.minNoteLength || 0.1;
+        this.pitchHysteresis = options.pitchHysteresis || 0.6;
+        this.medianWindow = options.medianWindow || 5;
+        this.maxGap = options.maxGap || 0.06;
+        this.onsetThreshold = options.onsetThreshold || 0.12;
+        this.minOnsetInterval = options.minOnsetInterval || 0.08;
+
+        // Onset analysis frames are much shorter than pitch frames for better timing
+        this.onsetFrameDuration = 1024 / 44100;  // About 23ms
+        this.onsetWindow = 0.1;    // Seconds either side used for the local average onset strength
+        this.onsetRatio = 1.5;     // How many times the local average a peak must be; noise keeps the average high
+        this.silenceLevel = 0.005; // RMS below which no onset is reported
+    }
+
+    /**
+     * Find note onsets from rises in spectral flux and energy
+     * @param {Float32Array} audioData - Mono audio data
+     * @param {Number} sampleRate - Sample rate in Hz
+     * @returns {Array<Number>} Onset times in seconds
+     */
+    detectOnsets(audioData, sampleRate) {
+        // Power-of-two frames for the FFT, about the same duration at every sample rate
+        const frameSize = nearestPowerOfTwo(this.onsetFrameDuration * sampleRate);
+        const hopSize = frameSize / 2;
+        const frameCount = Math.floor((audioData.length - frameSize) / hopSize) + 1;
+        if (frameCount < 3) return [];
+
+        const window = hannWindow(frameSize);
+
+        const flux = new Float32Array(frameCount);
+        const energy = new Float32Array(frameCount);
+        const levels = new Float32Array(frameCount);
+        const real = new Float32Array(frameSize);
+        const imaginary = new Float32Array(frameSize);
+        let previous = null;
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const offset = frame * hopSize;
+            let sumSquares = 0;
+
+            for (let i = 0; i < frameSize; i++) {
+                const sample = audioData[offset + i];
+                sumSquares += sample * sample;
+                real[i] = sample * window[i];
+                imaginary[i] = 0;
+            }
+
+            fft(real, imaginary);
+
+            // Log-compressed magnitudes make quiet and loud notes count alike
+            const magnitudes = new Float32Array(frameSize / 2);
+            for (let bin = 0; bin < magnitudes.length; bin++) {
+                magnitudes[bin] = Math.log(1 + 100 * Math.hypot(real[bin], imaginary[bin]));
+            }
+
+            // Spectral flux: total rise in magnitude across all bins
+            if (previous) {
+                let rise = 0;
+                for (let bin = 0; bin < magnitudes.length; bin++) {
+                    rise += Math.max(0, magnitudes[bin] - previous[bin]);
+                }
+                flux[frame] = rise;
+            }
+            previous = magnitudes;
+
+            levels[frame] = Math.sqrt(sumSquares / frameSize);
+            energy[frame] = Math.log(levels[frame] + 1e-4);
+        }
+
+        // Energy novelty: rises in loudness, such as a note re-sung after a short dip
+        const energyRise = new Float32Array(frameCount);
+        for (let frame = 1; frame < frameCount; frame++) {
+            energyRise[frame] = Math.max(0, energy[frame] - energy[frame - 1]);
+        }
+
+        const novelty = this.combineNovelty(flux, energyRise);
+        const hopDuration = hopSize / sampleRate;
+
+        return this.pickOnsets(novelty, levels, hopDuration).map(frame => {
+            // Flux compares a frame with the one before, so the onset lies between their centres
+            return (frame * hopSize + frameSize / 2 - hopSize / 2) / sampleRate;
+        });
+    }
+
+    /**
+     * Normalize the onset curves and add them together
+     * @param {Float32Array} flux - Spectral flux per frame
+     * @param {Float32Array} energyRise - Rise in log energy per frame
+     * @returns {Float32Array} Combined onset strength (0-2)
+     */
+    combineNovelty(flux, energyRise) {
+        const fluxMax = flux.reduce((max, value) => Math.max(max, value), 0) || 1;
+        const energyMax = energyRise.reduce((max, value) => Math.max(max, value), 0) || 1;
+
+        return flux.map((value, frame) => value / fluxMax + energyRise[frame] / energyMax);
+    }
+
+    /**
+     * Pick the peaks of the onset strength that stand out from their surroundings
+     * @param {Float32Array} novelty - Onset strength per frame
+     * @param {Float32Array} levels - RMS level per frame
+     * @param {Number} hopDuration - Seconds between frames
+     * @returns {Array<Number>} Frame indexes of onsets
+     */
+    pickOnsets(novelty, levels, hopDuration) {
+        const peakReach = Math.max(1, Math.round(0.03 / hopDuration));
+        const averageReach = Math.max(1, Math.round(this.onsetWindow / hopDuration));
+        const minInterval = this.minOnsetInterval / hopDuration;
+        const onsets = [];
+
+        for (let frame = 1; frame < novelty.length; frame++) {
+            const value = novelty[frame];
+
+            // Must be the largest value nearby
+            let isPeak = true;
+            const peakStart = Math.max(0, frame - peakReach);
+            const peakEnd = Math.min(novelty.length - 1, frame + peakReach);
+            for (let i = peakStart; i <= peakEnd && isPeak; i++) {
+                if (novelty[i] > value || (novelty[i] === value && i < frame)) isPeak = false;
+            }
+            if (!isPeak) continue;
+
+            // Must rise well above the local average, so steady vibrato and noise don't count
+            const averageStart = Math.max(0, frame - averageReach);
+            const averageEnd = Math.min(novelty.length - 1, frame + averageReach);
+            let sum = 0;
+            for (let i = averageStart; i <= averageEnd; i++) sum += novelty[i];
+            const average = sum / (averageEnd - averageStart + 1);
+            if (value < average * this.onsetRatio + this.onsetThreshold) continue;
+
+            // An onset needs sound just after it
+            const after = levels[Math.min(levels.length - 1, frame + 1)];
+            if (Math.max(levels[frame], after) < this.silenceLevel) continue;
+
+            // The click of a note ending also raises the flux; a note dying away isn't an onset
+            const later = levels[Math.min(levels.length - 1, frame + 2)];
+            if (later < levels[frame - 1] * 0.5) continue;
+
+            if (onsets.length > 0 && frame - onsets[onsets.length - 1] < minInterval) {
+                // Keep the stronger of two onsets that are too close together
+                if (value > novelty[onsets[onsets.length - 1]]) {
+                    onsets[onsets.length - 1] = frame;
+                }
+                continue;
+            }
+
+            onsets.push(frame);
+        }
+
+        return onsets;
+    }
+
+    /**
+     * Split a pitch contour into notes
+     * A note starts at an onset, or where the smoothed pitch moves further than the
+     * hysteresis from the note for at least the minimum note length; vibrato and
+     * short jitter stay within the note
+     * @param {Array<Object>} frames - Pitch frames (time of the frame centre, frequency or 0 if unpitched, confidence)
+     * @param {Array<Number>} onsets - Onset times in seconds
+     * @param {Number} hopDuration - Seconds between frames
+     * @returns {Array<Object>} Notes with median frequency, start and end time and average confidence
+     */
+    segment(frames, onsets, hopDuration) {
+        const contour = this.smoothContour(frames);
+        const minFrames = Math.max(1, Math.round(this.minNoteLength / hopDuration));
+        const maxGapFrames = Math.max(0, Math.round(this.maxGap / hopDuration));
+
+        const notes = [];
+        let current = null;   // Note being built: frame indexes and its start time
+        let pending = [];     // Frames that have moved away from the current note's pitch
+        let gap = 0;          // Unpitched frames since the last pitched one
+        let onsetIndex = 0;
+        let onset = null;     // Latest onset not yet used by a pitched frame
+
+        const startNote = (indexes, startTime) => {
+            current = { frames: indexes, startTime };
+        };
+
+        const finishNote = (endTime) => {
+            if (current) {
+                notes.push(this.createNote(current, frames, contour, endTime));
+            }
+            current = null;
+        };
+
+        frames.forEach((frame, index) => {
+            // Onsets that most of this frame follows; earlier frames still hear the previous note
+            while (onsetIndex < onsets.length && onsets[onsetIndex] <= frame.time - hopDuration / 2) {
+                onset = onsets[onsetIndex];
+                onsetIndex++;
+            }
+
+            if (contour[index] === null) {
+                gap++;
+                if (current && gap > maxGapFrames) {
+                    current.frames.push(...pending);
+                    pending = [];
+                    const last = current.frames[current.frames.length - 1];
+                    finishNote(frames[last].time + hopDuration / 2);
+                }
+                return;
+            }
+            gap = 0;
+
+            const attack = onset;
+            onset = null;
+
+            if (!current) {
+                // After a silence the attack may come a little before the voice does
+                const previousEnd = notes.length > 0 ? notes[notes.length - 1].endTime : 0;
+                startNote([index], attack !== null ? Math.max(attack, previousEnd) : frame.time - hopDuration / 2);
+                return;
+            }
+
+            // A new attack ends the note, even on the same pitch, once the note is long enough
+            const isAttack = attack !== null && frame.time - attack <= hopDuration * 2;
+            if (isAttack && current.frames.length + pending.length >= minFrames) {
+                current.frames.push(...pending);
+                pending = [];
+                finishNote(attack);
+                startNote([index], attack);
+                return;
+            }
+
+            // A note too short to have a settled pitch takes in scoops and the first swing of vibrato
+            const pitch = this.median(current.frames.map(i => contour[i]));
+            if (current.frames.length < minFrames || Math.abs(contour[index] - pitch) <= this.pitchHysteresis) {
+                // Back at the note's pitch: the frames that wandered off were jitter
+                current.frames.push(...pending, index);
+                pending = [];
+                return;
+            }
+
+            pending.push(index);
+
+            // Moved away for long enough: a new note starts where the move began
+            if (pending.length >= minFrames) {
+                const boundary = frames[pending[0]].time - hopDuration / 2;
+                finishNote(boundary);
+                startNote(pending, boundary);
+                pending = [];
+            }
+        });
+
+        if (current) {
+            current.frames.push(...pending);
+            const last = current.frames[current.frames.length - 1];
+            finishNote(frames[last].time + hopDuration / 2);
+        }
+
+        // Fragments shorter than a note are slides and glitches
+        return notes.filter(note => note.endTime - note.startTime >= this.minNoteLength * 0.99);
+    }
+
+    /**
+     * Median-filter the pitch contour in semitones; unpitched frames are null
+     * @param {Array<Object>} frames - Pitch frames
+     * @returns {Array<Number|null>} Smoothed pitch per frame in (fractional) MIDI note numbers
+     */
+    smoothContour(frames) {
+        const semitones = frames.map(frame => {
+            return frame.frequency > 0 ? 69 + 12 * Math.log2(frame.frequency / 440) : null;
+        });
+        const reach = Math.floor(this.medianWindow / 2);
+
+        return semitones.map((value, index) => {
+            if (value === null) return null;
+
+            // Only pitched neighbours take part, so a note's edges aren't pulled toward silence
+            const neighbours = [];
+            for (let i = index - reach; i <= index + reach; i++) {
+                if (i >= 0 && i < semitones.length && semitones[i] !== null) {
+                    neighbours.push(semitones[i]);
+                }
+            }
+
+            return this.median(neighbours);
+        });
+    }
+
+    /**
+     * Create a note from its frames
+     * @param {Object} note - Frame indexes and start time of the note
+     * @param {Array<Object>} frames - Pitch frames
+     * @param {Array<Number|null>} contour - Smoothed pitch per frame
+     * @param {Number} endTime - End time in seconds
+     * @returns {Object} Note with median frequency, start and end time, average confidence
+     * and the frequency of each of its frames as sung (time, frequency)
+     */
+    createNote(note, frames, contour, endTime) {
+        const pitch = this.median(note.frames.map(index => contour[index]));
+        const confidence = note.frames.reduce((sum, index) => sum + frames[index].confidence, 0) / note.frames.length;
+
+        return {
+            frequency: 440 * Math.pow(2, (pitch - 69) / 12),
+            startTime: note.startTime,
+            endTime,
+            confidence,
+            contour: note.frames
+                .filter(index => frames[index].frequency > 0)
+                .map(index => ({ time: frames[index].time, frequency: frames[index].frequency }))
+        };
+    }
+
+    /**
+     * Median of a list of numbers
+     * @param {Array<Number>} values - Values
+     * @returns {Number} Median value
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+export default NoteSegmentation;
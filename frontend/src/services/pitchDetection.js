@@ -2,38 +2,43 @@
  * pitchDetection.js
  * Service for analyzing audio and detecting musical pitches
  */
+import {
+    noteNameToPitchClass,
+    keyFromPitchClass,
+    spellNoteForKey,
+    octaveShiftForSpelling
+} from './musicTheory.js';
+import { normalizeTuning, frequencyToMidi, midiToFrequency } from './tuning.js';
+import NoteSegmentation from './noteSegmentation.js';
+import MultiPitchDetection from './multiPitchDetection.js';
+import Harmonizer from './harmonizer.js';
+import { TICKS_PER_BEAT, estimateTempo, quantizeNotes, inferMeter, splitIntoNoteValues } from './rhythm.js';
+import { chooseClef } from './clefs.js';
+
+// Note names by pitch class
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
 class PitchDetection {
-    constructor() {
-        // Note frequencies in Hz (A4 = 440Hz standard)
-        this.noteFrequencies = {
-            'C': 261.63,
-            'C#': 277.18,
-            'D': 293.66,
-            'D#': 311.13,
-            'E': 329.63,
-            'F': 349.23,
-            'F#': 369.99,
-            'G': 392.00,
-            'G#': 415.30,
-            'A': 440.00,
-            'A#': 466.16,
-            'B': 493.88
-        };
+    /**
+     * @param {Object} options - Detection options
+     * @param {String} options.detector - Pitch detector: 'yin' (default), 'mpm' or 'autocorrelation'
+     * @param {Object} options.tuning - A4 reference pitch and temperament (see tuning.js)
+     * @param {Object} options.segmentation - Onset and note segmentation settings (see noteSegmentation.js)
+     * @param {String} options.mode - 'monophonic' (default) for a voice or melody, 'polyphonic' for chords
+     */
+    constructor(options = {}) {
+        // Tuning used to name notes and measure cents
+        this.tuning = normalizeTuning(options.tuning);
         
-        // Different octave multipliers
-        this.octaves = {
-            0: 0.0625, // C0
-            1: 0.125,  // C1
-            2: 0.25,   // C2
-            3: 0.5,    // C3
-            4: 1,      // C4 (middle C)
-            5: 2,      // C5
-            6: 4,      // C6
-            7: 8,      // C7
-            8: 16      // C8
-        };
+        // Splits the pitch contour into notes at onsets and pitch changes
+        this.defaultSegmentation = new NoteSegmentation(options.segmentation);
+        this.segmentation = this.defaultSegmentation;
         
-        // Chord definitions (intervals from root note)
+        // Finds several notes at once for guitar or piano chords
+        this.mode = options.mode || 'monophonic';
+        this.multiPitchDetection = new MultiPitchDetection();
+        
+        // Chord definitions (intervals from root note; extensions above the octave)
         this.chordDefinitions = {
             'Major': [0, 4, 7],           // Root, Major 3rd, Perfect 5th
             'Minor': [0, 3, 7],           // Root, Minor 3rd, Perfect 5th
@@ -43,34 +48,144 @@ class PitchDetection {
             'Dominant 7': [0, 4, 7, 10],  // Root, Major 3rd, Perfect 5th, Minor 7th
             'Minor 7': [0, 3, 7, 10],     // Root, Minor 3rd, Perfect 5th, Minor 7th
             'Sus4': [0, 5, 7],            // Root, Perfect 4th, Perfect 5th
-            'Sus2': [0, 2, 7]             // Root, Major 2nd, Perfect 5th
+            'Sus2': [0, 2, 7],            // Root, Major 2nd, Perfect 5th
+            'Major 6': [0, 4, 7, 9],      // Major triad, Major 6th
+            'Minor 6': [0, 3, 7, 9],      // Minor triad, Major 6th
+            'Half-diminished 7': [0, 3, 6, 10], // Diminished triad, Minor 7th
+            'Diminished 7': [0, 3, 6, 9], // Diminished triad, Diminished 7th
+            '7sus4': [0, 5, 7, 10],       // Sus4, Minor 7th
+            'Add 9': [0, 4, 7, 14],       // Major triad, Major 9th
+            'Dominant 9': [0, 4, 7, 10, 14],      // Dominant 7, Major 9th
+            'Minor 9': [0, 3, 7, 10, 14],         // Minor 7, Major 9th
+            'Dominant 11': [0, 4, 7, 10, 14, 17], // Dominant 9, Perfect 11th
+            'Dominant 13': [0, 4, 7, 10, 14, 21]  // Dominant 9, Major 13th (the 11th is left out)
+        };
+        
+        // Chord matching: each chord tone heard counts 1, each note outside the chord -1
+        this.missingTonePenalty = 0.5;   // Chord tone not heard
+        this.missingFifthPenalty = 0.25; // The fifth is often left out of 7th and extended chords
+        this.rootInBassBonus = 0.5;      // Prefer the reading with its root in the bass (C6 vs Am7/C)
+        
+        // Suggests chords for a sung melody from the same chord definitions
+        this.harmonizer = new Harmonizer(this.chordDefinitions);
+        
+        // Krumhansl-Kessler key profiles: how well each scale degree fits the key
+        this.keyProfiles = {
+            major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+            minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
         };
         
-        // Audio processing settings
-        this.sampleRate = 44100;
-        this.bufferSize = 4096;
+        // Audio processing settings; the sample rate is taken from each buffer analyzed
+        this.frameDuration = 4096 / 44100;  // Seconds per analysis frame (about 93ms)
+        this.setSampleRate(44100);
         this.minFrequency = 80;    // Around E2
         this.maxFrequency = 1000;  // Around B5
+        
+        // Pitch detector settings
+        this.detector = options.detector || 'yin';
+        this.yinThreshold = 0.15;  // Max normalized difference for a voiced frame (YIN)
+        this.mpmCutoff = 0.9;      // Fraction of the highest NSDF peak to accept (MPM)
+        this.minConfidence = 0.5;  // Frames less periodic than this are treated as unpitched
+        
+        // Silence gate: frames not clearly louder than the room are rests
+        this.noiseFloorDuration = 0.3;  // Seconds at the start of a take used to measure the noise floor
+        this.noiseGateRatio = 3;        // How far above the noise floor (about 10dB) a frame must be
+        this.maxGateRatio = 0.25;       // Gate never above this fraction of the loudest frame (-12dB)
+        this.minGateLevel = 0.003;      // RMS gate for takes with no background noise at all
+        this.minRestLength = 0.1;       // Shortest silence in seconds written as a rest
     }
     
     /**
      * Process audio data and extract pitch information
      * @param {AudioBuffer} audioBuffer - The audio buffer to analyze
+     * @param {Object} options - Analysis options
+     * @param {String} options.detector - Pitch detector to use instead of the default
+     * @param {Function} options.onProgress - Called with the fraction (0-1) of frames analyzed
+     * @param {Object} options.tuning - Tuning to use instead of the current one
+     * @param {Object} options.segmentation - Note segmentation settings to use for this analysis only
+     * @param {String} options.mode - 'monophonic' or 'polyphonic', instead of the current mode
+     * @param {String} options.key - Key to use instead of detecting it
+     * @param {Object} options.beatGrid - Beat grid to quantize onto instead of estimating one, for part of a
+     *   longer transcription (tempo, time signature and beatTime, the time of a bar line in seconds)
      * @returns {Object} Results of the pitch detection
      */
-    async analyzeAudio(audioBuffer) {
+    async analyzeAudio(audioBuffer, options = {}) {
         try {
+            if (options.tuning) {
+                this.setTuning(options.tuning);
+            }
+            
+            // Segmentation settings only last for one analysis, as the worker reuses this instance
+            this.segmentation = options.segmentation
+                ? new NoteSegmentation(options.segmentation)
+                : this.defaultSegmentation;
+            
+
+            // Detector lags and frame timing depend on the buffer's real sample rate
+            this.setSampleRate(audioBuffer.sampleRate);
+            
             // Convert audio buffer to mono if needed
             const monoAudio = this.convertToMono(audioBuffer);
             
             // Segment the audio into chunks for analysis
             const segments = this.segmentAudio(monoAudio);
             
-            // Detect pitches in each segment
-            const pitchData = await this.detectPitches(segments);
+            // Frames not clearly louder than the room's noise are silence
+            const gateLevel = this.estimateGateLevel(segments);
+            
+            const mode = options.mode || this.mode;
+            let frames;
+            let notes;
+            
+            if (mode === 'polyphonic') {
+                // Several notes per frame, joined into notes per pitch
+                ({ frames, notes } = this.detectPolyphonicNotes(monoAudio, {
+                    onProgress: options.onProgress,
+                    gateLevel,
+                    key: options.key
+                }));
+            } else {
+                // Detect pitches in each segment
+                frames = await this.detectPitches(segments, {
+                    detector: options.detector || this.detector,
+                    onProgress: options.onProgress,
+                    gateLevel
+                });
+                
+                // Split the pitch contour into notes at onsets and pitch changes
+                notes = this.segmentNotes(monoAudio, frames, options.key);
+            }
+            
+            // Silences between notes are kept as rests
+            const pitchData = this.addRests(notes, frames);
+            
+            // Find the key from the notes
+            const { key, confidence } = options.key
+                ? { key: options.key, confidence: 1 }
+                : this.detectKey(pitchData);
+            
+            // Just and Pythagorean temperaments are built on the tonic, which is only known now
+            if (!options.key && this.tuning.temperament !== 'equal') {
+                notes.forEach(pitch => {
+                    pitch.note = this.frequencyToNote(pitch.frequency, key);
+                });
+            }
+            
+            // Find the tempo, time signature and note rhythms from the note onsets;
+            // the sheet music of a chord recording follows its top line
+            const rhythm = this.analyzeRhythm(
+                mode === 'polyphonic' ? this.extractMelody(pitchData) : pitchData,
+                options.beatGrid
+            );
             
             // Convert pitch data to musical notation
-            const result = this.convertToMusicalNotation(pitchData);
+            const result = this.convertToMusicalNotation(pitchData, key, rhythm);
+            result.detectedKey = key;
+            result.keyConfidence = confidence;
+            result.detectedTempo = Math.round(rhythm.tempo);
+            
+            // Keep the tuning with the transcription so cents and playback match later
+            result.metadata = { tuning: { ...this.tuning }, mode };
             
             return result;
         } catch (error) {
@@ -79,6 +194,27 @@ class PitchDetection {
         }
     }
     
+    /**
+     * Set the tuning used to name notes and measure cents
+     * @param {Object} tuning - A4 reference pitch and temperament
+     */
+    setTuning(tuning) {
+        this.tuning = normalizeTuning(tuning);
+    }
+    
+    /**
+     * Set the sample rate of the audio being analyzed
+     * Frames keep the same duration at every rate, so time resolution and the
+     * lowest detectable frequency don't change with the recording device
+     * @param {Number} sampleRate - Sample rate in Hz
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+        
+        // Even length so frames overlap by exactly half
+        this.bufferSize = 2 * Math.round(this.frameDuration * sampleRate / 2);
+    }
+    
     /**
      * Convert stereo audio to mono
      * @param {AudioBuffer} audioBuffer - The audio buffer to convert
@@ -125,56 +261,408 @@ class PitchDetection {
         return segments;
     }
     
+    /**
+     * Calculate the RMS level of an audio segment
+     * @param {Float32Array} segment - Audio segment
+     * @returns {Number} RMS level (0-1)
+     */
+    calculateRms(segment) {
+        let sumSquares = 0;
+        for (let i = 0; i < segment.length; i++) {
+            sumSquares += segment[i] * segment[i];
+        }
+        return Math.sqrt(sumSquares / segment.length);
+    }
+    
+    /**
+     * Find the level below which frames are treated as silence
+     * The noise floor is measured from the start of the take, before the singer comes in.
+     * If they start straight away the quietest frames of the take (the pauses) stand in,
+     * and the gate is held well below the loudest frame
+     * @param {Array<Float32Array>} segments - Array of audio segments
+     * @returns {Number} RMS gate level
+     */
+    estimateGateLevel(segments) {
+        if (segments.length === 0) return this.minGateLevel;
+        
+        const levels = segments.map(segment => this.calculateRms(segment));
+        const sorted = [...levels].sort((a, b) => a - b);
+        const hopDuration = (this.bufferSize / 2) / this.sampleRate;
+        const segmentDuration = this.bufferSize / this.sampleRate;
+        
+        // Frames that lie entirely within the opening of the take, or at least the first one
+        const openingFrames = Math.max(1, Math.floor((this.noiseFloorDuration - segmentDuration) / hopDuration) + 1);
+        const opening = levels.slice(0, openingFrames).sort((a, b) => a - b);
+        const noiseFloor = Math.min(
+            opening[Math.floor(opening.length / 2)],
+            sorted[Math.floor(sorted.length * 0.1)]
+        );
+        
+        const loudest = sorted[sorted.length - 1];
+        const gateLevel = Math.min(noiseFloor * this.noiseGateRatio, loudest * this.maxGateRatio);
+        
+        return Math.max(this.minGateLevel, gateLevel);
+    }
+    
     /**
      * Detect pitches in audio segments
      * @param {Array<Float32Array>} segments - Array of audio segments
-     * @returns {Array<Object>} Array of detected pitches with timing information
+     * @param {Object} options - Detection options
+     * @param {String} options.detector - Pitch detector to use
+     * @param {Function} options.onProgress - Called with the fraction (0-1) of frames analyzed
+     * @param {Number} options.gateLevel - RMS level below which frames are silent (see estimateGateLevel)
+     * @returns {Array<Object>} Pitch of each frame: time of the frame centre, frequency (0 if unpitched),
+     * confidence and whether the frame was gated as silence
      */
-    async detectPitches(segments) {
-        const pitches = [];
+    async detectPitches(segments, { detector = this.detector, onProgress, gateLevel = this.minGateLevel } = {}) {
+        const frames = [];
+        const hopDuration = (this.bufferSize / 2) / this.sampleRate;
         const segmentDuration = this.bufferSize / this.sampleRate;
         
+        // Report progress roughly every percent
+        const progressInterval = Math.max(1, Math.floor(segments.length / 100));
+        
         for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
+            if (onProgress && i % progressInterval === 0) {
+                onProgress(i / segments.length);
+            }
+            
+            // Frames overlap by half
+            const time = i * hopDuration + segmentDuration / 2;
+            
+            // Silence and room noise can look periodic, so quiet frames aren't analyzed at all
+            if (this.calculateRms(segments[i]) < gateLevel) {
+                frames.push({ time, frequency: 0, confidence: 0, gated: true });
+                continue;
+            }
+            
+            const { frequency, confidence } = this.detectPitch(segments[i], detector);
+            
+            // Only keep the pitch if the frame is periodic enough and in our desired range
+            const isPitched = confidence >= this.minConfidence &&
+                frequency >= this.minFrequency && frequency <= this.maxFrequency;
+            
+            frames.push({
+                time,
+                frequency: isPitched ? frequency : 0,
+                confidence
+            });
+        }
+        
+        if (onProgress) {
+            onProgress(1);
+        }
+        
+        return frames;
+    }
+    
+    /**
+     * Split the pitch contour into notes and name them
+     * @param {Float32Array} audioData - Mono audio data, for onset detection
+     * @param {Array<Object>} frames - Pitch of each frame (see detectPitches)
+     * @param {String} key - Key the temperament is relative to (default C)
+     * @returns {Array<Object>} Notes with frequency, note name, start and end time, confidence
+     * and the pitch contour as sung (time and frequency of each frame)
+     */
+    segmentNotes(audioData, frames, key) {
+        const onsets = this.segmentation.detectOnsets(audioData, this.sampleRate);
+        const hopDuration = (this.bufferSize / 2) / this.sampleRate;
+        
+        return this.segmentation.segment(frames, onsets, hopDuration).map(note => ({
+            frequency: note.frequency,
+            note: this.frequencyToNote(note.frequency, key),
+            startTime: note.startTime,
+            endTime: note.endTime,
+            confidence: note.confidence,
+            contour: note.contour
+        }));
+    }
+    
+    /**
+     * Find the notes of a polyphonic recording, such as guitar or piano chords
+     * @param {Float32Array} audioData - Mono audio data
+     * @param {Object} options - Detection options
+     * @param {Function} options.onProgress - Called with the fraction (0-1) of frames analyzed
+     * @param {Number} options.gateLevel - RMS level below which frames are silent
+     * @param {String} options.key - Key the temperament is relative to (default C)
+     * @returns {Object} Frames (time, notes, gated) and the notes with frequency, note name,
+     * start and end time, confidence and pitch contour, in start order
+     */
+    detectPolyphonicNotes(audioData, { onProgress, gateLevel, key } = {}) {
+        const frames = this.multiPitchDetection.detect(audioData, this.sampleRate, {
+            referencePitch: this.tuning.referencePitch,
+            gateLevel,
+            onProgress
+        });
+        const onsets = this.segmentation.detectOnsets(audioData, this.sampleRate);
+        
+        const notes = this.multiPitchDetection.trackNotes(frames, onsets).map(note => ({
+            frequency: note.frequency,
+            note: this.frequencyToNote(note.frequency, key),
+            startTime: note.startTime,
+            endTime: note.endTime,
+            confidence: note.confidence,
+            contour: note.contour
+        }));
+        
+        return { frames, notes };
+    }
+    
+    /**
+     * Add rests for the gated silences between notes
+     * @param {Array<Object>} notes - Detected notes in start order; they may overlap
+     * @param {Array<Object>} frames - Frames with their time and whether they were gated
+     * @returns {Array<Object>} Notes and rests ({ rest: true, startTime, endTime }) in time order
+     */
+    addRests(notes, frames) {
+        const pitchData = [];
+        let frameIndex = 0;
+        let soundingUntil = -Infinity;
+        
+        notes.forEach((note, index) => {
+            pitchData.push(note);
+            soundingUntil = Math.max(soundingUntil, note.endTime);
+            
+            const next = notes[index + 1];
+            if (!next || next.startTime - soundingUntil < this.minRestLength) return;
             
-            // Calculate time information
-            const startTime = i * segmentDuration * 0.5; // Account for overlap
-            const endTime = startTime + segmentDuration;
+            // Only a gap the gate found silent is a rest; unpitched sound such as a consonant isn't
+            while (frameIndex < frames.length && frames[frameIndex].time < soundingUntil) frameIndex++;
+            let isSilent = false;
+            for (let i = frameIndex; i < frames.length && frames[i].time <= next.startTime; i++) {
+                if (frames[i].gated) isSilent = true;
+            }
             
-            // Use autocorrelation for pitch detection
-            const frequency = this.detectPitchAutocorrelation(segment);
+            if (isSilent) {
+                pitchData.push({ rest: true, startTime: soundingUntil, endTime: next.startTime });
+            }
+        });
+        
+        return pitchData;
+    }
+    
+    /**
+     * Keep the top line of overlapping notes, for writing a chord recording as a melody
+     * Notes starting together are a chord, of which the highest is kept; a note
+     * is cut short where the next melody note starts
+     * @param {Array<Object>} pitchData - Detected notes and rests, possibly overlapping
+     * @returns {Array<Object>} Notes and rests that don't overlap
+     */
+    extractMelody(pitchData) {
+        const chordSpread = 0.05;  // Seconds between the first and last note of a strummed chord
+        const melody = [];
+        
+        pitchData.forEach(pitch => {
+            const last = melody[melody.length - 1];
             
-            // Only add if frequency is in our desired range
-            if (frequency >= this.minFrequency && frequency <= this.maxFrequency) {
-                const note = this.frequencyToNote(frequency);
+            if (last && !last.rest && !pitch.rest && pitch.startTime - last.startTime <= chordSpread) {
+                if (pitch.frequency > last.frequency) {
+                    melody[melody.length - 1] = { ...pitch, startTime: last.startTime };
+                }
+                return;
+            }
+            
+            if (last && !last.rest && !pitch.rest && last.endTime > pitch.startTime) {
+                // A lower note under a held melody note is an inner voice
+                if (pitch.frequency < last.frequency) return;
                 
-                pitches.push({
-                    frequency,
-                    note,
-                    startTime,
-                    endTime
-                });
+                melody[melody.length - 1] = { ...last, endTime: pitch.startTime };
+            }
+            melody.push(pitch);
+        });
+        
+        return melody;
+    }
+    
+    /**
+     * Detect the fundamental frequency of a frame with the chosen detector
+     * @param {Float32Array} buffer - Audio buffer to analyze
+     * @param {String} detector - 'yin', 'mpm' or 'autocorrelation'
+     * @returns {Object} Detected frequency (0 if unpitched) and confidence (0-1)
+     */
+    detectPitch(buffer, detector = this.detector) {
+        switch (detector) {
+            case 'mpm':
+                return this.detectPitchMpm(buffer);
+            case 'autocorrelation':
+                return this.detectPitchAutocorrelation(buffer);
+            case 'yin':
+            default:
+                return this.detectPitchYin(buffer);
+        }
+    }
+    
+    /**
+     * Detect the fundamental frequency using the YIN algorithm
+     * (de Cheveigné & Kawahara, 2002)
+     * @param {Float32Array} buffer - Audio buffer to analyze
+     * @returns {Object} Detected frequency (0 if unpitched) and confidence (0-1)
+     */
+    detectPitchYin(buffer) {
+        // Compare the first half of the frame against lagged copies of itself
+        const windowLength = Math.floor(buffer.length / 2);
+        const minLag = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const maxLag = Math.min(windowLength - 1, Math.ceil(this.sampleRate / this.minFrequency));
+        
+        // Difference function for every lag up to the longest period
+        const difference = new Float32Array(maxLag + 2);
+        for (let lag = 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = 0; i < windowLength; i++) {
+                const delta = buffer[i] - buffer[i + lag];
+                sum += delta * delta;
+            }
+            difference[lag] = sum;
+        }
+        
+        // Cumulative mean normalized difference
+        const normalized = new Float32Array(maxLag + 2);
+        normalized[0] = 1;
+        let runningSum = 0;
+        for (let lag = 1; lag <= maxLag + 1; lag++) {
+            runningSum += difference[lag];
+            normalized[lag] = runningSum > 0 ? difference[lag] * lag / runningSum : 1;
+        }
+        
+        // Take the first dip below the threshold, followed down to its local minimum
+        let bestLag = -1;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (normalized[lag] < this.yinThreshold) {
+                while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) {
+                    lag++;
+                }
+                bestLag = lag;
+                break;
+            }
+        }
+        
+        // No clear period: report how close the best candidate came
+        if (bestLag === -1) {
+            let minimum = 1;
+            for (let lag = minLag; lag <= maxLag; lag++) {
+                minimum = Math.min(minimum, normalized[lag]);
+            }
+            return { frequency: 0, confidence: Math.max(0, 1 - minimum) };
+        }
+        
+        const peak = this.parabolicInterpolation(normalized, bestLag);
+        
+        return {
+            frequency: this.sampleRate / peak.position,
+            confidence: Math.max(0, Math.min(1, 1 - peak.value))
+        };
+    }
+    
+    /**
+     * Detect the fundamental frequency using the McLeod Pitch Method
+     * (McLeod & Wyvill, 2005)
+     * @param {Float32Array} buffer - Audio buffer to analyze
+     * @returns {Object} Detected frequency (0 if unpitched) and clarity as confidence (0-1)
+     */
+    detectPitchMpm(buffer) {
+        const length = buffer.length;
+        const minLag = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const maxLag = Math.min(length - 2, Math.ceil(this.sampleRate / this.minFrequency));
+        
+        // Normalized square difference function; m(lag) is updated incrementally
+        const nsdf = new Float32Array(maxLag + 2);
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            energy += buffer[i] * buffer[i];
+        }
+        let normalizer = 2 * energy;
+        
+        for (let lag = 0; lag <= maxLag + 1; lag++) {
+            if (lag > 0) {
+                normalizer -= buffer[lag - 1] * buffer[lag - 1] + buffer[length - lag] * buffer[length - lag];
+            }
+            
+            let sum = 0;
+            for (let i = 0; i < length - lag; i++) {
+                sum += buffer[i] * buffer[i + lag];
             }
+            nsdf[lag] = normalizer > 0 ? 2 * sum / normalizer : 0;
         }
         
-        // Consolidate notes that are the same and adjacent
-        return this.consolidateNotes(pitches);
+        // Key maxima: the highest point between each positive-going and negative-going zero crossing
+        const keyMaxima = [];
+        let lag = 1;
+        while (lag <= maxLag && nsdf[lag] > 0) lag++; // Skip the peak at lag 0
+        
+        while (lag <= maxLag) {
+            while (lag <= maxLag && nsdf[lag] <= 0) lag++;
+            
+            let maxIndex = -1;
+            while (lag <= maxLag && nsdf[lag] > 0) {
+                if (maxIndex === -1 || nsdf[lag] > nsdf[maxIndex]) {
+                    maxIndex = lag;
+                }
+                lag++;
+            }
+            
+            if (maxIndex >= minLag) {
+                keyMaxima.push(maxIndex);
+            }
+        }
+        
+        if (keyMaxima.length === 0) {
+            return { frequency: 0, confidence: 0 };
+        }
+        
+        // The first key maximum close to the highest one is the period
+        const highest = Math.max(...keyMaxima.map(index => nsdf[index]));
+        const chosen = keyMaxima.find(index => nsdf[index] >= this.mpmCutoff * highest);
+        const peak = this.parabolicInterpolation(nsdf, chosen);
+        
+        return {
+            frequency: this.sampleRate / peak.position,
+            confidence: Math.max(0, Math.min(1, peak.value))
+        };
     }
     
     /**
-     * Detect the fundamental frequency using autocorrelation
+     * Refine a peak or trough position by fitting a parabola through its neighbours
+     * @param {Float32Array} values - Sampled function
+     * @param {Number} index - Index of the peak or trough
+     * @returns {Object} Interpolated position and value
+     */
+    parabolicInterpolation(values, index) {
+        if (index <= 0 || index >= values.length - 1) {
+            return { position: index, value: values[index] };
+        }
+        
+        const previous = values[index - 1];
+        const current = values[index];
+        const next = values[index + 1];
+        const denominator = previous - 2 * current + next;
+        
+        if (denominator === 0) {
+            return { position: index, value: current };
+        }
+        
+        const shift = 0.5 * (previous - next) / denominator;
+        
+        return {
+            position: index + shift,
+            value: current - 0.25 * (previous - next) * shift
+        };
+    }
+    
+    /**
+     * Detect the fundamental frequency using brute-force autocorrelation
      * @param {Float32Array} buffer - Audio buffer to analyze
-     * @returns {Number} Detected frequency
+     * @returns {Object} Detected frequency (0 if unpitched) and confidence (0-1)
      */
     detectPitchAutocorrelation(buffer) {
         // Apply window function to reduce spectral leakage
         const windowedBuffer = this.applyHannWindow(buffer);
         
         // Compute autocorrelation
-        const autocorrelation = new Float32Array(this.bufferSize);
-        for (let lag = 0; lag < this.bufferSize; lag++) {
+        const length = windowedBuffer.length;
+        const autocorrelation = new Float32Array(length);
+        for (let lag = 0; lag < length; lag++) {
             let sum = 0;
-            for (let i = 0; i < this.bufferSize - lag; i++) {
+            for (let i = 0; i < length - lag; i++) {
                 sum += windowedBuffer[i] * windowedBuffer[i + lag];
             }
             autocorrelation[lag] = sum;
@@ -196,10 +684,13 @@ class PitchDetection {
         }
         
         // Calculate frequency from the peak index
-        if (maxIndex > 0) {
-            return this.sampleRate / maxIndex;
+        if (maxIndex > 0 && autocorrelation[0] > 0) {
+            return {
+                frequency: this.sampleRate / maxIndex,
+                confidence: maxCorrelation / autocorrelation[0]
+            };
         } else {
-            return 0; // No clear pitch detected
+            return { frequency: 0, confidence: 0 }; // No clear pitch detected
         }
     }
     
@@ -219,99 +710,207 @@ class PitchDetection {
     }
     
     /**
-     * Convert frequency to the closest musical note
+     * Convert frequency to the closest musical note in the current tuning
      * @param {Number} frequency - The frequency in Hz
+     * @param {String} key - Key the temperament is relative to (default C)
      * @returns {Object} Note information (name, octave, cents deviation)
      */
-    frequencyToNote(frequency) {
-        // A4 = 440Hz, 12 semitones per octave
-        const a4 = 440.0;
+    frequencyToNote(frequency, key = 'C') {
+        const { midi, cents } = frequencyToMidi(frequency, this.tuning, key);
         
-        // Calculate semitone distance from A4
-        const semitoneRatio = Math.pow(2, 1/12);
-        const semitonesFromA4 = Math.round(12 * Math.log2(frequency / a4));
+        return {
+            name: NOTE_NAMES[((midi % 12) + 12) % 12],
+            octave: Math.floor(midi / 12) - 1, // C4 is middle C
+            frequency,
+            cents: Math.round(cents)
+        };
+    }
+    
+    /**
+     * Get the frequency of a note in the current tuning
+     * @param {String} name - Note name, e.g. 'C#' or 'Bb'
+     * @param {Number} octave - Octave number (C4 is middle C)
+     * @param {String} key - Key the temperament is relative to (default C)
+     * @returns {Number|null} Frequency in Hz or null if the name is unknown
+     */
+    getNoteFrequency(name, octave, key = 'C') {
+        const pitchClass = noteNameToPitchClass(name);
+        if (pitchClass === undefined) return null;
         
-        // Calculate the exact frequency of the closest note
-        const closestNoteFreq = a4 * Math.pow(semitoneRatio, semitonesFromA4);
+        return midiToFrequency((octave + 1) * 12 + pitchClass, this.tuning, key);
+    }
+    
+    /**
+     * Find the key of the melody with the Krumhansl-Schmuckler algorithm
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @returns {Object} Key name (e.g. 'Bb' or 'F#m') and confidence (0-1)
+     */
+    detectKey(pitchData) {
+        // Total time spent on each pitch class
+        const durations = new Array(12).fill(0);
+        pitchData.forEach(pitch => {
+            if (pitch.rest) return;
+            
+            const pitchClass = noteNameToPitchClass(pitch.note.name);
+            if (pitchClass !== undefined) {
+                durations[pitchClass] += pitch.endTime - pitch.startTime;
+            }
+        });
         
-        // Calculate cents deviation (-50 to +50 cents)
-        const cents = Math.round(1200 * Math.log2(frequency / closestNoteFreq));
+        // Correlate the durations with both profiles rotated to every tonic
+        let best = { key: 'C', confidence: 0 };
+        for (let tonic = 0; tonic < 12; tonic++) {
+            ['major', 'minor'].forEach(mode => {
+                const profile = this.keyProfiles[mode];
+                const rotated = durations.map((_, pitchClass) => profile[(pitchClass - tonic + 12) % 12]);
+                const correlation = this.correlate(durations, rotated);
+                
+                if (correlation > best.confidence) {
+                    best = {
+                        key: keyFromPitchClass(tonic, mode === 'minor'),
+                        confidence: correlation
+                    };
+                }
+            });
+        }
         
-        // Calculate the note name and octave
-        const noteNames = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
+        return best;
+    }
+    
+    /**
+     * Estimate the tempo and beat grid of the melody from its note onsets
+     * Longer notes weigh more, as they usually start on the beat
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @returns {Object} Tempo in BPM and the time of one beat in seconds
+     */
+    estimateTempo(pitchData) {
+        const onsets = pitchData.filter(pitch => !pitch.rest).map(pitch => ({
+            time: pitch.startTime,
+            weight: Math.min(1, pitch.endTime - pitch.startTime)
+        }));
         
-        // Convert semitones from A4 to note index and octave
-        // A4 is at index 0 in the noteNames array and is in octave 4
-        let noteIndex = (semitonesFromA4 + 9) % 12; // +9 to adjust from A to C as base
-        if (noteIndex < 0) noteIndex += 12;
+        return estimateTempo(onsets);
+    }
+    
+    /**
+     * Quantize the notes to the beat and infer the time signature
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {Object} fixedGrid - Beat grid to keep instead of estimating one (see quantizeToGrid)
+     * @returns {Object} Tempo in quarter notes per minute, time signature, quantized notes
+     * (start and end in ticks of a quarter note) and the time of tick 0 in seconds
+     */
+    analyzeRhythm(pitchData, fixedGrid = null) {
+        if (fixedGrid) {
+            return this.quantizeToGrid(pitchData, fixedGrid);
+        }
         
-        // Calculate octave (C4 is middle C)
-        let octave = 4 + Math.floor((semitonesFromA4 + 9) / 12);
+        const beatGrid = this.estimateTempo(pitchData);
+        const quantized = quantizeNotes(pitchData, beatGrid);
+        const meter = inferMeter(quantized.notes);
         
-        // Adjust octave for notes before C
-        if (noteIndex < 3) { // A, A#, B
-            octave -= 1;
-        }
+        // In compound time the detected beat is a dotted quarter, so ticks stretch to quarter-note ticks
+        const scale = meter.beatQuarters;
+        const secondsPerBeat = 60 / beatGrid.tempo;
         
         return {
-            name: noteNames[noteIndex],
-            octave,
-            frequency,
-            cents
+            tempo: beatGrid.tempo * scale,
+            timeSignature: meter.timeSignature,
+            startTime: quantized.startTime - (meter.pickup / TICKS_PER_BEAT) * secondsPerBeat,
+            notes: quantized.notes.map(({ note, start, end }) => ({
+                note,
+                start: (start + meter.pickup) * scale,
+                end: (end + meter.pickup) * scale
+            }))
         };
     }
     
     /**
-     * Consolidate adjacent notes that are the same
-     * @param {Array<Object>} notes - Array of detected notes
-     * @returns {Array<Object>} Consolidated notes
+     * Quantize the notes to a known beat grid, with no pickup or change of meter
+     * Ticks count from the given bar line, so the notes line up with the bars of the
+     * transcription the grid came from; notes starting before it are cut at the bar line
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {Object} beatGrid - Tempo in quarter notes per minute, time signature and
+     *   the time of a bar line in seconds (beatTime)
+     * @returns {Object} Rhythm as from analyzeRhythm
      */
-    consolidateNotes(notes) {
-        if (notes.length === 0) return [];
+    quantizeToGrid(pitchData, { tempo, timeSignature, beatTime }) {
+        const quantized = quantizeNotes(pitchData, { tempo, beatTime });
         
-        const consolidated = [];
-        let currentNote = { ...notes[0] };
+        // quantizeNotes counts from the beat of the first note
+        const offset = Math.round((quantized.startTime - beatTime) * tempo / 60) * TICKS_PER_BEAT;
         
-        for (let i = 1; i < notes.length; i++) {
-            const note = notes[i];
-            
-            // If the current note is the same as the previous, extend it
-            if (note.note.name === currentNote.note.name && 
-                note.note.octave === currentNote.note.octave &&
-                Math.abs(note.startTime - currentNote.endTime) < 0.05) { // 50ms tolerance
-                
-                currentNote.endTime = note.endTime;
-            } else {
-                // Add the current note and start a new one
-                consolidated.push(currentNote);
-                currentNote = { ...note };
-            }
+        return {
+            tempo,
+            timeSignature: timeSignature || { numerator: 4, denominator: 4 },
+            startTime: beatTime,
+            notes: quantized.notes
+                .map(({ note, start, end }) => ({ note, start: Math.max(0, start + offset), end: end + offset }))
+                .filter(({ start, end }) => end > start)
+        };
+    }
+    
+    /**
+     * Pearson correlation of two equal-length arrays
+     * @param {Array<Number>} a - First array
+     * @param {Array<Number>} b - Second array
+     * @returns {Number} Correlation (-1 to 1), 0 if either array is constant
+     */
+    correlate(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
         }
         
-        // Add the last note
-        consolidated.push(currentNote);
+        if (varianceA === 0 || varianceB === 0) return 0;
+        return covariance / Math.sqrt(varianceA * varianceB);
+    }
+    
+    /**
+     * Spell a detected note to suit the key, e.g. A# becomes Bb in F major
+     * @param {Object} note - Detected note (name, octave)
+     * @param {String} key - Key name
+     * @returns {Object} Respelled name and octave
+     */
+    spellNote(note, key) {
+        const name = spellNoteForKey(note.name, key);
         
-        return consolidated;
+        return {
+            name,
+            octave: note.octave + octaveShiftForSpelling(note.name, name)
+        };
     }
     
     /**
      * Convert pitch data to musical notation formats
-     * @param {Array<Object>} pitchData - Array of detected pitches
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {String} key - Key used to spell the notes (default C)
+     * @param {Object} rhythm - Tempo, time signature and quantized notes (see analyzeRhythm)
      * @returns {Object} Musical notation in different formats
      */
-    convertToMusicalNotation(pitchData) {
+    convertToMusicalNotation(pitchData, key = 'C', rhythm = this.analyzeRhythm(pitchData)) {
         // Convert to simple notes (C, D, E, etc.)
-        const simpleNotes = this.generateSimpleNotes(pitchData);
+        const simpleNotes = this.generateSimpleNotes(pitchData, key);
         
         // Convert to complex chords (C Major, Dm7, etc.)
-        const complexChords = this.detectChords(pitchData);
+        const complexChords = this.detectChords(pitchData, key);
+        
+        // Suggest chord progressions for the melody, one chord per bar
+        const harmonizations = this.harmonizer.harmonize(simpleNotes, key, rhythm);
         
         // Generate sheet music notation (for later rendering)
-        const sheetMusic = this.generateSheetMusic(pitchData);
+        const sheetMusic = this.generateSheetMusic(pitchData, key, rhythm);
         
         return {
             simpleNotes,
             complexChords,
+            harmonizations,
             sheetMusic,
             rawPitchData: pitchData
         };
@@ -319,14 +918,17 @@ class PitchDetection {
     
     /**
      * Generate simple note names from pitch data
-     * @param {Array<Object>} pitchData - Array of detected pitches
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {String} key - Key used to spell the notes
      * @returns {Array<Object>} Simple note representation
      */
-    generateSimpleNotes(pitchData) {
-        return pitchData.map(pitch => {
+    generateSimpleNotes(pitchData, key = 'C') {
+        return pitchData.filter(pitch => !pitch.rest).map(pitch => {
+            const { name, octave } = this.spellNote(pitch.note, key);
+            
             return {
-                note: pitch.note.name.replace('#', '♯'), // Use proper sharp symbol
-                octave: pitch.note.octave,
+                note: name.replace('#', '♯').replace('b', '♭'), // Use proper accidental symbols
+                octave,
                 duration: pitch.endTime - pitch.startTime,
                 startTime: pitch.startTime
             };
@@ -335,43 +937,62 @@ class PitchDetection {
     
     /**
      * Detect chords from a set of pitches
-     * @param {Array<Object>} pitchData - Array of detected pitches
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {String} key - Key used to spell chord roots and notes
      * @returns {Array<Object>} Detected chords
      */
-    detectChords(pitchData) {
+    detectChords(pitchData, key = 'C') {
         const chords = [];
         const timeWindow = 0.2; // 200ms time window for chord detection
+        const pitches = pitchData.filter(pitch => !pitch.rest);
         
-        // Group notes by time windows
-        const timeWindows = {};
+        // Group notes that start within the time window of the group's first note
+        const timeWindows = [];
         
-        pitchData.forEach(pitch => {
-            const windowKey = Math.floor(pitch.startTime / timeWindow);
-            if (!timeWindows[windowKey]) {
-                timeWindows[windowKey] = [];
+        pitches.forEach(pitch => {
+            const current = timeWindows[timeWindows.length - 1];
+            if (current && pitch.startTime - current.startTime < timeWindow) {
+                current.notes.push(pitch);
+            } else {
+                timeWindows.push({ startTime: pitch.startTime, notes: [pitch] });
             }
-            timeWindows[windowKey].push(pitch);
         });
         
         // For each time window, detect chords
-        Object.keys(timeWindows).forEach(windowKey => {
-            const notes = timeWindows[windowKey];
+        timeWindows.forEach(group => {
+            // Notes still held from earlier (a sustained bass, an arpeggio) sound in the chord too
+            const held = pitches.filter(pitch => pitch.startTime < group.startTime &&
+                pitch.endTime > group.startTime + timeWindow);
+            const notes = [...held, ...group.notes];
             
             if (notes.length >= 2) { // Need at least 2 notes for a chord
-                const startTime = Math.min(...notes.map(n => n.startTime));
-                const endTime = Math.max(...notes.map(n => n.endTime));
+                const startTime = group.startTime;
+                const endTime = Math.max(...group.notes.map(n => n.endTime));
                 
                 // Get unique notes (by name, ignoring octave)
                 const uniqueNotes = Array.from(new Set(notes.map(n => n.note.name)));
                 
+                // The lowest note decides the inversion
+                const bassNote = notes.reduce((lowest, n) => n.frequency < lowest.frequency ? n : lowest).note.name;
+                
                 // Try to identify the chord
-                const chord = this.identifyChord(uniqueNotes);
+                const chord = this.identifyChord(uniqueNotes, bassNote);
+                const bass = chord && chord.bass ? spellNoteForKey(chord.bass, key) : undefined;
                 
-                if (chord) {
+                const previous = chords[chords.length - 1];
+                
+                if (chord && previous && previous.type === chord.type &&
+                    previous.root === spellNoteForKey(chord.root, key) && previous.bass === bass &&
+                    startTime <= previous.endTime) {
+                    // The same chord still ringing, e.g. its bass note picked up again
+                    previous.endTime = Math.max(previous.endTime, endTime);
+                    previous.duration = previous.endTime - previous.startTime;
+                } else if (chord) {
                     chords.push({
-                        root: chord.root,
+                        root: spellNoteForKey(chord.root, key),
                         type: chord.type,
-                        notes: uniqueNotes,
+                        ...(bass ? { bass } : {}),
+                        notes: uniqueNotes.map(name => spellNoteForKey(name, key)),
                         startTime,
                         endTime,
                         duration: endTime - startTime
@@ -384,13 +1005,18 @@ class PitchDetection {
     }
     
     /**
-     * Identify chord from a set of note names
+     * Identify the chord that best fits a set of note names
+     * Every note is tried as the root against every chord type, and the reading that
+     * accounts for the most notes with the fewest missing chord tones wins
      * @param {Array<String>} noteNames - Array of note names
-     * @returns {Object|null} Identified chord or null if no match
+     * @param {String} bassNote - Name of the lowest note, if known
+     * @returns {Object|null} Identified chord (root, type, and bass when it is not the root) or null if no match
      */
-    identifyChord(noteNames) {
+    identifyChord(noteNames, bassNote) {
         if (noteNames.length < 2) return null;
         
+        let best = null;
+        
         // Try each note as potential root
         for (const rootNote of noteNames) {
             // Convert all notes to semitone intervals from the root
@@ -398,19 +1024,52 @@ class PitchDetection {
                 return this.calculateInterval(rootNote, noteName);
             }).sort((a, b) => a - b);
             
-            // Check against known chord definitions
+            // Score against known chord definitions
             for (const [chordType, chordIntervals] of Object.entries(this.chordDefinitions)) {
-                // Check if the intervals match this chord type
-                if (this.intervalsMatchChord(intervals, chordIntervals)) {
-                    return {
-                        root: rootNote,
-                        type: chordType
-                    };
+                if (!this.intervalsMatchChord(intervals, chordIntervals)) continue;
+                
+                let score = this.scoreChordMatch(intervals, chordIntervals);
+                if (!bassNote || bassNote === rootNote) {
+                    score += this.rootInBassBonus;
+                }
+                
+                if (!best || score > best.score) {
+                    best = { root: rootNote, type: chordType, score };
                 }
             }
         }
         
-        return null;
+        if (!best) return null;
+        
+        // Inversions are written as slash chords, e.g. C/E
+        return bassNote && bassNote !== best.root
+            ? { root: best.root, type: best.type, bass: bassNote }
+            : { root: best.root, type: best.type };
+    }
+    
+    /**
+     * Score how well detected intervals fit a chord
+     * @param {Array<Number>} detectedIntervals - Detected semitone intervals (0-11)
+     * @param {Array<Number>} chordIntervals - Chord definition intervals
+     * @returns {Number} Chord tones heard, less notes outside the chord and missing chord tones
+     */
+    scoreChordMatch(detectedIntervals, chordIntervals) {
+        const chordTones = chordIntervals.map(interval => interval % 12);
+        
+        let score = 0;
+        chordTones.forEach(tone => {
+            if (detectedIntervals.includes(tone)) {
+                score += 1;
+            } else {
+                score -= tone === 7 ? this.missingFifthPenalty : this.missingTonePenalty;
+            }
+        });
+        
+        detectedIntervals.forEach(interval => {
+            if (!chordTones.includes(interval)) score -= 1;
+        });
+        
+        return score;
     }
     
     /**
@@ -435,7 +1094,7 @@ class PitchDetection {
     
     /**
      * Check if detected intervals match a chord pattern
-     * @param {Array<Number>} detectedIntervals - Detected semitone intervals
+     * @param {Array<Number>} detectedIntervals - Detected semitone intervals (0-11)
      * @param {Array<Number>} chordIntervals - Chord definition intervals
      * @returns {Boolean} True if intervals match the chord
      */
@@ -446,7 +1105,7 @@ class PitchDetection {
         let matchCount = 0;
         
         for (const interval of chordIntervals) {
-            if (detectedIntervals.includes(interval)) {
+            if (detectedIntervals.includes(interval % 12)) {
                 matchCount++;
             }
         }
@@ -458,53 +1117,51 @@ class PitchDetection {
     
     /**
      * Generate sheet music notation data
-     * @param {Array<Object>} pitchData - Array of detected pitches
+     * Quantized notes are written as note values with dots, triplets and ties,
+     * with rests for the gaps between them
+     * @param {Array<Object>} pitchData - Array of detected pitches and rests
+     * @param {String} key - Key used to spell the notes
+     * @param {Object} rhythm - Tempo, time signature and quantized notes (see analyzeRhythm)
      * @returns {Object} Sheet music notation data
      */
-    generateSheetMusic(pitchData) {
-        // This is a simplified representation that will be used
-        // by the notation renderer component
-        
-        const notes = pitchData.map(pitch => {
-            // Determine note duration
-            const durationMs = (pitch.endTime - pitch.startTime) * 1000;
-            
-            // Map duration to standard music notation
-            // (whole, half, quarter, eighth, sixteenth notes)
-            let notationType = 'quarter'; // Default
-            
-            if (durationMs >= 1000) {
-                notationType = 'whole';
-            } else if (durationMs >= 500) {
-                notationType = 'half';
-            } else if (durationMs >= 250) {
-                notationType = 'quarter';
-            } else if (durationMs >= 125) {
-                notationType = 'eighth';
-            } else {
-                notationType = 'sixteenth';
+    generateSheetMusic(pitchData, key = 'C', rhythm = this.analyzeRhythm(pitchData)) {
+        const secondsPerTick = 60 / rhythm.tempo / TICKS_PER_BEAT;
+        const notes = [];
+        
+        // Write a span of the grid as tied note values, or as rests
+        const addSpan = (start, end, pitch) => {
+            const pieces = splitIntoNoteValues(start, end);
+            
+            pieces.forEach((piece, index) => {
+                const note = pitch
+                    ? { pitch: pitch.name, octave: pitch.octave }
+                    : { rest: true };
+                
+                note.duration = piece.duration;
+                note.dots = piece.dots;
+                if (piece.tuplet) note.tuplet = piece.tuplet;
+                if (pitch && index < pieces.length - 1) note.tie = true;
+                note.startTime = rhythm.startTime + piece.start * secondsPerTick;
+                
+                notes.push(note);
+            });
+        };
+        
+        // Rests before the first note place it in its bar
+        let position = 0;
+        rhythm.notes.forEach(({ note, start, end }) => {
+            if (start > position) {
+                addSpan(position, start, null);
             }
             
-            return {
-                pitch: pitch.note.name,
-                octave: pitch.note.octave,
-                duration: notationType,
-                startTime: pitch.startTime
-            };
+            addSpan(start, end, this.spellNote(note.note, key));
+            position = end;
         });
         
-        // Organize notes into measures
-        // Assume 4/4 time signature for simplicity
-        const timeSignature = {
-            numerator: 4,
-            denominator: 4
-        };
-        
-        // Return sheet music data
         return {
             notes,
-            timeSignature,
-            clef: 'treble'
+            timeSignature: rhythm.timeSignature,
+            clef: chooseClef(notes)
         };
     }
 }
@@ -0,0 +1,305 @@
+/**
+ * regionAnalysis.js
+ * Places a selected span of a recording on the bars of its transcription, and splices
+ * a fresh analysis of that span back into the transcription
+ */
+import { TICKS_PER_BEAT, noteValueBeats, splitIntoNoteValues } from './rhythm.js';
+import { chooseClef } from './clefs.js';
+
+// Seconds of rounding allowed when comparing times
+const EPSILON = 1e-6;
+
+// Notes are sung up to half a sixteenth early or late and still quantized onto a bar line
+const BAR_LINE_MARGIN = TICKS_PER_BEAT / 8;
+
+/**
+ * Get the times of the bar lines of a transcription up to the end of its recording
+ * @param {Object} transcription - Transcription (sheetMusic, detectedTempo)
+ * @param {Number} duration - Length of the recording in seconds
+ * @returns {Array<Number>} Bar line times in seconds, from the first bar; a pickup bar
+ *   may start before the recording
+ */
+export function barLineTimes(transcription, duration) {
+    const { startTime, secondsPerTick, barTicks } = getBarGrid(transcription);
+    const barSeconds = barTicks * secondsPerTick;
+    const times = [];
+
+    for (let bar = 0; startTime + bar * barSeconds <= duration + EPSILON; bar++) {
+        times.push(startTime + bar * barSeconds);
+    }
+
+    return times;
+}
+
+/**
+ * Widen a span of the recording to the whole bars it touches
+ * @param {Object} transcription - Transcription (sheetMusic, detectedTempo)
+ * @param {Number} start - Start of the span in seconds
+ * @param {Number} end - End of the span in seconds
+ * @param {Number} duration - Length of the recording in seconds
+ * @returns {Object|null} Region: start and end in seconds and in ticks of the score, the bars
+ *   (numbered from 1), the seconds either side of a bar line that count as on it (margin) and
+ *   the part of the recording to analyze, or null if none of it was recorded
+ */
+export function findBarRegion(transcription, start, end, duration) {
+    const { startTime, secondsPerTick, barTicks } = getBarGrid(transcription);
+    const barSeconds = barTicks * secondsPerTick;
+
+    // Audio before the first bar has no place in the score
+    const firstBar = Math.max(0, Math.floor((start - startTime) / barSeconds + EPSILON));
+    const lastBar = Math.max(firstBar + 1, Math.ceil((end - startTime) / barSeconds - EPSILON));
+
+    const region = {
+        start: startTime + firstBar * barSeconds,
+        end: startTime + lastBar * barSeconds,
+        fromTick: firstBar * barTicks,
+        toTick: lastBar * barTicks,
+        firstBar: firstBar + 1,
+        lastBar,
+        margin: BAR_LINE_MARGIN * secondsPerTick
+    };
+
+    // Notes sung just before the first bar line still belong to the region
+    region.audioStart = Math.max(0, region.start - region.margin);
+    region.audioEnd = Math.min(duration, region.end);
+
+    return region.audioEnd > region.audioStart ? region : null;
+}
+
+/**
+ * Replace a region of a transcription with a new analysis of it
+ * The analysis must have been quantized on the transcription's own beat grid from the
+ * region's first bar line (see PitchDetection.quantizeToGrid), with its times counted
+ * from the start of the analyzed audio
+ * @param {Object} transcription - Transcription to splice into
+ * @param {Object} region - Region from findBarRegion
+ * @param {Object} analysis - Result of analyzing the region's audio
+ * @returns {Object} New transcription; the one given is left unchanged
+ */
+export function spliceTranscription(transcription, region, analysis) {
+    const offset = region.audioStart;
+    const splice = (original, replacement) => spliceByTime(
+        original || [],
+        shiftTimes(replacement || [], offset),
+        region.start - region.margin,
+        region.end - region.margin
+    );
+
+    // Suggested progressions are matched by style, so each keeps its own chords around the region
+    const harmonizations = (transcription.harmonizations || []).map(harmonization => {
+        const replacement = (analysis.harmonizations || []).find(other => other.style === harmonization.style);
+        return {
+            ...harmonization,
+            chords: splice(harmonization.chords, replacement ? replacement.chords : [])
+        };
+    });
+
+    const sheetMusic = transcription.sheetMusic || {};
+    const notes = spliceSheetMusic(
+        sheetMusic.notes || [],
+        ((analysis.sheetMusic || {}).notes) || [],
+        region,
+        getBarGrid(transcription)
+    );
+
+    return {
+        ...transcription,
+        rawPitchData: splice(transcription.rawPitchData, analysis.rawPitchData),
+        simpleNotes: splice(transcription.simpleNotes, analysis.simpleNotes),
+        complexChords: splice(transcription.complexChords, analysis.complexChords),
+        harmonizations,
+        sheetMusic: { ...sheetMusic, notes, clef: chooseClef(notes) }
+    };
+}
+
+/**
+ * Get the bar grid of a transcription's sheet music
+ * @param {Object} transcription - Transcription (sheetMusic, detectedTempo)
+ * @returns {Object} Time of the first bar line, seconds per tick and ticks per bar
+ */
+function getBarGrid(transcription) {
+    const sheetMusic = transcription.sheetMusic || {};
+    const notes = sheetMusic.notes || [];
+    const { numerator = 4, denominator = 4 } = sheetMusic.timeSignature || {};
+
+    return {
+        startTime: notes.length > 0 && typeof notes[0].startTime === 'number' ? notes[0].startTime : 0,
+        secondsPerTick: 60 / (transcription.detectedTempo || 120) / TICKS_PER_BEAT,
+        barTicks: Math.round(numerator * (4 / denominator) * TICKS_PER_BEAT)
+    };
+}
+
+/**
+ * Move timed items (notes, rests, chords) later
+ * @param {Array<Object>} items - Items with startTime, and endTime or a pitch contour if they have one
+ * @param {Number} offset - Seconds to add
+ * @returns {Array<Object>} Moved copies
+ */
+function shiftTimes(items, offset) {
+    return items.map(item => {
+        const shifted = { ...item, startTime: item.startTime + offset };
+        if (typeof item.endTime === 'number') shifted.endTime = item.endTime + offset;
+        if (item.contour) shifted.contour = item.contour.map(point => ({ ...point, time: point.time + offset }));
+        return shifted;
+    });
+}
+
+/**
+ * Swap the items starting within a span for new ones; items running into the span from
+ * before are cut short where it starts
+ * @param {Array<Object>} original - Items in time order
+ * @param {Array<Object>} replacement - Items for the span
+ * @param {Number} start - Start of the span in seconds
+ * @param {Number} end - End of the span in seconds
+ * @returns {Array<Object>} Items in time order
+ */
+function spliceByTime(original, replacement, start, end) {
+    const inSpan = item => item.startTime >= start - EPSILON && item.startTime < end - EPSILON;
+
+    const kept = original
+        .filter(item => !inSpan(item))
+        .map(item => (item.startTime < start && itemEnd(item) > start ? endAt(item, start) : item));
+
+    return [...kept, ...replacement.filter(inSpan)].sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Get when a timed item ends
+ * @param {Object} item - Item with startTime and endTime or duration in seconds
+ * @returns {Number} End time in seconds
+ */
+function itemEnd(item) {
+    if (typeof item.endTime === 'number') return item.endTime;
+    return item.startTime + (typeof item.duration === 'number' ? item.duration : 0);
+}
+
+/**
+ * Cut a timed item short
+ * @param {Object} item - Item with startTime and endTime or duration in seconds
+ * @param {Number} time - New end time in seconds
+ * @returns {Object} Shortened copy
+ */
+function endAt(item, time) {
+    const shortened = { ...item };
+    if (typeof item.endTime === 'number') shortened.endTime = time;
+    if (typeof item.duration === 'number') shortened.duration = time - item.startTime;
+    if (item.contour) shortened.contour = item.contour.filter(point => point.time < time);
+    return shortened;
+}
+
+/**
+ * Replace the bars of a region of the sheet music, keeping every bar after it in place
+ * @param {Array<Object>} original - Sheet music notes of the transcription
+ * @param {Array<Object>} replacement - Sheet music notes of the region, from its first bar line
+ * @param {Object} region - Region from findBarRegion
+ * @param {Object} grid - Bar grid of the transcription
+ * @returns {Array<Object>} Sheet music notes with start times
+ */
+function spliceSheetMusic(original, replacement, region, grid) {
+    const { fromTick, toTick } = region;
+    const moved = withTicks(replacement).map(item => ({
+        ...item,
+        start: item.start + fromTick,
+        end: item.end + fromTick
+    }));
+
+    const parts = [
+        cutNotes(withTicks(original), 0, fromTick),
+        cutNotes(moved, fromTick, toTick),
+        cutNotes(withTicks(original), toTick, Infinity)
+    ];
+
+    // Gaps are filled with rests, so a region ending early still leaves the later bars in place
+    const notes = [];
+    let position = 0;
+    parts.forEach(part => part.forEach(({ note, start, end }) => {
+        if (start > position) {
+            splitIntoNoteValues(position, start).forEach(piece => {
+                notes.push(timeNote(restFor(piece), piece.start, grid));
+            });
+        }
+        notes.push(timeNote(note, start, grid));
+        position = end;
+    }));
+
+    // Ties only join notes of the same pitch
+    return notes.map((note, index) => {
+        const next = notes[index + 1];
+        if (!note.tie || (next && !next.rest && next.pitch === note.pitch && next.octave === note.octave)) {
+            return note;
+        }
+        const untied = { ...note };
+        delete untied.tie;
+        return untied;
+    });
+}
+
+/**
+ * Place sheet music notes on the tick grid, one after another from tick 0
+ * @param {Array<Object>} notes - Sheet music notes
+ * @returns {Array<Object>} Notes with their start and end tick
+ */
+function withTicks(notes) {
+    let position = 0;
+    return notes.map(note => {
+        const start = position;
+        position += Math.round(noteValueBeats(note) * TICKS_PER_BEAT);
+        return { note, start, end: position };
+    });
+}
+
+/**
+ * Keep the part of the notes within a span of ticks; notes crossing its edges are
+ * rewritten as the note values that fit, tied together
+ * @param {Array<Object>} items - Notes with their start and end tick
+ * @param {Number} from - First tick of the span
+ * @param {Number} to - Tick after the span
+ * @returns {Array<Object>} Notes with their start and end tick
+ */
+function cutNotes(items, from, to) {
+    const cut = [];
+
+    items.forEach(({ note, start, end }) => {
+        const cutStart = Math.max(start, from);
+        const cutEnd = Math.min(end, to);
+        if (cutEnd <= cutStart) return;
+
+        if (cutStart === start && cutEnd === end) {
+            cut.push({ note, start, end });
+            return;
+        }
+
+        const { duration, dots, tuplet, tie, ...rest } = note;
+        const pieces = splitIntoNoteValues(cutStart, cutEnd);
+        pieces.forEach((piece, index) => {
+            const part = { ...rest, duration: piece.duration, dots: piece.dots };
+            if (piece.tuplet) part.tuplet = piece.tuplet;
+            if (!note.rest && (index < pieces.length - 1 || (cutEnd === end && tie))) part.tie = true;
+            cut.push({ note: part, start: piece.start, end: piece.start + piece.length });
+        });
+    });
+
+    return cut;
+}
+
+/**
+ * Make a rest of a note value
+ * @param {Object} piece - Note value from splitIntoNoteValues
+ * @returns {Object} Sheet music rest
+ */
+function restFor(piece) {
+    const rest = { rest: true, duration: piece.duration, dots: piece.dots };
+    if (piece.tuplet) rest.tuplet = piece.tuplet;
+    return rest;
+}
+
+/**
+ * Give a sheet music note the start time of its tick
+ * @param {Object} note - Sheet music note
+ * @param {Number} tick - Tick the note starts on
+ * @param {Object} grid - Bar grid of the transcription
+ * @returns {Object} Copy of the note with its start time
+ */
+function timeNote(note, tick, grid) {
+    return { ...note, startTime: grid.startTime + tick * grid.secondsPerTick };
+}
@@ -0,0 +1,536 @@
+/**
+ * rhythm.js
+ * Tempo estimation and beat-relative quantization of note timings
+ * The server lays out stored scores with a copy of the note value and measure helpers in
+ * backend/utils/rhythm.js; change both together
+ */
+
+// Grid resolution: 12 ticks per beat holds both sixteenths (3 ticks) and triplet eighths (4 ticks)
+export const TICKS_PER_BEAT = 12;
+
+// Tempo range considered when estimating, in BPM
+export const MIN_TEMPO = 40;
+export const MAX_TEMPO = 200;
+
+// Written note values by length in ticks, longest first
+const NOTE_VALUES = [
+    { duration: 'whole', dots: 0, ticks: 48 },
+    { duration: 'half', dots: 1, ticks: 36 },
+    { duration: 'half', dots: 0, ticks: 24 },
+    { duration: 'quarter', dots: 1, ticks: 18 },
+    { duration: 'quarter', dots: 0, ticks: 12 },
+    { duration: 'eighth', dots: 1, ticks: 9 },
+    { duration: 'eighth', dots: 0, ticks: 6 },
+    { duration: 'sixteenth', dots: 0, ticks: 3 }
+];
+
+// Triplet note values (three in the time of two)
+const TRIPLET_VALUES = [
+    { duration: 'quarter', dots: 0, tuplet: 3, ticks: 8 },
+    { duration: 'eighth', dots: 0, tuplet: 3, ticks: 4 }
+];
+
+// Length of each note value in beats (quarter notes)
+const DURATION_BEATS = {
+    'whole': 4,
+    'half': 2,
+    'quarter': 1,
+    'eighth': 0.5,
+    'sixteenth': 0.25
+};
+
+const ONSET_RESOLUTION = 0.01;  // Seconds per bin of the onset signal
+const ONSET_SPREAD = 0.03;      // Standard deviation of each onset pulse in seconds
+const PREFERRED_TEMPO = 100;    // Centre of the tempo prior in BPM
+const TEMPO_PRIOR_WIDTH = 1;    // Width of the tempo prior in octaves
+
+/**
+ * Get the length of a sheet music note or rest, including dots and tuplets
+ * @param {Object} note - Sheet music note (duration, dots, tuplet)
+ * @returns {Number} Length in beats (quarter notes)
+ */
+export function noteValueBeats(note) {
+    let beats = DURATION_BEATS[note.duration] || 1;
+
+    // Each dot adds half of the previous value
+    for (let dot = 1; dot <= (note.dots || 0); dot++) {
+        beats += (DURATION_BEATS[note.duration] || 1) / Math.pow(2, dot);
+    }
+
+    // A triplet plays three notes in the time of two
+    if (note.tuplet) {
+        beats *= 2 / note.tuplet;
+    }
+
+    return beats;
+}
+
+/**
+ * Estimate the tempo and beat positions of a melody from its note onsets
+ * An onset signal is autocorrelated to find the beat period, weighted toward
+ * moderate tempos, and the beat phase is the one most onsets fall on
+ * @param {Array<Object>} onsets - Onset times in seconds, with an optional weight each
+ * @returns {Object} Tempo in BPM and the time of one beat in seconds
+ */
+export function estimateTempo(onsets) {
+    const sorted = onsets
+        .map(onset => ({ time: onset.time, weight: onset.weight === undefined ? 1 : onset.weight }))
+        .sort((a, b) => a.time - b.time);
+
+    // Too few notes to hear a pulse
+    if (sorted.length < 3) {
+        return { tempo: 120, beatTime: sorted.length > 0 ? sorted[0].time : 0 };
+    }
+
+    const signal = createOnsetSignal(sorted);
+    const maxLag = Math.ceil(60 / MIN_TEMPO / ONSET_RESOLUTION) * 4;
+    const autocorrelation = autocorrelate(signal, Math.min(maxLag, signal.length - 1));
+
+    // Score each tempo by how strongly the signal repeats at its beat and the next few bars of beats
+    let best = { tempo: 120, score: -Infinity };
+    for (let tempo = MIN_TEMPO; tempo <= MAX_TEMPO; tempo += 0.5) {
+        const lag = 60 / tempo / ONSET_RESOLUTION;
+
+        let score = 0;
+        let count = 0;
+        for (let multiple = 1; multiple <= 4 && lag * multiple < autocorrelation.length - 1; multiple++) {
+            score += interpolate(autocorrelation, lag * multiple);
+            count++;
+        }
+        if (count === 0) continue;
+
+        const octaves = Math.log2(tempo / PREFERRED_TEMPO) / TEMPO_PRIOR_WIDTH;
+        score = (score / count) * Math.exp(-0.5 * octaves * octaves);
+
+        if (score > best.score) {
+            best = { tempo, score };
+        }
+    }
+
+    const period = 60 / best.tempo;
+    const beatTime = findBeatPhase(sorted, period);
+
+    return refineBeatGrid(sorted, period, beatTime);
+}
+
+/**
+ * Snap notes to a beat grid of sixteenths or, where they fit better, triplet eighths
+ * Notes are measured in ticks from the beat at or before the first note
+ * @param {Array<Object>} pitchData - Notes with startTime and endTime in seconds, and rests ({ rest: true })
+ * @param {Object} beatGrid - Tempo in BPM and the time of one beat in seconds
+ * @returns {Object} Quantized notes (note, start, end in ticks) and the time of tick 0 in seconds
+ */
+export function quantizeNotes(pitchData, { tempo, beatTime }) {
+    const notes = pitchData.filter(item => !item.rest);
+    const rests = pitchData.filter(item => item.rest);
+    const period = 60 / tempo;
+    const toBeats = (time) => (time - beatTime) / period;
+
+    // Onsets decide where triplets are; note ends are less precise
+    const triplets = chooseTripletBeats(notes.map(note => toBeats(note.startTime)));
+
+    const snap = (position) => {
+        const beat = Math.floor(position);
+        const subdivisions = triplets.has(beat) ? 3 : 4;
+        const step = TICKS_PER_BEAT / subdivisions;
+        return beat * TICKS_PER_BEAT + Math.round((position - beat) * subdivisions) * step;
+    };
+
+    // Singers let go of notes early, so ends before a rest round up to the eighth-note grid
+    const snapRelease = (position) => {
+        if (triplets.has(Math.floor(position))) return snap(position);
+        return Math.round(position * 2 + 0.25) * (TICKS_PER_BEAT / 2);
+    };
+
+    let quantized = notes
+        .map(note => ({
+            note,
+            start: snap(toBeats(note.startTime)),
+            end: snap(toBeats(note.endTime)),
+            release: snapRelease(toBeats(note.endTime)),
+            length: note.endTime - note.startTime
+        }))
+        .sort((a, b) => a.start - b.start || b.length - a.length);
+
+    // Keep the longer of notes that land on the same tick
+    quantized = quantized.filter((item, index) => index === 0 || item.start !== quantized[index - 1].start);
+
+    quantized.forEach((item, index) => {
+        const next = quantized[index + 1];
+        const restAfter = rests.some(rest => rest.startTime >= item.note.endTime - 1e-6 &&
+            (!next || rest.endTime <= next.note.startTime + 1e-6));
+
+        // A note lasts until the next one starts, unless the gap is long enough to be a rest;
+        // a silence (a breath) is a rest however short, if it is still there after the release
+        const isLegato = !restAfter && next && next.start - item.end < TICKS_PER_BEAT / 2;
+        if (next && (item.end > next.start || isLegato)) {
+            item.end = next.start;
+        } else {
+            item.end = Math.max(item.end, next ? Math.min(item.release, next.start) : item.release);
+        }
+    });
+
+    // Notes shorter than the grid are slides or glitches between notes
+    quantized = quantized.filter(item => item.end > item.start);
+
+    if (quantized.length === 0) {
+        return { notes: [], startTime: beatTime };
+    }
+
+    // Start counting at the beat the first note falls in
+    const origin = Math.floor(quantized[0].start / TICKS_PER_BEAT) * TICKS_PER_BEAT;
+
+    return {
+        notes: quantized.map(({ note, start, end }) => ({
+            note,
+            start: start - origin,
+            end: end - origin
+        })),
+        startTime: beatTime + (origin / TICKS_PER_BEAT) * period
+    };
+}
+
+/**
+ * Write a span of the beat grid as tied note values
+ * Sixteenth-grid spans use plain and dotted values; spans off the sixteenth grid use triplets
+ * @param {Number} start - Start of the span in ticks from a beat
+ * @param {Number} end - End of the span in ticks
+ * @returns {Array<Object>} Note values (duration, dots, tuplet, start and length in ticks)
+ */
+export function splitIntoNoteValues(start, end) {
+    const pieces = [];
+    let position = start;
+
+    while (position < end) {
+        const nextBeat = (Math.floor(position / TICKS_PER_BEAT) + 1) * TICKS_PER_BEAT;
+        const lastBeat = Math.floor(end / TICKS_PER_BEAT) * TICKS_PER_BEAT;
+        const onSixteenthGrid = position % 3 === 0;
+
+        // Plain values cover everything up to the last point on the sixteenth grid
+        const plainEnd = end % 3 === 0 ? end : lastBeat;
+
+        let value;
+        if (onSixteenthGrid && plainEnd > position) {
+            value = NOTE_VALUES.find(candidate => candidate.ticks <= plainEnd - position);
+        } else {
+            // Triplets stay within their beat
+            const space = Math.min(end, nextBeat) - position;
+            value = TRIPLET_VALUES.find(candidate => candidate.ticks <= space);
+        }
+
+        // Lengths that no value fits (never produced by quantizeNotes) end the span
+        if (!value) break;
+
+        const { ticks, ...noteValue } = value;
+        pieces.push({ ...noteValue, start: position, length: ticks });
+        position += ticks;
+    }
+
+    return pieces;
+}
+
+/**
+ * Infer the time signature from where the long, accented notes fall
+ * Melodies sung in triplets throughout are written in 6/8; otherwise the bar
+ * length (3 or 4 beats) and position of the first downbeat that put the most
+ * weight on downbeats win. Only complete bars are scored, and 4/4 is kept unless
+ * the accents clearly favour 3/4
+ * @param {Array<Object>} notes - Quantized notes (start and end in ticks of the detected beat)
+ * @returns {Object} Time signature, ticks of rest before the first note so it falls in the
+ * right place in its bar, and the length of the detected beat in quarter notes
+ */
+export function inferMeter(notes) {
+    const fourFour = { timeSignature: { numerator: 4, denominator: 4 }, pickup: 0, beatQuarters: 1 };
+    if (notes.length === 0) return fourFour;
+
+    const offsets = notes.map(note => note.start % TICKS_PER_BEAT);
+    const tripletOnsets = offsets.filter(offset => offset === 4 || offset === 8).length;
+    const dupleOnsets = offsets.filter(offset => offset % 3 === 0 && offset !== 0).length;
+    const onTripletGrid = notes.every(note => note.start % 4 === 0 && note.end % 4 === 0);
+    const beats = Math.ceil(notes[notes.length - 1].end / TICKS_PER_BEAT);
+
+    // A beat divided in three throughout is a dotted quarter in compound time
+    const candidates = onTripletGrid && dupleOnsets === 0 && tripletOnsets >= beats / 4
+        ? [{ timeSignature: { numerator: 6, denominator: 8 }, beatsPerBar: 2, beatQuarters: 1.5 }]
+        : [
+            { timeSignature: { numerator: 4, denominator: 4 }, beatsPerBar: 4, beatQuarters: 1, bias: 1.1 },
+            { timeSignature: { numerator: 3, denominator: 4 }, beatsPerBar: 3, beatQuarters: 1, bias: 1 }
+        ];
+
+    // Longer notes carry more accent
+    const weights = notes.map(note => Math.min(2, (note.end - note.start) / TICKS_PER_BEAT));
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const { beatsPerBar, bias = 1 } = candidate;
+
+        for (let phase = 0; phase < beatsPerBar; phase++) {
+            // A pickup bar or a partial last bar would credit its downbeat with a whole bar's weight
+            const bars = Math.floor((beats - phase) / beatsPerBar);
+            if (bars === 0) continue;
+            const from = phase * TICKS_PER_BEAT;
+            const to = (phase + bars * beatsPerBar) * TICKS_PER_BEAT;
+
+            let barWeight = 0;
+            let downbeatWeight = 0;
+            notes.forEach((note, index) => {
+                if (note.start < from || note.start >= to) return;
+                barWeight += weights[index];
+                if (offsets[index] !== 0) return;
+                const beat = note.start / TICKS_PER_BEAT;
+                if ((beat - phase) % beatsPerBar === 0) downbeatWeight += weights[index];
+            });
+            if (barWeight === 0) continue;
+
+            // How much more weight downbeats get than chance; melodies usually start on one
+            let score = (downbeatWeight / barWeight) * beatsPerBar * bias;
+            if (phase === 0) score *= 1.25;
+
+            if (!best || score > best.score) {
+                best = { ...candidate, phase, score };
+            }
+        }
+    });
+
+    // Too short for a whole bar: the first candidate, from the first note
+    if (!best) best = { ...candidates[0], phase: 0 };
+
+    return {
+        timeSignature: best.timeSignature,
+        pickup: ((best.beatsPerBar - best.phase) % best.beatsPerBar) * TICKS_PER_BEAT,
+        beatQuarters: best.beatQuarters
+    };
+}
+
+/**
+ * Fill measures by duration, splitting notes that cross a barline into tied notes
+ * Gaps between note start times (in transcriptions saved without rests) become rests
+ * @param {Array<Object>} notes - Sheet music notes and rests
+ * @param {Object} timeSignature - Time signature (numerator, denominator)
+ * @param {Number} tempo - Tempo in quarter notes per minute, to place notes by start time
+ * @returns {Array<Array<Object>>} Measures of sheet music notes and rests
+ */
+export function buildMeasures(notes, timeSignature = {}, tempo = 120) {
+    const { numerator = 4, denominator = 4 } = timeSignature;
+    const measureLength = Math.round(numerator * (4 / denominator) * TICKS_PER_BEAT);
+    const ticksPerSecond = (tempo / 60) * TICKS_PER_BEAT;
+    const firstTime = notes.length > 0 && typeof notes[0].startTime === 'number' ? notes[0].startTime : 0;
+
+    const measures = [[]];
+    let position = 0;
+
+    const measureAt = (tick) => {
+        const index = Math.floor(tick / measureLength);
+        while (measures.length <= index) measures.push([]);
+        return measures[index];
+    };
+
+    // Write a span as note values, tied across barlines and beats; only notes carry ties
+    const addSpan = (start, end, note) => {
+        const pieces = [];
+        for (let barStart = start; barStart < end;) {
+            const barEnd = Math.min(end, (Math.floor(barStart / measureLength) + 1) * measureLength);
+            pieces.push(...splitIntoNoteValues(barStart, barEnd));
+            barStart = barEnd;
+        }
+
+        pieces.forEach((piece, index) => {
+            const written = {
+                ...note,
+                duration: piece.duration,
+                dots: piece.dots,
+                startTime: firstTime + piece.start / ticksPerSecond
+            };
+            delete written.tuplet;
+            if (piece.tuplet) written.tuplet = piece.tuplet;
+            if (!note.rest) written.tie = index < pieces.length - 1 || Boolean(note.tie);
+
+            measureAt(piece.start).push(written);
+        });
+    };
+
+    notes.forEach(note => {
+        // Start times more than a sixteenth after the previous note leave a silence
+        if (typeof note.startTime === 'number') {
+            const start = Math.round((note.startTime - firstTime) * ticksPerSecond / 3) * 3;
+            if (start - position >= 3) {
+                addSpan(position, start, { rest: true });
+                position = start;
+            }
+        }
+
+        const end = position + Math.round(noteValueBeats(note) * TICKS_PER_BEAT);
+        const barEnd = (Math.floor(position / measureLength) + 1) * measureLength;
+
+        // Notes that fit in their measure keep their written value
+        if (end <= barEnd) {
+            measureAt(position).push({ ...note });
+        } else {
+            addSpan(position, end, note);
+        }
+        position = end;
+    });
+
+    // Complete the last measure with rests
+    if (position % measureLength !== 0 || position === 0) {
+        const barEnd = (Math.floor(position / measureLength) + 1) * measureLength;
+        addSpan(position, barEnd, { rest: true });
+    }
+
+    return measures;
+}
+
+/**
+ * Build a smoothed signal with a pulse at every onset
+ * @param {Array<Object>} onsets - Sorted onsets (time, weight)
+ * @returns {Float32Array} Onset strength per bin
+ */
+function createOnsetSignal(onsets) {
+    const length = Math.ceil((onsets[onsets.length - 1].time + 1) / ONSET_RESOLUTION);
+    const signal = new Float32Array(length);
+    const spread = ONSET_SPREAD / ONSET_RESOLUTION;
+    const reach = Math.ceil(spread * 3);
+
+    onsets.forEach(({ time, weight }) => {
+        const centre = time / ONSET_RESOLUTION;
+        const first = Math.max(0, Math.floor(centre - reach));
+        const last = Math.min(length - 1, Math.ceil(centre + reach));
+
+        for (let i = first; i <= last; i++) {
+            const distance = (i - centre) / spread;
+            signal[i] += weight * Math.exp(-0.5 * distance * distance);
+        }
+    });
+
+    return signal;
+}
+
+/**
+ * Autocorrelate a signal up to a maximum lag
+ * @param {Float32Array} signal - Signal to autocorrelate
+ * @param {Number} maxLag - Largest lag in bins
+ * @returns {Float32Array} Autocorrelation for lags 0 to maxLag
+ */
+function autocorrelate(signal, maxLag) {
+    const result = new Float32Array(maxLag + 1);
+
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < signal.length; i++) {
+            sum += signal[i] * signal[i + lag];
+        }
+        result[lag] = sum;
+    }
+
+    return result;
+}
+
+/**
+ * Read an array at a fractional index with linear interpolation
+ * @param {Float32Array} values - Values to read
+ * @param {Number} index - Fractional index
+ * @returns {Number} Interpolated value
+ */
+function interpolate(values, index) {
+    const lower = Math.floor(index);
+    const fraction = index - lower;
+    return values[lower] * (1 - fraction) + values[lower + 1] * fraction;
+}
+
+/**
+ * Find the beat phase most onsets fall on
+ * @param {Array<Object>} onsets - Sorted onsets (time, weight)
+ * @param {Number} period - Beat period in seconds
+ * @returns {Number} Time of one beat in seconds
+ */
+function findBeatPhase(onsets, period) {
+    let best = { phase: 0, score: -Infinity };
+
+    for (let phase = 0; phase < period; phase += ONSET_RESOLUTION) {
+        let score = 0;
+        onsets.forEach(({ time, weight }) => {
+            const offset = (time - phase) / period;
+            const distance = (offset - Math.round(offset)) * period / ONSET_SPREAD;
+            score += weight * Math.exp(-0.5 * distance * distance);
+        });
+
+        if (score > best.score) {
+            best = { phase, score };
+        }
+    }
+
+    return best.phase;
+}
+
+/**
+ * Fit the beat period and phase to the onsets that fall near beats and half beats,
+ * so small tempo errors don't add up over a long take
+ * @param {Array<Object>} onsets - Sorted onsets (time, weight)
+ * @param {Number} period - Estimated beat period in seconds
+ * @param {Number} beatTime - Estimated time of one beat in seconds
+ * @returns {Object} Tempo in BPM and the time of one beat in seconds
+ */
+function refineBeatGrid(onsets, period, beatTime) {
+    let sumWeight = 0;
+    let sumBeat = 0;
+    let sumTime = 0;
+    let sumBeatBeat = 0;
+    let sumBeatTime = 0;
+
+    onsets.forEach(({ time, weight }) => {
+        const beat = Math.round(((time - beatTime) / period) * 2) / 2;
+        if (Math.abs(time - (beatTime + beat * period)) > period * 0.1) return;
+
+        sumWeight += weight;
+        sumBeat += weight * beat;
+        sumTime += weight * time;
+        sumBeatBeat += weight * beat * beat;
+        sumBeatTime += weight * beat * time;
+    });
+
+    const denominator = sumWeight * sumBeatBeat - sumBeat * sumBeat;
+    if (sumWeight === 0 || denominator <= 0) {
+        return { tempo: 60 / period, beatTime };
+    }
+
+    const fittedPeriod = (sumWeight * sumBeatTime - sumBeat * sumTime) / denominator;
+    const fittedBeatTime = (sumTime - fittedPeriod * sumBeat) / sumWeight;
+
+    // Keep the estimate if the fit wandered off to another tempo
+    if (Math.abs(fittedPeriod / period - 1) > 0.05) {
+        return { tempo: 60 / period, beatTime };
+    }
+
+    return { tempo: 60 / fittedPeriod, beatTime: fittedBeatTime };
+}
+
+/**
+ * Choose the beats whose notes fit triplet eighths clearly better than sixteenths
+ * @param {Array<Number>} positions - Note starts in beats
+ * @returns {Set<Number>} Indexes of triplet beats
+ */
+function chooseTripletBeats(positions) {
+    const beats = {};
+
+    positions.forEach(position => {
+        const beat = Math.floor(position);
+        const fraction = position - beat;
+        const stats = beats[beat] || (beats[beat] = { duple: 0, triplet: 0, offbeats: 0 });
+
+        stats.duple += Math.abs(fraction * 4 - Math.round(fraction * 4)) / 4;
+        stats.triplet += Math.abs(fraction * 3 - Math.round(fraction * 3)) / 3;
+
+        // Only notes on the second or third triplet show a triplet feel
+        const third = Math.round(fraction * 3);
+        if (third === 1 || third === 2) stats.offbeats++;
+    });
+
+    const triplets = new Set();
+    Object.entries(beats).forEach(([beat, stats]) => {
+        if (stats.offbeats >= 1 && stats.triplet < stats.duple * 0.5) {
+            triplets.add(Number(beat));
+        }
+    });
+
+    return triplets;
+}
@@ -0,0 +1,427 @@
+/**
+ * scoreEditor.js
+ * Edits the notes of a transcription's sheet music, with undo and redo
+ */
+import {
+    noteNameToPitchClass,
+    parseKey,
+    keySignatureAlter,
+    formatNoteName,
+    transposeNote,
+    STEPS,
+    STEP_PITCH_CLASSES
+} from './musicTheory.js';
+import { noteValueBeats } from './rhythm.js';
+
+// Note values in the order they are written, shortest first
+export const NOTE_VALUES = ['sixteenth', 'eighth', 'quarter', 'half', 'whole'];
+
+class ScoreEditor {
+    constructor() {
+        this.transcription = null;
+        this.selected = null;     // Index into sheetMusic.notes
+        this.undoStack = [];      // Earlier states (sheet music, simple notes and selection)
+        this.redoStack = [];
+        this.historyLimit = 100;  // Edits that can be undone
+    }
+
+    /**
+     * Start editing a transcription; history from the previous one is dropped
+     * @param {Object|null} transcription - Transcription (sheetMusic, detectedKey, detectedTempo)
+     */
+    load(transcription) {
+        this.transcription = transcription;
+        this.selected = null;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Get the notes being edited
+     * @returns {Array<Object>} Sheet music notes
+     */
+    getNotes() {
+        const sheetMusic = this.transcription && this.transcription.sheetMusic;
+        return (sheetMusic && sheetMusic.notes) || [];
+    }
+
+    /**
+     * Select a note
+     * @param {Number|null} index - Index into the sheet music notes, or null to clear
+     */
+    select(index) {
+        const notes = this.getNotes();
+        this.selected = index !== null && index >= 0 && index < notes.length ? index : null;
+    }
+
+    /**
+     * Move the selection to a neighbouring note
+     * @param {Number} step - Notes to move (negative for earlier)
+     */
+    moveSelection(step) {
+        const notes = this.getNotes();
+        if (notes.length === 0) return;
+
+        const from = this.selected === null ? (step > 0 ? -1 : notes.length) : this.selected;
+        this.selected = Math.max(0, Math.min(notes.length - 1, from + step));
+    }
+
+    /**
+     * Get the selected note
+     * @returns {Object|null} Sheet music note
+     */
+    getSelected() {
+        return this.selected === null ? null : this.getNotes()[this.selected] || null;
+    }
+
+    /**
+     * Move the selected note (and the notes tied to it) up or down
+     * @param {Number} semitones - Semitones up (positive) or down (negative)
+     * @returns {Boolean} Whether the score changed
+     */
+    transpose(semitones) {
+        const note = this.getSelected();
+        if (!note || note.rest) return false;
+
+        const midi = this.toMidi(note) + semitones;
+        if (midi < 0 || midi > 127) return false;
+
+        const { name, octave } = transposeNote(note.pitch, note.octave, semitones, this.transcription.detectedKey);
+        return this.edit(notes => {
+            this.tiedChain(notes, this.selected).forEach(index => {
+                notes[index].pitch = name;
+                notes[index].octave = octave;
+            });
+        });
+    }
+
+    /**
+     * Write the selected note (and the notes tied to it) with an accidental
+     * @param {Number} alter - -1 for flat, 0 for natural, 1 for sharp
+     * @returns {Boolean} Whether the score changed
+     */
+    setAccidental(alter) {
+        const note = this.getSelected();
+        if (!note || note.rest) return false;
+
+        const step = note.pitch[0].toUpperCase();
+        const midi = (note.octave + 1) * 12 + STEP_PITCH_CLASSES[step] + alter;
+        if (midi < 0 || midi > 127) return false;
+
+        return this.edit(notes => {
+            this.tiedChain(notes, this.selected).forEach(index => {
+                notes[index].pitch = formatNoteName(step, alter);
+            });
+        });
+    }
+
+    /**
+     * Change the note value of the selected note or rest; later notes move to follow it
+     * @param {String} duration - Note value ('sixteenth' to 'whole')
+     * @returns {Boolean} Whether the score changed
+     */
+    setDuration(duration) {
+        const note = this.getSelected();
+        if (!note || !NOTE_VALUES.includes(duration)) return false;
+
+        return this.edit(notes => {
+            const edited = notes[this.selected];
+            edited.duration = duration;
+            delete edited.tuplet;
+        });
+    }
+
+    /**
+     * Add or remove the dot on the selected note or rest
+     * @returns {Boolean} Whether the score changed
+     */
+    toggleDot() {
+        const note = this.getSelected();
+        if (!note) return false;
+
+        return this.edit(notes => {
+            const edited = notes[this.selected];
+            edited.dots = edited.dots ? 0 : 1;
+            delete edited.tuplet;
+        });
+    }
+
+    /**
+     * Insert a note after the selection (or at the end) and select it
+     * The note takes the key signature's accidental, the octave nearest the note before
+     * and the selected note value
+     * @param {String} step - Note letter (A-G)
+     * @returns {Boolean} Whether the score changed
+     */
+    insertNote(step) {
+        step = step.toUpperCase();
+        if (!STEPS.includes(step) || !this.transcription) return false;
+
+        const notes = this.getNotes();
+        const index = this.insertionIndex();
+        const previous = notes.slice(0, index).reverse().find(note => !note.rest);
+        const { fifths } = parseKey(this.transcription.detectedKey);
+        const alter = keySignatureAlter(step, fifths);
+        const pitchClass = STEP_PITCH_CLASSES[step] + alter;
+
+        // The octave that puts the new note closest to the one before it
+        let octave = 4;
+        if (previous) {
+            const target = this.toMidi(previous);
+            const octaves = [previous.octave - 1, previous.octave, previous.octave + 1];
+            octave = octaves.reduce((best, candidate) =>
+                Math.abs((candidate + 1) * 12 + pitchClass - target) <
+                Math.abs((best + 1) * 12 + pitchClass - target) ? candidate : best);
+        }
+
+        return this.insert(index, { pitch: formatNoteName(step, alter), octave });
+    }
+
+    /**
+     * Insert a rest after the selection (or at the end) and select it
+     * @returns {Boolean} Whether the score changed
+     */
+    insertRest() {
+        if (!this.transcription) return false;
+        return this.insert(this.insertionIndex(), { rest: true });
+    }
+
+    /**
+     * Delete the selected note or rest; later notes move up to fill its place
+     * @returns {Boolean} Whether the score changed
+     */
+    deleteSelected() {
+        if (!this.getSelected()) return false;
+
+        const index = this.selected;
+        const changed = this.edit(notes => {
+            notes.splice(index, 1);
+        });
+        this.select(Math.min(index, this.getNotes().length - 1));
+        return changed;
+    }
+
+    /**
+     * Whether there is an edit to undo
+     * @returns {Boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone edit to redo
+     * @returns {Boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {Boolean} Whether the score changed
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {Boolean} Whether the score changed
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Insert a note or rest with the selected note value and select it
+     * @param {Number} index - Position in the sheet music notes
+     * @param {Object} note - Pitch and octave, or rest
+     * @returns {Boolean} Whether the score changed
+     */
+    insert(index, note) {
+        const selected = this.getSelected();
+        const changed = this.edit(notes => {
+            notes.splice(index, 0, {
+                ...note,
+                duration: selected ? selected.duration : 'quarter',
+                dots: selected ? selected.dots || 0 : 0
+            });
+        });
+        this.selected = index;
+        return changed;
+    }
+
+    /**
+     * Get where an inserted note goes: after the selection, or at the end
+     * @returns {Number} Index into the sheet music notes
+     */
+    insertionIndex() {
+        return this.selected === null ? this.getNotes().length : this.selected + 1;
+    }
+
+    /**
+     * Apply a change to a copy of the notes, keeping the previous state for undo
+     * @param {Function} change - Changes the notes in place
+     * @returns {Boolean} Whether the score changed
+     */
+    edit(change) {
+        const before = this.getNotes();
+        const notes = before.map(note => ({ ...note }));
+        change(notes);
+
+        // A change that leaves every note as it was is not an edit to undo
+        if (JSON.stringify(notes) === JSON.stringify(before)) return false;
+
+        this.undoStack.push(this.snapshot());
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.setNotes(notes);
+        return true;
+    }
+
+    /**
+     * Capture the score, whether it had been edited, and the selection
+     * @returns {Object} State for the undo and redo stacks
+     */
+    snapshot() {
+        const { sheetMusic, simpleNotes, metadata } = this.transcription;
+        const edited = Boolean(metadata && metadata.edited);
+        return { sheetMusic, simpleNotes, edited, selected: this.selected };
+    }
+
+    /**
+     * Go back to a captured state
+     * @param {Object} state - State from the undo or redo stack
+     */
+    restore({ sheetMusic, simpleNotes, edited, selected }) {
+        // Undoing every edit makes the raw pitch data match the score again
+        const metadata = { ...(this.transcription.metadata || {}) };
+        if (edited) {
+            metadata.edited = true;
+        } else {
+            delete metadata.edited;
+        }
+
+        this.transcription = { ...this.transcription, sheetMusic, simpleNotes, metadata };
+        this.selected = selected;
+    }
+
+    /**
+     * Replace the sheet music notes, re-timing them and rebuilding the simple notes
+     * Notes are never changed in place, so snapshots can share them
+     * @param {Array<Object>} notes - Sheet music notes
+     */
+    setNotes(notes) {
+        const sheetMusic = this.transcription.sheetMusic || {};
+        const timed = this.retime(notes, this.getNotes());
+
+        // The raw pitch data no longer matches the score, so exports follow the simple notes from now on
+        this.transcription = {
+            ...this.transcription,
+            sheetMusic: { ...sheetMusic, notes: timed },
+            simpleNotes: this.toSimpleNotes(timed),
+            metadata: { ...(this.transcription.metadata || {}), edited: true }
+        };
+    }
+
+    /**
+     * Place each note right after the one before, from where the score started
+     * Ties are only kept between notes of the same pitch
+     * @param {Array<Object>} notes - Edited notes
+     * @param {Array<Object>} before - Notes before the edit, for the start time
+     * @returns {Array<Object>} Notes with start times
+     */
+    retime(notes, before) {
+        const secondsPerBeat = 60 / (this.transcription.detectedTempo || 120);
+        let time = before.length > 0 && typeof before[0].startTime === 'number' ? before[0].startTime : 0;
+
+        return notes.map((note, index) => {
+            const next = notes[index + 1];
+            const timed = { ...note, startTime: time };
+            time += noteValueBeats(note) * secondsPerBeat;
+
+            if (note.tie && !(next && !note.rest && !next.rest &&
+                next.octave === note.octave &&
+                noteNameToPitchClass(next.pitch) === noteNameToPitchClass(note.pitch))) {
+                delete timed.tie;
+            }
+            return timed;
+        });
+    }
+
+    /**
+     * Build simple notes from sheet music notes, joining tied notes
+     * @param {Array<Object>} notes - Sheet music notes with start times
+     * @returns {Array<Object>} Simple notes (note, octave, duration and startTime in seconds)
+     */
+    toSimpleNotes(notes) {
+        const secondsPerBeat = 60 / (this.transcription.detectedTempo || 120);
+        const simpleNotes = [];
+        let tiedFrom = null;
+
+        notes.forEach(note => {
+            if (note.rest) {
+                tiedFrom = null;
+                return;
+            }
+
+            const duration = noteValueBeats(note) * secondsPerBeat;
+            if (tiedFrom) {
+                tiedFrom.duration += duration;
+            } else {
+                simpleNotes.push({
+                    note: note.pitch[0] + note.pitch.slice(1).replace(/#/g, '♯').replace(/b/g, '♭'),
+                    octave: note.octave,
+                    duration,
+                    startTime: note.startTime
+                });
+            }
+            tiedFrom = note.tie ? simpleNotes[simpleNotes.length - 1] : null;
+        });
+
+        return simpleNotes;
+    }
+
+    /**
+     * Find the notes tied together with a note
+     * @param {Array<Object>} notes - Sheet music notes
+     * @param {Number} index - Index of one note in the chain
+     * @returns {Array<Number>} Indexes of the tied notes, in order
+     */
+    tiedChain(notes, index) {
+        let first = index;
+        while (first > 0 && notes[first - 1].tie && !notes[first - 1].rest) first--;
+
+        let last = index;
+        while (last < notes.length - 1 && notes[last].tie && !notes[last + 1].rest) last++;
+
+        const chain = [];
+        for (let current = first; current <= last; current++) chain.push(current);
+        return chain;
+    }
+
+    /**
+     * Get the MIDI note number of a written note
+     * @param {Object} note - Sheet music note (pitch and octave)
+     * @returns {Number} MIDI note number
+     */
+    toMidi(note) {
+        const step = note.pitch[0].toUpperCase();
+        const alter = (note.pitch.slice(1).match(/#/g) || []).length - (note.pitch.slice(1).match(/b/g) || []).length;
+        return (note.octave + 1) * 12 + STEP_PITCH_CLASSES[step] + alter;
+    }
+}
+
+export default ScoreEditor;
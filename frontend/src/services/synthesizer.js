@@ -0,0 +1,511 @@
+/**
+ * synthesizer.js
+ * Plays transcriptions back with Web Audio instruments generated in the browser,
+ * alone or against the original recording
+ */
+import { noteNameToPitchClass } from './musicTheory.js';
+import { noteValueBeats } from './rhythm.js';
+import { normalizeTuning, midiToFrequency } from './tuning.js';
+
+// Instrument timbres: partial amplitudes (or an oscillator waveform), envelope in seconds,
+// and optional filter (cutoff as a multiple of the note frequency), detune in cents and vibrato
+export const INSTRUMENTS = {
+    piano: {
+        name: 'Piano',
+        harmonics: [1, 0.5, 0.35, 0.15, 0.1, 0.05],
+        attack: 0.005, decay: 1.2, sustain: 0, release: 0.15
+    },
+    organ: {
+        name: 'Organ',
+        harmonics: [1, 0.8, 0.6, 0, 0.4, 0, 0, 0.3],
+        attack: 0.01, decay: 0, sustain: 1, release: 0.05
+    },
+    strings: {
+        name: 'Strings',
+        waveform: 'sawtooth', detune: 6, filter: 3,
+        attack: 0.12, decay: 0, sustain: 1, release: 0.3
+    },
+    flute: {
+        name: 'Flute',
+        harmonics: [1, 0.2, 0.05], vibrato: 5,
+        attack: 0.06, decay: 0, sustain: 1, release: 0.1
+    },
+    guitar: {
+        name: 'Guitar',
+        pluck: true,
+        attack: 0.002, decay: 0, sustain: 1, release: 0.1
+    }
+};
+
+// Soft, slow pad for the chords under the melody
+const PAD = {
+    waveform: 'sawtooth', detune: 8, filter: 2,
+    attack: 0.4, decay: 0, sustain: 1, release: 0.6
+};
+
+// Frequency of the generated plucked-string sample, which is resampled for each note
+const PLUCK_FREQUENCY = 220;
+
+class Synthesizer {
+    /**
+     * @param {Object} options - Playback options
+     * @param {String} options.instrument - Melody instrument (see INSTRUMENTS, default piano)
+     * @param {Number} options.volume - Master volume (0-1)
+     */
+    constructor(options = {}) {
+        this.instrument = INSTRUMENTS[options.instrument] ? options.instrument : 'piano';
+        this.volume = options.volume !== undefined ? options.volume : 0.5;
+
+        // Levels of each melody note and each chord tone before the master volume
+        this.melodyLevel = 0.35;
+        this.padLevel = 0.08;
+
+        // Seconds between pressing play and the first note, so nothing is scheduled in the past
+        this.startDelay = 0.1;
+
+        // Seconds of silence between the recording and the transcription of a bar when alternating
+        this.alternateGap = 0.3;
+
+        this.audioContext = null;
+        this.output = null;
+        this.sources = [];
+        this.periodicWaves = {};
+        this.pluckBuffer = null;
+        this.animationFrame = null;
+        this.playback = null;
+    }
+
+    /**
+     * Whether a transcription is playing
+     * @returns {Boolean} True while playing
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Play a transcription's sheet music, optionally with its chords as a pad
+     * or against the original recording
+     * @param {Object} transcription - Transcription (sheetMusic, detectedTempo, detectedKey, metadata)
+     * @param {Object} options - Playback options
+     * @param {String} options.instrument - Melody instrument instead of the current one
+     * @param {Boolean} options.chords - Also play complexChords, or the first suggested progression
+     * @param {AudioBuffer} options.original - The original recording, to compare with the transcription
+     * @param {String} options.compare - With an original, 'together' (default) plays both at once;
+     * 'alternate' plays each bar of the recording followed by the same bar of the transcription
+     * @param {Function} options.onPosition - Called every animation frame with the time in the transcription
+     * and what is sounding ('original', 'transcription' or 'both')
+     * @param {Function} options.onEnd - Called when playback finishes or is stopped
+     */
+    async play(transcription, options = {}) {
+        this.stop();
+
+        const melody = this.collectMelody(transcription);
+        const chords = options.chords ? this.collectChords(transcription) : [];
+        const events = [...melody, ...chords];
+        const original = options.original || null;
+        if (events.length === 0 && !original) return;
+
+        if (options.instrument && INSTRUMENTS[options.instrument]) {
+            this.instrument = options.instrument;
+        }
+
+        const context = await this.getAudioContext();
+
+        this.output = context.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(context.destination);
+
+        // Transcription times are from the start of the recording; without it, play from the first note
+        const from = original ? 0 : Math.min(...events.map(event => event.startTime));
+        const to = Math.max(original ? original.duration : 0, ...events.map(event => event.endTime));
+        const passes = original && options.compare === 'alternate'
+            ? this.planAlternatePasses(transcription, from, to)
+            : [{ from, to, at: 0, original: Boolean(original), transcription: true }];
+
+        const startAt = context.currentTime + this.startDelay;
+
+        passes.forEach(pass => {
+            const passStart = startAt + pass.at;
+
+            if (pass.original) {
+                const source = context.createBufferSource();
+                source.buffer = original;
+                source.connect(this.output);
+                source.start(passStart, pass.from, pass.to - pass.from);
+                this.sources.push(source);
+            }
+
+            if (!pass.transcription) return;
+
+            // Notes crossing the edges of the pass are cut to it
+            const clip = event => {
+                const start = Math.max(event.startTime, pass.from);
+                const end = Math.min(event.endTime, pass.to);
+                return end > start ? { time: passStart + start - pass.from, duration: end - start } : null;
+            };
+
+            melody.forEach(note => {
+                const clipped = clip(note);
+                if (clipped) {
+                    this.playNote(INSTRUMENTS[this.instrument], note.frequency, clipped.time,
+                        clipped.duration, this.melodyLevel);
+                }
+            });
+            chords.forEach(chord => {
+                const clipped = clip(chord);
+                if (!clipped) return;
+                chord.frequencies.forEach(frequency => {
+                    this.playNote(PAD, frequency, clipped.time, clipped.duration, this.padLevel);
+                });
+            });
+        });
+
+        this.playback = { startAt, passes, onPosition: options.onPosition, onEnd: options.onEnd };
+        this.tick();
+    }
+
+    /**
+     * Split the recording into bars, each heard first as recorded and then as transcribed
+     * @param {Object} transcription - Transcription data
+     * @param {Number} from - Start in seconds
+     * @param {Number} to - End in seconds
+     * @returns {Array<Object>} Passes (from and to in the transcription, at in seconds from the start
+     * of playback, and whether the original and the transcription sound)
+     */
+    planAlternatePasses(transcription, from, to) {
+        const sheetMusic = transcription.sheetMusic || {};
+        const { numerator = 4, denominator = 4 } = sheetMusic.timeSignature || {};
+        const barLength = numerator * (4 / denominator) * 60 / (transcription.detectedTempo || 120);
+
+        // Bars are counted from the first note of the score, which may be a pickup rest
+        let barStart = sheetMusic.notes && sheetMusic.notes.length > 0 ? sheetMusic.notes[0].startTime : from;
+        while (barStart > from) barStart -= barLength;
+
+        const bars = [];
+        for (; barStart < to; barStart += barLength) {
+            bars.push({ from: Math.max(barStart, from), to: Math.min(barStart + barLength, to) });
+        }
+
+        // Slivers of a bar at either end (silence before a pickup, the tail of the take) join their neighbour
+        if (bars.length > 1 && bars[0].to - bars[0].from < barLength / 2) {
+            bars[1].from = bars.shift().from;
+        }
+        if (bars.length > 1 && bars[bars.length - 1].to - bars[bars.length - 1].from < barLength / 2) {
+            bars[bars.length - 2].to = bars.pop().to;
+        }
+
+        const passes = [];
+        let at = 0;
+        bars.forEach(bar => {
+            const length = bar.to - bar.from;
+
+            passes.push({ ...bar, at, original: true, transcription: false });
+            passes.push({ ...bar, at: at + length + this.alternateGap, original: false, transcription: true });
+            at += 2 * (length + this.alternateGap);
+        });
+
+        return passes;
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        this.sources = [];
+
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+
+        const playback = this.playback;
+        this.playback = null;
+        if (playback && playback.onEnd) {
+            playback.onEnd();
+        }
+    }
+
+    /**
+     * Report the playhead every animation frame until the last pass ends
+     */
+    tick() {
+        if (!this.playback) return;
+
+        const { startAt, passes, onPosition } = this.playback;
+        const elapsed = this.audioContext.currentTime - startAt;
+        const last = passes[passes.length - 1];
+
+        if (elapsed > last.at + last.to - last.from) {
+            this.stop();
+            return;
+        }
+
+        // Nothing is reported in the pauses between alternating passes
+        const pass = passes.find(candidate => elapsed >= candidate.at &&
+            elapsed < candidate.at + candidate.to - candidate.from);
+        if (pass && onPosition) {
+            const sounding = pass.original && pass.transcription ? 'both'
+                : (pass.original ? 'original' : 'transcription');
+            onPosition(pass.from + elapsed - pass.at, sounding);
+        }
+
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Get (and create on first use) the audio context
+     * @returns {AudioContext} Audio context, resumed if the browser suspended it
+     */
+    async getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Collect the melody from the sheet music, joining tied notes
+     * @param {Object} transcription - Transcription data
+     * @returns {Array<Object>} Notes (frequency, start and end time in seconds)
+     */
+    collectMelody(transcription) {
+        const sheetMusic = transcription.sheetMusic;
+        if (!sheetMusic || !sheetMusic.notes) return [];
+
+        const secondsPerBeat = 60 / (transcription.detectedTempo || 120);
+        const tuning = normalizeTuning((transcription.metadata || {}).tuning);
+        const notes = [];
+        let tiedFrom = null;
+
+        sheetMusic.notes.forEach(note => {
+            const endTime = note.startTime + noteValueBeats(note) * secondsPerBeat;
+
+            if (note.rest) {
+                tiedFrom = null;
+                return;
+            }
+
+            // A tied note carries on the previous one
+            if (tiedFrom) {
+                tiedFrom.endTime = endTime;
+            } else {
+                const midi = this.noteToMidi(note.pitch, note.octave);
+                if (midi === null) return;
+
+                notes.push({
+                    frequency: midiToFrequency(midi, tuning, transcription.detectedKey),
+                    startTime: note.startTime,
+                    endTime
+                });
+            }
+
+            tiedFrom = note.tie ? notes[notes.length - 1] : null;
+        });
+
+        return notes;
+    }
+
+    /**
+     * Collect the chords to play under the melody
+     * Detected chords are used when there are any; a sung melody uses its first suggested progression
+     * @param {Object} transcription - Transcription data
+     * @returns {Array<Object>} Chords (frequencies, start and end time in seconds)
+     */
+    collectChords(transcription) {
+        const tuning = normalizeTuning((transcription.metadata || {}).tuning);
+        const harmonizations = transcription.harmonizations || [];
+        const chords = transcription.complexChords && transcription.complexChords.length > 0
+            ? transcription.complexChords
+            : (harmonizations[0] ? harmonizations[0].chords : []);
+
+        return chords.map(chord => {
+            // Close voicing from the root in octave 3, with a slash chord's bass below
+            const root = noteNameToPitchClass(chord.root);
+            const midis = chord.notes
+                .map(name => noteNameToPitchClass(name))
+                .filter(pitchClass => pitchClass !== undefined)
+                .map(pitchClass => 48 + root + ((pitchClass - root + 12) % 12));
+
+            if (chord.bass && noteNameToPitchClass(chord.bass) !== undefined) {
+                midis.push(36 + noteNameToPitchClass(chord.bass));
+            }
+
+            return {
+                frequencies: midis.map(midi => midiToFrequency(midi, tuning, transcription.detectedKey)),
+                startTime: chord.startTime,
+                endTime: chord.endTime
+            };
+        });
+    }
+
+    /**
+     * Convert a note name and octave to a MIDI note number
+     * @param {String} name - Note name, e.g. 'C#', 'Bb' or 'F♯'
+     * @param {Number} octave - Octave number (C4 is middle C)
+     * @returns {Number|null} MIDI note number (60 = C4) or null if unknown
+     */
+    noteToMidi(name, octave) {
+        const pitchClass = noteNameToPitchClass(name);
+        if (pitchClass === undefined) return null;
+
+        return (octave + 1) * 12 + pitchClass;
+    }
+
+    /**
+     * Schedule one note
+     * @param {Object} timbre - Instrument settings
+     * @param {Number} frequency - Frequency in Hz
+     * @param {Number} startTime - Audio context time to start
+     * @param {Number} duration - Length in seconds before the release
+     * @param {Number} level - Peak gain
+     */
+    playNote(timbre, frequency, startTime, duration, level) {
+        const context = this.audioContext;
+        const endTime = startTime + Math.max(duration, timbre.attack);
+        const stopTime = endTime + timbre.release * 2;
+
+        // Envelope: attack to the peak, decay to the sustain level, release after the note
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(level, startTime + timbre.attack);
+        if (timbre.sustain < 1) {
+            envelope.gain.setTargetAtTime(level * timbre.sustain, startTime + timbre.attack, timbre.decay / 3);
+        }
+        envelope.gain.setTargetAtTime(0, endTime, timbre.release / 3);
+
+        let input = envelope;
+        if (timbre.filter) {
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = frequency * timbre.filter;
+            filter.connect(envelope);
+            input = filter;
+        }
+        envelope.connect(this.output);
+
+        const sources = timbre.pluck
+            ? [this.createPluck(frequency, input)]
+            : this.createOscillators(timbre, frequency, startTime, input);
+
+        sources.forEach(source => {
+            source.start(startTime);
+            source.stop(stopTime);
+            this.sources.push(source);
+        });
+    }
+
+    /**
+     * Create the oscillators for a note, with optional detuned pair and vibrato
+     * @param {Object} timbre - Instrument settings
+     * @param {Number} frequency - Frequency in Hz
+     * @param {Number} startTime - Audio context time the note starts
+     * @param {AudioNode} destination - Node the oscillators play into
+     * @returns {Array<AudioScheduledSourceNode>} Oscillators (and vibrato LFO) to start
+     */
+    createOscillators(timbre, frequency, startTime, destination) {
+        const context = this.audioContext;
+        const detunes = timbre.detune ? [-timbre.detune, timbre.detune] : [0];
+        const sources = [];
+
+        const oscillators = detunes.map(detune => {
+            const oscillator = context.createOscillator();
+            if (timbre.harmonics) {
+                oscillator.setPeriodicWave(this.getPeriodicWave(timbre.harmonics));
+            } else {
+                oscillator.type = timbre.waveform;
+            }
+            oscillator.frequency.value = frequency;
+            oscillator.detune.value = detune;
+            oscillator.connect(destination);
+            sources.push(oscillator);
+            return oscillator;
+        });
+
+        if (timbre.vibrato) {
+            // Vibrato of about 15 cents, fading in after the attack
+            const lfo = context.createOscillator();
+            const depth = context.createGain();
+            lfo.frequency.value = timbre.vibrato;
+            depth.gain.setValueAtTime(0, startTime);
+            depth.gain.linearRampToValueAtTime(15, startTime + 0.3);
+            lfo.connect(depth);
+            oscillators.forEach(oscillator => depth.connect(oscillator.detune));
+            sources.push(lfo);
+        }
+
+        return sources;
+    }
+
+    /**
+     * Get (and cache) a periodic wave with the given partial amplitudes
+     * @param {Array<Number>} harmonics - Amplitude of each harmonic from the fundamental
+     * @returns {PeriodicWave} Periodic wave
+     */
+    getPeriodicWave(harmonics) {
+        const id = harmonics.join(',');
+        if (!this.periodicWaves[id]) {
+            const real = new Float32Array(harmonics.length + 1);
+            const imaginary = new Float32Array([0, ...harmonics]);
+            this.periodicWaves[id] = this.audioContext.createPeriodicWave(real, imaginary);
+        }
+        return this.periodicWaves[id];
+    }
+
+    /**
+     * Create a plucked-string note by resampling a Karplus-Strong sample
+     * @param {Number} frequency - Frequency in Hz
+     * @param {AudioNode} destination - Node the sample plays into
+     * @returns {AudioBufferSourceNode} Buffer source to start
+     */
+    createPluck(frequency, destination) {
+        if (!this.pluckBuffer) {
+            this.pluckBuffer = this.renderPluck(PLUCK_FREQUENCY, 3);
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.pluckBuffer;
+        source.playbackRate.value = frequency / PLUCK_FREQUENCY;
+        source.connect(destination);
+        return source;
+    }
+
+    /**
+     * Render a plucked string with the Karplus-Strong algorithm: a burst of noise
+     * in a delay line of one period, averaged on every pass so it rings and fades
+     * @param {Number} frequency - Frequency of the string in Hz
+     * @param {Number} duration - Length in seconds
+     * @returns {AudioBuffer} Sample
+     */
+    renderPluck(frequency, duration) {
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, Math.round(duration * sampleRate), sampleRate);
+        const samples = buffer.getChannelData(0);
+        const period = Math.round(sampleRate / frequency);
+
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = i < period
+                ? Math.random() * 2 - 1
+                : 0.996 * 0.5 * (samples[i - period] + samples[i - period + 1]);
+        }
+
+        return buffer;
+    }
+}
+
+export default Synthesizer;
@@ -0,0 +1,94 @@
+/**
+ * tuning.js
+ * Reference pitch and temperament helpers shared by detection, display and playback
+ */
+import { PITCH_CLASSES, parseKey } from './musicTheory.js';
+
+export const DEFAULT_TUNING = {
+    referencePitch: 440,     // Frequency of A4 in Hz
+    temperament: 'equal'     // 'equal', 'just' or 'pythagorean'
+};
+
+// Allowed reference pitches (covers baroque 415 to modern orchestral 446)
+export const MIN_REFERENCE_PITCH = 400;
+export const MAX_REFERENCE_PITCH = 480;
+
+// Frequency ratios above the tonic for each semitone of the scale
+const TEMPERAMENT_RATIOS = {
+    // 5-limit just intonation
+    just: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+    // Stacked pure fifths, with the wolf fifth between the tritone and the minor second
+    pythagorean: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128]
+};
+
+export const TEMPERAMENTS = ['equal', ...Object.keys(TEMPERAMENT_RATIOS)];
+
+/**
+ * Fill in missing tuning settings with the defaults and keep the reference pitch in range
+ * @param {Object} tuning - Tuning settings (referencePitch, temperament)
+ * @returns {Object} Complete tuning settings
+ */
+export function normalizeTuning(tuning = {}) {
+    const referencePitch = Number(tuning && tuning.referencePitch);
+    const temperament = tuning && tuning.temperament;
+
+    return {
+        referencePitch: Number.isFinite(referencePitch) && referencePitch > 0
+            ? Math.max(MIN_REFERENCE_PITCH, Math.min(MAX_REFERENCE_PITCH, referencePitch))
+            : DEFAULT_TUNING.referencePitch,
+        temperament: TEMPERAMENTS.includes(temperament) ? temperament : DEFAULT_TUNING.temperament
+    };
+}
+
+/**
+ * Get how far a pitch class is from equal temperament in the given tuning
+ * Just and Pythagorean tunings are built on the key's tonic, which keeps its equal-tempered pitch
+ * @param {Number} pitchClass - Pitch class (0-11)
+ * @param {Object} tuning - Tuning settings
+ * @param {String} key - Key name the temperament is relative to
+ * @returns {Number} Deviation in cents
+ */
+export function temperamentOffset(pitchClass, tuning, key = 'C') {
+    const ratios = TEMPERAMENT_RATIOS[tuning.temperament];
+    if (!ratios) return 0;
+
+    const tonic = PITCH_CLASSES[parseKey(key).tonic];
+    const degree = (((pitchClass - tonic) % 12) + 12) % 12;
+
+    return 1200 * Math.log2(ratios[degree]) - 100 * degree;
+}
+
+/**
+ * Get the frequency of a MIDI note in the given tuning
+ * @param {Number} midi - MIDI note number (69 = A4)
+ * @param {Object} tuning - Tuning settings
+ * @param {String} key - Key name the temperament is relative to
+ * @returns {Number} Frequency in Hz
+ */
+export function midiToFrequency(midi, tuning = DEFAULT_TUNING, key = 'C') {
+    const cents = 100 * (midi - 69) + temperamentOffset(midi % 12, tuning, key);
+    return tuning.referencePitch * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Get the nearest MIDI note to a frequency in the given tuning
+ * @param {Number} frequency - Frequency in Hz
+ * @param {Object} tuning - Tuning settings
+ * @param {String} key - Key name the temperament is relative to
+ * @returns {Object} MIDI note number and the deviation from it in cents
+ */
+export function frequencyToMidi(frequency, tuning = DEFAULT_TUNING, key = 'C') {
+    const equalTempered = 69 + 12 * Math.log2(frequency / tuning.referencePitch);
+    const rounded = Math.round(equalTempered);
+
+    // Temperaments move notes by up to ~20 cents, so a neighbour may be closer
+    let best = null;
+    for (let midi = rounded - 1; midi <= rounded + 1; midi++) {
+        const cents = 1200 * Math.log2(frequency / midiToFrequency(midi, tuning, key));
+        if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+            best = { midi, cents };
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,96 @@
+/**
+ * vocalRange.js
+ * Reports the range and tessitura of a sung melody and guesses the voice type
+ */
+import { noteToMidi } from './clefs.js';
+
+// Usual ranges of each voice type as MIDI notes, highest first
+export const VOICE_TYPES = [
+    { name: 'Soprano', low: 60, high: 81 },       // C4-A5
+    { name: 'Mezzo-soprano', low: 57, high: 77 }, // A3-F5
+    { name: 'Alto', low: 53, high: 74 },          // F3-D5
+    { name: 'Tenor', low: 48, high: 69 },         // C3-A4
+    { name: 'Baritone', low: 45, high: 65 },      // A2-F4
+    { name: 'Bass', low: 40, high: 64 }           // E2-E4
+];
+
+// The tessitura leaves out the lowest and highest tenth of the time sung
+const TESSITURA_SHARE = 0.1;
+
+// Semitones outside a voice's range count fully; distance from its centre only breaks ties
+const CENTRE_WEIGHT = 0.25;
+
+/**
+ * Analyze the range of a melody
+ * @param {Array<Object>} simpleNotes - Notes (note, octave, duration in seconds)
+ * @returns {Object|null} Lowest and highest notes, tessitura (low and high notes) and voice type,
+ *   or null when there are no notes; notes have a name, octave and MIDI number
+ */
+export function analyzeVocalRange(simpleNotes) {
+    const notes = (simpleNotes || [])
+        .filter(note => note.note && typeof note.octave === 'number')
+        .map(note => ({
+            name: note.note,
+            octave: note.octave,
+            midi: noteToMidi({ pitch: note.note, octave: note.octave }),
+            weight: note.duration > 0 ? note.duration : 0
+        }))
+        .sort((a, b) => a.midi - b.midi);
+
+    if (notes.length === 0) return null;
+
+    // Notes of no length still count, so every sung note has some weight
+    const total = notes.reduce((sum, note) => sum + note.weight, 0);
+    if (total === 0) notes.forEach(note => { note.weight = 1; });
+
+    const tessitura = {
+        low: noteAtShare(notes, TESSITURA_SHARE),
+        high: noteAtShare(notes, 1 - TESSITURA_SHARE)
+    };
+
+    return {
+        lowest: describe(notes[0]),
+        highest: describe(notes[notes.length - 1]),
+        tessitura: { low: describe(tessitura.low), high: describe(tessitura.high) },
+        voiceType: guessVoiceType(notes, noteAtShare(notes, 0.5).midi)
+    };
+}
+
+/**
+ * Guess the voice type whose range fits the melody best
+ * @param {Array<Object>} notes - Notes with MIDI number and weight
+ * @param {Number} median - MIDI note sung for half the time or more
+ * @returns {String} Voice type name
+ */
+function guessVoiceType(notes, median) {
+    const total = notes.reduce((sum, note) => sum + note.weight, 0);
+
+    const cost = ({ low, high }) => {
+        const outside = notes.reduce((sum, { midi, weight }) => sum + weight * Math.max(0, low - midi, midi - high), 0);
+        return outside / total + CENTRE_WEIGHT * Math.abs(median - (low + high) / 2);
+    };
+
+    return VOICE_TYPES.reduce((best, voice) => (cost(voice) < cost(best) ? voice : best)).name;
+}
+
+/**
+ * Find the note below which a share of the singing time falls
+ * @param {Array<Object>} notes - Notes sorted from lowest, with weights
+ * @param {Number} share - Share of the total weight (0-1)
+ * @returns {Object} Note
+ */
+function noteAtShare(notes, share) {
+    const total = notes.reduce((sum, note) => sum + note.weight, 0);
+    let elapsed = 0;
+
+    return notes.find(note => (elapsed += note.weight) >= total * share) || notes[notes.length - 1];
+}
+
+/**
+ * Keep the parts of a note the report shows
+ * @param {Object} note - Note with name, octave and MIDI number
+ * @returns {Object} Name, octave and MIDI number
+ */
+function describe({ name, octave, midi }) {
+    return { name, octave, midi };
+}
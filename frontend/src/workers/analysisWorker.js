@@ -0,0 +1,40 @@
+/**
+ * analysisWorker.js
+ * Web Worker that runs pitch analysis off the main thread
+ *
+ * Messages in:  { type: 'analyze', id, channels, sampleRate, options }
+ * Messages out: { type: 'progress', id, progress }
+ *               { type: 'result', id, result }
+ *               { type: 'error', id, message }
+ */
+import PitchDetection from '../services/pitchDetection.js';
+
+const pitchDetection = new PitchDetection();
+
+self.onmessage = async (event) => {
+    const { type, id, channels, sampleRate, options = {} } = event.data;
+
+    if (type !== 'analyze') return;
+
+    try {
+        // Rebuild the parts of the AudioBuffer interface the analysis uses
+        const audioBuffer = {
+            numberOfChannels: channels.length,
+            length: channels[0].length,
+            sampleRate,
+            duration: channels[0].length / sampleRate,
+            getChannelData: (channel) => channels[channel]
+        };
+
+        const result = await pitchDetection.analyzeAudio(audioBuffer, {
+            ...options,
+            onProgress: (progress) => {
+                self.postMessage({ type: 'progress', id, progress });
+            }
+        });
+
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
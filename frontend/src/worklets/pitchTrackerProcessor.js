@@ -0,0 +1,81 @@
+/**
+ * pitchTrackerProcessor.js
+ * AudioWorklet processor that runs the pitch detector on streaming microphone frames
+ *
+ * Messages in:  { type: 'start' } / { type: 'stop' }
+ * Messages out: { type: 'pitch', frequency, confidence, time }
+ */
+import PitchDetection from '../services/pitchDetection.js';
+
+// Samples per analysis frame and between frames
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+
+class PitchTrackerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        
+        // `sampleRate` and `currentTime` are globals of the worklet scope
+        this.pitchDetection = new PitchDetection();
+        this.pitchDetection.setSampleRate(sampleRate);
+        
+        this.frame = new Float32Array(FRAME_SIZE);
+        this.filled = 0;
+        this.isTracking = false;
+        
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'start') {
+                this.isTracking = true;
+                this.filled = 0;
+            } else if (event.data.type === 'stop') {
+                this.isTracking = false;
+            }
+        };
+    }
+    
+    /**
+     * Collect input samples and analyze a frame every hop
+     * @param {Array<Array<Float32Array>>} inputs - Input blocks (128 samples per channel)
+     * @returns {Boolean} True to keep the processor alive
+     */
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.isTracking || !input || input.length === 0) return true;
+        
+        const samples = input[0];
+        for (let i = 0; i < samples.length; i++) {
+            this.frame[this.filled++] = samples[i];
+            
+            if (this.filled === FRAME_SIZE) {
+                const time = currentTime + (i + 1) / sampleRate;
+                this.analyzeFrame(time);
+                
+                // Keep the second half as the start of the next frame
+                this.frame.copyWithin(0, HOP_SIZE);
+                this.filled = FRAME_SIZE - HOP_SIZE;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Detect the pitch of the current frame and post it to the main thread
+     * @param {Number} time - Audio context time at the end of the frame
+     */
+    analyzeFrame(time) {
+        const { frequency, confidence } = this.pitchDetection.detectPitch(this.frame);
+        const isPitched = confidence >= this.pitchDetection.minConfidence &&
+            frequency >= this.pitchDetection.minFrequency &&
+            frequency <= this.pitchDetection.maxFrequency;
+        
+        this.port.postMessage({
+            type: 'pitch',
+            frequency: isPitched ? frequency : 0,
+            confidence,
+            time
+        });
+    }
+}
+
+registerProcessor('pitch-tracker', PitchTrackerProcessor);
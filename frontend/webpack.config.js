@@ -5,7 +5,7 @@ module.exports = {
   mode: 'development', // Or 'production'
   entry: './src/index.js', // Your main JS entry point
   output: {
-    filename: 'main.js',
+    filename: '[name].js', // main.js, plus a file per worker/worklet
     path: path.resolve(__dirname, 'dist'), // Output directory
     publicPath: '/', // Important for dev server routing
   },
@@ -16,6 +16,12 @@ module.exports = {
     hot: true, // Enable hot module replacement
   },
   module: {
+    parser: {
+      javascript: {
+        // Bundle AudioWorklet modules like Web Workers
+        worker: ['*audioWorklet.addModule()', '...'],
+      },
+    },
     rules: [
       {
         test: /\.css$/i, // Target CSS files
@@ -37,6 +43,12 @@ module.exports = {
       }
     ],
   },
+  optimization: {
+    splitChunks: {
+      // Split async chunks as usual, except worklets: they can't load other chunks
+      chunks: (chunk) => !chunk.canBeInitial() && chunk.name !== 'pitch-tracker',
+    },
+  },
   plugins: [
     new HtmlWebpackPlugin({
       template: './public/index.html' // Use this HTML file as a template